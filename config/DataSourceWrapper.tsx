@@ -1,5 +1,5 @@
 /* eslint-disable react/jsx-props-no-spreading */
-import React, { useCallback, useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import PropTypes from 'prop-types';
 import { Enums, ExtensionManager, MODULE_TYPES, log } from '@ohif/core';
 //
@@ -19,6 +19,22 @@ const areLocationsTheSame = (location0, location1) => {
   );
 };
 
+/**
+ * Stands in for rows before the fetched block. The WorkList slices its data by absolute row index, so a block
+ * fetched from XNAT at an offset is placed after this many placeholders; they are never rendered.
+ */
+const PLACEHOLDER_STUDY = {
+  studyInstanceUid: '',
+  date: '',
+  time: '',
+  description: '',
+  modalities: '',
+  accession: '',
+  instances: 0,
+  patientName: '',
+  mrn: '',
+};
+
 /**
  * Uses route properties to determine the data source that should be passed
  * to the child layout template. In some instances, initiates requests and
@@ -109,6 +125,8 @@ function DataSourceWrapper(props: withAppTypes) {
 
   const [data, setData] = useState(DEFAULT_DATA);
   const [isLoading, setIsLoading] = useState(false);
+  // Identifies the latest study search, so rows streamed in for an earlier one are dropped
+  const latestSearchId = useRef(0);
 
   /**
    * The effect to initialize the data source whenever it changes. Similar to
@@ -153,44 +171,73 @@ function DataSourceWrapper(props: withAppTypes) {
 
     // 204: no content
     async function getData() {
+      const searchId = ++latestSearchId.current;
       setIsLoading(true);
       log.time(Enums.TimingEnum.SEARCH_TO_LIST);
-      console.log('[XNAT] Wrapper fetching studies with filters:', queryFilterValues);
-      const studies = await dataSource.query.studies.search(queryFilterValues);
-      console.log('[XNAT] Wrapper received studies count:', studies?.length);
-      let filteredStudies = studies || [];
-      const studyUIDFilterRaw = queryFilterValues.StudyInstanceUIDs;
-      if (studyUIDFilterRaw) {
-        const studyUIDFilter = Array.isArray(studyUIDFilterRaw)
-          ? studyUIDFilterRaw
-          : [studyUIDFilterRaw];
-        const uidSet = new Set(
-          studyUIDFilter
-            .map(uid => (uid ?? '').toString().trim())
-            .filter(uid => uid.length > 0)
-        );
-        if (uidSet.size > 0) {
-          console.log('Filtering studies by UIDs:', Array.from(uidSet));
-          filteredStudies = filteredStudies.filter(study => {
-            const candidateUID =
-              study?.StudyInstanceUID || study?.studyInstanceUid || study?.studyInstanceUID;
-            const match = candidateUID && uidSet.has(candidateUID.toString().trim());
-            if (!match) {
-              console.log('[XNAT] Wrapper hiding study UID:', candidateUID);
-            }
-            return match;
-          });
-          console.log('[XNAT] Wrapper filtered studies count:', filteredStudies.length);
+
+      // Shows a result, or the part of it streamed in so far, unless a newer search has started
+      const showStudies = studies => {
+        if (searchId !== latestSearchId.current) {
+          return false;
         }
-      }
+        let filteredStudies = studies || [];
+        // The data source reports the total rows the list can show; older sources only return the rows
+        let total = Number.isFinite(studies?.totalRecords)
+          ? Math.max(studies.totalRecords, queryFilterValues.offset + filteredStudies.length)
+          : queryFilterValues.offset + filteredStudies.length;
+        const studyUIDFilterRaw = queryFilterValues.StudyInstanceUIDs;
+        if (studyUIDFilterRaw) {
+          const studyUIDFilter = Array.isArray(studyUIDFilterRaw)
+            ? studyUIDFilterRaw
+            : [studyUIDFilterRaw];
+          const uidSet = new Set(
+            studyUIDFilter
+              .map(uid => (uid ?? '').toString().trim())
+              .filter(uid => uid.length > 0)
+          );
+          if (uidSet.size > 0) {
+            console.log('Filtering studies by UIDs:', Array.from(uidSet));
+            filteredStudies = filteredStudies.filter(study => {
+              const candidateUID =
+                study?.StudyInstanceUID || study?.studyInstanceUid || study?.studyInstanceUID;
+              const match = candidateUID && uidSet.has(candidateUID.toString().trim());
+              if (!match) {
+                console.log('[XNAT] Wrapper hiding study UID:', candidateUID);
+              }
+              return match;
+            });
+            console.log('[XNAT] Wrapper filtered studies count:', filteredStudies.length);
+            total = queryFilterValues.offset + filteredStudies.length;
+          }
+        }
+
+        const alignedStudies =
+          queryFilterValues.offset > 0
+            ? new Array(queryFilterValues.offset).fill(PLACEHOLDER_STUDY).concat(filteredStudies)
+            : filteredStudies;
+
+        setData({
+          studies: alignedStudies,
+          total,
+          resultsPerPage: queryFilterValues.resultsPerPage,
+          pageNumber: queryFilterValues.pageNumber,
+          location,
+        });
+        return true;
+      };
 
-      setData({
-        studies: filteredStudies,
-        total: filteredStudies.length,
-        resultsPerPage: queryFilterValues.resultsPerPage,
-        pageNumber: queryFilterValues.pageNumber,
-        location,
+      console.log('[XNAT] Wrapper fetching studies with filters:', queryFilterValues);
+      const studies = await dataSource.query.studies.search({
+        ...queryFilterValues,
+        // All-projects searches hand over each project's rows as they arrive
+        onProgress: partialStudies => {
+          if (showStudies(partialStudies)) {
+            setIsLoading(false);
+          }
+        },
       });
+      console.log('[XNAT] Wrapper received studies count:', studies?.length);
+      showStudies(studies);
       log.timeEnd(Enums.TimingEnum.SCRIPT_TO_VIEW);
       log.timeEnd(Enums.TimingEnum.SEARCH_TO_LIST);
 
@@ -200,15 +247,10 @@ function DataSourceWrapper(props: withAppTypes) {
     try {
       // Cache invalidation :thinking:
       // - Anytime change is not just next/previous page
-      // - And we didn't cross a result offset range
+      // - And we didn't cross into another block of rows fetched from XNAT
       const isSamePage = data.pageNumber === queryFilterValues.pageNumber;
-      const previousOffset =
-        Math.floor((data.pageNumber * data.resultsPerPage) / STUDIES_LIMIT) * (STUDIES_LIMIT - 1);
-      const newOffset =
-        Math.floor(
-          (queryFilterValues.pageNumber * queryFilterValues.resultsPerPage) / STUDIES_LIMIT
-        ) *
-        (STUDIES_LIMIT - 1);
+      const previousOffset = _getBlockOffset(data.pageNumber, data.resultsPerPage, STUDIES_LIMIT);
+      const newOffset = queryFilterValues.offset;
       // Simply checking data.location !== location is not sufficient because even though the location href (i.e. entire URL)
       // has not changed, the React Router still provides a new location reference and would result in two study queries
       // on initial load. Alternatively, window.location.href could be used.
@@ -273,6 +315,14 @@ DataSourceWrapper.propTypes = {
 
 export default DataSourceWrapper;
 
+/**
+ * First row of the block of queryLimit - 1 rows that holds a page
+ */
+function _getBlockOffset(pageNumber, resultsPerPage, queryLimit) {
+  const blockSize = queryLimit - 1;
+  return Math.floor(((pageNumber - 1) * resultsPerPage) / blockSize) * blockSize;
+}
+
 /**
  * Duplicated in `workList`
  * Need generic that can be shared? Isn't this what qs is for?
@@ -306,9 +356,12 @@ function _getQueryFilterValues(query, queryLimit) {
     // Rarely supported server-side
     sortBy: query.get('sortby'),
     sortDirection: query.get('sortdirection'),
-    // Offset...
-    offset: Math.floor((pageNumber * resultsPerPage) / queryLimit) * (queryLimit - 1),
+    // XNAT is paged in blocks of queryLimit - 1 rows; the block holding the current page is fetched
+    offset: _getBlockOffset(pageNumber, resultsPerPage, queryLimit),
+    limit: queryLimit - 1,
     config: query.get('configurl'),
+    // Quick find: a StudyInstanceUID, accession number, session label or subject label in any project
+    quickFind: query.get('quickfind'),
     StudyInstanceUIDs: studyInstanceUIDsParam
       ? studyInstanceUIDsParam.includes(',')
         ? studyInstanceUIDsParam.split(',').map(uid => uid.trim()).filter(Boolean)
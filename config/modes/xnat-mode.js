@@ -29,6 +29,15 @@ function modeFactory({ modeConfiguration }) {
                   namespace: '@ohif/extension-default.viewportModule.dicom',
                   displaySetsToDisplay: ['@ohif/extension-default.sopClassHandlerModule.stack'],
                 },
+                // Encapsulated PDFs and video extracted from XNAT files by the data source
+                {
+                  namespace: '@ohif/extension-dicom-pdf.viewportModule.dicom-pdf',
+                  displaySetsToDisplay: ['@ohif/extension-dicom-pdf.sopClassHandlerModule.dicom-pdf'],
+                },
+                {
+                  namespace: '@ohif/extension-dicom-video.viewportModule.dicom-video',
+                  displaySetsToDisplay: ['@ohif/extension-dicom-video.sopClassHandlerModule.dicom-video'],
+                },
               ],
             },
           };
@@ -39,9 +48,18 @@ function modeFactory({ modeConfiguration }) {
     extensions: [
       '@ohif/extension-default',
       '@ohif/extension-cornerstone',
+      '@ohif/extension-dicom-pdf',
+      '@ohif/extension-dicom-video',
       '@ohif/extension-xnat-datasource',
     ],
 
+    // Video and PDF handlers come first so those scans are not offered as image stacks
+    sopClassHandlers: [
+      '@ohif/extension-dicom-video.sopClassHandlerModule.dicom-video',
+      '@ohif/extension-dicom-pdf.sopClassHandlerModule.dicom-pdf',
+      '@ohif/extension-default.sopClassHandlerModule.stack',
+    ],
+
     // Add XNAT toolbar buttons
     toolbar: {
       primary: {
@@ -62,6 +80,33 @@ function modeFactory({ modeConfiguration }) {
             commands: 'showXNATCacheInfo',
             type: 'command',
           },
+          // Volume layouts from @ohif/extension-cornerstone; the loader streams slices into the shared volume buffer
+          {
+            id: 'xnat-layout-mpr',
+            label: 'MPR',
+            icon: 'icon-mpr',
+            tooltip: 'Axial, sagittal and coronal reconstructions',
+            commands: [
+              {
+                commandName: 'setHangingProtocol',
+                commandOptions: { protocolId: 'mpr' },
+              },
+            ],
+            type: 'command',
+          },
+          {
+            id: 'xnat-layout-3d',
+            label: '3D',
+            icon: 'layout-advanced-3d-main',
+            tooltip: '3D volume rendering with MPR',
+            commands: [
+              {
+                commandName: 'setHangingProtocol',
+                commandOptions: { protocolId: 'main3D' },
+              },
+            ],
+            type: 'command',
+          },
         ],
       },
     },
@@ -74,6 +119,8 @@ const mode = {
   extensionDependencies: {
     '@ohif/extension-default': '^3.0.0',
     '@ohif/extension-cornerstone': '^3.0.0',
+    '@ohif/extension-dicom-pdf': '^3.0.0',
+    '@ohif/extension-dicom-video': '^3.0.0',
     '@ohif/extension-xnat-datasource': '^1.0.0',
   },
 };
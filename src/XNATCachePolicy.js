@@ -0,0 +1,167 @@
+/**
+ * Cache policy for fetched DICOM files
+ * Files are kept in least recently used order with a configurable byte limit; files of the
+ * series on screen can be pinned so eviction and memory-pressure shrinking skip them
+ */
+
+export const DEFAULT_CACHE_LIMIT_MB = 512;
+// Share of the limit kept after shrinking for memory pressure
+const PRESSURE_SHRINK_RATIO = 0.5;
+
+class XNATFileCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.limitMB=512] - Total size of cached files
+   * @param {Function} [options.getPinnedUrls] - Returns the file URLs to keep; only called when evicting
+   */
+  constructor({ limitMB = DEFAULT_CACHE_LIMIT_MB, getPinnedUrls = () => [] } = {}) {
+    this.limitBytes = limitMB * 1024 * 1024;
+    this.entries = new Map();
+    this.getPinnedUrls = getPinnedUrls;
+    this.sizeBytes = 0;
+  }
+
+  /**
+   * Get a cached file and mark it most recently used
+   */
+  get(url) {
+    const entry = this.entries.get(url);
+    if (!entry) {
+      return undefined;
+    }
+
+    // Map iteration follows insertion order, so re-inserting moves the entry to the back
+    this.entries.delete(url);
+    entry.lastAccess = Date.now();
+    this.entries.set(url, entry);
+    return entry;
+  }
+
+  has(url) {
+    return this.entries.has(url);
+  }
+
+  /**
+   * Cache a file, evicting least recently used unpinned files to make room
+   * Pinned files may push the cache over its limit rather than be dropped
+   * @returns {boolean} Whether the file was cached
+   */
+  set(url, arrayBuffer) {
+    const byteLength = arrayBuffer.byteLength;
+    if (byteLength > this.limitBytes) {
+      console.warn('⚠️ DICOM file larger than cache limit, not cached:', url);
+      return false;
+    }
+
+    this._remove(url);
+    this.shrink(this.limitBytes - byteLength);
+
+    this.entries.set(url, { arrayBuffer, byteLength, timestamp: Date.now(), lastAccess: Date.now() });
+    this.sizeBytes += byteLength;
+    return true;
+  }
+
+  /**
+   * Evict least recently used unpinned files until the cache is no bigger than targetBytes
+   * @returns {number} Number of files evicted
+   */
+  shrink(targetBytes) {
+    if (this.sizeBytes <= targetBytes) {
+      return 0;
+    }
+
+    const pinned = new Set(this.getPinnedUrls());
+    let evicted = 0;
+    for (const [url, entry] of this.entries) {
+      if (this.sizeBytes <= targetBytes) {
+        break;
+      }
+      if (pinned.has(url)) {
+        continue;
+      }
+
+      this.entries.delete(url);
+      this.sizeBytes -= entry.byteLength;
+      evicted++;
+      console.log('🗑️ Evicted from cache:', url, 'New cache size:', Math.round(this.sizeBytes / 1024 / 1024), 'MB');
+    }
+    return evicted;
+  }
+
+  /**
+   * Shrink to a fraction of the limit after memory pressure was reported
+   */
+  relievePressure() {
+    return this.shrink(this.limitBytes * PRESSURE_SHRINK_RATIO);
+  }
+
+  setLimit(limitMB) {
+    this.limitBytes = limitMB * 1024 * 1024;
+    this.shrink(this.limitBytes);
+  }
+
+  _remove(url) {
+    const entry = this.entries.get(url);
+    if (entry) {
+      this.entries.delete(url);
+      this.sizeBytes -= entry.byteLength;
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.sizeBytes = 0;
+  }
+
+  getStats() {
+    const pinnedEntries = [...new Set(this.getPinnedUrls())].filter(url => this.entries.has(url)).length;
+    return {
+      entries: this.entries.size,
+      pinnedEntries,
+      sizeBytes: this.sizeBytes,
+      sizeMB: Math.round(this.sizeBytes / 1024 / 1024 * 100) / 100,
+      limitMB: Math.round(this.limitBytes / 1024 / 1024),
+    };
+  }
+}
+
+/**
+ * Memory pressure as the highest fill ratio reported by the browser heap or Cornerstone's cache
+ * @param {Object} sources
+ * @param {Object} [sources.memory] - performance.memory (Chromium only)
+ * @param {Object} [sources.cornerstoneCache] - { sizeBytes, maxBytes }
+ * @returns {number} 0 when nothing is reported
+ */
+export function measureMemoryPressure({ memory, cornerstoneCache } = {}) {
+  const ratios = [];
+  if (memory?.jsHeapSizeLimit) {
+    ratios.push(memory.usedJSHeapSize / memory.jsHeapSizeLimit);
+  }
+  if (cornerstoneCache?.maxBytes) {
+    ratios.push(cornerstoneCache.sizeBytes / cornerstoneCache.maxBytes);
+  }
+  return ratios.length ? Math.max(...ratios) : 0;
+}
+
+/**
+ * Poll for memory pressure and call onPressure when it reaches the threshold
+ * @param {Object} options
+ * @param {Function} options.readPressure - Returns the current pressure ratio
+ * @param {Function} options.onPressure - Called with the ratio
+ * @param {number} [options.threshold=0.85]
+ * @param {number} [options.intervalMs=10000]
+ * @returns {Function} Stops the monitor
+ */
+export function startMemoryPressureMonitor({ readPressure, onPressure, threshold = 0.85, intervalMs = 10000 }) {
+  const check = () => {
+    const pressure = readPressure();
+    if (pressure >= threshold) {
+      onPressure(pressure);
+    }
+  };
+
+  const interval = setInterval(check, intervalMs);
+  return () => clearInterval(interval);
+}
+
+export default XNATFileCache;
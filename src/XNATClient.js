@@ -1,5 +1,37 @@
 import axios from 'axios';
 import dcmjs from 'dcmjs';
+import {
+  cacheDicomHeader,
+  describeFileHeader,
+  HEADER_FETCH_BYTES,
+  MAX_HEADER_FETCH_BYTES,
+} from './XNATImageLoader.headers.js';
+import { getWorkerPool } from './XNATWorkerPool.js';
+import { getRequestQueue, RequestPriority } from './XNATRequestQueue.js';
+import { setFileDigest } from './XNATPersistentCache.js';
+import { registerXNATServer, createImageIdFromUri, parseImageId } from './XNATImageLoader.imageIds.js';
+import {
+  normalizeStudyFilters,
+  buildExperimentQueryParams,
+  matchesStudyFilters,
+  readTotalRecords,
+  mergeProjectExperiments,
+  sortExperiments,
+  buildLookupQueries,
+  needsSearchEngine,
+  readAccessionNumber,
+  DEFAULT_CROSS_PROJECT_SORT,
+  MAX_CROSS_PROJECT_ROWS,
+  STUDY_SORT_COLUMNS,
+  ACCESSION_COLUMN,
+} from './XNATStudySearch.js';
+import {
+  buildSearchXML,
+  getSearchModalities,
+  toSearchFilter,
+  combineSearchFilters,
+  normalizeSearchRows,
+} from './XNATSearchXML.js';
 
 /**
  * XNAT API Client for retrieving DICOM images
@@ -7,6 +39,9 @@ import dcmjs from 'dcmjs';
 class XNATClient {
   constructor(config) {
     this.baseUrl = config.xnatUrl;
+    // Stable name for this server in imageIds, so they do not depend on the proxy or hostname in use
+    this.serverAlias = config.serverAlias || 'xnat';
+    registerXNATServer(this.serverAlias, this.baseUrl);
     this.username = config.username;
     this.password = config.password;
     this.token = config.token;
@@ -15,6 +50,9 @@ class XNATClient {
     this.metadataCache = new Map();
     this.cacheStats = { hits: 0, misses: 0, size: 0 };
 
+    // Merged rows of the last all-projects search, which its later pages are cut from (see searchAllProjects)
+    this.crossProjectWindow = null;
+
     console.log('XNATClient config:', {
       baseUrl: this.baseUrl,
       hasUsername: !!this.username,
@@ -225,7 +263,7 @@ class XNATClient {
 
   /**
    * Fetch DICOM header directly from file using HTTP Range request
-   * More efficient than dicomdump - only downloads first 64KB (header only)
+   * More efficient than dicomdump - only downloads the header (first 64KB, more for long multi-frame headers)
    * @param {Object} params
    * @param {string} params.projectId
    * @param {string} params.experimentId
@@ -260,59 +298,46 @@ class XNATClient {
 
       console.log(`🔍 Cache MISS - Fetching DICOM header via HTTP Range: ${path.substring(0, 100)}...`);
 
-      // Fetch first 64KB using HTTP Range header (header only, not pixel data)
-      const response = await this.client.get(path, {
-        headers: {
-          'Range': 'bytes=0-65535'
-        },
-        responseType: 'arraybuffer'
-      });
-
-      console.log(`📊 HTTP ${response.status}, Content-Length: ${response.headers['content-length']}, Data size: ${response.data?.byteLength || 0}`);
+      // Fetch the first 64KB (header only, not pixel data)
+      let headerBytes = await this.fetchFileBytes(path, 0, HEADER_FETCH_BYTES - 1);
 
-      const arrayBuffer = response.data;
-
-      if (!arrayBuffer || arrayBuffer.byteLength === 0) {
+      if (headerBytes.byteLength === 0) {
         console.warn(`⚠️ Empty response for ${fileName}`);
         return null;
       }
-      const dicomParser = await import('dicom-parser');
-      const byteArray = new Uint8Array(arrayBuffer);
-
-      // Parse with untilTag option to handle partial data (stops before pixel data)
-      // Tag (7FE0,0010) is Pixel Data - we don't need it for metadata
-      const dataSet = dicomParser.default.parseDicom(byteArray, {
-        untilTag: 'x7fe00010'
-      });
 
-      // Extract tags in same format as dicomdump for compatibility
-      const extractedData = {
-        ResultSet: {
-          Result: [
-            { tag1: '(0020,000E)', value: dataSet.string('x0020000e') }, // SeriesInstanceUID - CRITICAL
-            { tag1: '(0020,000D)', value: dataSet.string('x0020000d') }, // StudyInstanceUID - CRITICAL
-            { tag1: '(0020,0013)', value: dataSet.string('x00200013') }, // InstanceNumber
-            { tag1: '(0020,0032)', value: dataSet.string('x00200032') }, // ImagePositionPatient
-            { tag1: '(0020,0037)', value: dataSet.string('x00200037') }, // ImageOrientationPatient
-            { tag1: '(0028,0030)', value: dataSet.string('x00280030') }, // PixelSpacing
-            { tag1: '(0018,0050)', value: dataSet.string('x00180050') }, // SliceThickness
-            { tag1: '(0018,0088)', value: dataSet.string('x00180088') }, // SpacingBetweenSlices
-            { tag1: '(0020,1041)', value: dataSet.string('x00201041') }, // SliceLocation
-            { tag1: '(0008,0018)', value: dataSet.string('x00080018') }, // SOPInstanceUID
-            { tag1: '(0028,0008)', value: dataSet.string('x00280008') }, // NumberOfFrames
-            { tag1: '(0028,0009)', value: dataSet.string('x00280009') }, // FrameIncrementPointer
-            { tag1: '(0018,1063)', value: dataSet.string('x00181063') }, // FrameTime
-            { tag1: '(0018,1065)', value: dataSet.string('x00181065') }, // FrameTimeVector
-            { tag1: '(0020,9128)', value: dataSet.string('x00209128') }, // TemporalPositionIndex
-            { tag1: '(0028,0010)', value: dataSet.string('x00280010') }, // Rows
-            { tag1: '(0028,0011)', value: dataSet.string('x00280011') }, // Columns
-            { tag1: '(0020,0052)', value: dataSet.string('x00200052') }, // FrameOfReferenceUID
-            { tag1: '(0008,0032)', value: dataSet.string('x00080032') }, // AcquisitionTime
-            { tag1: '(0020,0012)', value: dataSet.string('x00200012') }, // AcquisitionNumber
-            { tag1: '(0020,0011)', value: dataSet.string('x00200011') }, // SeriesNumber
-          ].filter(item => item.value !== undefined)
+      let header = await this.parseFileHeader(headerBytes);
+
+      // Multi-frame headers (e.g. large functional groups) can run past 64KB: fetch more until pixel data is reached
+      let lastChunkFull = headerBytes.byteLength >= HEADER_FETCH_BYTES;
+      while (header.truncated && header.multiFrame && lastChunkFull && headerBytes.byteLength < MAX_HEADER_FETCH_BYTES) {
+        const start = headerBytes.byteLength;
+        const end = Math.min(start * 2, MAX_HEADER_FETCH_BYTES) - 1;
+        console.log(`📏 Header of ${fileName} runs past ${start} bytes, fetching bytes ${start}-${end}`);
+
+        const chunk = await this.fetchFileBytes(path, start, end);
+        if (chunk.byteLength > end - start + 1) {
+          // The server ignored the Range header and sent the whole file
+          headerBytes = chunk;
+          lastChunkFull = false;
+        } else {
+          lastChunkFull = chunk.byteLength === end - start + 1;
+          const combined = new Uint8Array(start + chunk.byteLength);
+          combined.set(headerBytes);
+          combined.set(chunk, start);
+          headerBytes = combined;
         }
-      };
+        header = await this.parseFileHeader(headerBytes);
+      }
+
+      // Multi-frame headers are kept so the image loader can range-fetch individual frames
+      if (header.rangeInfo && file.URI) {
+        cacheDicomHeader(this.getFileLocation(file).url, {
+          headerBytes: headerBytes.slice(0, header.rangeInfo.dataOffset),
+          rangeInfo: header.rangeInfo,
+        });
+      }
+      const extractedData = header.tags;
 
       console.log(`✅ Extracted ${extractedData.ResultSet.Result.length} DICOM tags via HTTP Range`);
 
@@ -333,6 +358,54 @@ class XNATClient {
     }
   }
 
+  /**
+   * Fetch a byte range of a file through the request queue
+   * Header fetches share the image loader's concurrency limit so they cannot flood the connection pool
+   * @param {string} path - File path under /data
+   * @param {number} start - First byte
+   * @param {number} end - Last byte (inclusive)
+   * @returns {Promise<Uint8Array>}
+   */
+  async fetchFileBytes(path, start, end) {
+    const response = await getRequestQueue().add(
+      signal => this.client.get(path, {
+        headers: {
+          'Range': `bytes=${start}-${end}`
+        },
+        responseType: 'arraybuffer',
+        signal
+      }),
+      { priority: RequestPriority.INTERACTION }
+    ).promise;
+
+    console.log(`📊 HTTP ${response.status}, Content-Length: ${response.headers?.['content-length']}, Data size: ${response.data?.byteLength || 0}`);
+
+    return response.data ? new Uint8Array(response.data) : new Uint8Array(0);
+  }
+
+  /**
+   * Parse a range-fetched DICOM header
+   * Parsing runs in the worker pool when available, otherwise on the main thread
+   * @param {Uint8Array} headerBytes - First bytes of the file
+   * @returns {Promise<Object>} tags (dicomdump format), rangeInfo (range-fetchable multi-frame files only),
+   *   truncated (cut off before pixel data) and multiFrame
+   */
+  async parseFileHeader(headerBytes) {
+    const pool = getWorkerPool();
+    if (pool) {
+      try {
+        return await pool.run({ type: 'parseHeader', headerBuffer: headerBytes.buffer });
+      } catch (error) {
+        if (!error.workerUnavailable) {
+          throw error;
+        }
+        console.warn('⚠️ Worker pool unavailable, parsing header on the main thread');
+      }
+    }
+
+    return describeFileHeader(headerBytes);
+  }
+
   /**
    * Get cache statistics
    */
@@ -426,14 +499,31 @@ class XNATClient {
     }
   }
 
+  /**
+   * Portable imageId and fetch URL of a catalog file
+   * The URL is the one the imageId resolves to, so headers, digests and cached files share one key
+   * @param {Object} file - Entry from the XNAT files listing
+   * @returns {Object} url, and imageId when the URI is a scan resource file
+   */
+  getFileLocation(file) {
+    const imageId = createImageIdFromUri(this.serverAlias, file.URI);
+    return {
+      url: imageId ? parseImageId(imageId).url : `${this.baseUrl}${file.URI}`,
+      imageId,
+    };
+  }
+
   /**
    * Download a DICOM file
    */
   async downloadDicomFile(fileUri) {
     try {
-      const response = await this.client.get(fileUri, {
-        responseType: 'arraybuffer'
-      });
+      const response = await getRequestQueue().add(
+        signal => this.client.get(fileUri, {
+          responseType: 'arraybuffer',
+          signal
+        })
+      ).promise;
       return response.data;
     } catch (error) {
       console.error('Error downloading DICOM file:', error);
@@ -664,6 +754,8 @@ class XNATClient {
             const spacingBetweenSlicesValue = parseFloatSafe(getFileTagValue('(0018,0088)'));
             const sliceLocationValue = parseFloatSafe(getFileTagValue('(0020,1041)'));
             const sopInstanceUIDValue = getFileTagValue('(0008,0018)');
+            const sopClassUIDValue = getFileTagValue('(0008,0016)');
+            const transferSyntaxUIDValue = getFileTagValue('(0002,0010)');
             const numberOfFramesValue = parseIntSafe(getFileTagValue('(0028,0008)'));
             const frameIncrementPointerValue = getFileTagValue('(0028,0009)');
             const frameTimeValue = parseFloatSafe(getFileTagValue('(0018,1063)'));
@@ -692,6 +784,8 @@ class XNATClient {
               spacingBetweenSlices: spacingBetweenSlicesValue,
               sliceLocation: sliceLocationValue,
               sopInstanceUID: sopInstanceUIDValue,
+              sopClassUID: sopClassUIDValue,
+              transferSyntaxUID: transferSyntaxUIDValue,
               numberOfFrames: numberOfFramesValue,
               frameIncrementPointer: frameIncrementPointerValue,
               frameTime: frameTimeValue,
@@ -741,7 +835,9 @@ class XNATClient {
 
           // Build file descriptors enriched with per-file metadata to enable deterministic sorting
           const filesWithMetadata = files.map((file, index) => {
-            const url = `${this.baseUrl}${file.URI}`;
+            const { url, imageId } = this.getFileLocation(file);
+            // Catalog digest keys the persistent cache so changed files are refetched
+            setFileDigest(url, file.digest);
             const perFileMeta = parsedFileMetadata[index] || {};
 
             let instanceNum = perFileMeta.instanceNumber;
@@ -784,6 +880,7 @@ class XNATClient {
             return {
               file,
               url,
+              imageId,
               originalIndex: index,
               instanceNumber: instanceNum,
               imagePositionArray: perFileMeta.imagePositionArray,
@@ -795,6 +892,8 @@ class XNATClient {
               spacingBetweenSlicesValue,
               sliceLocation: perFileMeta.sliceLocation ?? sliceLocation,
               sopInstanceUID: perFileMeta.sopInstanceUID || null,
+              sopClassUID: perFileMeta.sopClassUID || null,
+              transferSyntaxUID: perFileMeta.transferSyntaxUID || null,
               numberOfFrames: perFileMeta.numberOfFrames || numberOfFrames,
               frameIncrementPointer: perFileMeta.frameIncrementPointer ?? frameIncrementPointer,
               frameTime: perFileMeta.frameTime ?? frameTime,
@@ -872,8 +971,11 @@ class XNATClient {
           const instances = filesWithMetadata.map((fileData, sortedIndex) => {
             const {
               url,
+              imageId,
               instanceNumber,
               sopInstanceUID,
+              sopClassUID: perFileSOPClassUID,
+              transferSyntaxUID: perFileTransferSyntaxUID,
               imagePositionArray: perFilePositionArray,
               orientationArray: perFileOrientationArray,
               pixelSpacingString,
@@ -895,10 +997,12 @@ class XNATClient {
               console.log(`Sample DICOM file URL for scan ${scan.ID}:`, url);
             }
 
-            // Determine SOPClassUID based on modality
-            // These are common DICOM SOPClassUIDs
+            // Use the file's SOPClassUID when known, so documents and video are classified correctly;
+            // otherwise guess from the modality. These are common DICOM SOPClassUIDs
             let SOPClassUID;
-            if (modality === 'CT') {
+            if (perFileSOPClassUID) {
+              SOPClassUID = perFileSOPClassUID;
+            } else if (modality === 'CT') {
               SOPClassUID = '1.2.840.10008.5.1.4.1.1.2'; // CT Image Storage
             } else if (modality === 'MR') {
               SOPClassUID = '1.2.840.10008.5.1.4.1.1.4'; // MR Image Storage
@@ -948,6 +1052,7 @@ class XNATClient {
               InstanceNumber: instanceNumber,
               SOPInstanceUID: sopInstanceUID || `${seriesInstanceUID}.${sortedIndex + 1}`,
               SOPClassUID: SOPClassUID,
+              ...(perFileTransferSyntaxUID && { TransferSyntaxUID: perFileTransferSyntaxUID }),
               Modality: modality,
               NumberOfFrames: perFileNumberOfFrames || numberOfFrames,
               FrameIncrementPointer: perFileFrameIncrementPointer ?? frameIncrementPointer,
@@ -1013,6 +1118,7 @@ class XNATClient {
 
             return {
               url,
+              imageId,
               metadata
             };
           });
@@ -1046,34 +1152,39 @@ class XNATClient {
 
   /**
    * Get all experiments from XNAT
+   * @param {number} [limit=100]
+   * @param {string} [project] - Project ID
+   * @param {Object} [filters] - Normalised study filters (see XNATStudySearch)
    */
-  async getExperimentsAll(limit = 100, project = null) {
-    try {
-      const params = {
-        format: 'json',
-        limit: limit,
-        columns: [
-          'ID',
-          'UID',
-          'date',
-          'label',
-          'project',
-          'subject_ID',
-          'xsiType',
-          'modality'
-        ].join(',')
-      };
+  async getExperimentsAll(limit = 100, project = null, filters = {}) {
+    const { experiments } = await this.getExperimentsPage({ ...filters, ...(project && { project }) }, { limit });
+    return experiments;
+  }
 
-      // Add project filter if specified
-      if (project) {
-        params.project = project;
-      }
+  /**
+   * Get one page of experiments and the number matching the query
+   * @param {Object} [filters] - Normalised study filters (see XNATStudySearch)
+   * @param {Object} [page] - offset, limit, sortBy and sortDirection
+   * @returns {Promise<Object>} experiments and totalRecords
+   */
+  async getExperimentsPage(filters = {}, { offset = 0, limit = 100, sortBy, sortDirection } = {}) {
+    try {
+      const params = buildExperimentQueryParams(filters, limit, { offset, sortBy, sortDirection });
 
       const queryString = new URLSearchParams(params).toString();
       console.log(`Fetching experiments from: ${this.baseUrl}/data/experiments?${queryString}`);
 
-      const response = await this.client.get('/data/experiments', { params });
-      return response.data?.ResultSet?.Result || [];
+      // Study list queries share the request queue's concurrency limit, so cross-project searches cannot flood it
+      const response = await getRequestQueue().add(
+        signal => this.client.get('/data/experiments', { params, signal }),
+        { priority: RequestPriority.INTERACTION }
+      ).promise;
+      const resultSet = response.data?.ResultSet;
+      const experiments = resultSet?.Result || [];
+      return {
+        experiments,
+        totalRecords: readTotalRecords(resultSet, offset + experiments.length),
+      };
     } catch (error) {
       console.error('Error fetching all experiments:', error);
       throw error;
@@ -1083,24 +1194,44 @@ class XNATClient {
   /**
    * Search for studies matching query parameters
    * Uses direct /data/experiments API for better performance
+   * @param {Object} [params] - WorkList filters plus project (see normalizeStudyFilters)
+   * @param {number} [limit=100]
    */
   async searchForStudies(params = {}, limit = 100) {
+    const { studies } = await this.searchStudiesPage(params, { limit });
+    return studies;
+  }
+
+  /**
+   * Search for one page of studies
+   * Filters the experiments listing can evaluate are paged by XNAT; date ranges, MRN, accession number and scanner
+   * send the search through the search engine (see searchSessions). Either way XNAT evaluates every filter, so
+   * totalRecords is its count for the query, less the page's rows that cannot be shown (no StudyInstanceUID, or
+   * dropped by the safety-net check)
+   * @param {Object} [params] - WorkList filters plus project (see normalizeStudyFilters)
+   * @param {Object} [page] - offset, limit, sortBy and sortDirection (see getStudyPage)
+   * @returns {Promise<Object>} studies and totalRecords
+   */
+  async searchStudiesPage(params = {}, page = {}) {
     try {
-      // Support project filtering via AccessionNumber field (OHIF study list filter)
-      // Default to 'test' project if no filter specified
-      const projectFilter = params.AccessionNumber || 'test';
+      const filters = normalizeStudyFilters(params);
 
-      console.log('Searching for XNAT experiments...', projectFilter ? `in project: ${projectFilter}` : 'all projects');
+      console.log('Searching for XNAT experiments...', filters.project ? `in project: ${filters.project}` : 'all projects', filters, page);
+
+      if (needsSearchEngine(filters)) {
+        return await this.searchSessions(toSearchFilter(filters), page, filters);
+      }
 
       // Get experiments directly - much faster than nested queries
-      const experiments = await this.getExperimentsAll(limit, projectFilter);
+      const { experiments, totalRecords: listedRecords } = await this.getExperimentsPage(filters, page);
 
       console.log(`Found ${experiments.length} experiments from XNAT`);
 
-      // Filter for imaging sessions only (exclude non-imaging xsiTypes)
+      // XNAT only lists imaging session types and has applied every filter; the rows are checked again as a
+      // safety net
       const imagingExperiments = experiments.filter(exp => {
         const modality = this.getModalityFromXsiType(exp.xsiType);
-        return modality !== 'OT'; // Exclude "Other" type (non-imaging sessions)
+        return modality !== 'OT' && matchesStudyFilters(exp, filters, xsiType => this.getModalityFromXsiType(xsiType));
       });
 
       console.log(`Filtered to ${imagingExperiments.length} imaging sessions`);
@@ -1109,68 +1240,347 @@ class XNATClient {
         console.log('Sample imaging experiment:', imagingExperiments[0]);
       }
 
-      const studies = imagingExperiments
-        .filter(experiment => {
-          // Filter out experiments without DICOM StudyInstanceUID
-          if (!experiment.UID) {
-            console.warn(`Skipping experiment ${experiment.ID || 'unknown'}: Missing DICOM StudyInstanceUID`);
-            return false;
-          }
-          return true;
-        })
-        .map(experiment => {
-        const modality = String(this.getModalityFromXsiType(experiment.xsiType));
-
-        const rawDate =
-          experiment.date ??
-          experiment['data_fields/date'] ??
-          experiment.data_fields?.date ??
-          '';
-        const formattedDate = String(rawDate || '').replace(/-/g, '');
-
-        const xnatExperimentId = String(experiment.ID || 'unknown');
-        const dicomStudyInstanceUid = String(experiment.UID);
-
-        const study = {
-          // OHIF expected fields (lowercase, as per WorkList.tsx line 256-266)
-          studyInstanceUid: dicomStudyInstanceUid,
-          StudyInstanceUID: dicomStudyInstanceUid,
-          xnatExperimentId: xnatExperimentId,
-          XnatExperimentID: xnatExperimentId,
-          date: formattedDate,  // YYYYMMDD format
-          time: String(''),
-          description: String(experiment.label || 'No Description'),
-          modalities: modality,
-          accession: String(experiment.ID || ''),
-          instances: Number(0),
-          patientName: String(experiment.label || 'Unknown'),
-          mrn: String(experiment.subject_ID || experiment.ID || 'unknown'),
-
-          // Additional XNAT fields
-          ProjectID: String(experiment.project || ''),
-          ProjectName: String(experiment.project || ''),
-          StudyDate: formattedDate,
-        };
-
-        // Ensure all fields are defined
-        Object.keys(study).forEach(key => {
-          if (study[key] === undefined || study[key] === null) {
-            study[key] = '';
-          }
-        });
+      const studies = this.experimentsToStudies(imagingExperiments);
+      const totalRecords = listedRecords - (experiments.length - studies.length);
 
-        return study;
-      });
-
-      console.log(`Returning ${studies.length} studies to OHIF`);
+      console.log(`Returning ${studies.length} of ${totalRecords} studies to OHIF`);
       console.log('First study sample:', studies[0]);
-      return studies;
+      return { studies, totalRecords };
     } catch (error) {
       console.error('Error searching for studies:', error);
       throw error;
     }
   }
 
+  /**
+   * Search one page of sessions through the XNAT search engine
+   * The search engine returns every matching session (see searchSessionRows), so the matches are sorted and cut
+   * to the page here and totalRecords is exact. The page's rows are then read from
+   * the experiments listing so they carry the same columns as a listed page
+   * @param {Object} filter - Search engine filter (see buildSearchXML), optionally with a modalities list
+   * @param {Object} [page] - offset, limit, sortBy and sortDirection; unsorted searches use DEFAULT_CROSS_PROJECT_SORT
+   * @param {Object} [filters] - Normalised study filters the page's rows are checked against
+   * @returns {Promise<Object>} studies and totalRecords
+   */
+  async searchSessions(filter, page = {}, filters = {}) {
+    const { offset = 0, limit = 100 } = page;
+    const sort = page.sortBy ? { sortBy: page.sortBy, sortDirection: page.sortDirection } : DEFAULT_CROSS_PROJECT_SORT;
+    const getModality = xsiType => this.getModalityFromXsiType(xsiType);
+
+    let matches = await this.searchSessionRows(filter);
+    // Search rows carry no accession number, so sorting by it first reads the listing for every match
+    const listedAll = STUDY_SORT_COLUMNS[sort.sortBy] === ACCESSION_COLUMN;
+    if (listedAll) {
+      matches = await this.withListingColumns(matches, filters);
+    }
+    matches = sortExperiments(matches, sort);
+    const pageMatches = matches.slice(offset, offset + limit);
+    const pageRows = listedAll ? pageMatches : await this.withListingColumns(pageMatches, filters);
+    const experiments = pageRows.filter(experiment => matchesStudyFilters(experiment, filters, getModality));
+
+    const totalRecords = matches.length - (pageRows.length - experiments.length);
+    console.log(`🔎 Search engine matched ${matches.length} sessions`);
+    return { studies: this.experimentsToStudies(experiments), totalRecords };
+  }
+
+  /**
+   * Every session matching a search engine filter, one /data/search query per imaging session type
+   * @param {Object} filter - Search engine filter (see buildSearchXML), optionally with a modalities list
+   * @returns {Promise<Array<Object>>} Rows shaped like the experiments listing (see normalizeSearchRows), each with
+   * a StudyInstanceUID
+   */
+  async searchSessionRows(filter) {
+    const modalities = getSearchModalities(filter);
+    console.log(`🔎 Searching ${modalities.join(', ')} sessions through the search engine:`, filter);
+
+    const results = await Promise.all(
+      modalities.map(async modality => {
+        const modalityFilter = { ...filter, modality };
+        const response = await getRequestQueue().add(
+          signal => this.client.post('/data/search', this.buildSearchXML(modalityFilter), {
+            params: { format: 'json' },
+            headers: { 'Content-Type': 'text/xml' },
+            signal,
+          }),
+          { priority: RequestPriority.INTERACTION }
+        ).promise;
+        return normalizeSearchRows(response.data?.ResultSet?.Result || [], modalityFilter);
+      })
+    );
+    return results.flat().filter(experiment => experiment.UID);
+  }
+
+  /**
+   * Add the experiments listing's columns to search engine rows, reading the listing by experiment ID
+   * @param {Array<Object>} rows - Rows from normalizeSearchRows
+   * @param {Object} [filters] - Normalised study filters, for the extra columns they check
+   * @returns {Promise<Array<Object>>} The rows in the same order; rows the listing does not return are kept as given
+   */
+  async withListingColumns(rows, filters = {}) {
+    const chunkSize = 200;
+    const listedById = new Map();
+    for (let start = 0; start < rows.length; start += chunkSize) {
+      const ids = rows.slice(start, start + chunkSize).map(experiment => experiment.ID);
+      const { experiments } = await this.getExperimentsPage(
+        { experimentIds: ids, ...(filters.scanner && { scanner: filters.scanner }) },
+        { limit: ids.length }
+      );
+      experiments.forEach(experiment => listedById.set(String(experiment.ID), experiment));
+    }
+    return rows.map(experiment => ({ ...experiment, ...listedById.get(experiment.ID) }));
+  }
+
+  /**
+   * Search every project the user can read, one experiments query per project through the request queue
+   * Each project is asked for its first MAX_CROSS_PROJECT_ROWS rows in the search's order and the rows are merged
+   * into one window, which every page of the search is cut from: the first page fetches it and later pages with
+   * the same filters and sort reuse it. totalRecords is the merged window's size, so the pager stops at
+   * MAX_CROSS_PROJECT_ROWS; capped is set when a project had more rows than that. Projects that fail (e.g. listed
+   * but not readable) are skipped. Searches with filters the listing cannot evaluate run once through the search
+   * engine (see searchSessions)
+   * @param {Object} [params] - WorkList filters (see normalizeStudyFilters); any project is ignored
+   * @param {Object} [page] - offset, limit, sortBy and sortDirection; unsorted searches use DEFAULT_CROSS_PROJECT_SORT
+   * @param {Object} [options]
+   * @param {Array<string>} [options.projects] - Project IDs, by default every project from getProjects
+   * @param {Function} [options.onProgress] - Called with { studies, totalRecords } as each project responds
+   * @returns {Promise<Object>} studies, totalRecords and capped
+   */
+  async searchAllProjects(params = {}, page = {}, { projects, onProgress } = {}) {
+    const filters = normalizeStudyFilters(params);
+    delete filters.project;
+    // Without a project the search engine already covers every project the user can read
+    if (needsSearchEngine(filters)) {
+      return this.searchSessions(toSearchFilter(filters), page, filters);
+    }
+    const { offset = 0, limit = 100 } = page;
+    const sort = page.sortBy ? { sortBy: page.sortBy, sortDirection: page.sortDirection } : DEFAULT_CROSS_PROJECT_SORT;
+    const projectIds = projects || (await this.getProjects()).map(p => p.ID).filter(Boolean);
+    const getModality = xsiType => this.getModalityFromXsiType(xsiType);
+    const toPage = ({ experiments, capped }) => ({
+      studies: this.experimentsToStudies(experiments.slice(offset, offset + limit)),
+      totalRecords: experiments.length,
+      capped,
+    });
+
+    // The first page (or a refresh) fetches the window again; later pages are cut from the one it fetched
+    const key = JSON.stringify({ filters, sort, projectIds });
+    if (offset > 0 && this.crossProjectWindow?.key === key) {
+      return toPage(await this.crossProjectWindow.rows);
+    }
+
+    console.log(`🌐 Searching ${projectIds.length} projects...`, filters, page);
+
+    const merged = new Map();
+    let capped = false;
+    const getWindow = () => {
+      const experiments = sortExperiments([...merged.values()], sort).filter(
+        exp => getModality(exp.xsiType) !== 'OT' && matchesStudyFilters(exp, filters, getModality)
+      );
+      return {
+        experiments: experiments.slice(0, MAX_CROSS_PROJECT_ROWS),
+        capped: capped || experiments.length > MAX_CROSS_PROJECT_ROWS,
+      };
+    };
+
+    const rows = Promise.all(
+      projectIds.map(async projectId => {
+        let result;
+        try {
+          result = await this.getExperimentsPage(
+            { ...filters, project: projectId },
+            { limit: MAX_CROSS_PROJECT_ROWS, ...sort }
+          );
+        } catch (error) {
+          console.warn(`⚠️ Skipping project ${projectId} in all-projects search:`, error.message);
+          return;
+        }
+        mergeProjectExperiments(merged, projectId, result.experiments);
+        capped = capped || result.totalRecords > result.experiments.length;
+        const { studies, totalRecords } = toPage(getWindow());
+        onProgress?.({ studies, totalRecords });
+      })
+    ).then(getWindow);
+    this.crossProjectWindow = { key, rows };
+    rows.catch(() => {
+      if (this.crossProjectWindow?.rows === rows) {
+        this.crossProjectWindow = null;
+      }
+    });
+
+    const result = toPage(await rows);
+    console.log(
+      `🌐 Returning ${result.studies.length} of ${result.totalRecords}${capped ? ' (capped)' : ''} studies ` +
+        `from ${projectIds.length} projects`
+    );
+    return result;
+  }
+
+  /**
+   * Look studies up across every accessible project by StudyInstanceUID, DICOM accession number, session label or
+   * subject label. Each kind of lookup is one query without a project, which XNAT answers from every project the
+   * user can read: accession numbers through the search engine, the others through the experiments listing (at
+   * most MAX_CROSS_PROJECT_ROWS rows each). Sessions found by more than one are kept once
+   * @param {Object} lookup - studyInstanceUids, accessionNumber, sessionLabel, subjectLabel, or quickFind text
+   * @param {Object} [page] - offset and limit
+   * @returns {Promise<Object>} studies (newest first) and totalRecords
+   */
+  async lookupStudies(lookup = {}, { offset = 0, limit = 100 } = {}) {
+    const queries = buildLookupQueries(lookup);
+    const getModality = xsiType => this.getModalityFromXsiType(xsiType);
+    console.log('🔎 Looking up studies:', lookup, queries);
+
+    const results = await Promise.all(
+      queries.map(async filters => {
+        try {
+          if (needsSearchEngine(filters)) {
+            return { experiments: await this.searchSessionRows(toSearchFilter(filters)), searched: true };
+          }
+          const queryLimit = Math.min(offset + limit, MAX_CROSS_PROJECT_ROWS);
+          const { experiments, totalRecords } = await this.getExperimentsPage(filters, {
+            limit: queryLimit,
+            ...DEFAULT_CROSS_PROJECT_SORT,
+          });
+          return {
+            experiments: experiments.filter(
+              exp => getModality(exp.xsiType) !== 'OT' && matchesStudyFilters(exp, filters, getModality)
+            ),
+            // Rows past the window are not in hand; the query's own total is the least the lookup matches
+            cappedTotal: totalRecords > queryLimit ? totalRecords : 0,
+          };
+        } catch (error) {
+          console.warn('⚠️ Study lookup query failed:', filters, error.message);
+          return { experiments: [] };
+        }
+      })
+    );
+
+    const found = new Map();
+    const searchedIds = new Set();
+    results.forEach(({ experiments, searched }) => experiments.forEach(experiment => {
+      if (!found.has(experiment.ID)) {
+        found.set(experiment.ID, experiment);
+        if (searched) {
+          searchedIds.add(experiment.ID);
+        }
+      }
+    }));
+    const matches = sortExperiments([...found.values()], DEFAULT_CROSS_PROJECT_SORT).filter(experiment => experiment.UID);
+    const totalRecords = Math.max(matches.length, ...results.map(result => result.cappedTotal || 0));
+
+    // Search engine rows are completed from the listing so every row has the same columns
+    const pageRows = matches.slice(offset, offset + limit);
+    const listed = await this.withListingColumns(pageRows.filter(experiment => searchedIds.has(experiment.ID)));
+    const listedById = new Map(listed.map(experiment => [experiment.ID, experiment]));
+    const studies = this.experimentsToStudies(pageRows.map(experiment => listedById.get(experiment.ID) || experiment));
+
+    console.log(`🔎 Lookup found ${matches.length} studies`);
+    return { studies, totalRecords };
+  }
+
+  /**
+   * Build XNAT search XML from an advanced search filter
+   * @param {Object} filter - project, modality, subject, session, scans and customFields (see XNATSearchXML)
+   * @returns {string}
+   */
+  buildSearchXML(filter) {
+    return buildSearchXML(filter);
+  }
+
+  /**
+   * Run an advanced search through the XNAT search engine
+   * The study list's own filters and sort still apply: their criteria are added to the search (see
+   * combineSearchFilters) and the matches are paged like any search engine query (see searchSessions)
+   * @param {Object} filter - See buildSearchXML
+   * @param {Object} [page] - offset, limit, sortBy and sortDirection
+   * @param {Object} [params] - WorkList filters plus project (see normalizeStudyFilters)
+   * @returns {Promise<Object>} studies and totalRecords
+   */
+  async advancedSearch(filter, page = {}, params = {}) {
+    try {
+      const filters = normalizeStudyFilters(params);
+      console.log('🔎 Running XNAT advanced search:', filter, filters);
+      return await this.searchSessions(combineSearchFilters(filter, toSearchFilter(filters)), page, filters);
+    } catch (error) {
+      console.error('Error running advanced search:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Map experiment rows to OHIF study list entries, skipping experiments without a StudyInstanceUID
+   * @param {Array<Object>} experiments - Rows shaped like the /data/experiments listing
+   * @returns {Array<Object>}
+   */
+  experimentsToStudies(experiments) {
+    return experiments
+      .filter(experiment => {
+        // Filter out experiments without DICOM StudyInstanceUID
+        if (!experiment.UID) {
+          console.warn(`Skipping experiment ${experiment.ID || 'unknown'}: Missing DICOM StudyInstanceUID`);
+          return false;
+        }
+        return true;
+      })
+      .map(experiment => this.experimentToStudy(experiment));
+  }
+
+  /**
+   * Map one experiment row to an OHIF study list entry
+   */
+  experimentToStudy(experiment) {
+    const modality = String(this.getModalityFromXsiType(experiment.xsiType));
+
+    const rawDate =
+      experiment.date ??
+      experiment['data_fields/date'] ??
+      experiment.data_fields?.date ??
+      '';
+    const formattedDate = String(rawDate || '').replace(/-/g, '');
+
+    const xnatExperimentId = String(experiment.ID || 'unknown');
+    const dicomStudyInstanceUid = String(experiment.UID);
+
+    const study = {
+      // OHIF expected fields (lowercase, as per WorkList.tsx line 256-266)
+      studyInstanceUid: dicomStudyInstanceUid,
+      StudyInstanceUID: dicomStudyInstanceUid,
+      xnatExperimentId: xnatExperimentId,
+      XnatExperimentID: xnatExperimentId,
+      date: formattedDate,  // YYYYMMDD format
+      time: String(''),
+      description: String(experiment.label || 'No Description'),
+      modalities: modality,
+      accession: readAccessionNumber(experiment),
+      instances: Number(0),
+      patientName: String(experiment.subject_label || experiment.label || 'Unknown'),
+      mrn: String(experiment.subject_ID || experiment.ID || 'unknown'),
+
+      // Additional XNAT fields
+      ProjectID: String(experiment.project || ''),
+      ProjectName: String(experiment.project || ''),
+      StudyDate: formattedDate,
+    };
+
+    // Cross-project results (see searchAllProjects) name the owning and sharing projects. OHIF's WorkList renders a
+    // fixed set of columns, so they are shown with the description
+    if (Array.isArray(experiment.sharedProjects)) {
+      const sharedProjects = [...experiment.sharedProjects].sort();
+      study.SharedProjects = sharedProjects;
+      study.description = `${study.description} · ${study.ProjectID}${
+        sharedProjects.length ? ` (shared: ${sharedProjects.join(', ')})` : ''
+      }`;
+    }
+
+    // Ensure all fields are defined
+    Object.keys(study).forEach(key => {
+      if (study[key] === undefined || study[key] === null) {
+        study[key] = '';
+      }
+    });
+
+    return study;
+  }
+
   /**
    * Extract modality from XNAT xsiType
    */
@@ -2,10 +2,23 @@ import React from 'react';
 import XNATClient from './XNATClient.js';
 import XNATImageLoader from './XNATImageLoader.js';
 import { DicomMetadataStore, classes as OHIFClasses } from '@ohif/core';
-import dicomParser from 'dicom-parser';
+import { Enums as csEnums } from '@cornerstonejs/core';
+import XNATPrefetchManager from './XNATPrefetchManager.js';
+import { parseDicom } from './XNATImageLoader.codecs.js';
+import { getDimensionOrderedFrames } from './XNATImageLoader.functionalGroups.js';
+import { getMosaicInfo, getMosaicSlicePositions } from './XNATImageLoader.mosaic.js';
+import { parseImageId } from './XNATImageLoader.utils.js';
+import { getMediaKind, extractEncapsulatedMediaFromFile } from './XNATEncapsulatedMedia.js';
+import { getStudyPage, isAllProjects } from './XNATStudySearch.js';
+import { readStoredAdvancedSearch } from './XNATSearchXML.js';
 import axios from 'axios';
 
 const STORAGE_KEY_FALLBACK = 'ohif.xnat.selectedProject';
+// Extracted documents and videos each hold a whole file in memory; older blob URLs beyond this are revoked
+const MAX_MEDIA_OBJECT_URLS = 8;
+
+// Prefetch manager of the most recently created data source
+let activePrefetchManager = null;
 
 function getPersistedProject(storageKey) {
   try {
@@ -190,6 +203,8 @@ function createXNATDataSource(configuration = {}, servicesManager) {
 
   let currentProjectFilter = initialStoredProject || null;
   console.log('🎯 Initial project filter:', currentProjectFilter, 'shouldRememberSelection:', shouldRememberSelection, 'config.defaultProject:', config.defaultProject);
+  // Project that searches and lookups are limited to; null in "All accessible projects" mode
+  const getProjectScope = () => (isAllProjects(currentProjectFilter) ? null : currentProjectFilter);
   const metadataProvider = OHIFClasses.MetadataProvider;
 
   // Configure the XNAT image loader with credentials
@@ -200,38 +215,83 @@ function createXNATDataSource(configuration = {}, servicesManager) {
     username: effectiveConfig.username,
     password: effectiveConfig.password,
     token: effectiveConfig.token,
+    workers: effectiveConfig.workers,
+    requestQueue: effectiveConfig.requestQueue,
+    persistentCache: effectiveConfig.persistentCache,
+    cache: effectiveConfig.cache,
   });
   console.log('✅ XNAT image loader configured with datasource credentials');
 
+  // Worklist order of the last study search, for the next-study prefetch strategy
+  let worklistStudyUIDs = [];
+
+  const loadNextStudyImageIds = async StudyInstanceUID => {
+    const index = worklistStudyUIDs.indexOf(StudyInstanceUID);
+    const nextStudyInstanceUID = index !== -1 ? worklistStudyUIDs[index + 1] : null;
+    if (!nextStudyInstanceUID) {
+      return [];
+    }
+
+    const { experimentId, projectId } = await client.resolveStudyInstanceUID(nextStudyInstanceUID);
+    const nextStudy = await client.getStudyMetadata(experimentId, nextStudyInstanceUID, projectId, { skipFileMetadata: true });
+    return nextStudy.series.flatMap(series => series.instances.map(instance => instance.imageId || `xnat:${instance.url}`));
+  };
+
+  // Background prefetch of the open study into the image loader's file cache
+  const prefetchOptions = config.prefetch || {};
+  activePrefetchManager?.stop();
+  activePrefetchManager = prefetchOptions.enabled === false
+    ? null
+    : new XNATPrefetchManager({
+        prefetchFile: XNATImageLoader.prefetchFile,
+        loadNextStudyImageIds,
+        strategy: prefetchOptions.strategy,
+        maxConcurrent: prefetchOptions.maxConcurrent,
+        idleDelayMs: prefetchOptions.idleDelayMs,
+      });
+  const prefetchManager = activePrefetchManager;
+  if (prefetchManager && typeof document !== 'undefined') {
+    prefetchManager.attach(document, csEnums.Events.STACK_NEW_IMAGE);
+    console.log('✅ Prefetch enabled with strategy:', prefetchManager.strategy);
+  }
+
+  /**
+   * Request headers with the configured XNAT credentials
+   */
+  const getRequestHeaders = () => {
+    const headers = {
+      'Content-Type': 'application/dicom',
+    };
+
+    if (config.token) {
+      headers['Authorization'] = `Bearer ${config.token}`;
+    } else if (config.username && config.password) {
+      const auth = btoa(`${config.username}:${config.password}`);
+      headers['Authorization'] = `Basic ${auth}`;
+    }
+
+    return headers;
+  };
+
   /**
    * Fetch and parse DICOM metadata from a DICOM file
    */
   const fetchDicomMetadata = async (url) => {
     try {
-      const headers = {
-        'Content-Type': 'application/dicom',
-      };
-
-      if (config.token) {
-        headers['Authorization'] = `Bearer ${config.token}`;
-      } else if (config.username && config.password) {
-        const auth = btoa(`${config.username}:${config.password}`);
-        headers['Authorization'] = `Basic ${auth}`;
-      }
-
       const response = await axios.get(url, {
         responseType: 'arraybuffer',
-        headers,
+        headers: getRequestHeaders(),
       });
 
       const arrayBuffer = response.data;
       const byteArray = new Uint8Array(arrayBuffer);
-      const dataSet = dicomParser.parseDicom(byteArray);
+      const dataSet = parseDicom(byteArray);
 
       // Extract comprehensive DICOM metadata
       const metadata = {
         // SOP Common Module
         SOPClassUID: dataSet.string('x00080016'),
+        TransferSyntaxUID: dataSet.string('x00020010'),
         SOPInstanceUID: dataSet.string('x00080018'),
 
         // Patient Module
@@ -269,6 +329,10 @@ function createXNATDataSource(configuration = {}, servicesManager) {
         PixelAspectRatio: dataSet.string('x00280034'),
         NumberOfFrames: dataSet.intString('x00280008') || dataSet.uint16('x00280008') || 1,
         FrameIncrementPointer: dataSet.string('x00280009'),
+        // Enhanced multi-frame display order from the Dimension Index Values
+        DimensionFrameOrder: getDimensionOrderedFrames(dataSet),
+        // Siemens mosaic layout; each tile becomes a frame
+        MosaicInfo: getMosaicInfo(dataSet),
         FrameTime: dataSet.string('x00181063'),
         FrameTimeVector: dataSet.string('x00181065'),
         TemporalPositionIndex: dataSet.intString('x00209128') || null,
@@ -359,7 +423,7 @@ function createXNATDataSource(configuration = {}, servicesManager) {
     if (!ready) {
       console.warn('⚠️ uiDialogService not ready; falling back to window prompt for project selection.');
       const defaultValue =
-        currentProjectFilter || config.defaultProject || projects?.[0]?.ID || '';
+        getProjectScope() || config.defaultProject || projects?.[0]?.ID || '';
       // eslint-disable-next-line no-alert
       const manualSelection = window.prompt(
         'Select XNAT Project by ID:',
@@ -379,7 +443,7 @@ function createXNATDataSource(configuration = {}, servicesManager) {
         contentProps: {
           projects,
           defaultValue:
-            currentProjectFilter || config.defaultProject || projects?.[0]?.ID || '',
+            getProjectScope() || config.defaultProject || projects?.[0]?.ID || '',
           onSubmit: projectId => {
             resolve(projectId);
           },
@@ -407,13 +471,13 @@ function createXNATDataSource(configuration = {}, servicesManager) {
       const projects = await client.getProjects();
       console.log('XNAT connection successful');
       console.log(`📁 Available XNAT Projects (${projects.length}):`, projects.map(p => p.ID).join(', '));
-      console.log('💡 To filter by project, use the Accession # field in the study list, or run: window.xnatSetProject("PROJECT_ID")');
+      console.log('💡 To filter by project, use the "Select Project" button, or run: window.xnatSetProject("PROJECT_ID")');
 
       // Expose project filtering globally for easy access
       window.xnatProjects = projects;
       window.xnatSetProject = projectId => {
         setProjectFilter(projectId);
-        console.log(`✅ Filter set to project: ${projectId || 'All Projects'}`);
+        console.log(`✅ Filter set to project: ${projectId || 'none'}`);
         console.log('🔄 Refresh the study list to see filtered results');
       };
       window.xnatListProjects = () => {
@@ -463,45 +527,67 @@ function createXNATDataSource(configuration = {}, servicesManager) {
           return [];
         }
 
-        // Check if a project is selected
-        if (!currentProjectFilter) {
-          console.warn('⚠️ No project selected. Use the "XNAT: Select Project" button to choose a project.');
-          return [];
-        }
-
         try {
-          // If searching for specific StudyInstanceUIDs, return those
-          if (queryParams.StudyInstanceUIDs) {
-            console.log('Searching for specific studies:', queryParams.StudyInstanceUIDs);
-            const uids = Array.isArray(queryParams.StudyInstanceUIDs)
-              ? queryParams.StudyInstanceUIDs
-              : [queryParams.StudyInstanceUIDs];
-
-            // Return minimal study data for the UIDs
-            const studies = uids.map(uid => ({
-              studyInstanceUid: uid,
-              date: '',
-              time: '',
-              description: uid,
-              modalities: 'MR',
-              accession: uid,
-              instances: 0,
-              patientName: uid,
-              mrn: uid,
-            }));
-
-            console.log('Returning studies for UIDs:', studies);
+          // StudyInstanceUID lookups and quick find search every accessible project, whether or not one is selected
+          if (queryParams.StudyInstanceUIDs || queryParams.quickFind) {
+            const { studies, totalRecords } = await client.lookupStudies(
+              { studyInstanceUids: queryParams.StudyInstanceUIDs, quickFind: queryParams.quickFind },
+              getStudyPage(queryParams, studySearchLimit)
+            );
+            if (queryParams.quickFind) {
+              worklistStudyUIDs = studies.map(study => study.studyInstanceUid);
+            }
+            studies.totalRecords = totalRecords;
             return studies;
           }
 
+          // Check if a project is selected
+          if (!currentProjectFilter) {
+            console.warn('⚠️ No project selected. Use the "XNAT: Select Project" button to choose a project.');
+            return [];
+          }
+
           // Add current project filter if set
-          const params = { ...queryParams };
+          const { onProgress, ...params } = queryParams;
+          const projectScope = getProjectScope();
           console.log('🔍 Searching for studies with currentProjectFilter:', currentProjectFilter);
-          if (currentProjectFilter) {
-            params.AccessionNumber = currentProjectFilter;
+          if (projectScope) {
+            params.project = projectScope;
           }
 
-          const studies = await client.searchForStudies(params, studySearchLimit);
+          // offset/limit (or pageNumber/resultsPerPage) and sortBy/sortDirection are handled by XNAT
+          const page = getStudyPage(params, studySearchLimit);
+          // An advanced search from the study list dialog is narrowed by the list's filters and sort until cleared
+          const advancedSearch = readStoredAdvancedSearch();
+          let search;
+          if (advancedSearch) {
+            search = client.advancedSearch({ project: projectScope, ...advancedSearch }, page, params);
+          } else if (!projectScope) {
+            // All accessible projects: each project's rows are passed on to the caller as they arrive
+            search = client.searchAllProjects(params, page, {
+              onProgress: progress => {
+                if (typeof onProgress === 'function') {
+                  onProgress(Object.assign(progress.studies, { totalRecords: progress.totalRecords }));
+                }
+              },
+            });
+          } else {
+            search = client.searchStudiesPage(params, page);
+          }
+          const { studies, totalRecords, capped } = await search;
+          if (capped && page.offset === 0) {
+            services.uiNotificationService?.show({
+              title: 'Study list capped',
+              message:
+                `Showing the first ${totalRecords} studies across all projects. ` +
+                'Choose a project or narrow the filters to see the rest.',
+              type: 'warning',
+              duration: 8000,
+            });
+          }
+          worklistStudyUIDs = studies.map(study => study.studyInstanceUid);
+          // studies.search must return an array, so the true total rides along on it for the list wrapper
+          studies.totalRecords = totalRecords;
           return studies;
         } catch (error) {
           console.error('Error querying studies:', error);
@@ -528,12 +614,12 @@ function createXNATDataSource(configuration = {}, servicesManager) {
           // Pass current project filter to constrain the lookup to that project
           const { experimentId: resolvedExperimentId, projectId: resolvedProjectId } = await client.resolveStudyInstanceUID(
             experimentId,
-            currentProjectFilter
+            getProjectScope()
           );
 
           // Use current project filter if set, otherwise use resolved project
           // This handles cases where experiments are shared across projects
-          const projectToUse = currentProjectFilter || resolvedProjectId;
+          const projectToUse = getProjectScope() || resolvedProjectId;
           console.log(`Using project: ${projectToUse} (filter: ${currentProjectFilter}, resolved: ${resolvedProjectId})`);
 
           // Get the study metadata which includes series, passing the original StudyInstanceUID and project ID
@@ -571,22 +657,94 @@ function createXNATDataSource(configuration = {}, servicesManager) {
     if (shouldRememberSelection) {
       persistProject(projectStorageKey, projectId);
     }
-    console.log('Project filter set to:', projectId || 'All Projects');
+    console.log('Project filter set to:', projectId || 'none');
+  };
+
+  // Blob URLs of extracted documents and video by file URL, least recently used first
+  const mediaObjectURLs = new Map();
+
+  const revokeMediaObjectURL = fileUrl => {
+    const entry = mediaObjectURLs.get(fileUrl);
+    mediaObjectURLs.delete(fileUrl);
+    entry?.objectURLPromise.then(objectURL => URL.revokeObjectURL(objectURL), () => {});
+  };
+
+  /**
+   * Revoke the blob URLs extracted for a study, or for every study
+   */
+  const revokeMediaObjectURLs = studyInstanceUID => {
+    [...mediaObjectURLs]
+      .filter(([, entry]) => !studyInstanceUID || entry.studyInstanceUID === studyInstanceUID)
+      .forEach(([fileUrl]) => revokeMediaObjectURL(fileUrl));
+  };
+
+  /**
+   * Download an XNAT file and return a blob URL for the document or video stream it encapsulates
+   */
+  const getMediaObjectURL = (fileUrl, studyInstanceUID) => {
+    const cached = mediaObjectURLs.get(fileUrl);
+    if (cached) {
+      mediaObjectURLs.delete(fileUrl);
+      mediaObjectURLs.set(fileUrl, cached);
+      return cached.objectURLPromise;
+    }
+
+    const objectURLPromise = axios
+      .get(fileUrl, { responseType: 'arraybuffer', headers: getRequestHeaders() })
+      .then(response => {
+        const { bytes, mimeType } = extractEncapsulatedMediaFromFile(response.data);
+        console.log('📄 Extracted', mimeType, 'from', fileUrl, '-', bytes.length, 'bytes');
+        return URL.createObjectURL(new Blob([bytes], { type: mimeType }));
+      });
+
+    // Allow a retry if the download or extraction failed
+    objectURLPromise.catch(() => {
+      if (mediaObjectURLs.get(fileUrl)?.objectURLPromise === objectURLPromise) {
+        mediaObjectURLs.delete(fileUrl);
+      }
+    });
+    mediaObjectURLs.set(fileUrl, { objectURLPromise, studyInstanceUID });
+    while (mediaObjectURLs.size > MAX_MEDIA_OBJECT_URLS) {
+      revokeMediaObjectURL(mediaObjectURLs.keys().next().value);
+    }
+
+    return objectURLPromise;
   };
 
   /**
    * Retrieve study metadata
    */
   const retrieve = {
-    directURL: async ({ url, headers }) => {
-      console.log('retrieve.directURL called:', url);
-      // Not implemented for XNAT
-      return null;
+    /**
+     * Blob URL for an instance's encapsulated document or video
+     * Called by OHIF's PDF and video SOP class handlers with the instance and the tag holding the media
+     */
+    directURL: async ({ instance, tag, url } = {}) => {
+      const source = instance?.[tag]?.BulkDataURI || instance?.imageId || url;
+      console.log('retrieve.directURL called:', source);
+      if (!source) {
+        return null;
+      }
+
+      try {
+        return await getMediaObjectURL(parseImageId(source).url, instance?.StudyInstanceUID);
+      } catch (error) {
+        console.error('❌ Unable to extract encapsulated media:', error);
+        return null;
+      }
     },
     bulkDataURI: async ({ StudyInstanceUID, BulkDataURI }) => {
-      console.log('retrieve.bulkDataURI called for study:', StudyInstanceUID);
-      // Not implemented for XNAT
-      return null;
+      console.log('retrieve.bulkDataURI called for study:', StudyInstanceUID, BulkDataURI);
+      if (!BulkDataURI) {
+        return null;
+      }
+
+      try {
+        return await getMediaObjectURL(parseImageId(BulkDataURI).url);
+      } catch (error) {
+        console.error('❌ Unable to extract encapsulated media:', error);
+        return null;
+      }
     },
     series: {
       metadata: async ({ StudyInstanceUID, filters, returnPromises } = {}) => {
@@ -703,7 +861,8 @@ function createXNATDataSource(configuration = {}, servicesManager) {
             }
 
             series.instances.forEach((instance, index) => {
-              const baseImageId = `xnat:${instance.url}`;
+              // Portable imageIds survive proxy and hostname changes; file URLs remain for non-catalog URIs
+              const baseImageId = instance.imageId || `xnat:${instance.url}`;
 
               // Use DICOM metadata for all instances in the series
               const instanceMeta = instance.metadata || {};
@@ -745,7 +904,24 @@ function createXNATDataSource(configuration = {}, servicesManager) {
               const spacingBetweenSlices = parseFloat(baseMetadata.SpacingBetweenSlices) || null;
               const nominalSliceSpacing = spacingBetweenSlices || sliceThickness || 1;
 
-              const numberOfFrames = parseInt(baseMetadata.NumberOfFrames, 10) || 1;
+              // Mosaic series share the first file's layout, one slice per tile
+              const mosaic = dicomMetadata?.MosaicInfo || null;
+              // Documents and video are one entry each; their frames are not images for the loader.
+              // XNAT may only report a modality-based SOP class, so the parsed first file also counts
+              const mediaKind = getMediaKind(instanceMeta) || getMediaKind(dicomMetadata);
+              const numberOfFrames = mediaKind
+                ? 1
+                : mosaic ? mosaic.numberOfImages : parseInt(baseMetadata.NumberOfFrames, 10) || 1;
+              const mosaicSlicePositions = mosaic
+                ? getMosaicSlicePositions(mosaic, {
+                    imagePositionPatient: basePositionArray,
+                    imageOrientationPatient: orientationArray,
+                    pixelSpacing: pixelSpacingArray,
+                    rows: dicomMetadata.Rows,
+                    columns: dicomMetadata.Columns,
+                    sliceSpacing: nominalSliceSpacing,
+                  })
+                : null;
               const temporalPositionIndexRaw =
                 baseMetadata.TemporalPositionIndex ?? baseMetadata.temporalPositionIndex;
               const temporalPositionIndex =
@@ -760,15 +936,22 @@ function createXNATDataSource(configuration = {}, servicesManager) {
 
               const baseOffset = index * nominalSliceSpacing;
 
-              for (let frameIndex = 0; frameIndex < numberOfFrames; frameIndex++) {
+              // The parsed file's dimension order only applies to that file
+              const frameOrder = dicomMetadata?.DimensionFrameOrder?.length === numberOfFrames
+                && (instanceMeta.SOPInstanceUID ? instanceMeta.SOPInstanceUID === dicomMetadata.SOPInstanceUID : index === 0)
+                ? dicomMetadata.DimensionFrameOrder
+                : null;
+
+              for (let position = 0; position < numberOfFrames; position++) {
+                const frameIndex = frameOrder ? frameOrder[position] : position;
                 const frameImageId = numberOfFrames > 1
                   ? `${baseImageId}?frame=${frameIndex}`
                   : baseImageId;
 
-                const frameOffset = frameIndex * frameSpacing;
+                const frameOffset = position * frameSpacing;
                 const totalOffset = baseOffset + frameOffset;
 
-                const framePosition = [
+                const framePosition = mosaicSlicePositions ? mosaicSlicePositions[frameIndex] : [
                   basePositionArray[0] + normal[0] * totalOffset,
                   basePositionArray[1] + normal[1] * totalOffset,
                   basePositionArray[2] + normal[2] * totalOffset,
@@ -780,9 +963,9 @@ function createXNATDataSource(configuration = {}, servicesManager) {
                   StudyInstanceUID: studyMetadata.StudyInstanceUID,
                   SeriesInstanceUID: seriesUID,
                   SOPInstanceUID: instanceMeta.SOPInstanceUID || baseMetadata.SOPInstanceUID,
-                  SOPClassUID: instanceMeta.SOPClassUID || baseMetadata.SOPClassUID,
+                  SOPClassUID: (mediaKind && dicomMetadata?.SOPClassUID) || instanceMeta.SOPClassUID || baseMetadata.SOPClassUID,
                   InstanceNumber: instanceMeta.InstanceNumber || baseMetadata.InstanceNumber || index + 1,
-                  InStackPositionNumber: index * numberOfFrames + frameIndex + 1,
+                  InStackPositionNumber: index * numberOfFrames + position + 1,
                   ImagePositionPatient: framePositionString,
                   ImagePositionPatientNumeric: framePosition,
                   SliceLocation: framePosition[2],
@@ -790,6 +973,13 @@ function createXNATDataSource(configuration = {}, servicesManager) {
                   ImageOrientationPatientNumeric: orientationArray,
                   NumberOfFrames: numberOfFrames,
                   FrameNumber: frameIndex + 1,
+                  ...(mosaic && { Rows: mosaic.tileRows, Columns: mosaic.tileColumns }),
+                  // OHIF's PDF and video handlers pass these to retrieve.directURL
+                  ...(mediaKind === 'document' && { EncapsulatedDocument: { BulkDataURI: baseImageId } }),
+                  ...(mediaKind === 'video' && {
+                    NumberOfFrames: parseInt(baseMetadata.NumberOfFrames, 10) || 1,
+                    PixelData: { BulkDataURI: baseImageId },
+                  }),
                   TemporalPositionIndex: temporalPositionIndex,
                   FrameTime: baseMetadata.FrameTime,
                   FrameTimeVector: baseMetadata.FrameTimeVector,
@@ -835,14 +1025,15 @@ function createXNATDataSource(configuration = {}, servicesManager) {
           }
 
           // Sort instances for each series
-          // For 4D data: sort by InstanceNumber first, then FrameNumber
+          // For 4D data: sort by InstanceNumber first, then stack position
           // This ensures correct spatial ordering, with frames within each instance in sequence
+          // (dimension index order for enhanced multi-frame files, frame number otherwise)
           Object.keys(instancesPerSeries).forEach(seriesUID => {
             instancesPerSeries[seriesUID].sort((a, b) => {
               const instanceDiff = (a.InstanceNumber || 0) - (b.InstanceNumber || 0);
               if (instanceDiff !== 0) return instanceDiff;
-              // If same instance, sort by frame number
-              return (a.FrameNumber || 0) - (b.FrameNumber || 0);
+              // If same instance, sort by position in the stack
+              return (a.InStackPositionNumber || 0) - (b.InStackPositionNumber || 0);
             });
           });
 
@@ -875,6 +1066,16 @@ function createXNATDataSource(configuration = {}, servicesManager) {
             });
           });
 
+          prefetchManager?.setStudy(
+            studyMetadata.StudyInstanceUID,
+            Object.keys(instancesPerSeries).map(seriesInstanceUID => ({
+              SeriesInstanceUID: seriesInstanceUID,
+              imageIds: instancesPerSeries[seriesInstanceUID]
+                .filter(instance => !getMediaKind(instance))
+                .map(instance => instance.imageId),
+            }))
+          );
+
           // Return object indexed by SeriesInstanceUID (NOT array!)
           return seriesSummaryMetadata;
         };
@@ -1025,13 +1226,15 @@ function createXNATDataSource(configuration = {}, servicesManager) {
         StudyInstanceUIDs: params.StudyInstanceUIDs,
       };
     },
-    deleteStudyMetadataPromise: () => console.warn('deleteStudyMetadataPromise() not implemented for XNAT data source'),
+    // Called when a study is unloaded; its extracted documents and videos are released
+    deleteStudyMetadataPromise: StudyInstanceUID => revokeMediaObjectURLs(StudyInstanceUID),
     getImageIdsForDisplaySet,
     getImageIdsForInstance,
     getConfig,
     setProjectFilter,
     getStudyInstanceUIDs,
     getXNATClient: () => client,
+    getPrefetchManager: () => prefetchManager,
   };
 }
 
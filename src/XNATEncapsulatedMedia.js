@@ -0,0 +1,113 @@
+import dicomParser from 'dicom-parser';
+import { parseDicom } from './XNATImageLoader.codecs.js';
+
+/**
+ * Encapsulated documents and video stored in XNAT scans
+ * PDFs (and other encapsulated documents) live in Encapsulated Document (0042,0011); MPEG-2, H.264 and HEVC
+ * video is the encapsulated Pixel Data stream. Both are handed to OHIF's PDF and video viewports as blob URLs
+ */
+
+export const EncapsulatedDocumentSOPClassUIDs = {
+  PDF: '1.2.840.10008.5.1.4.1.1.104.1',
+  CDA: '1.2.840.10008.5.1.4.1.1.104.2',
+  STL: '1.2.840.10008.5.1.4.1.1.104.3',
+  OBJ: '1.2.840.10008.5.1.4.1.1.104.4',
+  MTL: '1.2.840.10008.5.1.4.1.1.104.5',
+};
+
+// Video transfer syntaxes (including the fragmentable variants) and the container browsers play them in
+const VIDEO_TRANSFER_SYNTAX_TYPES = {
+  '1.2.840.10008.1.2.4.100': 'video/mpeg',
+  '1.2.840.10008.1.2.4.100.1': 'video/mpeg',
+  '1.2.840.10008.1.2.4.101': 'video/mpeg',
+  '1.2.840.10008.1.2.4.101.1': 'video/mpeg',
+  '1.2.840.10008.1.2.4.102': 'video/mp4',
+  '1.2.840.10008.1.2.4.102.1': 'video/mp4',
+  '1.2.840.10008.1.2.4.103': 'video/mp4',
+  '1.2.840.10008.1.2.4.103.1': 'video/mp4',
+  '1.2.840.10008.1.2.4.104': 'video/mp4',
+  '1.2.840.10008.1.2.4.104.1': 'video/mp4',
+  '1.2.840.10008.1.2.4.105': 'video/mp4',
+  '1.2.840.10008.1.2.4.105.1': 'video/mp4',
+  '1.2.840.10008.1.2.4.106': 'video/mp4',
+  '1.2.840.10008.1.2.4.106.1': 'video/mp4',
+  '1.2.840.10008.1.2.4.107': 'video/mp4',
+  '1.2.840.10008.1.2.4.108': 'video/mp4',
+};
+
+const DOCUMENT_SOP_CLASS_UIDS = new Set(Object.values(EncapsulatedDocumentSOPClassUIDs));
+
+export function isVideoTransferSyntax(transferSyntax) {
+  return !!VIDEO_TRANSFER_SYNTAX_TYPES[transferSyntax];
+}
+
+/**
+ * Kind of media an instance holds, from its metadata
+ * @param {Object} instance - Instance metadata with SOPClassUID and TransferSyntaxUID
+ * @returns {string|null} 'document', 'video' or null for images
+ */
+export function getMediaKind(instance) {
+  if (DOCUMENT_SOP_CLASS_UIDS.has(instance?.SOPClassUID)) {
+    return 'document';
+  }
+  if (isVideoTransferSyntax(instance?.TransferSyntaxUID)) {
+    return 'video';
+  }
+  return null;
+}
+
+/**
+ * Pull the encapsulated document or video stream out of a parsed DICOM file
+ * @param {Object} dataSet - Parsed dicomParser dataset
+ * @returns {Object|null} bytes and mimeType, or null when the file holds neither
+ */
+export function extractEncapsulatedMedia(dataSet) {
+  const documentElement = dataSet.elements?.x00420011;
+  if (documentElement) {
+    let length = documentElement.length;
+    // OB values are padded to an even length with a trailing null
+    if (length > 0 && dataSet.byteArray[documentElement.dataOffset + length - 1] === 0) {
+      length -= 1;
+    }
+    return {
+      bytes: new Uint8Array(dataSet.byteArray.buffer, dataSet.byteArray.byteOffset + documentElement.dataOffset, length),
+      mimeType: dataSet.string('x00420012')?.trim() || 'application/pdf',
+    };
+  }
+
+  const transferSyntax = dataSet.string('x00020010');
+  const pixelDataElement = dataSet.elements?.x7fe00010;
+  if (isVideoTransferSyntax(transferSyntax) && pixelDataElement?.encapsulatedPixelData) {
+    const fragments = pixelDataElement.fragments || [];
+    if (!fragments.length) {
+      return null;
+    }
+    return {
+      bytes: dicomParser.readEncapsulatedPixelDataFromFragments(dataSet, pixelDataElement, 0, fragments.length),
+      mimeType: VIDEO_TRANSFER_SYNTAX_TYPES[transferSyntax],
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Parse a DICOM file and extract its encapsulated media
+ * @param {ArrayBuffer} arrayBuffer - Whole Part 10 file
+ * @returns {Object} bytes and mimeType
+ */
+export function extractEncapsulatedMediaFromFile(arrayBuffer) {
+  const media = extractEncapsulatedMedia(parseDicom(new Uint8Array(arrayBuffer)));
+  if (!media) {
+    throw new Error('DICOM file contains no encapsulated document or video stream');
+  }
+  return media;
+}
+
+export default {
+  EncapsulatedDocumentSOPClassUIDs,
+  isVideoTransferSyntax,
+  getMediaKind,
+  extractEncapsulatedMedia,
+  extractEncapsulatedMediaFromFile,
+};
@@ -0,0 +1,410 @@
+import dicomParser from 'dicom-parser';
+import pako from 'pako';
+
+/**
+ * Transfer syntax handling for the XNAT image loader
+ * Splits encapsulated pixel data into frames and decodes them with the matching codec
+ */
+
+export const TransferSyntax = {
+  IMPLICIT_VR_LITTLE_ENDIAN: '1.2.840.10008.1.2',
+  EXPLICIT_VR_LITTLE_ENDIAN: '1.2.840.10008.1.2.1',
+  DEFLATED_EXPLICIT_VR_LITTLE_ENDIAN: '1.2.840.10008.1.2.1.99',
+  EXPLICIT_VR_BIG_ENDIAN: '1.2.840.10008.1.2.2',
+  JPEG_BASELINE: '1.2.840.10008.1.2.4.50',
+  JPEG_EXTENDED: '1.2.840.10008.1.2.4.51',
+  JPEG_LOSSLESS: '1.2.840.10008.1.2.4.57',
+  JPEG_LOSSLESS_SV1: '1.2.840.10008.1.2.4.70',
+  JPEG_LS_LOSSLESS: '1.2.840.10008.1.2.4.80',
+  JPEG_LS_NEAR_LOSSLESS: '1.2.840.10008.1.2.4.81',
+  JPEG_2000_LOSSLESS: '1.2.840.10008.1.2.4.90',
+  JPEG_2000: '1.2.840.10008.1.2.4.91',
+  HTJ2K_LOSSLESS: '1.2.840.10008.1.2.4.201',
+  HTJ2K_LOSSLESS_RPCL: '1.2.840.10008.1.2.4.202',
+  HTJ2K: '1.2.840.10008.1.2.4.203',
+  RLE_LOSSLESS: '1.2.840.10008.1.2.5',
+};
+
+const NATIVE_TRANSFER_SYNTAXES = new Set([
+  TransferSyntax.IMPLICIT_VR_LITTLE_ENDIAN,
+  TransferSyntax.EXPLICIT_VR_LITTLE_ENDIAN,
+  TransferSyntax.DEFLATED_EXPLICIT_VR_LITTLE_ENDIAN,
+  TransferSyntax.EXPLICIT_VR_BIG_ENDIAN,
+]);
+
+// Known syntaxes with no decoder, named so the error tells the user what the scan contains
+const UNSUPPORTED_TRANSFER_SYNTAX_NAMES = {
+  '1.2.840.10008.1.2.4.92': 'JPEG 2000 Part 2 Multi-component Lossless',
+  '1.2.840.10008.1.2.4.93': 'JPEG 2000 Part 2 Multi-component',
+  '1.2.840.10008.1.2.4.94': 'JPIP Referenced',
+  '1.2.840.10008.1.2.4.95': 'JPIP Referenced Deflate',
+  '1.2.840.10008.1.2.4.100': 'MPEG2 Main Profile',
+  '1.2.840.10008.1.2.4.101': 'MPEG2 High Profile',
+  '1.2.840.10008.1.2.4.102': 'MPEG-4 AVC/H.264 High Profile',
+  '1.2.840.10008.1.2.4.103': 'MPEG-4 AVC/H.264 BD-compatible High Profile',
+  '1.2.840.10008.1.2.4.104': 'MPEG-4 AVC/H.264 High Profile For 2D Video',
+  '1.2.840.10008.1.2.4.105': 'MPEG-4 AVC/H.264 High Profile For 3D Video',
+  '1.2.840.10008.1.2.4.106': 'MPEG-4 AVC/H.264 Stereo High Profile',
+  '1.2.840.10008.1.2.4.107': 'HEVC/H.265 Main Profile',
+  '1.2.840.10008.1.2.4.108': 'HEVC/H.265 Main 10 Profile',
+};
+
+// Emscripten codec modules are large, so each one is only initialised on first use
+const codecModulePromises = new Map();
+
+function loadCodecModule(name, importFactory, wasmUrl) {
+  if (!codecModulePromises.has(name)) {
+    const modulePromise = importFactory().then(imported => {
+      const factory = imported.default || imported;
+      return factory({
+        locateFile: file => (wasmUrl && file.endsWith('.wasm') ? wasmUrl.toString() : file),
+      });
+    });
+
+    // Allow a retry on the next frame if the codec failed to load
+    modulePromise.catch(() => codecModulePromises.delete(name));
+    codecModulePromises.set(name, modulePromise);
+  }
+
+  return codecModulePromises.get(name);
+}
+
+export function isEncapsulatedTransferSyntax(transferSyntax) {
+  // Files without (0002,0010) are implicit VR little endian
+  return !!transferSyntax && !NATIVE_TRANSFER_SYNTAXES.has(transferSyntax);
+}
+
+/**
+ * Inflate the dataset of a Deflated Explicit VR Little Endian file
+ * Matches dicomParser's inflater callback; tolerates truncated input so range-fetched headers still parse
+ * @param {Uint8Array} byteArray - Whole (or leading part of the) Part 10 file
+ * @param {number} position - Offset of the deflated dataset, just after the file meta group
+ * @returns {Uint8Array} File meta bytes followed by the inflated dataset
+ */
+export function inflateDeflatedDataSet(byteArray, position) {
+  const chunks = [];
+  const inflator = new pako.Inflate({ raw: true });
+  inflator.onData = chunk => chunks.push(chunk);
+  inflator.push(byteArray.subarray(position), true);
+
+  if (inflator.err && !chunks.length) {
+    throw new Error(`Unable to inflate deflated DICOM dataset: ${inflator.msg || inflator.err}`);
+  }
+
+  const inflatedLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const fullByteArray = new Uint8Array(position + inflatedLength);
+  fullByteArray.set(byteArray.subarray(0, position), 0);
+
+  let offset = position;
+  chunks.forEach(chunk => {
+    fullByteArray.set(chunk, offset);
+    offset += chunk.length;
+  });
+
+  return fullByteArray;
+}
+
+/**
+ * Parse a DICOM Part 10 byte array, inflating deflated datasets on the way
+ * Big endian datasets are handled by dicomParser itself; only their pixel data needs swapping
+ * @param {Uint8Array} byteArray
+ * @param {Object} [options] - Extra dicomParser options such as untilTag
+ * @returns {Object} dicomParser dataset
+ */
+export function parseDicom(byteArray, options = {}) {
+  return dicomParser.parseDicom(byteArray, {
+    ...options,
+    inflater: inflateDeflatedDataSet,
+  });
+}
+
+/**
+ * Convert big endian samples to little endian
+ * @param {Uint8Array} bytes - Native pixel data bytes
+ * @param {number} bytesPerSample
+ * @returns {Uint8Array} A swapped copy, so the cached file is left untouched
+ */
+export function swapPixelBytes(bytes, bytesPerSample) {
+  const swapped = new Uint8Array(bytes.length);
+  for (let i = 0; i + bytesPerSample <= bytes.length; i += bytesPerSample) {
+    for (let j = 0; j < bytesPerSample; j++) {
+      swapped[i + j] = bytes[i + bytesPerSample - 1 - j];
+    }
+  }
+  return swapped;
+}
+
+/**
+ * Read the compressed bytes of one frame from encapsulated pixel data
+ * Uses the Basic Offset Table when present, otherwise derives frame boundaries from the fragments
+ * @param {Object} dataSet - Parsed dicomParser dataset
+ * @param {number} frameIndex - Zero-based frame index
+ * @param {number} numberOfFrames - Total frames in the instance
+ * @returns {Uint8Array} Encoded frame bytes
+ */
+export function getEncapsulatedFrame(dataSet, frameIndex, numberOfFrames = 1) {
+  const pixelDataElement = dataSet.elements.x7fe00010;
+  if (!pixelDataElement?.encapsulatedPixelData) {
+    throw new Error('Pixel data element (7FE0,0010) is not encapsulated');
+  }
+
+  const fragments = pixelDataElement.fragments || [];
+  if (!fragments.length) {
+    throw new Error('Encapsulated pixel data contains no fragments');
+  }
+
+  if (pixelDataElement.basicOffsetTable?.length) {
+    return dicomParser.readEncapsulatedImageFrame(dataSet, pixelDataElement, frameIndex);
+  }
+
+  if (numberOfFrames <= 1) {
+    return dicomParser.readEncapsulatedPixelDataFromFragments(dataSet, pixelDataElement, 0, fragments.length);
+  }
+
+  if (fragments.length === numberOfFrames) {
+    return dicomParser.readEncapsulatedPixelDataFromFragments(dataSet, pixelDataElement, frameIndex, 1);
+  }
+
+  // Several fragments per frame and no offset table: every JPEG family codestream
+  // ends with an FFD9 marker, which dicomParser uses to rebuild the table
+  const basicOffsetTable = dicomParser.createJPEGBasicOffsetTable(dataSet, pixelDataElement);
+  return dicomParser.readEncapsulatedImageFrame(dataSet, pixelDataElement, frameIndex, basicOffsetTable);
+}
+
+/**
+ * Wrap decoded little-endian bytes in the typed array matching the pixel format
+ * @param {Uint8Array} bytes - Decoded bytes (copied, so the buffer is owned by the caller)
+ * @param {number} bitsAllocated
+ * @param {number} pixelRepresentation
+ * @returns {TypedArray}
+ */
+export function toTypedPixelArray(bytes, bitsAllocated, pixelRepresentation) {
+  const buffer = bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength
+    ? bytes.buffer
+    : bytes.slice().buffer;
+
+  if (bitsAllocated <= 8) {
+    return pixelRepresentation === 1 ? new Int8Array(buffer) : new Uint8Array(buffer);
+  }
+
+  if (bitsAllocated === 16) {
+    return pixelRepresentation === 1 ? new Int16Array(buffer) : new Uint16Array(buffer);
+  }
+
+  if (bitsAllocated === 32) {
+    return pixelRepresentation === 1 ? new Int32Array(buffer) : new Uint32Array(buffer);
+  }
+
+  throw new Error(`Unsupported bits allocated for compressed pixel data: ${bitsAllocated}`);
+}
+
+/**
+ * Decode an RLE Lossless frame (PS3.5 Annex G) into interleaved little-endian bytes
+ * @param {Uint8Array} encoded - Encoded frame including the 64-byte RLE header
+ * @param {Object} frameInfo
+ * @param {number} frameInfo.rows
+ * @param {number} frameInfo.columns
+ * @param {number} frameInfo.bitsAllocated
+ * @param {number} frameInfo.samplesPerPixel
+ * @returns {Uint8Array}
+ */
+export function decodeRLE(encoded, { rows, columns, bitsAllocated, samplesPerPixel = 1 }) {
+  const bytesPerSample = Math.ceil(bitsAllocated / 8);
+  const bytesPerPixel = bytesPerSample * samplesPerPixel;
+  const pixelCount = rows * columns;
+  const view = new DataView(encoded.buffer, encoded.byteOffset, encoded.byteLength);
+
+  const numberOfSegments = view.getUint32(0, true);
+  if (numberOfSegments !== bytesPerPixel) {
+    throw new Error(`RLE frame has ${numberOfSegments} segments, expected ${bytesPerPixel}`);
+  }
+
+  const output = new Uint8Array(pixelCount * bytesPerPixel);
+
+  for (let segment = 0; segment < numberOfSegments; segment++) {
+    const start = view.getUint32(4 + segment * 4, true);
+    const end = segment + 1 < numberOfSegments
+      ? view.getUint32(4 + (segment + 1) * 4, true)
+      : encoded.length;
+
+    // Segments are ordered by sample, most significant byte first
+    const sampleIndex = Math.floor(segment / bytesPerSample);
+    const byteIndex = bytesPerSample - 1 - (segment % bytesPerSample);
+    let outputIndex = sampleIndex * bytesPerSample + byteIndex;
+    let written = 0;
+    let position = start;
+
+    while (position < end && written < pixelCount) {
+      const header = (encoded[position++] << 24) >> 24;
+
+      if (header >= 0) {
+        for (let i = 0; i <= header && position < end && written < pixelCount; i++) {
+          output[outputIndex] = encoded[position++];
+          outputIndex += bytesPerPixel;
+          written++;
+        }
+      } else if (header !== -128) {
+        const value = encoded[position++];
+        for (let i = 0; i <= -header && written < pixelCount; i++) {
+          output[outputIndex] = value;
+          outputIndex += bytesPerPixel;
+          written++;
+        }
+      }
+    }
+  }
+
+  return output;
+}
+
+async function decodeWithWasmCodec(codecModule, DecoderClass, encoded) {
+  const decoder = new codecModule[DecoderClass]();
+  try {
+    const encodedBuffer = decoder.getEncodedBuffer(encoded.length);
+    encodedBuffer.set(encoded);
+    decoder.decode();
+    // Copy out of the WASM heap before the decoder is released
+    return {
+      bytes: new Uint8Array(decoder.getDecodedBuffer()),
+      // JPEG-LS keeps the interleave mode of the stream; mode 0 means one plane per sample
+      planarConfiguration: decoder.getInterleaveMode?.() === 0 ? 1 : 0,
+    };
+  } finally {
+    decoder.delete?.();
+  }
+}
+
+async function decodeJPEGBaseline(encoded, frameInfo) {
+  if (frameInfo.bitsAllocated > 8) {
+    throw new Error('12-bit JPEG Extended pixel data is not supported by the 8-bit JPEG decoder');
+  }
+
+  const codecModule = await loadCodecModule(
+    'libjpeg-turbo-8bit',
+    () => import('@cornerstonejs/codec-libjpeg-turbo-8bit/decodewasmjs'),
+    new URL('@cornerstonejs/codec-libjpeg-turbo-8bit/decodewasm', import.meta.url)
+  );
+  return decodeWithWasmCodec(codecModule, 'JPEGDecoder', encoded);
+}
+
+async function decodeJPEGLossless(encoded, frameInfo) {
+  const { Decoder } = await import('jpeg-lossless-decoder-js');
+  const decoder = new Decoder();
+  const bytesPerSample = frameInfo.bitsAllocated <= 8 ? 1 : 2;
+  const decoded = decoder.decode(encoded.buffer, encoded.byteOffset, encoded.length, bytesPerSample);
+  return {
+    bytes: new Uint8Array(decoded.buffer, decoded.byteOffset, decoded.byteLength),
+    planarConfiguration: 0,
+  };
+}
+
+async function decodeJPEGLS(encoded) {
+  const codecModule = await loadCodecModule(
+    'charls',
+    () => import('@cornerstonejs/codec-charls/decodewasmjs'),
+    new URL('@cornerstonejs/codec-charls/decodewasm', import.meta.url)
+  );
+  return decodeWithWasmCodec(codecModule, 'JpegLSDecoder', encoded);
+}
+
+async function decodeJPEG2000(encoded) {
+  const codecModule = await loadCodecModule(
+    'openjpeg',
+    () => import('@cornerstonejs/codec-openjpeg/decodewasmjs'),
+    new URL('@cornerstonejs/codec-openjpeg/decodewasm', import.meta.url)
+  );
+  return decodeWithWasmCodec(codecModule, 'J2KDecoder', encoded);
+}
+
+async function decodeHTJ2K(encoded) {
+  const codecModule = await loadCodecModule(
+    'openjph',
+    () => import('@cornerstonejs/codec-openjph/wasmjs'),
+    new URL('@cornerstonejs/codec-openjph/wasm', import.meta.url)
+  );
+  return decodeWithWasmCodec(codecModule, 'HTJ2KDecoder', encoded);
+}
+
+async function decodeRLEFrame(encoded, frameInfo) {
+  return { bytes: decodeRLE(encoded, frameInfo), planarConfiguration: 0 };
+}
+
+// JPEG and JPEG 2000 decoders apply the colour transform themselves, so their output is RGB
+const decoders = {
+  [TransferSyntax.JPEG_BASELINE]: { decode: decodeJPEGBaseline, colorOutput: 'RGB' },
+  [TransferSyntax.JPEG_EXTENDED]: { decode: decodeJPEGBaseline, colorOutput: 'RGB' },
+  [TransferSyntax.JPEG_LOSSLESS]: { decode: decodeJPEGLossless },
+  [TransferSyntax.JPEG_LOSSLESS_SV1]: { decode: decodeJPEGLossless },
+  [TransferSyntax.JPEG_LS_LOSSLESS]: { decode: decodeJPEGLS },
+  [TransferSyntax.JPEG_LS_NEAR_LOSSLESS]: { decode: decodeJPEGLS },
+  [TransferSyntax.JPEG_2000_LOSSLESS]: { decode: decodeJPEG2000, colorOutput: 'RGB' },
+  [TransferSyntax.JPEG_2000]: { decode: decodeJPEG2000, colorOutput: 'RGB' },
+  [TransferSyntax.HTJ2K_LOSSLESS]: { decode: decodeHTJ2K, colorOutput: 'RGB' },
+  [TransferSyntax.HTJ2K_LOSSLESS_RPCL]: { decode: decodeHTJ2K, colorOutput: 'RGB' },
+  [TransferSyntax.HTJ2K]: { decode: decodeHTJ2K, colorOutput: 'RGB' },
+  [TransferSyntax.RLE_LOSSLESS]: { decode: decodeRLEFrame },
+};
+
+export function isTransferSyntaxDecodable(transferSyntax) {
+  return !!decoders[transferSyntax];
+}
+
+/**
+ * Throw a descriptive error when the loader cannot render a transfer syntax
+ * @param {string} transferSyntax - Transfer Syntax UID (0002,0010)
+ */
+export function assertTransferSyntaxSupported(transferSyntax) {
+  if (!isEncapsulatedTransferSyntax(transferSyntax) || isTransferSyntaxDecodable(transferSyntax)) {
+    return;
+  }
+
+  const name = UNSUPPORTED_TRANSFER_SYNTAX_NAMES[transferSyntax];
+  throw new Error(
+    `Unsupported transfer syntax: ${transferSyntax}${name ? ` (${name})` : ''} cannot be displayed by the XNAT image loader`
+  );
+}
+
+/**
+ * Decode one encapsulated frame
+ * @param {string} transferSyntax - Transfer Syntax UID (0002,0010)
+ * @param {Uint8Array} encoded - Encoded frame bytes
+ * @param {Object} frameInfo - rows, columns, bitsAllocated, pixelRepresentation, samplesPerPixel, photometricInterpretation
+ * @returns {Promise<Object>} pixelData plus the photometric interpretation and planar configuration of the decoded output
+ */
+export async function decodeFrame(transferSyntax, encoded, frameInfo) {
+  const decoder = decoders[transferSyntax];
+  if (!decoder) {
+    throw new Error(`Unsupported transfer syntax: ${transferSyntax}`);
+  }
+
+  const { bytes, planarConfiguration } = await decoder.decode(encoded, frameInfo);
+  const pixelData = toTypedPixelArray(bytes, frameInfo.bitsAllocated, frameInfo.pixelRepresentation);
+
+  const expectedLength = frameInfo.rows * frameInfo.columns * (frameInfo.samplesPerPixel || 1);
+  if (pixelData.length < expectedLength) {
+    throw new Error(`Decoded frame has ${pixelData.length} samples, expected ${expectedLength}`);
+  }
+
+  const isColor = (frameInfo.samplesPerPixel || 1) > 1;
+  return {
+    pixelData,
+    photometricInterpretation: isColor && decoder.colorOutput
+      ? decoder.colorOutput
+      : frameInfo.photometricInterpretation,
+    planarConfiguration: isColor ? planarConfiguration : 0,
+  };
+}
+
+export default {
+  TransferSyntax,
+  isEncapsulatedTransferSyntax,
+  isTransferSyntaxDecodable,
+  assertTransferSyntaxSupported,
+  inflateDeflatedDataSet,
+  parseDicom,
+  swapPixelBytes,
+  getEncapsulatedFrame,
+  toTypedPixelArray,
+  decodeRLE,
+  decodeFrame,
+};
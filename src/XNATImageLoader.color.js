@@ -0,0 +1,292 @@
+/**
+ * Colour conversion for the XNAT image loader
+ * Turns every colour photometric interpretation into interleaved RGB(A) for Cornerstone
+ */
+
+const PALETTE_TAGS = {
+  red: { descriptor: 'x00281101', data: 'x00281201', segmented: 'x00281221' },
+  green: { descriptor: 'x00281102', data: 'x00281202', segmented: 'x00281222' },
+  blue: { descriptor: 'x00281103', data: 'x00281203', segmented: 'x00281223' },
+};
+
+export function isColorImage(photometricInterpretation, samplesPerPixel = 1) {
+  return samplesPerPixel > 1 || photometricInterpretation === 'PALETTE COLOR';
+}
+
+function createOutputArray(length, bitsAllocated) {
+  return bitsAllocated > 8 ? new Uint16Array(length) : new Uint8Array(length);
+}
+
+/**
+ * Expand a segmented palette LUT (PS3.3 C.7.9.2) into a flat table
+ * @param {ArrayLike<number>} segmentData - 16-bit words from the Segmented Palette Color LUT Data
+ * @param {number} numberOfEntries - Entries declared by the LUT descriptor
+ * @returns {Uint16Array}
+ */
+export function expandSegmentedLUT(segmentData, numberOfEntries) {
+  const lut = [];
+
+  const readSegments = (start, end) => {
+    let position = start;
+    while (position < end && lut.length < numberOfEntries) {
+      const type = segmentData[position];
+      const length = segmentData[position + 1];
+      position += 2;
+
+      if (type === 0) {
+        // Discrete: length explicit values
+        for (let i = 0; i < length; i++) {
+          lut.push(segmentData[position + i]);
+        }
+        position += length;
+      } else if (type === 1) {
+        // Linear: ramp from the previous value to the end value over length entries
+        const startValue = lut.length ? lut[lut.length - 1] : 0;
+        const endValue = segmentData[position];
+        for (let i = 1; i <= length; i++) {
+          lut.push(Math.round(startValue + ((endValue - startValue) * i) / length));
+        }
+        position += 1;
+      } else if (type === 2) {
+        // Indirect: replay length segments starting at a 32-bit byte offset (low word first)
+        const byteOffset = segmentData[position] | (segmentData[position + 1] << 16);
+        position += 2;
+        let copyPosition = byteOffset / 2;
+        for (let i = 0; i < length; i++) {
+          const copyType = segmentData[copyPosition];
+          const copyLength = segmentData[copyPosition + 1];
+          const segmentWords = copyType === 0 ? copyLength : copyType === 1 ? 1 : 2;
+          readSegments(copyPosition, copyPosition + 2 + segmentWords);
+          copyPosition += 2 + segmentWords;
+        }
+      } else {
+        throw new Error(`Unknown segmented palette segment type: ${type}`);
+      }
+    }
+  };
+
+  readSegments(0, segmentData.length);
+
+  const table = new Uint16Array(numberOfEntries);
+  for (let i = 0; i < numberOfEntries; i++) {
+    table[i] = lut[Math.min(i, lut.length - 1)] ?? 0;
+  }
+  return table;
+}
+
+function readPaletteChannel(dataSet, tags, pixelRepresentation) {
+  const numberOfEntries = dataSet.uint16(tags.descriptor, 0) || 65536;
+  const firstMapped = pixelRepresentation === 1
+    ? dataSet.int16(tags.descriptor, 1)
+    : dataSet.uint16(tags.descriptor, 1);
+  const bitsPerEntry = dataSet.uint16(tags.descriptor, 2) || 16;
+
+  const segmentedElement = dataSet.elements[tags.segmented];
+  if (segmentedElement) {
+    const words = new Uint16Array(segmentedElement.length / 2);
+    for (let i = 0; i < words.length; i++) {
+      words[i] = dataSet.uint16(tags.segmented, i);
+    }
+    return { lut: expandSegmentedLUT(words, numberOfEntries), firstMapped: firstMapped || 0, bitsPerEntry };
+  }
+
+  const dataElement = dataSet.elements[tags.data];
+  if (!dataElement) {
+    throw new Error('PALETTE COLOR image has no palette LUT data');
+  }
+
+  const lut = new Uint16Array(numberOfEntries);
+  // Some writers pack 8-bit entries into bytes instead of 16-bit words
+  if (dataElement.length === numberOfEntries) {
+    for (let i = 0; i < numberOfEntries; i++) {
+      lut[i] = dataSet.byteArray[dataElement.dataOffset + i];
+    }
+  } else {
+    for (let i = 0; i < numberOfEntries; i++) {
+      lut[i] = dataSet.uint16(tags.data, i);
+    }
+  }
+
+  return { lut, firstMapped: firstMapped || 0, bitsPerEntry };
+}
+
+/**
+ * Read the red, green and blue palette LUTs, including segmented palettes
+ * @param {Object} dataSet - Parsed dicomParser dataset
+ * @param {number} pixelRepresentation - Decides whether the first mapped value is signed
+ * @returns {Object} red, green and blue channels with lut, firstMapped and bitsPerEntry
+ */
+export function readPaletteColorLUTs(dataSet, pixelRepresentation = 0) {
+  return {
+    red: readPaletteChannel(dataSet, PALETTE_TAGS.red, pixelRepresentation),
+    green: readPaletteChannel(dataSet, PALETTE_TAGS.green, pixelRepresentation),
+    blue: readPaletteChannel(dataSet, PALETTE_TAGS.blue, pixelRepresentation),
+  };
+}
+
+function convertPaletteColor(pixelData, palette, pixelCount, outputSamples) {
+  const { red, green, blue } = palette;
+  // Entries declared as 16 bits frequently only use the low byte
+  let maxEntry = 0;
+  [red, green, blue].forEach(channel => {
+    for (let i = 0; i < channel.lut.length; i++) {
+      if (channel.lut[i] > maxEntry) maxEntry = channel.lut[i];
+    }
+  });
+  const shift = maxEntry > 255 ? 8 : 0;
+
+  const output = new Uint8Array(pixelCount * outputSamples);
+  const lookup = (channel, value) => {
+    const index = Math.min(Math.max(value - channel.firstMapped, 0), channel.lut.length - 1);
+    return channel.lut[index] >> shift;
+  };
+
+  for (let i = 0, o = 0; i < pixelCount; i++, o += outputSamples) {
+    const value = pixelData[i];
+    output[o] = lookup(red, value);
+    output[o + 1] = lookup(green, value);
+    output[o + 2] = lookup(blue, value);
+    if (outputSamples === 4) output[o + 3] = 255;
+  }
+
+  return output;
+}
+
+function convertYBRFull(pixelData, pixelCount, planar, maxValue, outputSamples, bitsAllocated) {
+  const output = createOutputArray(pixelCount * outputSamples, bitsAllocated);
+  const center = (maxValue + 1) / 2;
+  const clamp = value => (value < 0 ? 0 : value > maxValue ? maxValue : Math.round(value));
+
+  for (let i = 0, o = 0; i < pixelCount; i++, o += outputSamples) {
+    const y = planar ? pixelData[i] : pixelData[i * 3];
+    const cb = (planar ? pixelData[i + pixelCount] : pixelData[i * 3 + 1]) - center;
+    const cr = (planar ? pixelData[i + pixelCount * 2] : pixelData[i * 3 + 2]) - center;
+    output[o] = clamp(y + 1.402 * cr);
+    output[o + 1] = clamp(y - 0.344136 * cb - 0.714136 * cr);
+    output[o + 2] = clamp(y + 1.772 * cb);
+    if (outputSamples === 4) output[o + 3] = maxValue;
+  }
+
+  return output;
+}
+
+function convertYBRFull422(pixelData, pixelCount, maxValue, outputSamples, bitsAllocated) {
+  const output = createOutputArray(pixelCount * outputSamples, bitsAllocated);
+  const center = (maxValue + 1) / 2;
+  const clamp = value => (value < 0 ? 0 : value > maxValue ? maxValue : Math.round(value));
+
+  // Two horizontally adjacent pixels share one chroma pair: Y1 Y2 Cb Cr
+  for (let i = 0, source = 0, o = 0; i < pixelCount; i += 2, source += 4) {
+    const cb = pixelData[source + 2] - center;
+    const cr = pixelData[source + 3] - center;
+    for (let pixel = 0; pixel < 2 && i + pixel < pixelCount; pixel++, o += outputSamples) {
+      const y = pixelData[source + pixel];
+      output[o] = clamp(y + 1.402 * cr);
+      output[o + 1] = clamp(y - 0.344136 * cb - 0.714136 * cr);
+      output[o + 2] = clamp(y + 1.772 * cb);
+      if (outputSamples === 4) output[o + 3] = maxValue;
+    }
+  }
+
+  return output;
+}
+
+function convertRGB(pixelData, pixelCount, planar, maxValue, outputSamples, bitsAllocated) {
+  if (!planar && outputSamples === 3) {
+    return pixelData;
+  }
+
+  const output = createOutputArray(pixelCount * outputSamples, bitsAllocated);
+  for (let i = 0, o = 0; i < pixelCount; i++, o += outputSamples) {
+    output[o] = planar ? pixelData[i] : pixelData[i * 3];
+    output[o + 1] = planar ? pixelData[i + pixelCount] : pixelData[i * 3 + 1];
+    output[o + 2] = planar ? pixelData[i + pixelCount * 2] : pixelData[i * 3 + 2];
+    if (outputSamples === 4) output[o + 3] = maxValue;
+  }
+
+  return output;
+}
+
+/**
+ * Number of samples stored per pixel for a native (uncompressed) frame
+ * YBR_FULL_422 stores two luminance samples and one chroma pair for every two pixels
+ */
+export function getStoredSamplesPerPixel(photometricInterpretation, samplesPerPixel) {
+  return photometricInterpretation === 'YBR_FULL_422' ? 2 : samplesPerPixel;
+}
+
+/**
+ * Convert a colour frame to interleaved RGB(A)
+ * @param {Object} params
+ * @param {TypedArray} params.pixelData - Decoded frame samples
+ * @param {string} params.photometricInterpretation
+ * @param {number} params.planarConfiguration
+ * @param {number} params.rows
+ * @param {number} params.columns
+ * @param {number} params.bitsAllocated
+ * @param {Object} [params.paletteLUTs] - Result of readPaletteColorLUTs for PALETTE COLOR images
+ * @param {boolean} [params.rgba=false] - Emit RGBA instead of RGB
+ * @returns {Object} pixelData, photometricInterpretation, planarConfiguration, samplesPerPixel and bitsAllocated of the output
+ */
+export function convertColorSpace({
+  pixelData,
+  photometricInterpretation,
+  planarConfiguration = 0,
+  rows,
+  columns,
+  bitsAllocated,
+  paletteLUTs,
+  rgba = false,
+}) {
+  const pixelCount = rows * columns;
+  const outputSamples = rgba ? 4 : 3;
+  const planar = planarConfiguration === 1;
+  const outputBits = bitsAllocated > 8 ? 16 : 8;
+  const maxValue = (1 << outputBits) - 1;
+
+  let output;
+  switch (photometricInterpretation) {
+    case 'PALETTE COLOR':
+      if (!paletteLUTs) {
+        throw new Error('PALETTE COLOR conversion requires palette LUTs');
+      }
+      return {
+        pixelData: convertPaletteColor(pixelData, paletteLUTs, pixelCount, outputSamples),
+        photometricInterpretation: 'RGB',
+        planarConfiguration: 0,
+        samplesPerPixel: outputSamples,
+        bitsAllocated: 8,
+      };
+    case 'YBR_FULL':
+      output = convertYBRFull(pixelData, pixelCount, planar, maxValue, outputSamples, outputBits);
+      break;
+    case 'YBR_FULL_422':
+      output = convertYBRFull422(pixelData, pixelCount, maxValue, outputSamples, outputBits);
+      break;
+    case 'RGB':
+    case 'YBR_ICT':
+    case 'YBR_RCT':
+    case 'YBR_PARTIAL_420':
+      // ICT/RCT/420 only occur in compressed streams whose decoders already output RGB
+      output = convertRGB(pixelData, pixelCount, planar, maxValue, outputSamples, outputBits);
+      break;
+    default:
+      throw new Error(`Unsupported colour photometric interpretation: ${photometricInterpretation}`);
+  }
+
+  return {
+    pixelData: output,
+    photometricInterpretation: 'RGB',
+    planarConfiguration: 0,
+    samplesPerPixel: outputSamples,
+    bitsAllocated: outputBits,
+  };
+}
+
+export default {
+  isColorImage,
+  expandSegmentedLUT,
+  readPaletteColorLUTs,
+  getStoredSamplesPerPixel,
+  convertColorSpace,
+};
@@ -0,0 +1,455 @@
+import axios from 'axios';
+import {
+  parseNumberArray,
+  parseFloatValue,
+  getFunctionalGroupValue,
+  parseTemporalPosition,
+} from './XNATImageLoader.utils.js';
+import {
+  TransferSyntax,
+  isEncapsulatedTransferSyntax,
+  assertTransferSyntaxSupported,
+  swapPixelBytes,
+  getEncapsulatedFrame,
+  decodeFrame,
+} from './XNATImageLoader.codecs.js';
+import {
+  isColorImage,
+  readPaletteColorLUTs,
+  getStoredSamplesPerPixel,
+  convertColorSpace,
+} from './XNATImageLoader.color.js';
+import {
+  getPixelDataElement,
+  getFrameByteRange,
+  createPixelArray,
+  computeMinMax,
+  readStoredPixelRange,
+  readPixelPadding,
+  getDefaultWindow,
+} from './XNATImageLoader.pixels.js';
+import { buildDescriptiveModules, buildPetModules } from './XNATImageLoader.modules.js';
+import { decodeOverlayPlanes } from './XNATImageLoader.overlays.js';
+import {
+  readVOILUTModule,
+  readModalityLUTModule,
+  readRealWorldValueMappings,
+  getLUTWindow,
+} from './XNATImageLoader.lut.js';
+import { readFrameFunctionalGroups } from './XNATImageLoader.functionalGroups.js';
+import { getMosaicInfo, extractMosaicTile, getMosaicSlicePositions } from './XNATImageLoader.mosaic.js';
+
+/**
+ * Frame fetching and decoding for the XNAT image loader
+ * Free of Cornerstone imports so the same code runs on the main thread and in the worker pool
+ */
+
+/**
+ * Fetch a DICOM file, or only one frame of it when a range request is given
+ * @param {string} url - File URL
+ * @param {Object} requestConfig - axios config with authentication headers
+ * @param {Object} [rangeRequest] - Result of getFrameRangeRequest
+ * @returns {Promise<Object>} arrayBuffer for the whole file, or rangeFrameBytes for one frame
+ */
+export async function fetchDicomData(url, requestConfig, rangeRequest = null) {
+  if (rangeRequest) {
+    const expectedLength = rangeRequest.end - rangeRequest.start + 1;
+    const response = await axios.get(url, {
+      ...requestConfig,
+      headers: {
+        ...requestConfig.headers,
+        Range: `bytes=${rangeRequest.start}-${rangeRequest.end}`,
+      },
+    });
+
+    if (response.status === 206 && response.data?.byteLength === expectedLength) {
+      console.log('📐 Range-fetched frame', rangeRequest.frameIndex + 1, 'bytes', rangeRequest.start, '-', rangeRequest.end);
+      return { arrayBuffer: null, rangeFrameBytes: new Uint8Array(response.data) };
+    }
+
+    if (response.status === 200) {
+      // Server ignored Range and sent the whole file
+      console.warn('⚠️ Server ignored Range request, using full file:', url);
+      return { arrayBuffer: response.data, rangeFrameBytes: null };
+    }
+
+    console.warn('⚠️ Unexpected Range response', response.status, '- downloading full file:', url);
+  }
+
+  // Fetch the DICOM file
+  const response = await axios.get(url, requestConfig);
+  return { arrayBuffer: response.data, rangeFrameBytes: null };
+}
+
+/**
+ * Decode one frame of a parsed DICOM dataset and build its Cornerstone metadata
+ * @param {Object} dataSet - Parsed dicomParser dataset (the header only when rangeFrameBytes is given)
+ * @param {number} frameIndex - Zero-based frame index
+ * @param {Object} [options]
+ * @param {Uint8Array} [options.rangeFrameBytes] - Range-fetched bytes of the requested frame
+ * @param {boolean} [options.useRGBA=false] - Emit RGBA instead of RGB for colour images
+ * @returns {Promise<Object>} pixelData, metadata modules and the remaining Cornerstone image properties
+ */
+export async function decodeDicomFrame(dataSet, frameIndex, { rangeFrameBytes = null, useRGBA = false } = {}) {
+  // Parametric maps carry Float (7FE0,0008) or Double Float (7FE0,0009) Pixel Data instead of 7FE0,0010
+  const pixelDataInfo = getPixelDataElement(dataSet);
+  if (!pixelDataInfo) {
+    throw new Error('Pixel data element (7FE0,0010), (7FE0,0008) or (7FE0,0009) not found in DICOM dataset');
+  }
+  const { element: pixelDataElement, floatingPoint } = pixelDataInfo;
+
+  const transferSyntax = dataSet.string('x00020010') || TransferSyntax.IMPLICIT_VR_LITTLE_ENDIAN;
+  let rows = dataSet.uint16('x00280010');
+  let columns = dataSet.uint16('x00280011');
+  const bitsAllocated = pixelDataInfo.bitsAllocated ?? dataSet.uint16('x00280100');
+  const bitsStored = dataSet.uint16('x00280101') || bitsAllocated;
+  const highBit = dataSet.uint16('x00280102');
+  const pixelRepresentation = dataSet.uint16('x00280103');
+  const samplesPerPixel = dataSet.uint16('x00280002') || 1;
+  const filePhotometricInterpretation = dataSet.string('x00280004') || 'MONOCHROME2';
+  const filePlanarConfiguration = dataSet.uint16('x00280006') || 0;
+  const numberOfFrames = parseInt(dataSet.string('x00280008') || '1', 10) || 1;
+
+  assertTransferSyntaxSupported(transferSyntax);
+
+  // Siemens mosaics keep every slice as a tile of their single frame; frameIndex then selects the tile
+  const mosaic = getMosaicInfo(dataSet);
+  const frameCount = mosaic ? mosaic.numberOfImages : numberOfFrames;
+  const boundedFrameIndex = Math.min(Math.max(frameIndex, 0), frameCount - 1);
+  const pixelFrameIndex = mosaic ? 0 : boundedFrameIndex;
+  if (boundedFrameIndex !== frameIndex) {
+    console.warn(`⚠️ Requested frame index ${frameIndex} is outside range, using ${boundedFrameIndex}`);
+  }
+
+  let pixelData;
+  let photometricInterpretation = filePhotometricInterpretation;
+  let planarConfiguration = filePlanarConfiguration;
+
+  if (isEncapsulatedTransferSyntax(transferSyntax) && !floatingPoint) {
+    // Compressed pixel data: pull this frame's fragments and run them through the codec layer
+    const encodedFrame = getEncapsulatedFrame(dataSet, pixelFrameIndex, numberOfFrames);
+    const decoded = await decodeFrame(transferSyntax, encodedFrame, {
+      rows,
+      columns,
+      bitsAllocated,
+      pixelRepresentation,
+      samplesPerPixel,
+      photometricInterpretation,
+    });
+    pixelData = decoded.pixelData;
+    photometricInterpretation = decoded.photometricInterpretation;
+    planarConfiguration = decoded.planarConfiguration;
+    console.log('🔵 Decoded', transferSyntax, 'frame', pixelFrameIndex + 1, 'to', pixelData.length, 'samples');
+  } else {
+    const storedSamplesPerPixel = getStoredSamplesPerPixel(photometricInterpretation, samplesPerPixel);
+    const frameRange = getFrameByteRange({
+      frameIndex: pixelFrameIndex,
+      rows,
+      columns,
+      samplesPerPixel: storedSamplesPerPixel,
+      bitsAllocated,
+    });
+
+    const availableBytes = Math.max(
+      0,
+      Math.min(frameRange.byteLength, pixelDataElement.length - frameRange.byteOffset)
+    );
+
+    if (availableBytes <= 0) {
+      throw new Error('No pixel data available for requested frame');
+    }
+
+    if (availableBytes !== frameRange.byteLength) {
+      console.warn('⚠️ Frame pixel data truncated due to limited buffer length');
+    }
+
+    // Parsed datasets are not guaranteed to share the fetched buffer (deflated files are inflated into a new one)
+    let frameBytes = rangeFrameBytes || new Uint8Array(
+      dataSet.byteArray.buffer,
+      dataSet.byteArray.byteOffset + pixelDataElement.dataOffset + frameRange.byteOffset,
+      availableBytes
+    );
+
+    if (transferSyntax === TransferSyntax.EXPLICIT_VR_BIG_ENDIAN && bitsAllocated > 8) {
+      frameBytes = swapPixelBytes(frameBytes, bitsAllocated / 8);
+    }
+
+    pixelData = createPixelArray(frameBytes, {
+      bitsAllocated,
+      pixelRepresentation,
+      floatingPoint,
+      sampleCount: rows * columns * storedSamplesPerPixel,
+      bitOffset: frameRange.bitOffset,
+    });
+  }
+
+  // Overlays embedded in unused high bits are taken out of the pixel values here
+  const overlayResult = decodeOverlayPlanes(dataSet, pixelFrameIndex, { pixelData, bitsAllocated, transferSyntax });
+  pixelData = overlayResult.pixelData;
+
+  // Mosaic dimensions are kept for the slice geometry
+  const mosaicSize = { rows, columns };
+  if (mosaic) {
+    pixelData = extractMosaicTile(
+      pixelData,
+      mosaic,
+      columns,
+      boundedFrameIndex,
+      getStoredSamplesPerPixel(photometricInterpretation, samplesPerPixel)
+    );
+    rows = mosaic.tileRows;
+    columns = mosaic.tileColumns;
+    // Overlays cover the whole mosaic, not one slice
+    overlayResult.overlayPlaneModule = { overlays: [] };
+    console.log('🧩 Extracted mosaic slice', boundedFrameIndex + 1, 'of', frameCount);
+  }
+
+  // Packed 1-bit samples are unpacked to one byte each
+  let outputBitsAllocated = bitsAllocated === 1 ? 8 : bitsAllocated;
+
+  // Colour frames are handed to Cornerstone as interleaved RGB(A) whatever the stored layout
+  let outputSamplesPerPixel = samplesPerPixel;
+  const color = isColorImage(photometricInterpretation, samplesPerPixel);
+  if (color) {
+    const converted = convertColorSpace({
+      pixelData,
+      photometricInterpretation,
+      planarConfiguration,
+      rows,
+      columns,
+      bitsAllocated,
+      paletteLUTs: photometricInterpretation === 'PALETTE COLOR'
+        ? readPaletteColorLUTs(dataSet, pixelRepresentation)
+        : undefined,
+      rgba: useRGBA,
+    });
+    console.log('🎨 Converted', photometricInterpretation, 'to', converted.samplesPerPixel === 4 ? 'RGBA' : 'RGB');
+    pixelData = converted.pixelData;
+    photometricInterpretation = converted.photometricInterpretation;
+    planarConfiguration = converted.planarConfiguration;
+    outputSamplesPerPixel = converted.samplesPerPixel;
+    outputBitsAllocated = converted.bitsAllocated;
+  }
+  const outputBitsStored = color ? outputBitsAllocated : bitsStored;
+  const outputHighBit = color ? outputBitsAllocated - 1 : highBit ?? bitsStored - 1;
+  const outputPixelRepresentation = color ? 0 : pixelRepresentation;
+
+  // Enhanced multi-frame files keep rescale and windows in the functional groups instead of the top level
+  const frameGroups = readFrameFunctionalGroups(dataSet, boundedFrameIndex, pixelRepresentation);
+
+  // Every window, named preset and VOI LUT; the first window (or LUT) is the default
+  const voiLUTModule = frameGroups.voiLUTModule || readVOILUTModule(dataSet, pixelRepresentation);
+  const modalityLutModule = frameGroups.modalityLutModule || readModalityLUTModule(dataSet, pixelRepresentation);
+  const firstVOILUT = voiLUTModule.voiLUTSequence?.[0];
+  const lutWindow = firstVOILUT ? getLUTWindow(firstVOILUT) : null;
+  const windowCenter = voiLUTModule.windowCenter?.[0] ?? lutWindow?.windowCenter ?? null;
+  const windowWidth = voiLUTModule.windowWidth?.[0] ?? lutWindow?.windowWidth ?? null;
+
+  const rescaleSlope = modalityLutModule.rescaleSlope;
+  const rescaleIntercept = modalityLutModule.rescaleIntercept;
+
+  const sharedFunctionalGroupsElement = dataSet.elements?.x52009229 || null;
+  const perFrameFunctionalGroupsElement = dataSet.elements?.x52009230 || null;
+  const sharedFunctionalGroups = sharedFunctionalGroupsElement?.items?.[0]?.dataSet || null;
+  const perFrameFunctionalGroup = perFrameFunctionalGroupsElement?.items?.[boundedFrameIndex]?.dataSet || null;
+
+  const orientationString = getFunctionalGroupValue({
+    fallbackDataSet: dataSet,
+    sharedDataSet: sharedFunctionalGroups,
+    perFrameDataSet: perFrameFunctionalGroup,
+    sequenceTag: 'x00209116',
+    valueTag: 'x00200037',
+    fallbackTag: 'x00200037',
+  });
+  const positionString = getFunctionalGroupValue({
+    fallbackDataSet: dataSet,
+    sharedDataSet: sharedFunctionalGroups,
+    perFrameDataSet: perFrameFunctionalGroup,
+    sequenceTag: 'x00209113',
+    valueTag: 'x00200032',
+    fallbackTag: 'x00200032',
+  });
+  const pixelSpacingString = getFunctionalGroupValue({
+    fallbackDataSet: dataSet,
+    sharedDataSet: sharedFunctionalGroups,
+    perFrameDataSet: perFrameFunctionalGroup,
+    sequenceTag: 'x00289110',
+    valueTag: 'x00280030',
+    fallbackTag: 'x00280030',
+  });
+  const sliceThicknessString = getFunctionalGroupValue({
+    fallbackDataSet: dataSet,
+    sharedDataSet: sharedFunctionalGroups,
+    perFrameDataSet: perFrameFunctionalGroup,
+    sequenceTag: 'x00289110',
+    valueTag: 'x00180050',
+    fallbackTag: 'x00180050',
+  });
+  const spacingBetweenSlicesString = getFunctionalGroupValue({
+    fallbackDataSet: dataSet,
+    sharedDataSet: sharedFunctionalGroups,
+    perFrameDataSet: perFrameFunctionalGroup,
+    sequenceTag: 'x00289110',
+    valueTag: 'x00180088',
+    fallbackTag: 'x00180088',
+  });
+
+  const orientationArray = parseNumberArray(orientationString) || [1, 0, 0, 0, 1, 0];
+  const rawPositionArray = parseNumberArray(positionString);
+  const positionArray = rawPositionArray || [0, 0, 0];
+  const pixelSpacingArray = parseNumberArray(pixelSpacingString) || [1, 1];
+  const sliceThickness = parseFloatValue(sliceThicknessString) || parseFloatValue(spacingBetweenSlicesString) || 1;
+  const spacingBetweenSlices = parseFloatValue(spacingBetweenSlicesString) || sliceThickness;
+
+  let framePosition = positionArray;
+  if (mosaic) {
+    framePosition = getMosaicSlicePositions(mosaic, {
+      imagePositionPatient: positionArray,
+      imageOrientationPatient: orientationArray,
+      pixelSpacing: pixelSpacingArray,
+      rows: mosaicSize.rows,
+      columns: mosaicSize.columns,
+      sliceSpacing: spacingBetweenSlices,
+    })[boundedFrameIndex];
+  } else if (!rawPositionArray && numberOfFrames > 1) {
+    const rowCosines = orientationArray.slice(0, 3);
+    const colCosines = orientationArray.slice(3, 6);
+    const normal = [
+      rowCosines[1] * colCosines[2] - rowCosines[2] * colCosines[1],
+      rowCosines[2] * colCosines[0] - rowCosines[0] * colCosines[2],
+      rowCosines[0] * colCosines[1] - rowCosines[1] * colCosines[0],
+    ];
+    framePosition = [
+      positionArray[0] + normal[0] * sliceThickness * boundedFrameIndex,
+      positionArray[1] + normal[1] * sliceThickness * boundedFrameIndex,
+      positionArray[2] + normal[2] * sliceThickness * boundedFrameIndex,
+    ];
+  }
+
+  const sliceLocation = framePosition?.[2] ?? parseFloatValue(dataSet.string('x00201041')) ?? 0;
+  const frameOfReferenceUID = dataSet.string('x00200052') || undefined;
+  const temporalInfo = parseTemporalPosition(dataSet, perFrameFunctionalGroupsElement, boundedFrameIndex);
+  const temporalPositionIndex = frameGroups.frameContent?.temporalPositionIndex ?? temporalInfo.temporalPositionIndex;
+
+  // Stored smallest/largest values describe palette indices or YBR samples, not the converted RGB
+  // Padding (e.g. -2000 outside the CT field of view) is left out of the range and the default window
+  const padding = color ? null : readPixelPadding(dataSet, { pixelRepresentation });
+  let storedRange = color
+    ? null
+    : readStoredPixelRange(dataSet, { bitsAllocated, pixelRepresentation, floatingPoint });
+  if (storedRange && padding && storedRange.min >= padding.low && storedRange.min <= padding.high) {
+    storedRange = null;
+  }
+  const { min: minPixelValue, max: maxPixelValue } = storedRange || computeMinMax(pixelData, padding);
+
+  // Windows are in modality units, so the stored range goes through the rescale first
+  const rescaledRange = [minPixelValue, maxPixelValue].map(value => value * rescaleSlope + rescaleIntercept);
+  const defaultWindow = getDefaultWindow(Math.min(...rescaledRange), Math.max(...rescaledRange));
+
+  const realWorldValueMappings = frameGroups.realWorldValueMappings
+    || readRealWorldValueMappings(dataSet, pixelRepresentation);
+
+  const generalSeriesModule = {
+    studyInstanceUID: dataSet.string('x0020000d'),
+    seriesInstanceUID: dataSet.string('x0020000e'),
+    seriesNumber: dataSet.intString('x00200011') || null,
+    seriesDescription: dataSet.string('x0008103e') || undefined,
+    modality: dataSet.string('x00080060') || undefined,
+    seriesDate: dataSet.string('x00080021') || undefined,
+    seriesTime: dataSet.string('x00080031') || undefined,
+  };
+
+  const sopInstanceUID = dataSet.string('x00080018');
+  const sopClassUID = dataSet.string('x00080016');
+
+  const metadataForImage = {
+    ...buildDescriptiveModules(dataSet),
+    ...buildPetModules(dataSet),
+    imagePlaneModule: {
+      frameOfReferenceUID,
+      rows,
+      columns,
+      imageOrientationPatient: orientationArray,
+      rowCosines: orientationArray.slice(0, 3),
+      columnCosines: orientationArray.slice(3, 6),
+      imagePositionPatient: framePosition,
+      pixelSpacing: [pixelSpacingArray[0], pixelSpacingArray[1]],
+      rowPixelSpacing: pixelSpacingArray[0],
+      columnPixelSpacing: pixelSpacingArray[1],
+      sliceThickness,
+      spacingBetweenSlices,
+      sliceLocation,
+    },
+    imagePixelModule: {
+      samplesPerPixel: outputSamplesPerPixel,
+      photometricInterpretation,
+      bitsAllocated: outputBitsAllocated,
+      bitsStored: outputBitsStored,
+      highBit: outputHighBit,
+      pixelRepresentation: outputPixelRepresentation,
+      planarConfiguration,
+    },
+    generalSeriesModule,
+    generalImageModule: {
+      sopInstanceUID,
+      instanceNumber: dataSet.intString('x00200013') || boundedFrameIndex + 1,
+      imageType: dataSet.string('x00080008') || undefined,
+      temporalPositionIndex: temporalPositionIndex || undefined,
+    },
+    sopCommonModule: {
+      sopInstanceUID,
+      sopClassUID,
+    },
+    voiLUTModule,
+    modalityLutModule,
+    calibrationModule: {},
+    overlayPlaneModule: overlayResult.overlayPlaneModule,
+    realWorldValueMappingModule: realWorldValueMappings ? { realWorldValueMappings } : undefined,
+    enhancedFrameModule: frameGroups.frameContent || Object.keys(frameGroups.frameParameters).length
+      ? { ...frameGroups.frameContent, ...frameGroups.frameParameters }
+      : undefined,
+    multiFrameModule: {
+      numberOfFrames: frameCount,
+      frameIncrementPointer: dataSet.string('x00280009') || undefined,
+      temporalPositionIndex: temporalPositionIndex || undefined,
+      frameTime: temporalInfo.frameTime || undefined,
+    },
+  };
+
+  return {
+    pixelData,
+    metadata: metadataForImage,
+    imageProperties: {
+      minPixelValue,
+      maxPixelValue,
+      slope: rescaleSlope,
+      intercept: rescaleIntercept,
+      windowCenter: windowCenter ?? defaultWindow.windowCenter,
+      windowWidth: windowWidth ?? defaultWindow.windowWidth,
+      voiLUT: firstVOILUT,
+      modalityLUT: modalityLutModule.modalityLUTSequence?.[0],
+      rows,
+      columns,
+      color,
+      rgba: outputSamplesPerPixel === 4,
+      columnPixelSpacing: pixelSpacingArray[1] || 1,
+      rowPixelSpacing: pixelSpacingArray[0] || 1,
+      photometricInterpretation,
+      samplesPerPixel: outputSamplesPerPixel,
+      planarConfiguration,
+      bitsAllocated: outputBitsAllocated,
+      bitsStored: outputBitsStored,
+      highBit: outputHighBit,
+      pixelRepresentation: outputPixelRepresentation,
+      transferSyntax,
+      frameNumber: boundedFrameIndex + 1,
+      numberOfFrames: frameCount,
+      frameOfReferenceUID,
+    },
+  };
+}
+
+export default {
+  fetchDicomData,
+  decodeDicomFrame,
+};
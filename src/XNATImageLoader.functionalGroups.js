@@ -0,0 +1,205 @@
+import { parseFloatValue, getSequenceItem } from './XNATImageLoader.utils.js';
+import { readVOILUTModule, readModalityLUTModule, readRealWorldValueMappings } from './XNATImageLoader.lut.js';
+
+/**
+ * Enhanced multi-frame functional groups
+ * Every functional group is looked up in the Per-frame Functional Groups Sequence (5200,9230) item of the
+ * frame first, then in the Shared Functional Groups Sequence (5200,9229)
+ */
+
+/**
+ * Functional group item for one frame: the per-frame item, or the shared one
+ * @param {Object} dataSet - Parsed dicomParser dataset
+ * @param {number} frameIndex - Zero-based frame index
+ * @param {string} sequenceTag - Functional group macro sequence, e.g. x00289145
+ * @returns {Object|null} Item dataset
+ */
+export function getFunctionalGroupItem(dataSet, frameIndex, sequenceTag) {
+  return getSequenceItem(getFunctionalGroupDataSet(dataSet, frameIndex, sequenceTag), sequenceTag);
+}
+
+/**
+ * Functional groups dataset (per-frame item or shared item) that holds a macro, for macros with several items
+ * @returns {Object|null} Dataset containing sequenceTag
+ */
+export function getFunctionalGroupDataSet(dataSet, frameIndex, sequenceTag) {
+  const perFrameDataSet = dataSet?.elements?.x52009230?.items?.[frameIndex]?.dataSet;
+  const sharedDataSet = getSequenceItem(dataSet, 'x52009229');
+  return [perFrameDataSet, sharedDataSet].find(groups => groups?.elements?.[sequenceTag]?.items?.length) || null;
+}
+
+function hasElement(item, tag) {
+  return !!item?.elements?.[tag];
+}
+
+function stringValue(item, tag) {
+  const value = item?.string(tag);
+  return value === undefined || value === '' ? undefined : value;
+}
+
+function decimalValue(item, tag) {
+  return hasElement(item, tag) ? parseFloatValue(item.string(tag)) ?? undefined : undefined;
+}
+
+function doubleValue(item, tag) {
+  return hasElement(item, tag) && item.elements[tag].length >= 8 ? item.double(tag) : undefined;
+}
+
+function uint32Values(item, tag) {
+  if (!hasElement(item, tag)) {
+    return undefined;
+  }
+  const count = Math.floor(item.elements[tag].length / 4);
+  return Array.from({ length: count }, (_, index) => item.uint32(tag, index));
+}
+
+/**
+ * Frame Content (0020,9111) of one frame
+ * @returns {Object|undefined} Dimension index values, stack position, temporal position and acquisition timing
+ */
+export function readFrameContent(dataSet, frameIndex) {
+  const item = getFunctionalGroupItem(dataSet, frameIndex, 'x00209111');
+  if (!item) {
+    return undefined;
+  }
+
+  return {
+    dimensionIndexValues: uint32Values(item, 'x00209157'),
+    stackID: stringValue(item, 'x00209056'),
+    inStackPositionNumber: uint32Values(item, 'x00209057')?.[0],
+    temporalPositionIndex: uint32Values(item, 'x00209128')?.[0],
+    frameAcquisitionNumber: hasElement(item, 'x00209156') ? item.uint16('x00209156') : undefined,
+    frameReferenceDateTime: stringValue(item, 'x00189151'),
+    frameAcquisitionDateTime: stringValue(item, 'x00189074'),
+    frameAcquisitionDuration: doubleValue(item, 'x00189220'),
+    frameComments: stringValue(item, 'x00209158'),
+  };
+}
+
+/**
+ * Modality-specific per-frame acquisition parameters (MR, CT and PET functional groups)
+ * @returns {Object} Only the parameters present in the file
+ */
+export function readFrameParameters(dataSet, frameIndex) {
+  const item = tag => getFunctionalGroupItem(dataSet, frameIndex, tag);
+  const mrTiming = item('x00189112');
+  const mrDiffusion = item('x00189117');
+  const ctExposure = item('x00189321');
+  const gradientDirection = getSequenceItem(mrDiffusion, 'x00189076');
+  const frameTypeItem = item('x00189226') || item('x00189329') || item('x00189751');
+
+  const parameters = {
+    frameType: frameTypeItem?.string('x00089007')?.split('\\'),
+    // MR Echo, MR Timing and Related Parameters, MR Averages, MR Diffusion
+    echoTime: doubleValue(item('x00189114'), 'x00189082'),
+    repetitionTime: decimalValue(mrTiming, 'x00180080'),
+    flipAngle: decimalValue(mrTiming, 'x00181314'),
+    numberOfAverages: decimalValue(item('x00189119'), 'x00180083'),
+    diffusionBValue: doubleValue(mrDiffusion, 'x00189087'),
+    diffusionDirectionality: stringValue(mrDiffusion, 'x00189075'),
+    diffusionGradientOrientation: hasElement(gradientDirection, 'x00189089')
+      ? [0, 1, 2].map(index => gradientDirection.double('x00189089', index))
+      : undefined,
+    // CT Exposure and CT Reconstruction
+    exposureTime: doubleValue(ctExposure, 'x00189328'),
+    xRayTubeCurrent: doubleValue(ctExposure, 'x00189330'),
+    exposure: doubleValue(ctExposure, 'x00189332'),
+    ctdiVol: doubleValue(ctExposure, 'x00189345'),
+    convolutionKernel: stringValue(item('x00189314'), 'x00181210'),
+  };
+
+  return Object.fromEntries(Object.entries(parameters).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Everything the loader reads per frame from the functional groups
+ * @param {Object} dataSet - Parsed dicomParser dataset
+ * @param {number} frameIndex - Zero-based frame index
+ * @param {number} [pixelRepresentation=0]
+ * @returns {Object} modalityLutModule, voiLUTModule and realWorldValueMappings when the frame has its own,
+ * frameContent and frameParameters
+ */
+export function readFrameFunctionalGroups(dataSet, frameIndex, pixelRepresentation = 0) {
+  // Pixel Value Transformation (0028,9145) and Frame VOI LUT (0028,9132) replace the top-level modules
+  const pixelValueTransformation = getFunctionalGroupItem(dataSet, frameIndex, 'x00289145');
+  const frameVOILUT = getFunctionalGroupItem(dataSet, frameIndex, 'x00289132');
+
+  return {
+    modalityLutModule: pixelValueTransformation
+      ? readModalityLUTModule(pixelValueTransformation, pixelRepresentation)
+      : undefined,
+    voiLUTModule: frameVOILUT ? readVOILUTModule(frameVOILUT, pixelRepresentation) : undefined,
+    realWorldValueMappings: readRealWorldValueMappings(
+      getFunctionalGroupDataSet(dataSet, frameIndex, 'x00409096'),
+      pixelRepresentation
+    ),
+    frameContent: readFrameContent(dataSet, frameIndex),
+    frameParameters: readFrameParameters(dataSet, frameIndex),
+  };
+}
+
+/**
+ * Dimensions of an enhanced multi-frame image, from the Dimension Index Sequence (0020,9222)
+ * @returns {Array<Object>} dimensionIndexPointer, functionalGroupPointer and label, in index value order
+ */
+export function getDimensionIndexSequence(dataSet) {
+  const tagValue = (item, tag) => {
+    if (!hasElement(item, tag) || item.elements[tag].length < 4) {
+      return undefined;
+    }
+    // AT values are stored as group then element
+    const group = item.uint16(tag, 0).toString(16).padStart(4, '0');
+    const element = item.uint16(tag, 1).toString(16).padStart(4, '0');
+    return `x${group}${element}`;
+  };
+
+  return (dataSet?.elements?.x00209222?.items || []).map(({ dataSet: item }) => ({
+    dimensionIndexPointer: tagValue(item, 'x00209165'),
+    functionalGroupPointer: tagValue(item, 'x00209167'),
+    dimensionDescriptionLabel: stringValue(item, 'x00209421'),
+  }));
+}
+
+/**
+ * Frame display order given by the Dimension Index Values of each frame
+ * Frames are sorted on the first dimension, then the second, and so on; ties keep their stored order
+ * @param {Object} dataSet - Parsed dicomParser dataset
+ * @returns {Array<number>|null} Zero-based frame indices in display order, or null when the file has no dimension indices
+ */
+export function getDimensionOrderedFrames(dataSet) {
+  const numberOfFrames = parseInt(dataSet?.string('x00280008') || '1', 10) || 1;
+  if (numberOfFrames < 2 || !dataSet.elements?.x52009230) {
+    return null;
+  }
+
+  const frames = Array.from({ length: numberOfFrames }, (_, frameIndex) => ({
+    frameIndex,
+    indexValues: readFrameContent(dataSet, frameIndex)?.dimensionIndexValues || [],
+  }));
+  if (!frames.some(frame => frame.indexValues.length)) {
+    return null;
+  }
+
+  frames.sort((a, b) => {
+    const length = Math.max(a.indexValues.length, b.indexValues.length);
+    for (let i = 0; i < length; i++) {
+      const difference = (a.indexValues[i] ?? 0) - (b.indexValues[i] ?? 0);
+      if (difference !== 0) {
+        return difference;
+      }
+    }
+    return a.frameIndex - b.frameIndex;
+  });
+
+  return frames.map(frame => frame.frameIndex);
+}
+
+export default {
+  getFunctionalGroupItem,
+  getFunctionalGroupDataSet,
+  readFrameContent,
+  readFrameParameters,
+  readFrameFunctionalGroups,
+  getDimensionIndexSequence,
+  getDimensionOrderedFrames,
+};
@@ -0,0 +1,214 @@
+/**
+ * DICOM header registry shared by XNATClient and the image loader
+ * XNATClient already range-fetches file headers for sorting; keeping the header bytes
+ * and pixel data layout of multi-frame files lets the loader request single frames by byte range
+ */
+import { TransferSyntax, parseDicom } from './XNATImageLoader.codecs.js';
+import { getPixelDataElement, getFrameByteRange } from './XNATImageLoader.pixels.js';
+import { getStoredSamplesPerPixel } from './XNATImageLoader.color.js';
+
+const HEADER_CACHE_LIMIT = 256;
+// Bytes XNATClient fetches for a header at first, and the most it fetches for a header cut off before pixel data
+export const HEADER_FETCH_BYTES = 64 * 1024;
+export const MAX_HEADER_FETCH_BYTES = 16 * 1024 * 1024;
+const headerCache = new Map();
+
+// Only native, non-deflated pixel data sits at a fixed file offset
+const RANGE_FETCHABLE_TRANSFER_SYNTAXES = new Set([
+  TransferSyntax.IMPLICIT_VR_LITTLE_ENDIAN,
+  TransferSyntax.EXPLICIT_VR_LITTLE_ENDIAN,
+  TransferSyntax.EXPLICIT_VR_BIG_ENDIAN,
+]);
+
+/**
+ * Where native pixel data sits in a file and how its frames are laid out
+ * This is all the image loader needs to range-fetch a frame, so it is what the header parser hands back
+ * @param {Object} dataSet - Header parsed up to (and including the header of) the pixel data element
+ * @returns {Object|null} dataOffset and length of the pixel data, rows, columns, bitsAllocated,
+ *   samplesPerPixel and numberOfFrames, or null when frames cannot be fetched on their own
+ */
+export function readFrameRangeInfo(dataSet) {
+  const transferSyntax = dataSet.string('x00020010') || TransferSyntax.IMPLICIT_VR_LITTLE_ENDIAN;
+  if (!RANGE_FETCHABLE_TRANSFER_SYNTAXES.has(transferSyntax)) {
+    return null;
+  }
+
+  const pixelDataInfo = getPixelDataElement(dataSet);
+  const element = pixelDataInfo?.element;
+  if (!element || element.hadUndefinedLength || !Number.isFinite(element.dataOffset) || !element.length) {
+    return null;
+  }
+
+  const rows = dataSet.uint16('x00280010');
+  const columns = dataSet.uint16('x00280011');
+  const bitsAllocated = pixelDataInfo.bitsAllocated ?? dataSet.uint16('x00280100');
+  if (!rows || !columns || !bitsAllocated) {
+    return null;
+  }
+
+  return {
+    dataOffset: element.dataOffset,
+    length: element.length,
+    rows,
+    columns,
+    bitsAllocated,
+    samplesPerPixel: getStoredSamplesPerPixel(
+      dataSet.string('x00280004') || 'MONOCHROME2',
+      dataSet.uint16('x00280002') || 1
+    ),
+    numberOfFrames: parseInt(dataSet.string('x00280008') || '1', 10) || 1,
+  };
+}
+
+/**
+ * Work out the byte range holding one frame of native pixel data
+ * @param {Object} rangeInfo - Result of readFrameRangeInfo
+ * @param {number} frameIndex - Zero-based frame index
+ * @returns {Object|null} start/end file offsets (inclusive), the bounded frame index and the 1-bit offset,
+ *   or null when the frame cannot be fetched on its own
+ */
+export function getFrameRangeRequest(rangeInfo, frameIndex) {
+  if (!rangeInfo) {
+    return null;
+  }
+
+  const { dataOffset, length, rows, columns, bitsAllocated, samplesPerPixel, numberOfFrames } = rangeInfo;
+  const boundedFrameIndex = Math.min(Math.max(frameIndex, 0), numberOfFrames - 1);
+  const frameRange = getFrameByteRange({
+    frameIndex: boundedFrameIndex,
+    rows,
+    columns,
+    samplesPerPixel,
+    bitsAllocated,
+  });
+  const byteLength = Math.min(frameRange.byteLength, length - frameRange.byteOffset);
+  if (byteLength <= 0) {
+    return null;
+  }
+
+  const start = dataOffset + frameRange.byteOffset;
+  return {
+    start,
+    end: start + byteLength - 1,
+    frameIndex: boundedFrameIndex,
+    bitOffset: frameRange.bitOffset,
+  };
+}
+
+// Single-frame files are excluded: the whole file is needed anyway and headers add up across large series
+function isMultiFrameRange(rangeInfo) {
+  return rangeInfo?.numberOfFrames > 1 && !!getFrameRangeRequest(rangeInfo, 0);
+}
+
+/**
+ * Parse the first bytes of a file up to the pixel data element
+ * A header cut off before the pixel data element (e.g. large functional groups) is reported as truncated,
+ * with the tags read so far
+ * @param {Uint8Array} bytes - Range-fetched start of the file
+ * @returns {Object} tags (dicomdump format), rangeInfo (range-fetchable multi-frame files only), truncated and
+ *   multiFrame
+ */
+export function describeFileHeader(bytes) {
+  let dataSet;
+  let truncated = false;
+  try {
+    dataSet = parseDicom(bytes, { untilTag: 'x7fe00010' });
+  } catch (error) {
+    // dicomParser reports a buffer overrun with the elements parsed before it
+    if (!error?.dataSet) {
+      throw error;
+    }
+    dataSet = error.dataSet;
+    truncated = true;
+  }
+
+  const rangeInfo = truncated ? null : readFrameRangeInfo(dataSet);
+  return {
+    tags: extractHeaderTags(dataSet),
+    rangeInfo: isMultiFrameRange(rangeInfo) ? rangeInfo : null,
+    truncated,
+    multiFrame: (parseInt(dataSet.string('x00280008') || '1', 10) || 1) > 1,
+  };
+}
+
+/**
+ * Keep the header of a file URL when its frames can be range-fetched
+ * @param {string} url
+ * @param {Object} header - headerBytes (the file up to its pixel data) and rangeInfo (see readFrameRangeInfo)
+ * @returns {boolean} Whether the header was kept
+ */
+export function cacheDicomHeader(url, header) {
+  if (!url || !header?.headerBytes || !isMultiFrameRange(header.rangeInfo)) {
+    return false;
+  }
+
+  if (headerCache.has(url)) {
+    headerCache.delete(url);
+  } else if (headerCache.size >= HEADER_CACHE_LIMIT) {
+    headerCache.delete(headerCache.keys().next().value);
+  }
+  headerCache.set(url, header);
+  return true;
+}
+
+/**
+ * Header kept for a file URL (headerBytes and rangeInfo), if any
+ */
+export function getDicomHeader(url) {
+  return headerCache.get(url) || null;
+}
+
+export function clearDicomHeaders() {
+  headerCache.clear();
+}
+
+// Tags XNATClient reports per file, in the same shape as XNAT's dicomdump service
+const HEADER_TAGS = [
+  ['(0020,000E)', 'x0020000e'], // SeriesInstanceUID - CRITICAL
+  ['(0020,000D)', 'x0020000d'], // StudyInstanceUID - CRITICAL
+  ['(0020,0013)', 'x00200013'], // InstanceNumber
+  ['(0020,0032)', 'x00200032'], // ImagePositionPatient
+  ['(0020,0037)', 'x00200037'], // ImageOrientationPatient
+  ['(0028,0030)', 'x00280030'], // PixelSpacing
+  ['(0018,0050)', 'x00180050'], // SliceThickness
+  ['(0018,0088)', 'x00180088'], // SpacingBetweenSlices
+  ['(0020,1041)', 'x00201041'], // SliceLocation
+  ['(0008,0018)', 'x00080018'], // SOPInstanceUID
+  ['(0008,0016)', 'x00080016'], // SOPClassUID
+  ['(0002,0010)', 'x00020010'], // TransferSyntaxUID
+  ['(0028,0008)', 'x00280008'], // NumberOfFrames
+  ['(0028,0009)', 'x00280009'], // FrameIncrementPointer
+  ['(0018,1063)', 'x00181063'], // FrameTime
+  ['(0018,1065)', 'x00181065'], // FrameTimeVector
+  ['(0020,9128)', 'x00209128'], // TemporalPositionIndex
+  ['(0028,0010)', 'x00280010'], // Rows
+  ['(0028,0011)', 'x00280011'], // Columns
+  ['(0020,0052)', 'x00200052'], // FrameOfReferenceUID
+  ['(0008,0032)', 'x00080032'], // AcquisitionTime
+  ['(0020,0012)', 'x00200012'], // AcquisitionNumber
+  ['(0020,0011)', 'x00200011'], // SeriesNumber
+];
+
+/**
+ * Extract the per-file tags XNATClient sorts and groups by, in dicomdump format
+ * @returns {Object} { ResultSet: { Result: [{ tag1, value }] } }
+ */
+export function extractHeaderTags(dataSet) {
+  return {
+    ResultSet: {
+      Result: HEADER_TAGS
+        .map(([tag1, tag]) => ({ tag1, value: dataSet.string(tag) }))
+        .filter(item => item.value !== undefined),
+    },
+  };
+}
+
+export default {
+  readFrameRangeInfo,
+  getFrameRangeRequest,
+  describeFileHeader,
+  cacheDicomHeader,
+  getDicomHeader,
+  clearDicomHeaders,
+  extractHeaderTags,
+};
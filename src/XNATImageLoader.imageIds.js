@@ -0,0 +1,130 @@
+/**
+ * XNAT imageId scheme
+ * Portable imageIds name the file rather than the server URL, so saved measurements and hanging protocol state
+ * survive switching between the /xnat-api proxy and the direct URL, or between hostnames of the same XNAT:
+ *
+ *   xnat:<server-alias>/<experiment>/<scan>/<resource>/<file>[?frame=n]
+ *
+ * The alias is resolved to the configured base URL when the file is fetched. Older imageIds holding the file URL
+ * (xnat:https://host/data/... or xnat:/xnat-api/data/...) are still accepted
+ */
+
+const servers = new Map();
+
+// Catalog URIs come as /data/experiments/... or /data/projects/<p>/subjects/<s>/experiments/...
+const FILE_URI_PATTERN = /\/experiments\/([^/]+)\/scans\/([^/]+)\/resources\/([^/]+)\/files\/(.+)$/;
+const ABSOLUTE_URL_PATTERN = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+/**
+ * Map a server alias to the base URL its files are fetched from
+ * @param {string} alias - Stable name for the XNAT server, e.g. from the data source's serverAlias option
+ * @param {string} baseUrl - Current base URL (proxy path or absolute URL)
+ */
+export function registerXNATServer(alias, baseUrl) {
+  servers.set(alias, (baseUrl || '').replace(/\/+$/, ''));
+}
+
+/**
+ * Base URL registered for an alias
+ * @returns {string|undefined}
+ */
+export function getXNATServerUrl(alias) {
+  return servers.get(alias);
+}
+
+/**
+ * Build a portable imageId
+ * @param {Object} location
+ * @param {string} location.serverAlias
+ * @param {string} location.experimentId
+ * @param {string} location.scanId
+ * @param {string} location.resource - Resource label or ID, e.g. DICOM
+ * @param {string} location.file - File name, relative to the resource (may contain folders)
+ * @param {number} [location.frameIndex] - Zero-based frame for multi-frame files
+ * @returns {string}
+ */
+export function createImageId({ serverAlias, experimentId, scanId, resource, file, frameIndex }) {
+  const imageId = `xnat:${serverAlias}/${experimentId}/${scanId}/${resource}/${file}`;
+  return Number.isInteger(frameIndex) ? `${imageId}?frame=${frameIndex}` : imageId;
+}
+
+/**
+ * Build a portable imageId from a catalog file URI
+ * @param {string} serverAlias
+ * @param {string} fileUri - URI from the XNAT files listing
+ * @returns {string|null} imageId, or null when the URI is not a scan resource file
+ */
+export function createImageIdFromUri(serverAlias, fileUri) {
+  const match = (fileUri || '').split('?')[0].match(FILE_URI_PATTERN);
+  if (!serverAlias || !match) {
+    return null;
+  }
+  const [, experimentId, scanId, resource, file] = match;
+  return createImageId({ serverAlias, experimentId, scanId, resource, file });
+}
+
+function parseFrameIndex(query) {
+  const frameParam = new URLSearchParams(query || '').get('frame');
+  const frame = frameParam !== null ? parseInt(frameParam, 10) : 0;
+  return Number.isInteger(frame) && frame >= 0 ? frame : 0;
+}
+
+function parseLegacyImageId(raw) {
+  try {
+    const url = new URL(raw);
+    const frameIndex = parseFrameIndex(url.search);
+    url.searchParams.delete('frame');
+    return { url: url.toString(), frameIndex };
+  } catch (error) {
+    const [base, query] = raw.split('?');
+    return { url: base, frameIndex: parseFrameIndex(query) };
+  }
+}
+
+/**
+ * Whether an imageId uses the portable scheme
+ */
+export function isPortableImageId(imageId) {
+  const raw = (imageId || '').replace(/^xnat:/, '').split('?')[0];
+  return !ABSOLUTE_URL_PATTERN.test(raw) && !raw.startsWith('/') && raw.split('/').length >= 5;
+}
+
+/**
+ * Resolve an imageId to the file URL and frame
+ * @param {string} imageId - Portable or legacy xnat: imageId
+ * @returns {Object} url and frameIndex; portable imageIds also give serverAlias, experimentId, scanId,
+ * resource and file
+ */
+export function parseImageId(imageId) {
+  const raw = imageId.replace(/^xnat:/, '');
+  if (!isPortableImageId(imageId)) {
+    return parseLegacyImageId(raw);
+  }
+
+  const [path, query] = raw.split('?');
+  const [serverAlias, experimentId, scanId, resource, ...fileParts] = path.split('/');
+  const serverUrl = servers.get(serverAlias);
+  if (serverUrl === undefined) {
+    throw new Error(`Unknown XNAT server alias "${serverAlias}" in imageId ${imageId}`);
+  }
+
+  const file = fileParts.join('/');
+  return {
+    url: `${serverUrl}/data/experiments/${experimentId}/scans/${scanId}/resources/${resource}/files/${file}`,
+    frameIndex: parseFrameIndex(query),
+    serverAlias,
+    experimentId,
+    scanId,
+    resource,
+    file,
+  };
+}
+
+export default {
+  registerXNATServer,
+  getXNATServerUrl,
+  createImageId,
+  createImageIdFromUri,
+  isPortableImageId,
+  parseImageId,
+};
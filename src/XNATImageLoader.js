@@ -1,15 +1,27 @@
-import dicomParser from 'dicom-parser';
-import axios from 'axios';
-import { metaData as cornerstoneMetaData } from '@cornerstonejs/core';
 import {
-  parseNumberArray,
-  parseFloatValue,
-  parseFloatValues,
-  getSequenceItem,
-  getFunctionalGroupValue,
-  parseTemporalPosition,
-  parseImageId,
-} from './XNATImageLoader.utils.js';
+  metaData as cornerstoneMetaData,
+  cache as cornerstoneCache,
+  getRenderingEngines,
+} from '@cornerstonejs/core';
+import { parseImageId } from './XNATImageLoader.utils.js';
+import { parseDicom } from './XNATImageLoader.codecs.js';
+import {
+  getDicomHeader,
+  getFrameRangeRequest,
+  clearDicomHeaders,
+} from './XNATImageLoader.headers.js';
+import { fetchDicomData, decodeDicomFrame } from './XNATImageLoader.frames.js';
+import { applyLoadOptions } from './XNATImageLoader.volume.js';
+import { configureWorkerPool, getWorkerPool } from './XNATWorkerPool.js';
+import {
+  configureRequestQueue,
+  getRequestQueue,
+  getRequestPriority,
+  isAbortError,
+  RequestPriority,
+} from './XNATRequestQueue.js';
+import { configurePersistentCache, getPersistentCache } from './XNATPersistentCache.js';
+import XNATFileCache, { measureMemoryPressure, startMemoryPressureMonitor } from './XNATCachePolicy.js';
 
 /**
  * Image loader for XNAT
@@ -21,10 +33,9 @@ let config = null;
 const metadataCache = new Map();
 let metadataProviderRegistered = false;
 
-// DICOM file cache for improved performance
-const dicomFileCache = new Map();
-const CACHE_SIZE_LIMIT = 512 * 1024 * 1024; // 512MB cache limit
-let currentCacheSize = 0;
+// DICOM file cache for improved performance (LRU, limit set by configure)
+const dicomFileCache = new XNATFileCache({ getPinnedUrls: getOnScreenFileUrls });
+let stopMemoryMonitor = null;
 
 const MetadataModuleKeys = {
   IMAGE_PLANE: 'imagePlaneModule',
@@ -36,41 +47,32 @@ const MetadataModuleKeys = {
   MODALITY_LUT: 'modalityLutModule',
   CALIBRATION: 'calibrationModule',
   MULTI_FRAME: 'multiFrameModule',
+  PATIENT: 'patientModule',
+  GENERAL_STUDY: 'generalStudyModule',
+  PATIENT_STUDY: 'patientStudyModule',
+  GENERAL_EQUIPMENT: 'generalEquipmentModule',
+  CINE: 'cineModule',
+  PET_ISOTOPE: 'petIsotopeModule',
+  PET_SERIES: 'petSeriesModule',
+  SCALING: 'scalingModule',
+  OVERLAY_PLANE: 'overlayPlaneModule',
+  ENHANCED_FRAME: 'enhancedFrameModule',
+  REAL_WORLD_VALUE_MAPPING: 'realWorldValueMappingModule',
 };
 
+const providedModules = new Set(Object.values(MetadataModuleKeys));
+
 function ensureMetadataProviderRegistered() {
   if (metadataProviderRegistered) {
     return;
   }
 
+  // Metadata is stored per imageId under the module names, so serve any module we build
   const provider = (type, imageId) => {
-    const metadata = metadataCache.get(imageId);
-    if (!metadata) {
+    if (!providedModules.has(type)) {
       return undefined;
     }
-
-    switch (type) {
-      case MetadataModuleKeys.IMAGE_PLANE:
-        return metadata.imagePlaneModule;
-      case MetadataModuleKeys.IMAGE_PIXEL:
-        return metadata.imagePixelModule;
-      case MetadataModuleKeys.GENERAL_SERIES:
-        return metadata.generalSeriesModule;
-      case MetadataModuleKeys.GENERAL_IMAGE:
-        return metadata.generalImageModule;
-      case MetadataModuleKeys.SOP_COMMON:
-        return metadata.sopCommonModule;
-      case MetadataModuleKeys.VOI_LUT:
-        return metadata.voiLUTModule;
-      case MetadataModuleKeys.MODALITY_LUT:
-        return metadata.modalityLutModule;
-      case MetadataModuleKeys.CALIBRATION:
-        return metadata.calibrationModule;
-      case MetadataModuleKeys.MULTI_FRAME:
-        return metadata.multiFrameModule;
-      default:
-        return undefined;
-    }
+    return metadataCache.get(imageId)?.[type];
   };
 
   cornerstoneMetaData.addProvider(provider, 100);
@@ -83,378 +85,320 @@ function cacheMetadata(imageId, metadata) {
 
 
 /**
- * Evict old entries from DICOM file cache when limit is reached
+ * File URLs of the images shown in any Cornerstone viewport, so their series stay cached
  */
-function evictFromCache() {
-  if (dicomFileCache.size === 0) return;
-
-  // Remove oldest entry (first in Map)
-  const firstKey = dicomFileCache.keys().next().value;
-  const cachedData = dicomFileCache.get(firstKey);
-  if (cachedData) {
-    currentCacheSize -= cachedData.byteLength;
-    dicomFileCache.delete(firstKey);
-    console.log('🗑️ Evicted from cache:', firstKey, 'New cache size:', Math.round(currentCacheSize / 1024 / 1024), 'MB');
+function getOnScreenFileUrls() {
+  const urls = new Set();
+  try {
+    for (const renderingEngine of getRenderingEngines() || []) {
+      for (const viewport of renderingEngine.getViewports()) {
+        for (const imageId of viewport.getImageIds?.() || []) {
+          if (imageId.startsWith('xnat:')) {
+            urls.add(parseImageId(imageId).url);
+          }
+        }
+      }
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not read on-screen images for cache pinning:', error?.message || error);
   }
+  return urls;
 }
 
 /**
- * Configure the image loader with XNAT credentials
+ * Current memory pressure from the browser heap and Cornerstone's image cache
  */
-export function configure(xnatConfig) {
-  config = xnatConfig;
-  ensureMetadataProviderRegistered();
+function readMemoryPressure() {
+  return measureMemoryPressure({
+    memory: typeof performance !== 'undefined' ? performance.memory : undefined,
+    cornerstoneCache: {
+      sizeBytes: cornerstoneCache.getCacheSize(),
+      maxBytes: cornerstoneCache.getMaxCacheSize(),
+    },
+  });
+}
+
+function relieveMemoryPressure(pressure) {
+  const evicted = dicomFileCache.relievePressure();
+  if (evicted) {
+    console.log('🗑️ Memory pressure', Math.round(pressure * 100) + '%, evicted', evicted, 'DICOM files');
+  }
 }
 
 /**
- * Load an image from XNAT
- * @param {String} imageId - Image ID in format xnat:URL
- * @returns {Object} Image load object with promise property
+ * Apply cache options from the data source configuration
+ * @param {Object} [options] - { limitMB, pressureThreshold, pressureCheckMs }
  */
-export function loadImage(imageId) {
-  console.log('🔵 XNATImageLoader.loadImage called with imageId:', imageId);
-  ensureMetadataProviderRegistered();
-
-  const { url, frameIndex } = parseImageId(imageId);
-  console.log('🔵 Fetching DICOM from URL:', url, 'frame index:', frameIndex);
-  console.log('🔵 Config available:', !!config, 'has credentials:', !!(config?.username && config?.password));
-
-  const promise = (async () => {
-    try {
-    // Check if DICOM file is already cached (cache by URL, not imageId with frame)
-    let arrayBuffer;
-    if (dicomFileCache.has(url)) {
-      console.log('✅ DICOM file found in cache:', url);
-      arrayBuffer = dicomFileCache.get(url).arrayBuffer;
-    } else {
-      // Setup authentication headers
-      const headers = {
-        'Content-Type': 'application/dicom',
-      };
-
-      const axiosConfig = {
-        responseType: 'arraybuffer',
-        headers,
-        withCredentials: true, // Enable cookies for JSESSIONID
-      };
-
-      if (config) {
-        if (config.token) {
-          headers['Authorization'] = `Bearer ${config.token}`;
-          console.log('🔵 Using Bearer token authentication');
-        } else if (config.username && config.password) {
-          const auth = btoa(`${config.username}:${config.password}`);
-          headers['Authorization'] = `Basic ${auth}`;
-          console.log('🔵 Using Basic authentication');
-        }
-      } else {
-        console.warn('⚠️ No config available for authentication!');
-      }
+function configureFileCache(options = {}) {
+  if (options?.limitMB) {
+    dicomFileCache.setLimit(options.limitMB);
+  }
 
-      // Fetch the DICOM file
-      const response = await axios.get(url, axiosConfig);
+  stopMemoryMonitor?.();
+  stopMemoryMonitor = startMemoryPressureMonitor({
+    readPressure: readMemoryPressure,
+    onPressure: relieveMemoryPressure,
+    threshold: options?.pressureThreshold,
+    intervalMs: options?.pressureCheckMs,
+  });
+}
 
-      arrayBuffer = response.data;
+/**
+ * Add a fetched DICOM file to the cache, evicting old entries when the limit is reached
+ * @param {Object} [options]
+ * @param {boolean} [options.persist=true] - Also write the file to the persistent tier, if enabled
+ */
+function cacheDicomFile(url, arrayBuffer, { persist = true } = {}) {
+  if (dicomFileCache.set(url, arrayBuffer)) {
+    const { sizeMB, entries } = dicomFileCache.getStats();
+    console.log('💾 Cached DICOM file:', url, 'Cache size:', Math.round(sizeMB), 'MB', 'Entries:', entries);
+  }
 
-      // Add to cache
-      const byteLength = arrayBuffer.byteLength;
+  const persistentCache = persist ? getPersistentCache() : null;
+  if (persistentCache) {
+    persistentCache.put(url, arrayBuffer).catch(error => {
+      console.warn('⚠️ Could not write persistent cache entry:', url, error?.message || error);
+    });
+  }
+}
 
-      // Evict old entries if cache is full
-      while (currentCacheSize + byteLength > CACHE_SIZE_LIMIT && dicomFileCache.size > 0) {
-        evictFromCache();
-      }
+/**
+ * Build the axios request config with XNAT authentication headers
+ */
+function createRequestConfig() {
+  // Setup authentication headers
+  const headers = {
+    'Content-Type': 'application/dicom',
+  };
 
-      // Cache the DICOM file
-      dicomFileCache.set(url, {
-        arrayBuffer,
-        byteLength,
-        timestamp: Date.now(),
-      });
-      currentCacheSize += byteLength;
+  const axiosConfig = {
+    responseType: 'arraybuffer',
+    headers,
+    withCredentials: true, // Enable cookies for JSESSIONID
+  };
 
-      console.log('💾 Cached DICOM file:', url, 'Cache size:', Math.round(currentCacheSize / 1024 / 1024), 'MB', 'Entries:', dicomFileCache.size);
+  if (config) {
+    if (config.token) {
+      headers['Authorization'] = `Bearer ${config.token}`;
+      console.log('🔵 Using Bearer token authentication');
+    } else if (config.username && config.password) {
+      const auth = btoa(`${config.username}:${config.password}`);
+      headers['Authorization'] = `Basic ${auth}`;
+      console.log('🔵 Using Basic authentication');
     }
+  } else {
+    console.warn('⚠️ No config available for authentication!');
+  }
 
-    // Parse DICOM data
-    const byteArray = new Uint8Array(arrayBuffer);
-    const dataSet = dicomParser.parseDicom(byteArray);
+  return axiosConfig;
+}
 
-    const pixelDataElement = dataSet.elements.x7fe00010;
-    if (!pixelDataElement) {
-      throw new Error('Pixel data element (7FE0,0010) not found in DICOM dataset');
+/**
+ * Fetch (unless cached), parse and decode a frame on the main thread
+ */
+async function loadFrameOnMainThread({ url, frameIndex, arrayBuffer, header, rangeRequest, useRGBA }, signal) {
+  let fileBuffer = arrayBuffer;
+  let rangeFrameBytes = null;
+
+  if (!fileBuffer) {
+    ({ arrayBuffer: fileBuffer, rangeFrameBytes } = await fetchDicomData(
+      url,
+      { ...createRequestConfig(), signal },
+      rangeRequest
+    ));
+    if (fileBuffer) {
+      cacheDicomFile(url, fileBuffer);
     }
+  }
 
-    const transferSyntax = dataSet.string('x00020010');
-    const rows = dataSet.uint16('x00280010');
-    const columns = dataSet.uint16('x00280011');
-    const bitsAllocated = dataSet.uint16('x00280100');
-    const bitsStored = dataSet.uint16('x00280101') || bitsAllocated;
-    const highBit = dataSet.uint16('x00280102');
-    const pixelRepresentation = dataSet.uint16('x00280103');
-    const samplesPerPixel = dataSet.uint16('x00280002') || 1;
-    const photometricInterpretation = dataSet.string('x00280004') || 'MONOCHROME2';
-    const planarConfiguration = dataSet.uint16('x00280006') || 0;
-    const numberOfFrames = parseInt(dataSet.string('x00280008') || '1', 10) || 1;
-
-    const boundedFrameIndex = Math.min(Math.max(frameIndex, 0), numberOfFrames - 1);
-    if (boundedFrameIndex !== frameIndex) {
-      console.warn(`⚠️ Requested frame index ${frameIndex} is outside range, using ${boundedFrameIndex}`);
-    }
+  // Parse DICOM data (deflated datasets are inflated by the codec layer)
+  const dataSet = rangeFrameBytes
+    ? parseDicom(header.headerBytes, { untilTag: 'x7fe00010' })
+    : parseDicom(new Uint8Array(fileBuffer));
+  return decodeDicomFrame(dataSet, frameIndex, { rangeFrameBytes, useRGBA });
+}
 
-    const bytesPerSample = bitsAllocated / 8;
-    const frameSizeBytes = rows * columns * samplesPerPixel * bytesPerSample;
-    const frameOffsetBytes = boundedFrameIndex * frameSizeBytes;
+/**
+ * Fetch (unless cached), parse and decode a frame in the worker pool
+ * Cached files are copied to the worker; freshly fetched files are transferred back for the cache
+ */
+async function loadFrameInWorker(pool, { url, frameIndex, arrayBuffer, header, rangeRequest, useRGBA }, signal) {
+  const message = arrayBuffer
+    ? { type: 'decode', arrayBuffer, frameIndex, useRGBA }
+    : {
+        type: 'load',
+        url,
+        requestConfig: createRequestConfig(),
+        rangeRequest,
+        headerBytes: rangeRequest ? header.headerBytes : null,
+        frameIndex,
+        useRGBA,
+      };
 
-    const availableBytes = Math.max(
-      0,
-      Math.min(frameSizeBytes, pixelDataElement.length - frameOffsetBytes)
-    );
+  const result = await pool.run(message, [], { signal });
+  if (result.arrayBuffer) {
+    cacheDicomFile(url, result.arrayBuffer);
+  }
+  return result;
+}
 
-    if (availableBytes <= 0) {
-      throw new Error('No pixel data available for requested frame');
+/**
+ * Fetch and decode one frame once the request queue lets it run
+ * @param {string} url - File URL
+ * @param {number} frameIndex - Zero-based frame index
+ * @param {AbortSignal} signal - Aborted when the image load is cancelled
+ * @param {Object} [options]
+ * @param {boolean} [options.useRGBA] - Overrides the configured colour output
+ * @returns {Promise<Object>} pixelData, metadata and imageProperties
+ */
+async function loadFrame(url, frameIndex, signal, { useRGBA } = {}) {
+  // Check if DICOM file is already cached (cache by URL, not imageId with frame)
+  let cachedFile = dicomFileCache.get(url);
+  if (!cachedFile) {
+    const persistedFile = await getPersistentCache()?.get(url);
+    if (persistedFile) {
+      cacheDicomFile(url, persistedFile, { persist: false });
+      cachedFile = dicomFileCache.get(url);
     }
+  } else {
+    console.log('✅ DICOM file found in cache:', url);
+  }
 
-    if (availableBytes !== frameSizeBytes) {
-      console.warn('⚠️ Frame pixel data truncated due to limited buffer length');
-    }
+  // Large native multi-frame files: fetch just this frame using the header XNATClient already fetched
+  const header = cachedFile ? null : getDicomHeader(url);
+  const frameRequest = {
+    url,
+    frameIndex,
+    arrayBuffer: cachedFile?.arrayBuffer || null,
+    header,
+    rangeRequest: header ? getFrameRangeRequest(header.rangeInfo, frameIndex) : null,
+    useRGBA: useRGBA ?? !!config?.useRGBA,
+  };
 
-    const pixelDataOffset = pixelDataElement.dataOffset + frameOffsetBytes;
-    let pixelData;
-    if (bitsAllocated === 8) {
-      pixelData = new Uint8Array(arrayBuffer, pixelDataOffset, availableBytes);
-    } else if (bitsAllocated === 16) {
-      const length = availableBytes / 2;
-      if (pixelRepresentation === 0) {
-        pixelData = new Uint16Array(arrayBuffer, pixelDataOffset, length);
-      } else {
-        pixelData = new Int16Array(arrayBuffer, pixelDataOffset, length);
+  const pool = getWorkerPool();
+  if (pool) {
+    try {
+      return await loadFrameInWorker(pool, frameRequest, signal);
+    } catch (error) {
+      if (!error.workerUnavailable) {
+        throw error;
       }
-    } else if (bitsAllocated === 32) {
-      const length = availableBytes / 4;
-      pixelData = new Float32Array(arrayBuffer, pixelDataOffset, length);
-    } else {
-      throw new Error(`Unsupported bits allocated: ${bitsAllocated}`);
+      console.warn('⚠️ Worker pool unavailable, decoding on the main thread:', error.message);
     }
+  }
 
-    const windowCenterValues = parseFloatValues(dataSet.string('x00281050'));
-    const windowWidthValues = parseFloatValues(dataSet.string('x00281051'));
-    const windowCenter = windowCenterValues ? windowCenterValues[0] : null;
-    const windowWidth = windowWidthValues ? windowWidthValues[0] : null;
-
-    const rescaleSlope = parseFloatValue(dataSet.string('x00281053')) ?? 1;
-    const rescaleIntercept = parseFloatValue(dataSet.string('x00281052')) ?? 0;
-
-    const sharedFunctionalGroupsElement = dataSet.elements?.x52009229 || null;
-    const perFrameFunctionalGroupsElement = dataSet.elements?.x52009230 || null;
-    const sharedFunctionalGroups = sharedFunctionalGroupsElement?.items?.[0]?.dataSet || null;
-    const perFrameFunctionalGroup = perFrameFunctionalGroupsElement?.items?.[boundedFrameIndex]?.dataSet || null;
-
-    const orientationString = getFunctionalGroupValue({
-      fallbackDataSet: dataSet,
-      sharedDataSet: sharedFunctionalGroups,
-      perFrameDataSet: perFrameFunctionalGroup,
-      sequenceTag: 'x00209116',
-      valueTag: 'x00200037',
-      fallbackTag: 'x00200037',
-    });
-    const positionString = getFunctionalGroupValue({
-      fallbackDataSet: dataSet,
-      sharedDataSet: sharedFunctionalGroups,
-      perFrameDataSet: perFrameFunctionalGroup,
-      sequenceTag: 'x00209113',
-      valueTag: 'x00200032',
-      fallbackTag: 'x00200032',
-    });
-    const pixelSpacingString = getFunctionalGroupValue({
-      fallbackDataSet: dataSet,
-      sharedDataSet: sharedFunctionalGroups,
-      perFrameDataSet: perFrameFunctionalGroup,
-      sequenceTag: 'x00289110',
-      valueTag: 'x00280030',
-      fallbackTag: 'x00280030',
-    });
-    const sliceThicknessString = getFunctionalGroupValue({
-      fallbackDataSet: dataSet,
-      sharedDataSet: sharedFunctionalGroups,
-      perFrameDataSet: perFrameFunctionalGroup,
-      sequenceTag: 'x00289110',
-      valueTag: 'x00180050',
-      fallbackTag: 'x00180050',
-    });
-    const spacingBetweenSlicesString = getFunctionalGroupValue({
-      fallbackDataSet: dataSet,
-      sharedDataSet: sharedFunctionalGroups,
-      perFrameDataSet: perFrameFunctionalGroup,
-      sequenceTag: 'x00289110',
-      valueTag: 'x00180088',
-      fallbackTag: 'x00180088',
-    });
+  return loadFrameOnMainThread(frameRequest, signal);
+}
 
-    const orientationArray = parseNumberArray(orientationString) || [1, 0, 0, 0, 1, 0];
-    const rawPositionArray = parseNumberArray(positionString);
-    const positionArray = rawPositionArray || [0, 0, 0];
-    const pixelSpacingArray = parseNumberArray(pixelSpacingString) || [1, 1];
-    const sliceThickness = parseFloatValue(sliceThicknessString) || parseFloatValue(spacingBetweenSlicesString) || 1;
-    const spacingBetweenSlices = parseFloatValue(spacingBetweenSlicesString) || sliceThickness;
-
-    let framePosition = positionArray;
-    if (!rawPositionArray && numberOfFrames > 1) {
-      const rowCosines = orientationArray.slice(0, 3);
-      const colCosines = orientationArray.slice(3, 6);
-      const normal = [
-        rowCosines[1] * colCosines[2] - rowCosines[2] * colCosines[1],
-        rowCosines[2] * colCosines[0] - rowCosines[0] * colCosines[2],
-        rowCosines[0] * colCosines[1] - rowCosines[1] * colCosines[0],
-      ];
-      framePosition = [
-        positionArray[0] + normal[0] * sliceThickness * boundedFrameIndex,
-        positionArray[1] + normal[1] * sliceThickness * boundedFrameIndex,
-        positionArray[2] + normal[2] * sliceThickness * boundedFrameIndex,
-      ];
-    }
+/**
+ * Configure the image loader with XNAT credentials
+ * @param {Object} xnatConfig
+ * @param {Object} [xnatConfig.workers] - Worker pool options ({ enabled, maxWorkers })
+ * @param {Object} [xnatConfig.requestQueue] - Request queue options ({ maxConcurrent })
+ * @param {Object} [xnatConfig.persistentCache] - Persistent tier options ({ enabled, quotaMB, maxAgeDays })
+ * @param {Object} [xnatConfig.cache] - In-memory file cache options ({ limitMB, pressureThreshold, pressureCheckMs })
+ */
+export function configure(xnatConfig) {
+  config = xnatConfig;
+  configureWorkerPool(xnatConfig?.workers);
+  configureRequestQueue(xnatConfig?.requestQueue);
+  configurePersistentCache(xnatConfig?.persistentCache, xnatConfig);
+  configureFileCache(xnatConfig?.cache);
+  ensureMetadataProviderRegistered();
+}
 
-    const sliceLocation = framePosition?.[2] ?? parseFloatValue(dataSet.string('x00201041')) ?? 0;
-    const frameOfReferenceUID = dataSet.string('x00200052') || undefined;
-    const temporalInfo = parseTemporalPosition(dataSet, perFrameFunctionalGroupsElement, boundedFrameIndex);
-
-    let minPixelValue = dataSet.int16('x00280106');
-    let maxPixelValue = dataSet.int16('x00280107');
-    if (minPixelValue === undefined || maxPixelValue === undefined || (minPixelValue === 0 && maxPixelValue === 0)) {
-      let min = Number.POSITIVE_INFINITY;
-      let max = Number.NEGATIVE_INFINITY;
-      for (let i = 0; i < pixelData.length; i++) {
-        const value = pixelData[i];
-        if (value < min) min = value;
-        if (value > max) max = value;
-      }
-      minPixelValue = min;
-      maxPixelValue = max;
-    }
+/**
+ * Load an image from XNAT
+ * @param {String} imageId - Image ID in format xnat:URL
+ * @param {Object} [options] - Cornerstone load options
+ * @param {string} [options.requestType] - Sets the queue priority
+ * @param {Object} [options.preScale] - { enabled, scalingParameters }: return Float32 modality values
+ * @param {Object} [options.targetBuffer] - { arrayBuffer, offset, length, type }: write the pixels into a volume
+ * @param {boolean} [options.useRGBA] - Emit RGBA rather than RGB for colour images
+ * @returns {Object} Image load object with promise and cancelFn properties
+ */
+export function loadImage(imageId, options = {}) {
+  console.log('🔵 XNATImageLoader.loadImage called with imageId:', imageId);
+  ensureMetadataProviderRegistered();
 
-    const generalSeriesModule = {
-      seriesInstanceUID: dataSet.string('x0020000e'),
-      seriesNumber: dataSet.intString('x00200011') || null,
-      seriesDescription: dataSet.string('x0008103e') || undefined,
-      modality: dataSet.string('x00080060') || undefined,
-      seriesDate: dataSet.string('x00080021') || undefined,
-      seriesTime: dataSet.string('x00080031') || undefined,
-    };
+  const { url, frameIndex } = parseImageId(imageId);
+  console.log('🔵 Fetching DICOM from URL:', url, 'frame index:', frameIndex);
+  console.log('🔵 Config available:', !!config, 'has credentials:', !!(config?.username && config?.password));
 
-    const sopInstanceUID = dataSet.string('x00080018');
-    const sopClassUID = dataSet.string('x00080016');
-
-    const metadataForImage = {
-      imagePlaneModule: {
-        frameOfReferenceUID,
-        rows,
-        columns,
-        imageOrientationPatient: orientationArray,
-        rowCosines: orientationArray.slice(0, 3),
-        columnCosines: orientationArray.slice(3, 6),
-        imagePositionPatient: framePosition,
-        pixelSpacing: [pixelSpacingArray[0], pixelSpacingArray[1]],
-        rowPixelSpacing: pixelSpacingArray[0],
-        columnPixelSpacing: pixelSpacingArray[1],
-        sliceThickness,
-        spacingBetweenSlices,
-        sliceLocation,
-      },
-      imagePixelModule: {
-        samplesPerPixel,
-        photometricInterpretation,
-        bitsAllocated,
-        bitsStored,
-        highBit: highBit ?? bitsStored - 1,
-        pixelRepresentation,
-        planarConfiguration,
-      },
-      generalSeriesModule,
-      generalImageModule: {
-        sopInstanceUID,
-        instanceNumber: dataSet.intString('x00200013') || boundedFrameIndex + 1,
-        imageType: dataSet.string('x00080008') || undefined,
-        temporalPositionIndex: temporalInfo.temporalPositionIndex || undefined,
-      },
-      sopCommonModule: {
-        sopInstanceUID,
-        sopClassUID,
-      },
-      voiLUTModule: {
-        windowCenter: windowCenter != null ? [windowCenter] : undefined,
-        windowWidth: windowWidth != null ? [windowWidth] : undefined,
-        voiLUTFunction: dataSet.string('x00281055') || undefined,
-      },
-      modalityLutModule: {
-        rescaleIntercept,
-        rescaleSlope,
-        rescaleType: dataSet.string('x00281054') || undefined,
-        scaled: false,
-      },
-      calibrationModule: {},
-      multiFrameModule: {
-        numberOfFrames,
-        frameIncrementPointer: dataSet.string('x00280009') || undefined,
-        temporalPositionIndex: temporalInfo.temporalPositionIndex || undefined,
-        frameTime: temporalInfo.frameTime || undefined,
-      },
-    };
+  // Interaction loads overtake queued thumbnails and prefetches; the slot covers fetch and decode
+  const request = getRequestQueue().add(
+    signal => loadFrame(url, frameIndex, signal, { useRGBA: options?.useRGBA }),
+    { priority: getRequestPriority(options?.requestType) }
+  );
 
-    cacheMetadata(imageId, metadataForImage);
+  const promise = (async () => {
+    try {
+    const decoded = await request.promise;
+    const { metadata, imageProperties } = decoded;
+    // Volumes want modality values written into their own buffer; stacks get the decoded frame as is
+    const { pixelData, minPixelValue, maxPixelValue, modalityLUT, preScale } = applyLoadOptions(decoded, options ?? {});
+
+    cacheMetadata(imageId, metadata);
     console.log('🧭 Image plane metadata:', {
       imageId,
-      seriesInstanceUID: metadataForImage.generalSeriesModule.seriesInstanceUID,
-      instanceNumber: metadataForImage.generalImageModule.instanceNumber,
-      imagePositionPatient: metadataForImage.imagePlaneModule.imagePositionPatient,
-      imageOrientationPatient: metadataForImage.imagePlaneModule.imageOrientationPatient,
-      sliceLocation: metadataForImage.imagePlaneModule.sliceLocation,
-      temporalPositionIndex: metadataForImage.generalImageModule.temporalPositionIndex,
-      frameNumber: boundedFrameIndex + 1,
-      numberOfFrames,
+      seriesInstanceUID: metadata.generalSeriesModule.seriesInstanceUID,
+      instanceNumber: metadata.generalImageModule.instanceNumber,
+      imagePositionPatient: metadata.imagePlaneModule.imagePositionPatient,
+      imageOrientationPatient: metadata.imagePlaneModule.imageOrientationPatient,
+      sliceLocation: metadata.imagePlaneModule.sliceLocation,
+      temporalPositionIndex: metadata.generalImageModule.temporalPositionIndex,
+      frameNumber: imageProperties.frameNumber,
+      numberOfFrames: imageProperties.numberOfFrames,
     });
 
     const image = {
       imageId,
       minPixelValue,
       maxPixelValue,
-      slope: rescaleSlope,
-      intercept: rescaleIntercept,
-      windowCenter: windowCenter ?? (minPixelValue + maxPixelValue) / 2,
-      windowWidth: windowWidth ?? Math.max(maxPixelValue - minPixelValue, 1),
-      rows,
-      columns,
-      height: rows,
-      width: columns,
-      color: samplesPerPixel > 1,
-      columnPixelSpacing: pixelSpacingArray[1] || 1,
-      rowPixelSpacing: pixelSpacingArray[0] || 1,
+      slope: imageProperties.slope,
+      intercept: imageProperties.intercept,
+      windowCenter: imageProperties.windowCenter,
+      windowWidth: imageProperties.windowWidth,
+      voiLUT: imageProperties.voiLUT,
+      modalityLUT,
+      preScale,
+      dataType: pixelData.constructor.name,
+      rows: imageProperties.rows,
+      columns: imageProperties.columns,
+      height: imageProperties.rows,
+      width: imageProperties.columns,
+      color: imageProperties.color,
+      rgba: imageProperties.rgba,
+      columnPixelSpacing: imageProperties.columnPixelSpacing,
+      rowPixelSpacing: imageProperties.rowPixelSpacing,
       sizeInBytes: pixelData.byteLength,
       getPixelData: () => pixelData,
-      photometricInterpretation,
-      samplesPerPixel,
-      numberOfComponents: samplesPerPixel,
-      frameNumber: boundedFrameIndex + 1,
-      numberOfFrames,
-      frameOfReferenceUID,
+      photometricInterpretation: imageProperties.photometricInterpretation,
+      samplesPerPixel: imageProperties.samplesPerPixel,
+      numberOfComponents: imageProperties.samplesPerPixel,
+      frameNumber: imageProperties.frameNumber,
+      numberOfFrames: imageProperties.numberOfFrames,
+      frameOfReferenceUID: imageProperties.frameOfReferenceUID,
       imageFrame: {
-        rows,
-        columns,
+        rows: imageProperties.rows,
+        columns: imageProperties.columns,
         pixelData,
         pixelDataLength: pixelData.length,
-        samplesPerPixel,
-        photometricInterpretation,
-        planarConfiguration,
-        bitsAllocated,
-        bitsStored,
-        highBit: highBit ?? bitsStored - 1,
-        pixelRepresentation,
-        transferSyntax,
-        frameNumber: boundedFrameIndex + 1,
-        numberOfFrames,
+        samplesPerPixel: imageProperties.samplesPerPixel,
+        photometricInterpretation: imageProperties.photometricInterpretation,
+        planarConfiguration: imageProperties.planarConfiguration,
+        bitsAllocated: imageProperties.bitsAllocated,
+        bitsStored: imageProperties.bitsStored,
+        highBit: imageProperties.highBit,
+        pixelRepresentation: imageProperties.pixelRepresentation,
+        transferSyntax: imageProperties.transferSyntax,
+        frameNumber: imageProperties.frameNumber,
+        numberOfFrames: imageProperties.numberOfFrames,
       },
       render: true,
     };
 
-    console.log('🔵 Successfully loaded DICOM image, size:', image.width, 'x', image.height, 'frame', boundedFrameIndex + 1, '/', numberOfFrames);
+    console.log('🔵 Successfully loaded DICOM image, size:', image.width, 'x', image.height, 'frame', image.frameNumber, '/', image.numberOfFrames);
     console.log('🔵 Image details:', {
       minPixelValue: image.minPixelValue,
       maxPixelValue: image.maxPixelValue,
@@ -468,7 +412,11 @@ export function loadImage(imageId) {
 
     return image;
     } catch (error) {
-      console.error('🔴 Error loading image from XNAT:', error);
+      if (isAbortError(error)) {
+        console.log('⏹️ Image load cancelled:', imageId);
+      } else {
+        console.error('🔴 Error loading image from XNAT:', error);
+      }
       throw error;
     }
   })();
@@ -476,15 +424,48 @@ export function loadImage(imageId) {
   // Return an object with the promise property as expected by Cornerstone
   return {
     promise,
+    cancelFn: () => request.cancel(),
   };
 }
 
 /**
- * Clear the DICOM file cache
+ * Fetch a whole DICOM file into the cache at prefetch priority without decoding it
+ * @param {string} url - File URL
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the prefetch
+ * @returns {Promise<boolean>} Whether the file had to be fetched
+ */
+export function prefetchFile(url, { signal } = {}) {
+  if (dicomFileCache.has(url)) {
+    return Promise.resolve(false);
+  }
+
+  return getRequestQueue().add(async requestSignal => {
+    if (dicomFileCache.has(url)) {
+      return false;
+    }
+
+    const persistedFile = await getPersistentCache()?.get(url);
+    if (persistedFile) {
+      cacheDicomFile(url, persistedFile, { persist: false });
+      return true;
+    }
+
+    const { arrayBuffer } = await fetchDicomData(url, { ...createRequestConfig(), signal: requestSignal }, null);
+    cacheDicomFile(url, arrayBuffer);
+    return true;
+  }, { priority: RequestPriority.PREFETCH, signal }).promise;
+}
+
+/**
+ * Clear the DICOM file cache, including the persistent tier
  */
 export function clearCache() {
   dicomFileCache.clear();
-  currentCacheSize = 0;
+  clearDicomHeaders();
+  getPersistentCache()?.clear().catch(error => {
+    console.warn('⚠️ Could not clear persistent cache:', error?.message || error);
+  });
   console.log('🗑️ DICOM file cache cleared');
 }
 
@@ -493,10 +474,10 @@ export function clearCache() {
  */
 export function getCacheStats() {
   return {
-    entries: dicomFileCache.size,
-    sizeBytes: currentCacheSize,
-    sizeMB: Math.round(currentCacheSize / 1024 / 1024 * 100) / 100,
-    limitMB: Math.round(CACHE_SIZE_LIMIT / 1024 / 1024),
+    ...dicomFileCache.getStats(),
+    workers: getWorkerPool()?.getStats() || null,
+    requests: getRequestQueue().getStats(),
+    persistent: getPersistentCache()?.getStats() || null,
   };
 }
 
@@ -510,6 +491,7 @@ export function register(cornerstone) {
 export default {
   configure,
   loadImage,
+  prefetchFile,
   register,
   clearCache,
   getCacheStats,
@@ -0,0 +1,208 @@
+import { parseFloatValue, parseFloatValues, getSequenceItem } from './XNATImageLoader.utils.js';
+
+/**
+ * Modality LUT, VOI LUT and Real World Value Mapping parsing
+ * LUTs are returned in the shape Cornerstone uses for image.modalityLUT and image.voiLUT:
+ * { firstValueMapped, numBitsPerEntry, lut }
+ */
+
+/**
+ * Read one LUT from an item of the Modality LUT Sequence (0028,3000) or VOI LUT Sequence (0028,3010)
+ * @param {Object} item - Sequence item dataset
+ * @param {number} [pixelRepresentation=0] - 1 when the first value mapped is signed
+ * @returns {Object|null} firstValueMapped, numBitsPerEntry, lut, explanation and modalityLUTType
+ */
+export function readLUTItem(item, pixelRepresentation = 0) {
+  const dataElement = item?.elements?.x00283006;
+  if (!item?.elements?.x00283002 || !dataElement) {
+    return null;
+  }
+
+  // LUT Descriptor: number of entries (0 means 65536), first value mapped, bits per entry
+  const numEntries = item.uint16('x00283002', 0) || 65536;
+  const firstValueMapped = pixelRepresentation === 1
+    ? item.int16('x00283002', 1)
+    : item.uint16('x00283002', 1);
+  const numBitsPerEntry = item.uint16('x00283002', 2);
+
+  // 8-bit entries may be packed one per byte rather than one per 16-bit word
+  const packedBytes = numBitsPerEntry <= 8 && dataElement.length < numEntries * 2;
+  const lut = new Array(numEntries);
+  for (let i = 0; i < numEntries; i++) {
+    if (packedBytes) {
+      lut[i] = i < dataElement.length ? item.byteArray[dataElement.dataOffset + i] : 0;
+    } else {
+      // Words follow the dataset's byte order (high byte first in Explicit VR Big Endian)
+      lut[i] = i * 2 + 1 < dataElement.length ? item.uint16('x00283006', i) : 0;
+    }
+  }
+
+  return {
+    firstValueMapped,
+    numBitsPerEntry,
+    lut,
+    explanation: item.string('x00283003') || undefined,
+    modalityLUTType: item.string('x00283004') || undefined,
+  };
+}
+
+function readLUTSequence(dataSet, tag, pixelRepresentation) {
+  return (dataSet.elements?.[tag]?.items || [])
+    .map(item => readLUTItem(item.dataSet, pixelRepresentation))
+    .filter(Boolean);
+}
+
+/**
+ * VOI LUT module with every window and VOI LUT in the dataset
+ * @param {Object} dataSet - Dataset holding the VOI LUT attributes (top level or a Frame VOI LUT item)
+ * @param {number} [pixelRepresentation=0]
+ */
+export function readVOILUTModule(dataSet, pixelRepresentation = 0) {
+  const windowCenter = parseFloatValues(dataSet.string('x00281050')) || undefined;
+  const windowWidth = parseFloatValues(dataSet.string('x00281051')) || undefined;
+  const explanation = dataSet.string('x00281055');
+  const voiLUTSequence = readLUTSequence(dataSet, 'x00283010', pixelRepresentation);
+
+  return {
+    windowCenter,
+    windowWidth,
+    windowCenterWidthExplanation: explanation ? explanation.split('\\').map(value => value.trim()) : undefined,
+    voiLUTFunction: dataSet.string('x00281056') || undefined,
+    voiLUTSequence: voiLUTSequence.length ? voiLUTSequence : undefined,
+  };
+}
+
+/**
+ * Modality LUT module: linear rescale, or a Modality LUT Sequence replacing it
+ * @param {Object} dataSet - Dataset holding the rescale attributes (top level or a Pixel Value Transformation item)
+ * @param {number} [pixelRepresentation=0]
+ */
+export function readModalityLUTModule(dataSet, pixelRepresentation = 0) {
+  const modalityLUTSequence = readLUTSequence(dataSet, 'x00283000', pixelRepresentation);
+
+  return {
+    rescaleIntercept: parseFloatValue(dataSet.string('x00281052')) ?? 0,
+    rescaleSlope: parseFloatValue(dataSet.string('x00281053')) ?? 1,
+    rescaleType: dataSet.string('x00281054') || modalityLUTSequence[0]?.modalityLUTType || undefined,
+    modalityLUTSequence: modalityLUTSequence.length ? modalityLUTSequence : undefined,
+    scaled: false,
+  };
+}
+
+function doubleValues(dataSet, tag) {
+  const element = dataSet.elements?.[tag];
+  if (!element || element.length < 8) {
+    return undefined;
+  }
+  return Array.from({ length: Math.floor(element.length / 8) }, (_, index) => dataSet.double(tag, index));
+}
+
+/**
+ * Real World Value Mapping Sequence (0040,9096): stored value ranges mapped to quantities with units
+ * @param {Object} dataSet - Dataset holding the sequence (top level or a functional group)
+ * @param {number} [pixelRepresentation=0] - 1 when the integer first/last values mapped are signed
+ * @returns {Array<Object>|undefined} Mappings with firstValueMapped, lastValueMapped, slope/intercept or lut, label and units
+ */
+export function readRealWorldValueMappings(dataSet, pixelRepresentation = 0) {
+  const items = dataSet?.elements?.x00409096?.items || [];
+  const read = pixelRepresentation === 1 ? 'int16' : 'uint16';
+
+  const mappings = items.map(({ dataSet: item }) => {
+    // Float pixel data uses the Double Float first/last values instead of the US/SS ones
+    const firstValueMapped = item.elements.x00409216 ? item[read]('x00409216') : doubleValues(item, 'x00409214')?.[0];
+    const lastValueMapped = item.elements.x00409211 ? item[read]('x00409211') : doubleValues(item, 'x00409213')?.[0];
+    const units = getSequenceItem(item, 'x004008ea');
+
+    return {
+      firstValueMapped,
+      lastValueMapped,
+      intercept: doubleValues(item, 'x00409224')?.[0],
+      slope: doubleValues(item, 'x00409225')?.[0],
+      lut: doubleValues(item, 'x00409212'),
+      lutLabel: item.string('x00409210') || undefined,
+      lutExplanation: item.string('x00283003') || undefined,
+      units: units
+        ? {
+            codeValue: units.string('x00080100') || undefined,
+            codingSchemeDesignator: units.string('x00080102') || undefined,
+            codeMeaning: units.string('x00080104') || undefined,
+          }
+        : undefined,
+    };
+  });
+
+  return mappings.length ? mappings : undefined;
+}
+
+/**
+ * Window covering the input range of a LUT, for viewers that can only apply windows
+ */
+export function getLUTWindow(lut) {
+  return {
+    windowCenter: lut.firstValueMapped + lut.lut.length / 2,
+    windowWidth: Math.max(lut.lut.length, 1),
+  };
+}
+
+/**
+ * Named window presets stored in a file
+ * @param {Object} voiLUTModule - Result of readVOILUTModule
+ * @returns {Array<Object>} label, windowCenter, windowWidth and whether it approximates a VOI LUT
+ */
+export function getWindowPresets(voiLUTModule) {
+  if (!voiLUTModule) {
+    return [];
+  }
+
+  const { windowCenter = [], windowWidth = [], windowCenterWidthExplanation = [], voiLUTSequence = [] } = voiLUTModule;
+  const presets = windowCenter
+    .map((center, index) => ({
+      label: windowCenterWidthExplanation[index] || `Window ${index + 1}`,
+      windowCenter: center,
+      windowWidth: windowWidth[index],
+      fromLUT: false,
+    }))
+    .filter(preset => Number.isFinite(preset.windowCenter) && preset.windowWidth > 0);
+
+  voiLUTSequence.forEach((lut, index) => {
+    presets.push({
+      label: lut.explanation || `VOI LUT ${index + 1}`,
+      ...getLUTWindow(lut),
+      fromLUT: true,
+    });
+  });
+
+  return presets;
+}
+
+/**
+ * Viewport W/L menu presets (OHIF's cornerstone.windowLevelPresets customization) with stored presets added
+ * @param {Object} menuPresets - Menu presets by modality, e.g. { CT: [{ id, description, window, level }] }
+ * @param {string} modality - Modality of the series the presets were read from
+ * @param {Array<Object>} presets - Stored presets (see getWindowPresets), one per label
+ * @returns {Object} The menu presets, with the stored ones after the modality's own presets
+ */
+export function buildWindowLevelMenuPresets(menuPresets = {}, modality, presets = []) {
+  if (!modality || !presets.length) {
+    return menuPresets;
+  }
+
+  const added = presets.map(preset => ({
+    id: `xnat-${preset.label}`,
+    description: preset.fromLUT ? `${preset.label} (VOI LUT, approximated)` : preset.label,
+    window: String(Math.round(preset.windowWidth)),
+    level: String(Math.round(preset.windowCenter)),
+  }));
+
+  return { ...menuPresets, [modality]: [...(menuPresets[modality] || []), ...added] };
+}
+
+export default {
+  readLUTItem,
+  readVOILUTModule,
+  readModalityLUTModule,
+  readRealWorldValueMappings,
+  getLUTWindow,
+  getWindowPresets,
+  buildWindowLevelMenuPresets,
+};
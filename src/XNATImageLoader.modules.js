@@ -0,0 +1,252 @@
+import { parseFloatValue, parseNumberArray, getSequenceItem } from './XNATImageLoader.utils.js';
+
+/**
+ * Descriptive Cornerstone metadata modules built from a parsed DICOM dataset
+ * Field names follow the modules Cornerstone's own DICOM image loader provides
+ */
+
+function stringValue(dataSet, tag) {
+  const value = dataSet.string(tag);
+  return value === undefined || value === '' ? undefined : value;
+}
+
+function floatValue(dataSet, tag) {
+  return parseFloatValue(dataSet.string(tag)) ?? undefined;
+}
+
+/**
+ * Patient, study, equipment and cine modules
+ * @param {Object} dataSet - Parsed dicomParser dataset
+ * @returns {Object} patientModule, generalStudyModule, patientStudyModule, generalEquipmentModule and cineModule
+ */
+export function buildDescriptiveModules(dataSet) {
+  return {
+    patientModule: {
+      patientName: stringValue(dataSet, 'x00100010'),
+      patientId: stringValue(dataSet, 'x00100020'),
+      patientID: stringValue(dataSet, 'x00100020'),
+      patientBirthDate: stringValue(dataSet, 'x00100030'),
+      patientSex: stringValue(dataSet, 'x00100040'),
+    },
+    generalStudyModule: {
+      studyInstanceUID: stringValue(dataSet, 'x0020000d'),
+      studyDate: stringValue(dataSet, 'x00080020'),
+      studyTime: stringValue(dataSet, 'x00080030'),
+      studyDescription: stringValue(dataSet, 'x00081030'),
+      studyID: stringValue(dataSet, 'x00200010'),
+      accessionNumber: stringValue(dataSet, 'x00080050'),
+      referringPhysicianName: stringValue(dataSet, 'x00080090'),
+    },
+    patientStudyModule: {
+      // Age String, e.g. 045Y; patientAgeInYears is only set for ages given in years
+      patientAge: stringValue(dataSet, 'x00101010'),
+      patientAgeInYears: /Y$/i.test(dataSet.string('x00101010') || '')
+        ? parseInt(dataSet.string('x00101010'), 10)
+        : undefined,
+      patientSize: floatValue(dataSet, 'x00101020'),
+      patientWeight: floatValue(dataSet, 'x00101030'),
+      patientSex: stringValue(dataSet, 'x00100040'),
+    },
+    generalEquipmentModule: {
+      manufacturer: stringValue(dataSet, 'x00080070'),
+      institutionName: stringValue(dataSet, 'x00080080'),
+      institutionAddress: stringValue(dataSet, 'x00080081'),
+      stationName: stringValue(dataSet, 'x00081010'),
+      institutionalDepartmentName: stringValue(dataSet, 'x00081040'),
+      manufacturerModelName: stringValue(dataSet, 'x00081090'),
+      deviceSerialNumber: stringValue(dataSet, 'x00181000'),
+      softwareVersions: stringValue(dataSet, 'x00181020'),
+    },
+    cineModule: {
+      frameTime: floatValue(dataSet, 'x00181063'),
+      frameTimeVector: parseNumberArray(dataSet.string('x00181065')) || undefined,
+      cineRate: floatValue(dataSet, 'x00180040'),
+      recommendedDisplayFrameRate: floatValue(dataSet, 'x00082144'),
+      actualFrameDuration: floatValue(dataSet, 'x00181242'),
+      startTrim: floatValue(dataSet, 'x00082142'),
+      stopTrim: floatValue(dataSet, 'x00082143'),
+    },
+  };
+}
+
+/**
+ * Parse a DICOM TM value (HHMMSS.FFFFFF, parts after HH optional)
+ * @returns {Object|undefined} hours, minutes, seconds and fractionalSeconds, as Cornerstone expects
+ */
+export function parseDicomTime(value) {
+  const match = /^(\d{2})(\d{2})?(\d{2})?(?:\.(\d{1,6}))?/.exec((value || '').trim().replace(/:/g, ''));
+  if (!match) {
+    return undefined;
+  }
+  return {
+    hours: parseInt(match[1], 10),
+    minutes: parseInt(match[2] || '0', 10),
+    seconds: parseInt(match[3] || '0', 10),
+    fractionalSeconds: match[4] ? parseFloat(`0.${match[4]}`) : 0,
+  };
+}
+
+/**
+ * Milliseconds since the epoch for a DT value (YYYYMMDDHHMMSS.FFFFFF)
+ * Time zones are ignored; only differences between values from the same file are used
+ * @returns {number|undefined} undefined unless both date and time are present
+ */
+export function parseDicomDateTime(value) {
+  const dateMatch = /^(\d{4})(\d{2})(\d{2})(.*)$/.exec((value || '').trim());
+  const parsedTime = dateMatch && parseDicomTime(dateMatch[4]);
+  if (!parsedTime) {
+    return undefined;
+  }
+
+  return Date.UTC(
+    parseInt(dateMatch[1], 10),
+    parseInt(dateMatch[2], 10) - 1,
+    parseInt(dateMatch[3], 10),
+    parsedTime.hours,
+    parsedTime.minutes,
+    parsedTime.seconds
+  ) + parsedTime.fractionalSeconds * 1000;
+}
+
+/**
+ * SUV scaling factors that turn stored PET values into SUVbw, SUVlbm and SUVbsa
+ * @param {Object} options
+ * @param {string} options.units - Units (0054,1001): BQML, CNTS or GML
+ * @param {string} [options.decayCorrection] - Decay Correction (0054,1102): START, ADMIN or NONE
+ * @param {number} options.patientWeight - kg
+ * @param {number} [options.patientHeight] - m
+ * @param {string} [options.patientSex] - M or F, needed for SUVlbm
+ * @param {number} options.totalDose - Injected dose in Bq
+ * @param {number} options.halfLife - Radionuclide half-life in seconds
+ * @param {number} options.injectionTime - Injection time in ms
+ * @param {number} options.scanStartTime - Series start in ms, the reference time for START correction
+ * @param {number} [options.acquisitionTime] - Image acquisition in ms, used when nothing is decay corrected
+ * @param {number} [options.philipsSUVFactor] - Philips SUV Scale Factor (7053,1000) for CNTS images
+ * @returns {Object|undefined} suvbw, and suvlbm/suvbsa when sex and height allow
+ */
+export function calculateSUVScalingFactors({
+  units,
+  decayCorrection = 'START',
+  patientWeight,
+  patientHeight,
+  patientSex,
+  totalDose,
+  halfLife,
+  injectionTime,
+  scanStartTime,
+  acquisitionTime,
+  philipsSUVFactor,
+}) {
+  if (units === 'GML') {
+    return { suvbw: 1 };
+  }
+  if (units === 'CNTS') {
+    return philipsSUVFactor ? { suvbw: philipsSUVFactor } : undefined;
+  }
+  if (units !== 'BQML' || !patientWeight || !totalDose) {
+    return undefined;
+  }
+
+  let decayedDose = totalDose;
+  if (decayCorrection !== 'ADMIN') {
+    const referenceTime = decayCorrection === 'NONE' ? acquisitionTime : scanStartTime;
+    if (!halfLife || !Number.isFinite(injectionTime) || !Number.isFinite(referenceTime)) {
+      return undefined;
+    }
+    const elapsedSeconds = (referenceTime - injectionTime) / 1000;
+    decayedDose = totalDose * Math.pow(2, -elapsedSeconds / halfLife);
+  }
+
+  const factors = { suvbw: (patientWeight * 1000) / decayedDose };
+
+  if (patientHeight) {
+    const heightCm = patientHeight * 100;
+    // Du Bois body surface area, converted from m² to cm²
+    const bsa = 0.007184 * Math.pow(patientWeight, 0.425) * Math.pow(heightCm, 0.725);
+    factors.suvbsa = (bsa * 10000) / decayedDose;
+
+    // James lean body mass, kg converted to g
+    const sex = (patientSex || '').toUpperCase();
+    if (sex === 'M' || sex === 'F') {
+      const lbm = sex === 'M'
+        ? 1.1 * patientWeight - 128 * Math.pow(patientWeight / heightCm, 2)
+        : 1.07 * patientWeight - 148 * Math.pow(patientWeight / heightCm, 2);
+      factors.suvlbm = (lbm * 1000) / decayedDose;
+    }
+  }
+
+  return factors;
+}
+
+/**
+ * PET isotope, series and SUV scaling modules
+ * @param {Object} dataSet - Parsed dicomParser dataset
+ * @returns {Object} petIsotopeModule, petSeriesModule and scalingModule; empty for other modalities
+ */
+export function buildPetModules(dataSet) {
+  if (stringValue(dataSet, 'x00080060') !== 'PT') {
+    return {};
+  }
+
+  const radiopharmaceutical = getSequenceItem(dataSet, 'x00540016');
+  const joinDateTime = (date, time) => (date && time ? `${date.trim()}${time.trim()}` : undefined);
+  const radiopharmaceuticalInfo = radiopharmaceutical
+    ? {
+        radiopharmaceutical: stringValue(radiopharmaceutical, 'x00181031'),
+        radiopharmaceuticalStartTime: parseDicomTime(radiopharmaceutical.string('x00181072')),
+        radiopharmaceuticalStartDateTime: stringValue(radiopharmaceutical, 'x00181078'),
+        radionuclideTotalDose: floatValue(radiopharmaceutical, 'x00181074'),
+        radionuclideHalfLife: floatValue(radiopharmaceutical, 'x00181075'),
+        radionuclidePositronFraction: floatValue(radiopharmaceutical, 'x00181076'),
+      }
+    : undefined;
+
+  const petSeriesModule = {
+    units: stringValue(dataSet, 'x00541001'),
+    decayCorrection: stringValue(dataSet, 'x00541102'),
+    correctedImage: dataSet.string('x00280051')?.split('\\') || undefined,
+    seriesDate: stringValue(dataSet, 'x00080021'),
+    seriesTime: stringValue(dataSet, 'x00080031'),
+    acquisitionDate: stringValue(dataSet, 'x00080022'),
+    acquisitionTime: stringValue(dataSet, 'x00080032'),
+    frameReferenceTime: floatValue(dataSet, 'x00541300'),
+    actualFrameDuration: floatValue(dataSet, 'x00181242'),
+  };
+
+  const injectionTime = radiopharmaceuticalInfo?.radiopharmaceuticalStartDateTime
+    ? parseDicomDateTime(radiopharmaceuticalInfo.radiopharmaceuticalStartDateTime)
+    : parseDicomDateTime(joinDateTime(
+        dataSet.string('x00080021') || dataSet.string('x00080022'),
+        radiopharmaceutical?.string('x00181072')
+      ));
+
+  const scalingModule = calculateSUVScalingFactors({
+    units: petSeriesModule.units,
+    decayCorrection: petSeriesModule.decayCorrection,
+    patientWeight: floatValue(dataSet, 'x00101030'),
+    patientHeight: floatValue(dataSet, 'x00101020'),
+    patientSex: stringValue(dataSet, 'x00100040'),
+    totalDose: radiopharmaceuticalInfo?.radionuclideTotalDose,
+    halfLife: radiopharmaceuticalInfo?.radionuclideHalfLife,
+    injectionTime,
+    scanStartTime: parseDicomDateTime(joinDateTime(dataSet.string('x00080021'), dataSet.string('x00080031'))),
+    acquisitionTime: parseDicomDateTime(joinDateTime(dataSet.string('x00080022'), dataSet.string('x00080032'))),
+    philipsSUVFactor: floatValue(dataSet, 'x70531000'),
+  });
+
+  if (!scalingModule) {
+    console.warn('⚠️ PET image without enough dose, weight or timing information for SUV:', dataSet.string('x00080018'));
+  }
+
+  return {
+    petIsotopeModule: radiopharmaceuticalInfo ? { radiopharmaceuticalInfo } : undefined,
+    petSeriesModule,
+    scalingModule,
+  };
+}
+
+export default {
+  buildDescriptiveModules,
+  buildPetModules,
+  calculateSUVScalingFactors,
+};
@@ -0,0 +1,190 @@
+/**
+ * Siemens mosaic handling
+ * BOLD and diffusion scans from Siemens scanners store every slice of a volume as tiles of one large image.
+ * Mosaics are recognised from ImageType (MOSAIC) and the number of images in the CSA image header, and each tile is
+ * served as a virtual frame with its own geometry
+ */
+
+const CSA_IMAGE_HEADER_CREATOR = 'SIEMENS CSA HEADER';
+const MR_HEADER_CREATOR = 'SIEMENS MR HEADER';
+
+/**
+ * Parse a Siemens CSA header (SV10 or the older unlabelled format)
+ * @param {Uint8Array} bytes - Value of the CSA Image Header Info element
+ * @returns {Object} Values by element name, each an array of strings
+ */
+export function parseCSAHeader(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder('latin1');
+  const readString = (offset, length) => decoder.decode(bytes.subarray(offset, offset + length)).replace(/\0.*$/s, '').trim();
+
+  // SV10 headers start with "SV10" and four check bytes before the element count
+  let offset = readString(0, 4) === 'SV10' ? 8 : 0;
+  const elementCount = view.getUint32(offset, true);
+  offset += 8;
+
+  const header = {};
+  for (let i = 0; i < elementCount && offset + 84 <= bytes.byteLength; i++) {
+    const name = readString(offset, 64);
+    const itemCount = view.getInt32(offset + 76, true);
+    offset += 84;
+
+    const values = [];
+    for (let j = 0; j < itemCount && offset + 16 <= bytes.byteLength; j++) {
+      const length = view.getInt32(offset + 4, true);
+      offset += 16;
+      if (length > 0) {
+        values.push(readString(offset, length));
+      }
+      // Item values are padded to four bytes
+      offset += Math.ceil(length / 4) * 4;
+    }
+    header[name] = values.filter(value => value !== '');
+  }
+
+  return header;
+}
+
+/**
+ * Private element of a Siemens block, found through its private creator
+ * @returns {string|null} Tag such as x00291010
+ */
+function findPrivateTag(dataSet, group, creator, elementOffset) {
+  for (let block = 0x10; block <= 0xff; block++) {
+    const creatorTag = `x${group}00${block.toString(16).padStart(2, '0')}`;
+    if (dataSet.elements?.[creatorTag] && dataSet.string(creatorTag)?.trim() === creator) {
+      return `x${group}${block.toString(16).padStart(2, '0')}${elementOffset}`;
+    }
+  }
+  return null;
+}
+
+function readCSAImageHeader(dataSet) {
+  const tag = findPrivateTag(dataSet, '0029', CSA_IMAGE_HEADER_CREATOR, '10');
+  const element = tag && dataSet.elements[tag];
+  if (!element?.length) {
+    return null;
+  }
+
+  try {
+    return parseCSAHeader(new Uint8Array(
+      dataSet.byteArray.buffer,
+      dataSet.byteArray.byteOffset + element.dataOffset,
+      element.length
+    ));
+  } catch (error) {
+    console.warn('⚠️ Unable to parse Siemens CSA image header:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Mosaic layout of a Siemens file
+ * @param {Object} dataSet - Parsed dicomParser dataset
+ * @returns {Object|null} numberOfImages, tilesPerRow, tileRows, tileColumns and sliceNormal (when the CSA header has it),
+ * or null when the file is not a mosaic
+ */
+export function getMosaicInfo(dataSet) {
+  const imageType = (dataSet.string('x00080008') || '').toUpperCase().split('\\');
+  if (!imageType.includes('MOSAIC')) {
+    return null;
+  }
+
+  const csaHeader = readCSAImageHeader(dataSet);
+  let numberOfImages = parseInt(csaHeader?.NumberOfImagesInMosaic?.[0], 10);
+  if (!numberOfImages) {
+    // Older files keep the count in the MR header block
+    const tag = findPrivateTag(dataSet, '0019', MR_HEADER_CREATOR, '0a');
+    numberOfImages = tag && dataSet.elements[tag] ? dataSet.uint16(tag) : 0;
+  }
+
+  const rows = dataSet.uint16('x00280010');
+  const columns = dataSet.uint16('x00280011');
+  if (!numberOfImages || numberOfImages < 2 || !rows || !columns) {
+    return null;
+  }
+
+  const tilesPerRow = Math.ceil(Math.sqrt(numberOfImages));
+  const sliceNormal = csaHeader?.SliceNormalVector?.map(value => parseFloat(value));
+
+  return {
+    numberOfImages,
+    tilesPerRow,
+    tileRows: Math.floor(rows / tilesPerRow),
+    tileColumns: Math.floor(columns / tilesPerRow),
+    sliceNormal: sliceNormal?.length === 3 && sliceNormal.every(Number.isFinite) ? sliceNormal : undefined,
+  };
+}
+
+/**
+ * Copy one tile out of a decoded mosaic frame
+ * @param {TypedArray} pixelData - Whole mosaic
+ * @param {Object} mosaic - Result of getMosaicInfo
+ * @param {number} columns - Mosaic width
+ * @param {number} sliceIndex - Zero-based slice (tiles run left to right, then top to bottom)
+ * @param {number} [samplesPerPixel=1]
+ * @returns {TypedArray} Tile of the same array type
+ */
+export function extractMosaicTile(pixelData, mosaic, columns, sliceIndex, samplesPerPixel = 1) {
+  const { tilesPerRow, tileRows, tileColumns } = mosaic;
+  const tileRow = Math.floor(sliceIndex / tilesPerRow);
+  const tileColumn = sliceIndex % tilesPerRow;
+  const rowLength = tileColumns * samplesPerPixel;
+  const tile = new pixelData.constructor(tileRows * rowLength);
+
+  for (let row = 0; row < tileRows; row++) {
+    const source = ((tileRow * tileRows + row) * columns + tileColumn * tileColumns) * samplesPerPixel;
+    tile.set(pixelData.subarray(source, source + rowLength), row * rowLength);
+  }
+
+  return tile;
+}
+
+/**
+ * Patient position of each mosaic slice
+ * Siemens gives ImagePositionPatient for the corner of the whole mosaic, so it is moved to the first tile's corner
+ * and then along the slice normal
+ * @param {Object} mosaic - Result of getMosaicInfo
+ * @param {Object} geometry
+ * @param {Array<number>} geometry.imagePositionPatient
+ * @param {Array<number>} geometry.imageOrientationPatient
+ * @param {Array<number>} geometry.pixelSpacing - Row spacing, column spacing
+ * @param {number} geometry.rows - Mosaic height
+ * @param {number} geometry.columns - Mosaic width
+ * @param {number} geometry.sliceSpacing - Distance between slice centres
+ * @returns {Array<Array<number>>} One position per slice
+ */
+export function getMosaicSlicePositions(mosaic, {
+  imagePositionPatient,
+  imageOrientationPatient,
+  pixelSpacing,
+  rows,
+  columns,
+  sliceSpacing,
+}) {
+  const rowCosines = imageOrientationPatient.slice(0, 3);
+  const columnCosines = imageOrientationPatient.slice(3, 6);
+  const normal = mosaic.sliceNormal || [
+    rowCosines[1] * columnCosines[2] - rowCosines[2] * columnCosines[1],
+    rowCosines[2] * columnCosines[0] - rowCosines[0] * columnCosines[2],
+    rowCosines[0] * columnCosines[1] - rowCosines[1] * columnCosines[0],
+  ];
+
+  // Moving along a row crosses columns (column spacing), moving down a column crosses rows (row spacing)
+  const acrossRow = (pixelSpacing[1] * (columns - mosaic.tileColumns)) / 2;
+  const downColumn = (pixelSpacing[0] * (rows - mosaic.tileRows)) / 2;
+  const firstSlice = imagePositionPatient.map(
+    (value, axis) => value + rowCosines[axis] * acrossRow + columnCosines[axis] * downColumn
+  );
+
+  return Array.from({ length: mosaic.numberOfImages }, (_, sliceIndex) =>
+    firstSlice.map((value, axis) => value + normal[axis] * sliceSpacing * sliceIndex)
+  );
+}
+
+export default {
+  parseCSAHeader,
+  getMosaicInfo,
+  extractMosaicTile,
+  getMosaicSlicePositions,
+};
@@ -0,0 +1,138 @@
+import { TransferSyntax, swapPixelBytes } from './XNATImageLoader.codecs.js';
+import { unpackBits } from './XNATImageLoader.pixels.js';
+import { parseFloatValue } from './XNATImageLoader.utils.js';
+
+/**
+ * Overlay Plane (60xx) decoding
+ * Overlays come from Overlay Data (60xx,3000) bit planes, possibly with one plane per frame,
+ * or, in older files, from an unused high bit of each pixel (retired embedded overlays)
+ */
+
+const FIRST_OVERLAY_GROUP = 0x6000;
+const LAST_OVERLAY_GROUP = 0x601e;
+
+function overlayTag(group, element) {
+  return `x${group.toString(16)}${element}`;
+}
+
+/**
+ * Overlay groups present in a dataset
+ * @returns {Array<number>} Group numbers (0x6000, 0x6002, ...)
+ */
+export function getOverlayGroups(dataSet) {
+  const groups = [];
+  for (let group = FIRST_OVERLAY_GROUP; group <= LAST_OVERLAY_GROUP; group += 2) {
+    if (dataSet.elements?.[overlayTag(group, '0010')]) {
+      groups.push(group);
+    }
+  }
+  return groups;
+}
+
+/**
+ * Bit plane of one overlay for one image frame, or null when the overlay doesn't cover the frame
+ */
+function readOverlayDataPlane(dataSet, group, frameIndex, { rows, columns, transferSyntax }) {
+  const element = dataSet.elements[overlayTag(group, '3000')];
+  const framesInOverlay = parseInt(dataSet.string(overlayTag(group, '0015')) || '1', 10) || 1;
+  const imageFrameOrigin = dataSet.uint16(overlayTag(group, '0051')) || 1;
+  const overlayFrame = framesInOverlay > 1 ? frameIndex + 1 - imageFrameOrigin : 0;
+  if (overlayFrame < 0 || overlayFrame >= framesInOverlay) {
+    return null;
+  }
+
+  let bytes = new Uint8Array(
+    dataSet.byteArray.buffer,
+    dataSet.byteArray.byteOffset + element.dataOffset,
+    element.length
+  );
+  if (transferSyntax === TransferSyntax.EXPLICIT_VR_BIG_ENDIAN && element.vr === 'OW') {
+    bytes = swapPixelBytes(bytes, 2);
+  }
+
+  const bitsPerFrame = rows * columns;
+  const startBit = overlayFrame * bitsPerFrame;
+  return unpackBits(bytes.subarray(startBit >> 3), bitsPerFrame, startBit & 7);
+}
+
+/**
+ * Decode every overlay that applies to a frame
+ * @param {Object} dataSet - Parsed dicomParser dataset
+ * @param {number} frameIndex - Zero-based image frame
+ * @param {Object} image
+ * @param {TypedArray} image.pixelData - Decoded frame, used for embedded overlays
+ * @param {number} image.bitsAllocated
+ * @param {string} [image.transferSyntax]
+ * @returns {Object} overlayPlaneModule ({ overlays }) and pixelData with embedded overlay bits cleared
+ */
+export function decodeOverlayPlanes(dataSet, frameIndex, { pixelData, bitsAllocated, transferSyntax }) {
+  const overlays = [];
+  let outputPixelData = pixelData;
+
+  for (const group of getOverlayGroups(dataSet)) {
+    const rows = dataSet.uint16(overlayTag(group, '0010'));
+    const columns = dataSet.uint16(overlayTag(group, '0011'));
+    if (!rows || !columns) {
+      continue;
+    }
+
+    let overlayPixels = null;
+    if (dataSet.elements[overlayTag(group, '3000')]) {
+      overlayPixels = readOverlayDataPlane(dataSet, group, frameIndex, { rows, columns, transferSyntax });
+    } else {
+      // Retired embedded overlay: one bit of each pixel value
+      const overlayBitsAllocated = dataSet.uint16(overlayTag(group, '0100'));
+      const bitPosition = dataSet.uint16(overlayTag(group, '0102'));
+      if (overlayBitsAllocated !== bitsAllocated || bitPosition === undefined || !pixelData
+        || pixelData.length !== rows * columns) {
+        continue;
+      }
+
+      // The decoded frame may share the cached file's buffer, so clear the bits in a copy
+      if (outputPixelData === pixelData) {
+        outputPixelData = pixelData.slice();
+      }
+      overlayPixels = new Uint8Array(rows * columns);
+      const mask = 1 << bitPosition;
+      for (let i = 0; i < overlayPixels.length; i++) {
+        overlayPixels[i] = (pixelData[i] & mask) ? 1 : 0;
+        outputPixelData[i] &= ~mask;
+      }
+    }
+
+    if (!overlayPixels) {
+      continue;
+    }
+
+    // Overlay Origin is 1-based row\column
+    const origin = [dataSet.int16(overlayTag(group, '0050'), 0), dataSet.int16(overlayTag(group, '0050'), 1)];
+    overlays.push({
+      group: group.toString(16),
+      rows,
+      columns,
+      type: dataSet.string(overlayTag(group, '0040')) || 'G',
+      x: (origin[1] ?? 1) - 1,
+      y: (origin[0] ?? 1) - 1,
+      pixelData: overlayPixels,
+      description: dataSet.string(overlayTag(group, '0022')) || undefined,
+      label: dataSet.string(overlayTag(group, '1500')) || undefined,
+      roiArea: parseFloatValue(dataSet.string(overlayTag(group, '1301'))) ?? undefined,
+      roiMean: parseFloatValue(dataSet.string(overlayTag(group, '1302'))) ?? undefined,
+      roiStandardDeviation: parseFloatValue(dataSet.string(overlayTag(group, '1303'))) ?? undefined,
+    });
+  }
+
+  if (overlays.length) {
+    console.log('🖍️ Decoded', overlays.length, 'overlay plane(s) for frame', frameIndex + 1);
+  }
+
+  return {
+    overlayPlaneModule: { overlays },
+    pixelData: outputPixelData,
+  };
+}
+
+export default {
+  getOverlayGroups,
+  decodeOverlayPlanes,
+};
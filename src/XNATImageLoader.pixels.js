@@ -0,0 +1,201 @@
+/**
+ * Pixel format handling for the XNAT image loader
+ * Covers packed 1-bit, 8/16/32-bit integer, Float Pixel Data and Double Float Pixel Data
+ */
+
+export const PixelDataTag = {
+  PIXEL_DATA: 'x7fe00010',
+  FLOAT_PIXEL_DATA: 'x7fe00008',
+  DOUBLE_FLOAT_PIXEL_DATA: 'x7fe00009',
+};
+
+/**
+ * Find the element holding the pixel samples
+ * @param {Object} dataSet - Parsed dicomParser dataset
+ * @returns {Object|null} element, tag, floatingPoint and the bitsAllocated implied by the element (if any)
+ */
+export function getPixelDataElement(dataSet) {
+  const elements = dataSet.elements || {};
+
+  if (elements[PixelDataTag.PIXEL_DATA]) {
+    return { element: elements[PixelDataTag.PIXEL_DATA], tag: PixelDataTag.PIXEL_DATA, floatingPoint: false, bitsAllocated: null };
+  }
+  if (elements[PixelDataTag.FLOAT_PIXEL_DATA]) {
+    return { element: elements[PixelDataTag.FLOAT_PIXEL_DATA], tag: PixelDataTag.FLOAT_PIXEL_DATA, floatingPoint: true, bitsAllocated: 32 };
+  }
+  if (elements[PixelDataTag.DOUBLE_FLOAT_PIXEL_DATA]) {
+    return { element: elements[PixelDataTag.DOUBLE_FLOAT_PIXEL_DATA], tag: PixelDataTag.DOUBLE_FLOAT_PIXEL_DATA, floatingPoint: true, bitsAllocated: 64 };
+  }
+
+  return null;
+}
+
+/**
+ * Locate one frame inside native pixel data
+ * 1-bit frames are not byte aligned, so the range also carries the bit offset of the first sample
+ * @returns {Object} byteOffset, byteLength and bitOffset of the frame
+ */
+export function getFrameByteRange({ frameIndex, rows, columns, samplesPerPixel = 1, bitsAllocated }) {
+  const samplesPerFrame = rows * columns * samplesPerPixel;
+
+  if (bitsAllocated === 1) {
+    const startBit = frameIndex * samplesPerFrame;
+    const bitOffset = startBit % 8;
+    return {
+      byteOffset: Math.floor(startBit / 8),
+      byteLength: Math.ceil((bitOffset + samplesPerFrame) / 8),
+      bitOffset,
+    };
+  }
+
+  const frameSizeBytes = samplesPerFrame * (bitsAllocated / 8);
+  return {
+    byteOffset: frameIndex * frameSizeBytes,
+    byteLength: frameSizeBytes,
+    bitOffset: 0,
+  };
+}
+
+/**
+ * Unpack 1-bit samples (least significant bit first) into one byte per sample
+ * @param {Uint8Array} bytes - Packed bytes
+ * @param {number} sampleCount - Samples to unpack
+ * @param {number} [bitOffset=0] - Bit of the first byte holding the first sample
+ * @returns {Uint8Array} Values of 0 or 1
+ */
+export function unpackBits(bytes, sampleCount, bitOffset = 0) {
+  const available = Math.max(0, Math.min(sampleCount, bytes.length * 8 - bitOffset));
+  const output = new Uint8Array(available);
+  for (let i = 0; i < available; i++) {
+    const bit = bitOffset + i;
+    output[i] = (bytes[bit >> 3] >> (bit & 7)) & 1;
+  }
+  return output;
+}
+
+/**
+ * Wrap little-endian frame bytes in the typed array matching the pixel format
+ * @param {Uint8Array} bytes - Frame bytes (copied when the offset is not aligned to the sample size)
+ * @param {Object} format
+ * @param {number} format.bitsAllocated
+ * @param {number} format.pixelRepresentation
+ * @param {boolean} [format.floatingPoint=false] - Samples come from Float or Double Float Pixel Data
+ * @param {number} [format.sampleCount] - Samples in the frame, required for 1-bit data
+ * @param {number} [format.bitOffset=0] - Bit offset of the first 1-bit sample
+ * @returns {TypedArray}
+ */
+export function createPixelArray(bytes, { bitsAllocated, pixelRepresentation = 0, floatingPoint = false, sampleCount, bitOffset = 0 }) {
+  if (bitsAllocated === 1) {
+    return unpackBits(bytes, sampleCount ?? bytes.length * 8 - bitOffset, bitOffset);
+  }
+
+  const bytesPerSample = bitsAllocated / 8;
+  let source = bytes;
+  // Typed array views need aligned offsets, so odd offsets get their own copy
+  if (source.byteOffset % bytesPerSample !== 0) {
+    source = source.slice();
+  }
+  const length = Math.floor(source.byteLength / bytesPerSample);
+  const { buffer, byteOffset } = source;
+  const signed = pixelRepresentation === 1;
+
+  switch (bitsAllocated) {
+    case 8:
+      return signed ? new Int8Array(buffer, byteOffset, length) : new Uint8Array(buffer, byteOffset, length);
+    case 16:
+      return signed ? new Int16Array(buffer, byteOffset, length) : new Uint16Array(buffer, byteOffset, length);
+    case 32:
+      if (floatingPoint) return new Float32Array(buffer, byteOffset, length);
+      return signed ? new Int32Array(buffer, byteOffset, length) : new Uint32Array(buffer, byteOffset, length);
+    case 64:
+      if (floatingPoint) return new Float64Array(buffer, byteOffset, length);
+      break;
+    default:
+      break;
+  }
+
+  throw new Error(`Unsupported bits allocated: ${bitsAllocated}${floatingPoint ? ' (floating point)' : ''}`);
+}
+
+/**
+ * Smallest and largest finite sample values in a frame
+ * NaN and infinite samples in float parametric maps are ignored, as are padding values when a padding range is given
+ * @param {TypedArray} pixelData
+ * @param {Object} [padding] - Result of readPixelPadding
+ */
+export function computeMinMax(pixelData, padding = null) {
+  let min = Number.POSITIVE_INFINITY;
+  let max = Number.NEGATIVE_INFINITY;
+  for (let i = 0; i < pixelData.length; i++) {
+    const value = pixelData[i];
+    if (!Number.isFinite(value)) continue;
+    if (padding && value >= padding.low && value <= padding.high) continue;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+
+  if (min > max) {
+    return { min: 0, max: 0 };
+  }
+  return { min, max };
+}
+
+/**
+ * Read Smallest/Largest Image Pixel Value (0028,0106/0107) with the VR implied by Pixel Representation
+ * Returns null when the values are absent, unusable for the format, or both zero
+ */
+export function readStoredPixelRange(dataSet, { bitsAllocated, pixelRepresentation = 0, floatingPoint = false }) {
+  // US/SS cannot describe 32-bit, float or packed 1-bit data
+  if (floatingPoint || bitsAllocated < 8 || bitsAllocated > 16) {
+    return null;
+  }
+
+  const read = pixelRepresentation === 1 ? 'int16' : 'uint16';
+  const min = dataSet[read]('x00280106');
+  const max = dataSet[read]('x00280107');
+  if (min === undefined || max === undefined || (min === 0 && max === 0) || min > max) {
+    return null;
+  }
+  return { min, max };
+}
+
+/**
+ * Pixel Padding Value (0028,0120) and Pixel Padding Range Limit (0028,0121) as an inclusive stored-value range
+ * @returns {Object|null} low and high padding values, or null when the file has no padding
+ */
+export function readPixelPadding(dataSet, { pixelRepresentation = 0 } = {}) {
+  if (!dataSet.elements?.x00280120) {
+    return null;
+  }
+
+  const read = pixelRepresentation === 1 ? 'int16' : 'uint16';
+  const value = dataSet[read]('x00280120');
+  const rangeLimit = dataSet.elements.x00280121 ? dataSet[read]('x00280121') : value;
+  if (value === undefined) {
+    return null;
+  }
+  return { low: Math.min(value, rangeLimit ?? value), high: Math.max(value, rangeLimit ?? value) };
+}
+
+/**
+ * Window defaults spanning the value range, used when the file carries no window
+ * Float ranges narrower than 1 keep their true width
+ */
+export function getDefaultWindow(min, max) {
+  return {
+    windowCenter: (min + max) / 2,
+    windowWidth: max > min ? max - min : 1,
+  };
+}
+
+export default {
+  PixelDataTag,
+  getPixelDataElement,
+  getFrameByteRange,
+  unpackBits,
+  createPixelArray,
+  computeMinMax,
+  readStoredPixelRange,
+  readPixelPadding,
+  getDefaultWindow,
+};
@@ -1,3 +1,5 @@
+import { parseImageId } from './XNATImageLoader.imageIds.js';
+
 export function parseNumberArray(value) {
   if (!value || typeof value !== 'string') {
     return null;
@@ -78,38 +80,8 @@ export function parseTemporalPosition(dataSet, perFrameFunctionalGroups, frameIn
   };
 }
 
-export function parseImageId(imageId) {
-  const raw = imageId.replace(/^xnat:/, '');
-
-  try {
-    const url = new URL(raw);
-    const frameParam = url.searchParams.get('frame');
-    const frame = frameParam !== null ? parseInt(frameParam, 10) : 0;
-    url.searchParams.delete('frame');
-    return {
-      url: url.toString(),
-      frameIndex: Number.isInteger(frame) && frame >= 0 ? frame : 0,
-    };
-  } catch (error) {
-    const [base, query] = raw.split('?');
-    let frameIndex = 0;
-    if (query) {
-      const params = new URLSearchParams(query);
-      const frameParam = params.get('frame');
-      if (frameParam) {
-        const parsed = parseInt(frameParam, 10);
-        if (Number.isInteger(parsed) && parsed >= 0) {
-          frameIndex = parsed;
-        }
-      }
-    }
-
-    return {
-      url: base,
-      frameIndex,
-    };
-  }
-}
+// Kept here for existing importers; the scheme lives with the server alias registry
+export { parseImageId };
 
 export default {
   parseNumberArray,
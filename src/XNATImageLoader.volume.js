@@ -0,0 +1,188 @@
+/**
+ * Cornerstone3D streaming volume support
+ * Volume loaders ask each image to be pre-scaled into modality units and written straight into the volume's
+ * shared buffer, passed as options.targetBuffer ({ arrayBuffer, offset, length, type }) and options.preScale
+ */
+
+const TARGET_ARRAY_TYPES = {
+  Uint8Array,
+  Int8Array,
+  Uint16Array,
+  Int16Array,
+  Uint32Array,
+  Int32Array,
+  Float32Array,
+  Float64Array,
+};
+
+/**
+ * Scaling parameters for an image, in the shape Cornerstone3D passes in options.preScale.scalingParameters
+ * @param {Object} metadata - Modules returned by decodeDicomFrame
+ * @param {Object} imageProperties - Image properties returned by decodeDicomFrame
+ * @param {Object} [overrides] - Parameters supplied by the caller, which win over the file
+ * @returns {Object} rescaleSlope, rescaleIntercept, modality and, for PET, suvbw
+ */
+export function getScalingParameters(metadata, imageProperties, overrides = {}) {
+  const modality = metadata?.generalSeriesModule?.modality;
+  const parameters = {
+    rescaleSlope: imageProperties?.slope ?? 1,
+    rescaleIntercept: imageProperties?.intercept ?? 0,
+    modality,
+  };
+  const suvbw = metadata?.scalingModule?.suvbw;
+  if (modality === 'PT' && typeof suvbw === 'number') {
+    parameters.suvbw = suvbw;
+  }
+  return { ...parameters, ...overrides };
+}
+
+function isIdentityScaling({ rescaleSlope = 1, rescaleIntercept = 0, modality, suvbw }, modalityLUT) {
+  const suvScaled = modality === 'PT' && typeof suvbw === 'number' && suvbw !== 1;
+  return !modalityLUT && rescaleSlope === 1 && rescaleIntercept === 0 && !suvScaled;
+}
+
+/**
+ * Map stored values to modality units: the Modality LUT when the file has one, otherwise slope and intercept,
+ * then SUVbw for PET
+ * @param {TypedArray} pixelData - Stored values; never modified, as it may view a cached file
+ * @param {Object} scalingParameters - Result of getScalingParameters
+ * @param {Object} [modalityLUT] - First item of the Modality LUT Sequence
+ * @returns {Object} pixelData (Float32Array unless scaling is the identity), scaled, and the scaleValue function
+ * when values changed
+ */
+export function preScalePixelData(pixelData, scalingParameters, modalityLUT = null) {
+  if (isIdentityScaling(scalingParameters, modalityLUT)) {
+    return { pixelData, scaled: true };
+  }
+
+  const { rescaleSlope = 1, rescaleIntercept = 0, modality, suvbw } = scalingParameters;
+  const suvFactor = modality === 'PT' && typeof suvbw === 'number' ? suvbw : 1;
+  const scaleValue = createScaleFunction({ rescaleSlope, rescaleIntercept, suvFactor }, modalityLUT);
+
+  const scaled = new Float32Array(pixelData.length);
+  for (let i = 0; i < pixelData.length; i++) {
+    scaled[i] = scaleValue(pixelData[i]);
+  }
+
+  return { pixelData: scaled, scaled: true, scaleValue };
+}
+
+function createScaleFunction({ rescaleSlope, rescaleIntercept, suvFactor }, modalityLUT) {
+  if (modalityLUT?.lut?.length) {
+    const { lut, firstValueMapped = 0 } = modalityLUT;
+    const last = lut.length - 1;
+    // Values outside the LUT take its first or last entry
+    return value => lut[Math.min(Math.max(value - firstValueMapped, 0), last)] * suvFactor;
+  }
+  return value => (value * rescaleSlope + rescaleIntercept) * suvFactor;
+}
+
+/**
+ * Value range after pre-scaling
+ * Slope and intercept move the stored range; a Modality LUT may not be monotonic, so its entries count too
+ * @param {number} minPixelValue - Smallest stored value
+ * @param {number} maxPixelValue - Largest stored value
+ * @param {Function} scaleValue - Returned by preScalePixelData
+ * @param {Object} [modalityLUT] - First item of the Modality LUT Sequence
+ * @returns {Object} min and max in modality units
+ */
+export function getScaledRange(minPixelValue, maxPixelValue, scaleValue, modalityLUT = null) {
+  const values = [minPixelValue, maxPixelValue].map(scaleValue);
+  if (modalityLUT?.lut?.length) {
+    const firstValueMapped = modalityLUT.firstValueMapped ?? 0;
+    modalityLUT.lut.forEach((_, index) => values.push(scaleValue(firstValueMapped + index)));
+  }
+  return {
+    min: values.reduce((a, b) => Math.min(a, b)),
+    max: values.reduce((a, b) => Math.max(a, b)),
+  };
+}
+
+/**
+ * Typed array view for options.targetBuffer
+ * Without an arrayBuffer (newer Cornerstone3D copies the image into the volume itself) a fresh array of the
+ * requested type is allocated
+ * @param {Object} targetBuffer - arrayBuffer, offset in bytes, length in samples and type such as 'Float32Array'
+ * @param {number} sampleCount - Samples the image holds
+ * @returns {TypedArray}
+ */
+export function createTargetArray(targetBuffer, sampleCount) {
+  const ArrayType = TARGET_ARRAY_TYPES[targetBuffer?.type || 'Float32Array'];
+  if (!ArrayType) {
+    throw new Error(`Unsupported target buffer type: ${targetBuffer.type}`);
+  }
+
+  const length = targetBuffer.length ?? sampleCount;
+  if (length < sampleCount) {
+    throw new Error(`Target buffer holds ${length} samples but the image has ${sampleCount}`);
+  }
+
+  return targetBuffer.arrayBuffer
+    ? new ArrayType(targetBuffer.arrayBuffer, targetBuffer.offset || 0, length)
+    : new ArrayType(length);
+}
+
+/**
+ * Copy pixel data into the target buffer, converting to its type
+ * @param {TypedArray} pixelData
+ * @param {Object} targetBuffer - See createTargetArray
+ * @returns {TypedArray} View of the target buffer holding the image
+ */
+export function writeToTargetBuffer(pixelData, targetBuffer) {
+  const target = createTargetArray(targetBuffer, pixelData.length);
+  target.set(pixelData);
+  return target.length === pixelData.length ? target : target.subarray(0, pixelData.length);
+}
+
+/**
+ * Apply the Cornerstone imageLoader options to a decoded frame
+ * @param {Object} decoded - pixelData, metadata and imageProperties from decodeDicomFrame
+ * @param {Object} [options] - Load options
+ * @param {Object} [options.preScale] - enabled and optional scalingParameters
+ * @param {Object} [options.targetBuffer] - Volume buffer slot for this image
+ * @returns {Object} pixelData, minPixelValue, maxPixelValue, modalityLUT and preScale for the image object
+ */
+export function applyLoadOptions({ pixelData, metadata, imageProperties }, { preScale, targetBuffer } = {}) {
+  let output = pixelData;
+  let { minPixelValue, maxPixelValue, modalityLUT } = imageProperties;
+  let preScaleResult;
+
+  // Colour samples are not modality values
+  if (preScale?.enabled && !imageProperties.color) {
+    const scalingParameters = getScalingParameters(metadata, imageProperties, preScale.scalingParameters);
+    const scaledResult = preScalePixelData(pixelData, scalingParameters, modalityLUT);
+    if (scaledResult.scaleValue) {
+      ({ min: minPixelValue, max: maxPixelValue } = getScaledRange(
+        minPixelValue,
+        maxPixelValue,
+        scaledResult.scaleValue,
+        modalityLUT
+      ));
+    }
+    output = scaledResult.pixelData;
+    // The table has been applied, so it must not be applied again by the renderer
+    modalityLUT = undefined;
+    preScaleResult = { enabled: true, scaled: true, scalingParameters };
+  }
+
+  if (targetBuffer) {
+    output = writeToTargetBuffer(output, targetBuffer);
+  }
+
+  return {
+    pixelData: output,
+    minPixelValue,
+    maxPixelValue,
+    modalityLUT,
+    preScale: preScaleResult || { enabled: !!preScale?.enabled, scaled: false },
+  };
+}
+
+export default {
+  getScalingParameters,
+  preScalePixelData,
+  getScaledRange,
+  createTargetArray,
+  writeToTargetBuffer,
+  applyLoadOptions,
+};
@@ -0,0 +1,95 @@
+import { parseDicom } from './XNATImageLoader.codecs.js';
+import { fetchDicomData, decodeDicomFrame } from './XNATImageLoader.frames.js';
+import { describeFileHeader } from './XNATImageLoader.headers.js';
+
+/**
+ * Worker entry for XNATWorkerPool
+ * Tasks:
+ * - load: fetch (whole file or one frame by Range), parse and decode a frame
+ * - decode: parse and decode a frame of a file the main thread already holds
+ * - parseHeader: parse a range-fetched header for XNATClient
+ * - cancel: abort the request of a running load task
+ */
+
+// Abort controllers for load tasks still fetching, by task id
+const activeRequests = new Map();
+
+function getTransferList(buffers) {
+  return [...new Set(buffers.filter(Boolean))];
+}
+
+async function runFrameTask(id, task) {
+  let arrayBuffer = task.arrayBuffer || null;
+  let rangeFrameBytes = null;
+
+  if (task.type === 'load') {
+    const controller = new AbortController();
+    activeRequests.set(id, controller);
+    try {
+      ({ arrayBuffer, rangeFrameBytes } = await fetchDicomData(
+        task.url,
+        { ...task.requestConfig, signal: controller.signal },
+        task.rangeRequest
+      ));
+    } finally {
+      activeRequests.delete(id);
+    }
+  }
+
+  const dataSet = rangeFrameBytes
+    ? parseDicom(task.headerBytes, { untilTag: 'x7fe00010' })
+    : parseDicom(new Uint8Array(arrayBuffer));
+  const decoded = await decodeDicomFrame(dataSet, task.frameIndex, {
+    rangeFrameBytes,
+    useRGBA: task.useRGBA,
+  });
+
+  // Give the pixels their own buffer so transferring them does not drag the whole file along
+  let { pixelData } = decoded;
+  if (pixelData.byteLength !== pixelData.buffer.byteLength) {
+    pixelData = pixelData.slice();
+  }
+
+  // Freshly fetched files go back to the main thread for its file cache
+  const fileBuffer = task.type === 'load' ? arrayBuffer : null;
+
+  return {
+    result: { ...decoded, pixelData, arrayBuffer: fileBuffer },
+    transfer: getTransferList([pixelData.buffer, fileBuffer]),
+  };
+}
+
+function runParseHeaderTask(task) {
+  return {
+    result: describeFileHeader(new Uint8Array(task.headerBuffer)),
+    transfer: [],
+  };
+}
+
+self.addEventListener('message', async event => {
+  const { id, ...task } = event.data || {};
+
+  if (task.type === 'cancel') {
+    activeRequests.get(id)?.abort();
+    return;
+  }
+
+  try {
+    let response;
+    switch (task.type) {
+      case 'load':
+      case 'decode':
+        response = await runFrameTask(id, task);
+        break;
+      case 'parseHeader':
+        response = runParseHeaderTask(task);
+        break;
+      default:
+        throw new Error(`Unknown worker task: ${task.type}`);
+    }
+
+    self.postMessage({ id, result: response.result }, response.transfer);
+  } catch (error) {
+    self.postMessage({ id, error: error?.message || String(error) });
+  }
+});
@@ -0,0 +1,442 @@
+/**
+ * Persistent IndexedDB tier for the DICOM file cache
+ * Entries are keyed by file URL plus the XNAT catalog digest, so a changed file is never
+ * served stale, and are encrypted with AES-GCM under a key derived from the login session.
+ * The session secret lives in sessionStorage: it survives the reloads done by the login and
+ * project flows. Entries written by other tabs or earlier sessions cannot be decrypted here, so
+ * they are read as misses and left alone until they expire after maxAgeDays.
+ */
+
+const DB_NAME = 'xnat-dicom-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'files';
+const SESSION_SECRET_KEY = 'xnat-cache-session-secret';
+const DEFAULT_QUOTA_MB = 1024;
+const DEFAULT_MAX_AGE_DAYS = 7;
+// Never take more than this share of the origin's storage estimate
+const STORAGE_ESTIMATE_SHARE = 0.5;
+
+// Catalog digests reported by XNAT file listings, by file URL
+const fileDigests = new Map();
+
+/**
+ * Record the catalog digest XNAT reported for a file URL
+ * Files without a digest are not persisted, since changes to them could not be detected
+ */
+export function setFileDigest(url, digest) {
+  if (url && digest) {
+    fileDigests.set(url, digest);
+  }
+}
+
+export function getFileDigest(url) {
+  return fileDigests.get(url) || null;
+}
+
+export function createCacheKey(url, digest) {
+  return `${url}#${digest}`;
+}
+
+/**
+ * Pick least recently used entries to evict so that bytesNeeded more bytes fit in the quota
+ * @param {Array<Object>} entries - { key, size, lastAccess }
+ * @param {number} bytesNeeded
+ * @param {number} quotaBytes
+ * @returns {Array<string>} Keys to delete, or null when the entry cannot fit at all
+ */
+export function selectEvictions(entries, bytesNeeded, quotaBytes) {
+  if (bytesNeeded > quotaBytes) {
+    return null;
+  }
+
+  let usedBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+  const victims = [];
+  const byAge = [...entries].sort((a, b) => a.lastAccess - b.lastAccess);
+  for (const entry of byAge) {
+    if (usedBytes + bytesNeeded <= quotaBytes) {
+      break;
+    }
+    victims.push(entry.key);
+    usedBytes -= entry.size;
+  }
+  return victims;
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+function fromBase64(value) {
+  return Uint8Array.from(atob(value), character => character.charCodeAt(0));
+}
+
+/**
+ * Derive the AES-GCM key for cache entries from the session secret and the login credentials
+ * @param {Uint8Array} sessionSecret - Random bytes kept for the browser session
+ * @param {Object} credentials - xnatUrl, username and password or token
+ * @returns {Promise<CryptoKey>} Non-extractable key
+ */
+export async function deriveEncryptionKey(sessionSecret, { xnatUrl, username, password, token } = {}) {
+  const material = new TextEncoder().encode(`${xnatUrl || ''}|${username || ''}|${password || token || ''}`);
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    new Uint8Array([...sessionSecret, ...material]),
+    'HKDF',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: new TextEncoder().encode(DB_NAME),
+      info: new TextEncoder().encode('dicom-file-cache'),
+    },
+    keyMaterial,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+export async function encryptBuffer(key, arrayBuffer) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, arrayBuffer);
+  return { iv, data };
+}
+
+export function decryptBuffer(key, iv, data) {
+  return crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Whether an entry is old enough to be removed when the database is opened
+ * Only age counts: entries of other sessions may belong to another open tab
+ */
+export function isExpiredEntry(entry, now, maxAgeMs) {
+  return !(now - entry.storedAt <= maxAgeMs);
+}
+
+/**
+ * Random secret for this browser session, created on first use
+ * The session id tells entries of this session apart from older ones
+ */
+function getSessionSecret() {
+  const stored = sessionStorage.getItem(SESSION_SECRET_KEY);
+  if (stored) {
+    try {
+      const { id, secret } = JSON.parse(stored);
+      return { id, secret: fromBase64(secret) };
+    } catch (error) {
+      console.warn('⚠️ Ignoring unreadable cache session secret:', error);
+    }
+  }
+
+  const secret = crypto.getRandomValues(new Uint8Array(32));
+  const id = toBase64(crypto.getRandomValues(new Uint8Array(12)));
+  sessionStorage.setItem(SESSION_SECRET_KEY, JSON.stringify({ id, secret: toBase64(secret) }));
+  return { id, secret };
+}
+
+class XNATPersistentCache {
+  /**
+   * @param {Object} options
+   * @param {Object} options.credentials - xnatUrl, username and password or token used to derive the key
+   * @param {number} [options.quotaMB=1024]
+   * @param {number} [options.maxAgeDays=7]
+   */
+  constructor({ credentials, quotaMB = DEFAULT_QUOTA_MB, maxAgeDays = DEFAULT_MAX_AGE_DAYS }) {
+    this.credentials = credentials;
+    this.quotaBytes = quotaMB * 1024 * 1024;
+    this.maxAgeMs = maxAgeDays * 24 * 60 * 60 * 1000;
+    this.usedBytes = 0;
+    this.ready = null;
+  }
+
+  static isSupported() {
+    return typeof indexedDB !== 'undefined' && typeof crypto !== 'undefined' && !!crypto.subtle
+      && typeof sessionStorage !== 'undefined';
+  }
+
+  /**
+   * Open the database, derive the key and drop entries from other sessions or past their age
+   */
+  open() {
+    if (!this.ready) {
+      this.ready = this._open().catch(error => {
+        console.warn('⚠️ Persistent DICOM cache unavailable:', error?.message || error);
+        return false;
+      });
+    }
+    return this.ready;
+  }
+
+  async _open() {
+    const { id, secret } = getSessionSecret();
+    this.sessionId = id;
+    this.key = await deriveEncryptionKey(secret, this.credentials);
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      store.createIndex('lastAccess', 'lastAccess');
+    };
+    this.db = await requestToPromise(request);
+
+    if (navigator.storage?.estimate) {
+      const { quota } = await navigator.storage.estimate();
+      if (quota) {
+        this.quotaBytes = Math.min(this.quotaBytes, quota * STORAGE_ESTIMATE_SHARE);
+      }
+    }
+
+    const now = Date.now();
+    const transaction = this.db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const cursorRequest = store.openCursor();
+    let removed = 0;
+    this.usedBytes = 0;
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) return;
+      const entry = cursor.value;
+      if (isExpiredEntry(entry, now, this.maxAgeMs)) {
+        cursor.delete();
+        removed++;
+      } else {
+        this.usedBytes += entry.size;
+      }
+      cursor.continue();
+    };
+    await transactionDone(transaction);
+
+    console.log('💽 Persistent DICOM cache ready:', Math.round(this.usedBytes / 1024 / 1024), 'MB used,', removed, 'expired entries removed');
+    return true;
+  }
+
+  /**
+   * Read a file from the persistent tier
+   * @returns {Promise<ArrayBuffer|null>}
+   */
+  async get(url) {
+    const digest = getFileDigest(url);
+    if (!digest || !(await this.open())) {
+      return null;
+    }
+
+    const key = createCacheKey(url, digest);
+    try {
+      const store = this.db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+      const entry = await requestToPromise(store.get(key));
+      // Another tab's entry is encrypted under its own session secret
+      if (!entry || entry.sessionId !== this.sessionId) {
+        return null;
+      }
+
+      const arrayBuffer = await decryptBuffer(this.key, entry.iv, entry.data);
+      this._touch(key);
+      console.log('💽 Persistent cache HIT:', url);
+      return arrayBuffer;
+    } catch (error) {
+      console.warn('⚠️ Dropping unreadable persistent cache entry:', url, error?.message || error);
+      await this._delete([key]).catch(() => {});
+      return null;
+    }
+  }
+
+  /**
+   * Encrypt and store a file, evicting least recently used entries to stay within the quota
+   */
+  async put(url, arrayBuffer) {
+    const digest = getFileDigest(url);
+    if (!digest || !(await this.open())) {
+      return false;
+    }
+
+    const { iv, data } = await encryptBuffer(this.key, arrayBuffer);
+    const size = data.byteLength;
+
+    const entries = await this._listEntries();
+    const victims = selectEvictions(entries, size, this.quotaBytes);
+    if (!victims) {
+      console.warn('⚠️ File larger than persistent cache quota, not stored:', url);
+      return false;
+    }
+    if (victims.length) {
+      await this._delete(victims);
+      console.log('🗑️ Evicted', victims.length, 'entries from persistent cache');
+    }
+
+    const now = Date.now();
+    const transaction = this.db.transaction(STORE_NAME, 'readwrite');
+    transaction.objectStore(STORE_NAME).put({
+      key: createCacheKey(url, digest),
+      url,
+      digest,
+      sessionId: this.sessionId,
+      iv,
+      data,
+      size,
+      storedAt: now,
+      lastAccess: now,
+    });
+    await transactionDone(transaction);
+    this.usedBytes += size;
+    return true;
+  }
+
+  async _listEntries() {
+    const entries = [];
+    const transaction = this.db.transaction(STORE_NAME, 'readonly');
+    const cursorRequest = transaction.objectStore(STORE_NAME).index('lastAccess').openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) return;
+      const { key, size, lastAccess } = cursor.value;
+      entries.push({ key, size, lastAccess });
+      cursor.continue();
+    };
+    await transactionDone(transaction);
+    return entries;
+  }
+
+  async _touch(key) {
+    try {
+      const transaction = this.db.transaction(STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      const entry = await requestToPromise(store.get(key));
+      if (entry) {
+        entry.lastAccess = Date.now();
+        store.put(entry);
+      }
+      await transactionDone(transaction);
+    } catch (error) {
+      console.warn('⚠️ Could not update persistent cache access time:', error?.message || error);
+    }
+  }
+
+  async _delete(keys) {
+    const transaction = this.db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    for (const key of keys) {
+      const entry = await requestToPromise(store.get(key));
+      if (entry) {
+        this.usedBytes -= entry.size;
+        store.delete(key);
+      }
+    }
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Remove every entry but keep the database open
+   */
+  async clear() {
+    if (!(await this.open())) {
+      return;
+    }
+    const transaction = this.db.transaction(STORE_NAME, 'readwrite');
+    transaction.objectStore(STORE_NAME).clear();
+    await transactionDone(transaction);
+    this.usedBytes = 0;
+  }
+
+  close() {
+    this.db?.close();
+    this.db = null;
+    this.ready = null;
+  }
+
+  getStats() {
+    return {
+      sizeBytes: this.usedBytes,
+      sizeMB: Math.round(this.usedBytes / 1024 / 1024 * 100) / 100,
+      limitMB: Math.round(this.quotaBytes / 1024 / 1024),
+    };
+  }
+}
+
+let sharedCache = null;
+
+/**
+ * Enable or disable the persistent tier
+ * @param {Object} [options] - { enabled, quotaMB, maxAgeDays }; disabled unless enabled is true
+ * @param {Object} credentials - xnatUrl, username and password or token of the current login
+ */
+export function configurePersistentCache(options, credentials) {
+  sharedCache?.close();
+  sharedCache = null;
+
+  if (!options?.enabled) {
+    return;
+  }
+  if (!XNATPersistentCache.isSupported()) {
+    console.warn('⚠️ Persistent DICOM cache needs IndexedDB and Web Crypto; staying in memory only');
+    return;
+  }
+
+  sharedCache = new XNATPersistentCache({
+    credentials,
+    quotaMB: options.quotaMB,
+    maxAgeDays: options.maxAgeDays,
+  });
+}
+
+/**
+ * The configured persistent tier, or null when it is disabled
+ */
+export function getPersistentCache() {
+  return sharedCache;
+}
+
+/**
+ * Delete the whole persistent tier and the session secret, e.g. on logout
+ * Resolves even if the database could not be deleted so logout is never blocked
+ */
+export function purgePersistentCache() {
+  sharedCache?.close();
+  sharedCache = null;
+  fileDigests.clear();
+
+  if (typeof sessionStorage !== 'undefined') {
+    sessionStorage.removeItem(SESSION_SECRET_KEY);
+  }
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve();
+  }
+
+  return new Promise(resolve => {
+    const request = indexedDB.deleteDatabase(DB_NAME);
+    request.onsuccess = () => resolve();
+    request.onerror = () => {
+      console.warn('⚠️ Could not delete persistent DICOM cache:', request.error);
+      resolve();
+    };
+    request.onblocked = () => {
+      console.warn('⚠️ Persistent DICOM cache deletion blocked by another tab');
+      resolve();
+    };
+  });
+}
+
+export default XNATPersistentCache;
@@ -0,0 +1,269 @@
+import { parseImageId } from './XNATImageLoader.utils.js';
+import { isAbortError } from './XNATRequestQueue.js';
+
+/**
+ * Background prefetch of the active study into the image loader's file cache
+ * A strategy turns the study's series and the image on screen into an ordered list of files;
+ * files are fetched a few at a time at prefetch priority and paused while the user interacts
+ */
+
+export const PrefetchStrategy = {
+  NEAREST: 'nearest',
+  ACTIVE_SERIES: 'activeSeries',
+  STUDY: 'study',
+  NEXT_STUDY: 'nextStudy',
+};
+
+const INTERACTION_EVENTS = ['wheel', 'pointerdown', 'keydown', 'touchstart'];
+
+/**
+ * Order imageIds by distance from the index on screen, alternating after and before it
+ */
+export function orderNearestFirst(imageIds, index = 0) {
+  const start = Math.min(Math.max(index, 0), Math.max(imageIds.length - 1, 0));
+  const ordered = [];
+  for (let offset = 0; ordered.length < imageIds.length; offset++) {
+    if (start + offset < imageIds.length) {
+      ordered.push(imageIds[start + offset]);
+    }
+    if (offset > 0 && start - offset >= 0) {
+      ordered.push(imageIds[start - offset]);
+    }
+  }
+  return ordered;
+}
+
+/**
+ * Ordered imageIds to prefetch for a strategy
+ * @param {Object} options
+ * @param {string} options.strategy - One of PrefetchStrategy
+ * @param {Array<Object>} options.series - { SeriesInstanceUID, imageIds } in display order
+ * @param {string} [options.activeSeriesUID] - Series on screen; defaults to the first series
+ * @param {number} [options.activeIndex=0] - Index of the image on screen within that series
+ * @param {Array<string>} [options.nextStudyImageIds] - Images of the next study in the worklist
+ */
+export function buildPrefetchPlan({ strategy, series = [], activeSeriesUID, activeIndex = 0, nextStudyImageIds = [] }) {
+  const activeSeries = series.find(item => item.SeriesInstanceUID === activeSeriesUID) || series[0];
+  if (!activeSeries) {
+    return strategy === PrefetchStrategy.NEXT_STUDY ? [...nextStudyImageIds] : [];
+  }
+
+  const nearest = orderNearestFirst(activeSeries.imageIds, activeIndex);
+  const otherSeries = series
+    .filter(item => item !== activeSeries)
+    .flatMap(item => item.imageIds);
+
+  switch (strategy) {
+    case PrefetchStrategy.ACTIVE_SERIES:
+      return [...activeSeries.imageIds];
+    case PrefetchStrategy.STUDY:
+      return [...nearest, ...otherSeries];
+    case PrefetchStrategy.NEXT_STUDY:
+      return [...nearest, ...otherSeries, ...nextStudyImageIds];
+    case PrefetchStrategy.NEAREST:
+    default:
+      return nearest;
+  }
+}
+
+/**
+ * File URLs of imageIds in order, once per file (frames of a multi-frame file share one)
+ */
+export function getFileUrls(imageIds) {
+  return [...new Set(imageIds.map(imageId => parseImageId(imageId).url))];
+}
+
+class XNATPrefetchManager {
+  /**
+   * @param {Object} options
+   * @param {Function} options.prefetchFile - (url, { signal }) => Promise; caches one file
+   * @param {Function} [options.loadNextStudyImageIds] - (StudyInstanceUID) => Promise of imageIds of the next worklist study
+   * @param {string} [options.strategy='nearest'] - One of PrefetchStrategy
+   * @param {number} [options.maxConcurrent=2] - Prefetches in flight at once
+   * @param {number} [options.idleDelayMs=1000] - Quiet time after an interaction before prefetching resumes
+   */
+  constructor({
+    prefetchFile,
+    loadNextStudyImageIds = async () => [],
+    strategy = PrefetchStrategy.NEAREST,
+    maxConcurrent = 2,
+    idleDelayMs = 1000,
+  }) {
+    this.prefetchFile = prefetchFile;
+    this.loadNextStudyImageIds = loadNextStudyImageIds;
+    this.strategy = strategy;
+    this.maxConcurrent = Math.max(1, maxConcurrent);
+    this.idleDelayMs = idleDelayMs;
+
+    this.studyInstanceUID = null;
+    this.series = [];
+    this.nextStudyImageIds = [];
+    this.activeSeriesUID = null;
+    this.activeIndex = 0;
+
+    this.pending = [];
+    this.running = new Map();
+    this.completed = new Set();
+    this.paused = false;
+    this.resumeTimer = null;
+    this.detach = null;
+  }
+
+  /**
+   * Start prefetching a study, replacing whatever was being prefetched
+   * @param {string} StudyInstanceUID
+   * @param {Array<Object>} series - { SeriesInstanceUID, imageIds } in display order
+   */
+  async setStudy(StudyInstanceUID, series) {
+    this._abortRunning();
+    this.studyInstanceUID = StudyInstanceUID;
+    this.series = series;
+    this.activeSeriesUID = null;
+    this.activeIndex = 0;
+    this.nextStudyImageIds = [];
+    this._replan();
+
+    if (this.strategy === PrefetchStrategy.NEXT_STUDY) {
+      try {
+        const nextStudyImageIds = await this.loadNextStudyImageIds(StudyInstanceUID);
+        if (this.studyInstanceUID === StudyInstanceUID) {
+          this.nextStudyImageIds = nextStudyImageIds || [];
+          this._replan();
+        }
+      } catch (error) {
+        console.warn('⚠️ Could not load next worklist study for prefetch:', error?.message || error);
+      }
+    }
+  }
+
+  /**
+   * Re-centre the plan on the image a viewport just displayed
+   */
+  setActiveImage(imageId) {
+    const series = this.series.find(item => item.imageIds.includes(imageId));
+    if (!series) {
+      return;
+    }
+
+    const index = series.imageIds.indexOf(imageId);
+    if (series.SeriesInstanceUID === this.activeSeriesUID && index === this.activeIndex) {
+      return;
+    }
+
+    this.activeSeriesUID = series.SeriesInstanceUID;
+    this.activeIndex = index;
+    this._replan();
+  }
+
+  /**
+   * Pause while the user interacts; in-flight prefetches are aborted and retried later
+   */
+  notifyInteraction() {
+    if (!this.paused) {
+      this.paused = true;
+      const interrupted = [...this.running.keys()];
+      this._abortRunning();
+      this.pending = [...interrupted, ...this.pending];
+    }
+
+    clearTimeout(this.resumeTimer);
+    this.resumeTimer = setTimeout(() => {
+      this.paused = false;
+      this._pump();
+    }, this.idleDelayMs);
+  }
+
+  /**
+   * Listen for user interaction and for the image shown in a viewport changing
+   * Listeners use the capture phase so events that don't bubble, or whose propagation tools
+   * stop at the viewport, are still seen
+   * @param {EventTarget} target - Usually document
+   * @param {string} [newImageEvent] - Event whose detail.imageId is the image now on screen
+   * @returns {Function} Removes the listeners
+   */
+  attach(target, newImageEvent) {
+    const onInteraction = () => this.notifyInteraction();
+    const onNewImage = event => event.detail?.imageId && this.setActiveImage(event.detail.imageId);
+
+    INTERACTION_EVENTS.forEach(type => target.addEventListener(type, onInteraction, { capture: true, passive: true }));
+    if (newImageEvent) {
+      target.addEventListener(newImageEvent, onNewImage, { capture: true });
+    }
+
+    this.detach = () => {
+      INTERACTION_EVENTS.forEach(type => target.removeEventListener(type, onInteraction, { capture: true }));
+      if (newImageEvent) {
+        target.removeEventListener(newImageEvent, onNewImage, { capture: true });
+      }
+      this.detach = null;
+    };
+    return this.detach;
+  }
+
+  _replan() {
+    const plan = getFileUrls(buildPrefetchPlan({
+      strategy: this.strategy,
+      series: this.series,
+      activeSeriesUID: this.activeSeriesUID,
+      activeIndex: this.activeIndex,
+      nextStudyImageIds: this.nextStudyImageIds,
+    }));
+    this.pending = plan.filter(url => !this.completed.has(url) && !this.running.has(url));
+    this._pump();
+  }
+
+  _pump() {
+    while (!this.paused && this.running.size < this.maxConcurrent && this.pending.length) {
+      const url = this.pending.shift();
+      const controller = new AbortController();
+      this.running.set(url, controller);
+
+      Promise.resolve()
+        .then(() => this.prefetchFile(url, { signal: controller.signal }))
+        .then(
+          () => this.completed.add(url),
+          error => {
+            if (!isAbortError(error)) {
+              // Don't retry a failing file for the rest of the session
+              this.completed.add(url);
+              console.warn('⚠️ Prefetch failed:', url, error?.message || error);
+            }
+          }
+        )
+        .finally(() => {
+          if (this.running.get(url) === controller) {
+            this.running.delete(url);
+          }
+          this._pump();
+        });
+    }
+  }
+
+  _abortRunning() {
+    const controllers = [...this.running.values()];
+    this.running.clear();
+    controllers.forEach(controller => controller.abort());
+  }
+
+  /**
+   * Stop prefetching and remove event listeners
+   */
+  stop() {
+    clearTimeout(this.resumeTimer);
+    this._abortRunning();
+    this.pending = [];
+    this.detach?.();
+  }
+
+  getStats() {
+    return {
+      strategy: this.strategy,
+      pending: this.pending.length,
+      running: this.running.size,
+      completed: this.completed.size,
+      paused: this.paused,
+    };
+  }
+}
+
+export default XNATPrefetchManager;
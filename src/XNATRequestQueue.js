@@ -0,0 +1,184 @@
+/**
+ * Priority request queue shared by the image loader and XNATClient
+ * Requests run at most maxConcurrent at a time, highest priority level first and in
+ * arrival order within a level; each request gets an AbortController so it can be cancelled
+ */
+
+export const RequestPriority = {
+  INTERACTION: 0,
+  THUMBNAIL: 1,
+  PREFETCH: 2,
+};
+
+const PRIORITY_NAMES = ['interaction', 'thumbnail', 'prefetch'];
+
+/**
+ * Map a Cornerstone request type ('interaction', 'thumbnail', 'prefetch', 'compute') to a priority level
+ */
+export function getRequestPriority(requestType) {
+  switch (requestType) {
+    case 'thumbnail':
+      return RequestPriority.THUMBNAIL;
+    case 'prefetch':
+    case 'compute':
+      return RequestPriority.PREFETCH;
+    default:
+      return RequestPriority.INTERACTION;
+  }
+}
+
+export function createAbortError(message = 'Request cancelled') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Whether an error comes from a cancelled request (ours, fetch/DOM or axios)
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError' || error?.name === 'CanceledError' || error?.code === 'ERR_CANCELED';
+}
+
+class XNATRequestQueue {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxConcurrent=6] - Requests allowed in flight at once
+   */
+  constructor({ maxConcurrent = 6 } = {}) {
+    this.maxConcurrent = Math.max(1, maxConcurrent);
+    this.queues = PRIORITY_NAMES.map(() => []);
+    this.running = new Set();
+  }
+
+  /**
+   * Queue a request
+   * @param {Function} run - Called with an AbortSignal when the request may start; returns a promise
+   * @param {Object} [options]
+   * @param {number} [options.priority=RequestPriority.INTERACTION]
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @returns {Object} promise and cancel function
+   */
+  add(run, { priority = RequestPriority.INTERACTION, signal } = {}) {
+    const level = Math.min(Math.max(priority, 0), this.queues.length - 1);
+    const controller = new AbortController();
+    let request;
+
+    const promise = new Promise((resolve, reject) => {
+      request = { run, level, controller, resolve, reject, settled: false };
+    });
+
+    const cancel = () => this._cancel(request);
+    if (signal) {
+      if (signal.aborted) {
+        cancel();
+      } else {
+        signal.addEventListener('abort', cancel, { once: true });
+      }
+    }
+
+    if (!request.settled) {
+      this.queues[level].push(request);
+      this._next();
+    }
+
+    return { promise, cancel };
+  }
+
+  _next() {
+    while (this.running.size < this.maxConcurrent) {
+      const queue = this.queues.find(levelQueue => levelQueue.length);
+      if (!queue) {
+        return;
+      }
+
+      const request = queue.shift();
+      this.running.add(request);
+
+      Promise.resolve()
+        .then(() => request.run(request.controller.signal))
+        .then(
+          value => this._settle(request, () => request.resolve(value)),
+          error => this._settle(request, () => request.reject(error))
+        );
+    }
+  }
+
+  _settle(request, settle) {
+    this.running.delete(request);
+    if (!request.settled) {
+      request.settled = true;
+      settle();
+    }
+    this._next();
+  }
+
+  _cancel(request) {
+    if (request.settled) {
+      return;
+    }
+
+    request.settled = true;
+    const queue = this.queues[request.level];
+    const index = queue.indexOf(request);
+    if (index !== -1) {
+      queue.splice(index, 1);
+    }
+    // Running requests keep their slot until the aborted work actually stops
+    request.controller.abort();
+    request.reject(createAbortError());
+  }
+
+  /**
+   * Cancel everything queued or running, optionally only at one priority level
+   */
+  cancelAll(priority) {
+    const requests = [
+      ...this.queues.flat(),
+      ...this.running,
+    ].filter(request => priority === undefined || request.level === priority);
+    requests.forEach(request => this._cancel(request));
+  }
+
+  setMaxConcurrent(maxConcurrent) {
+    this.maxConcurrent = Math.max(1, maxConcurrent);
+    this._next();
+  }
+
+  getStats() {
+    const queued = {};
+    PRIORITY_NAMES.forEach((name, level) => {
+      queued[name] = this.queues[level].length;
+    });
+    return {
+      running: this.running.size,
+      queued,
+      maxConcurrent: this.maxConcurrent,
+    };
+  }
+}
+
+let sharedQueue = null;
+
+/**
+ * The queue shared by image loads and XNATClient metadata requests
+ */
+export function getRequestQueue() {
+  if (!sharedQueue) {
+    sharedQueue = new XNATRequestQueue();
+  }
+  return sharedQueue;
+}
+
+/**
+ * Configure the shared queue; requests already queued keep their place
+ * @param {Object} [options]
+ * @param {number} [options.maxConcurrent]
+ */
+export function configureRequestQueue(options = {}) {
+  if (options?.maxConcurrent) {
+    getRequestQueue().setMaxConcurrent(options.maxConcurrent);
+  }
+}
+
+export default XNATRequestQueue;
@@ -0,0 +1,303 @@
+/**
+ * XNAT search engine queries
+ * Builds the XML documents /data/search accepts from a structured filter. The search is rooted at an imaging
+ * session type and XNAT joins the subject, scan and custom field criteria to it, e.g. "T1 MPRAGE scans in
+ * subjects over 60":
+ *
+ *   { modality: 'MR', subject: { minAge: 60 }, scans: { type: 'MPRAGE' } }
+ */
+
+import { SESSION_XSI_TYPES } from './XNATStudySearch.js';
+
+export const ADVANCED_SEARCH_STORAGE_KEY = 'ohif.xnat.advancedSearch';
+
+// Scan types by DICOM modality, named after their session types
+const SCAN_ELEMENTS = Object.fromEntries(
+  Object.entries(SESSION_XSI_TYPES).map(([modality, element]) => [modality, element.replace(/SessionData$/, 'ScanData')])
+);
+const ANY_SESSION_ELEMENT = 'xnat:imageSessionData';
+const ANY_SCAN_ELEMENT = 'xnat:imageScanData';
+const DEMOGRAPHICS = 'xnat:subjectData/demographics[@xsi:type=xnat:demographicData]';
+
+// Display fields returned for each session, in column order
+const RESULT_FIELDS = [
+  { id: 'SESSION_ID', header: 'ID', type: 'string' },
+  { id: 'UID', header: 'UID', type: 'string' },
+  { id: 'LABEL', header: 'label', type: 'string' },
+  { id: 'DATE', header: 'date', type: 'date' },
+  { id: 'PROJECT', header: 'project', type: 'string' },
+  { id: 'SUBJECT_ID', header: 'subject_ID', type: 'string' },
+  { id: 'SUBJECT_LABEL', header: 'subject_label', type: 'string' },
+];
+
+export function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+function toXNATDate(value) {
+  const digits = String(value).replace(/\D/g, '');
+  return digits.length >= 8 ? `${digits.slice(4, 6)}/${digits.slice(6, 8)}/${digits.slice(0, 4)}` : null;
+}
+
+/**
+ * Session element a search is rooted at
+ * @param {Object} filter - Advanced search filter
+ * @returns {string} e.g. xnat:mrSessionData, or xnat:imageSessionData for any modality
+ */
+export function getRootElement(filter = {}) {
+  return SESSION_XSI_TYPES[String(filter.modality || '').toUpperCase()] || ANY_SESSION_ELEMENT;
+}
+
+/**
+ * Criteria for a filter: each is a schema field, comparison and value, all ANDed together
+ * @param {Object} filter
+ * @param {string} [filter.project]
+ * @param {string} [filter.modality] - MR, CT, PT, ...; selects the session and scan types searched
+ * @param {Object} [filter.subject] - label, id (MRN), gender, handedness, minAge and maxAge (age at the session)
+ * @param {Object} [filter.session] - label, startDate, endDate (YYYYMMDD or YYYY-MM-DD), scanner, DICOM
+ * accessionNumber and studyInstanceUids
+ * @param {Object} [filter.scans] - type and seriesDescription, matched as substrings
+ * @param {Array<Object>} [filter.customFields] - name, value, level ('subject' or 'session') and comparison
+ * @param {Array<Object>} [filter.and] - Further filters, searched on the same session type, that must also match
+ * @returns {Array<Object>} schemaField, comparison and value, or method 'OR' and the criteria any of which match
+ */
+export function buildSearchCriteria(filter = {}) {
+  const root = getRootElement(filter);
+  const scanElement = SCAN_ELEMENTS[String(filter.modality || '').toUpperCase()] || ANY_SCAN_ELEMENT;
+  const { subject = {}, session = {}, scans = {}, customFields = [] } = filter;
+  const criteria = [];
+  const add = (schemaField, comparison, value) => criteria.push({ schemaField, comparison, value: String(value).trim() });
+  const like = value => `%${String(value).trim()}%`;
+
+  if (hasValue(filter.project)) add(`${root}/project`, '=', filter.project);
+
+  if (hasValue(subject.label)) add('xnat:subjectData/label', 'LIKE', like(subject.label));
+  if (hasValue(subject.id)) add(`${root}/subject_ID`, 'LIKE', like(subject.id));
+  if (hasValue(subject.gender)) add(`${DEMOGRAPHICS}/gender`, '=', subject.gender);
+  if (hasValue(subject.handedness)) add(`${DEMOGRAPHICS}/handedness`, '=', subject.handedness);
+  // AGE is the session display field: age at the time of the session
+  if (hasValue(subject.minAge)) add(`${root}.AGE`, '>=', Number(subject.minAge));
+  if (hasValue(subject.maxAge)) add(`${root}.AGE`, '<=', Number(subject.maxAge));
+
+  if (hasValue(session.label)) add(`${root}/label`, 'LIKE', like(session.label));
+  if (hasValue(session.startDate) && toXNATDate(session.startDate)) add(`${root}/date`, '>=', toXNATDate(session.startDate));
+  if (hasValue(session.endDate) && toXNATDate(session.endDate)) add(`${root}/date`, '<=', toXNATDate(session.endDate));
+  if (hasValue(session.scanner)) add(`${root}/scanner`, 'LIKE', like(session.scanner));
+  if (hasValue(session.accessionNumber)) add(`${root}/dcmAccessionNumber`, '=', session.accessionNumber);
+  const uids = (session.studyInstanceUids || []).filter(hasValue);
+  if (uids.length === 1) {
+    add(`${root}/UID`, '=', uids[0]);
+  } else if (uids.length > 1) {
+    criteria.push({
+      method: 'OR',
+      criteria: uids.map(uid => ({ schemaField: `${root}/UID`, comparison: '=', value: String(uid).trim() })),
+    });
+  }
+
+  if (hasValue(scans.type)) add(`${scanElement}/type`, 'LIKE', like(scans.type));
+  if (hasValue(scans.seriesDescription)) add(`${scanElement}/series_description`, 'LIKE', like(scans.seriesDescription));
+
+  customFields
+    .filter(field => hasValue(field?.name) && hasValue(field?.value))
+    .forEach(field => {
+      const element = field.level === 'subject' ? 'xnat:subjectData' : root;
+      const comparison = field.comparison || 'LIKE';
+      add(
+        `${element}/fields/field[name=${String(field.name).trim().toLowerCase()}]/field`,
+        comparison,
+        comparison === 'LIKE' ? like(field.value) : field.value
+      );
+    });
+
+  (filter.and || []).forEach(other => criteria.push(...buildSearchCriteria({ ...other, modality: filter.modality })));
+
+  return criteria;
+}
+
+function criteriaXML(criteria, indent) {
+  return criteria.map(criterion => criterion.method ? `
+${indent}<xdat:child_set method="${criterion.method}">${criteriaXML(criterion.criteria, `${indent}  `)}
+${indent}</xdat:child_set>` : `
+${indent}<xdat:criteria override_value_formatting="0">
+${indent}  <xdat:schema_field>${escapeXML(criterion.schemaField)}</xdat:schema_field>
+${indent}  <xdat:comparison_type>${escapeXML(criterion.comparison)}</xdat:comparison_type>
+${indent}  <xdat:value>${escapeXML(criterion.value)}</xdat:value>
+${indent}</xdat:criteria>`).join('');
+}
+
+/**
+ * Search XML for /data/search
+ * @param {Object} filter - See buildSearchCriteria
+ * @returns {string}
+ */
+export function buildSearchXML(filter = {}) {
+  const root = getRootElement(filter);
+  const searchFields = RESULT_FIELDS.map((field, sequence) => `
+  <xdat:search_field>
+    <xdat:element_name>${root}</xdat:element_name>
+    <xdat:field_ID>${field.id}</xdat:field_ID>
+    <xdat:sequence>${sequence}</xdat:sequence>
+    <xdat:type>${field.type}</xdat:type>
+    <xdat:header>${field.header}</xdat:header>
+  </xdat:search_field>`).join('');
+  const criteria = criteriaXML(buildSearchCriteria(filter), '    ');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<xdat:search ID="" allow-diff-columns="0" secure="false" brief-description="OHIF advanced search" xmlns:xdat="http://nrg.wustl.edu/security" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <xdat:root_element_name>${root}</xdat:root_element_name>${searchFields}
+  <xdat:search_where method="AND">${criteria}
+  </xdat:search_where>
+</xdat:search>`;
+}
+
+/**
+ * Modalities a filter searches, one search per session type
+ * A filter with neither modality nor modalities searches every imaging session type, so non-imaging
+ * experiments are never returned
+ * @param {Object} filter - Advanced search filter, optionally with a modalities list
+ * @returns {Array<string>} e.g. ['MR', 'PT']
+ */
+export function getSearchModalities(filter = {}) {
+  const requested = filter.modalities
+    || (hasValue(filter.modality) ? [filter.modality] : Object.keys(SESSION_XSI_TYPES));
+  return [...new Set(requested.map(modality => String(modality).toUpperCase()))].filter(
+    modality => SESSION_XSI_TYPES[modality]
+  );
+}
+
+/**
+ * Search engine filter for normalised study list filters (see XNATStudySearch.normalizeStudyFilters)
+ * @param {Object} filters
+ * @returns {Object} Filter for buildSearchXML, with the modalities to search
+ */
+export function toSearchFilter(filters = {}) {
+  const modalitiesByXsiType = Object.fromEntries(
+    Object.entries(SESSION_XSI_TYPES).map(([modality, element]) => [element, modality])
+  );
+  const modalities = filters.xsiTypes
+    ? filters.xsiTypes.map(xsiType => modalitiesByXsiType[xsiType]).filter(Boolean)
+    : filters.modalities;
+
+  return {
+    ...(filters.project && { project: filters.project }),
+    ...(modalities && { modalities }),
+    subject: { label: filters.patientName, id: filters.patientId },
+    session: {
+      label: filters.studyDescription,
+      startDate: filters.startDate,
+      endDate: filters.endDate,
+      scanner: filters.scanner,
+      accessionNumber: filters.accessionNumber,
+      studyInstanceUids: filters.studyInstanceUids,
+    },
+  };
+}
+
+/**
+ * Narrow an advanced search by the study list's own filters (see toSearchFilter)
+ * The criteria of both must match and only modalities both allow are searched
+ * @param {Object} filter - Advanced search filter
+ * @param {Object} studyFilter - Search engine filter for the study list filters
+ * @returns {Object} Filter for buildSearchXML, with the modalities to search
+ */
+export function combineSearchFilters(filter = {}, studyFilter = {}) {
+  const modalitiesOf = ({ modality, modalities }) => modalities || (hasValue(modality) ? [modality] : null);
+  const requested = modalitiesOf(filter);
+  const listed = modalitiesOf(studyFilter)?.map(modality => String(modality).toUpperCase());
+  const modalities = requested && listed
+    ? requested.filter(modality => listed.includes(String(modality).toUpperCase()))
+    : requested || listed;
+
+  const withoutModalities = ({ modality, modalities, ...criteria }) => criteria;
+  return {
+    ...withoutModalities(filter),
+    ...(modalities && { modalities }),
+    and: [...(filter.and || []), withoutModalities(studyFilter)],
+  };
+}
+
+/**
+ * Turn /data/search rows into rows shaped like the /data/experiments listing
+ * Result keys are the lower-cased field IDs; sessions matching through several scans appear once
+ * @param {Array<Object>} rows - ResultSet.Result of a search
+ * @param {Object} filter - The filter searched, for the session xsiType
+ * @returns {Array<Object>} ID, UID, label, date, project, subject_ID, subject_label and xsiType
+ */
+export function normalizeSearchRows(rows = [], filter = {}) {
+  const root = getRootElement(filter);
+  const read = (row, field) => row[field.id.toLowerCase()] ?? row[field.header] ?? row[field.id] ?? '';
+  const seen = new Set();
+
+  return rows
+    .map(row => {
+      const experiment = Object.fromEntries(RESULT_FIELDS.map(field => [field.header, read(row, field)]));
+      experiment.xsiType = row.xsi_type || row.xsiType || (root === ANY_SESSION_ELEMENT ? '' : root);
+      return experiment;
+    })
+    .filter(experiment => {
+      if (!experiment.ID || seen.has(experiment.ID)) {
+        return false;
+      }
+      seen.add(experiment.ID);
+      return true;
+    });
+}
+
+/**
+ * Whether an advanced search filter has any criteria
+ */
+export function hasSearchCriteria(filter) {
+  return !!filter && buildSearchCriteria(filter).length > 0;
+}
+
+/**
+ * Advanced search saved by the study list dialog
+ * @param {Storage} [storage=sessionStorage]
+ * @returns {Object|null} Filter, or null when none is active
+ */
+export function readStoredAdvancedSearch(storage = globalThis.sessionStorage) {
+  try {
+    const filter = JSON.parse(storage?.getItem(ADVANCED_SEARCH_STORAGE_KEY) || 'null');
+    return hasSearchCriteria(filter) ? filter : null;
+  } catch (error) {
+    console.warn('⚠️ Ignoring unreadable advanced search:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Save (or with no criteria, clear) the advanced search the study list runs
+ * @param {Object|null} filter
+ * @param {Storage} [storage=sessionStorage]
+ */
+export function storeAdvancedSearch(filter, storage = globalThis.sessionStorage) {
+  if (hasSearchCriteria(filter)) {
+    storage?.setItem(ADVANCED_SEARCH_STORAGE_KEY, JSON.stringify(filter));
+  } else {
+    storage?.removeItem(ADVANCED_SEARCH_STORAGE_KEY);
+  }
+}
+
+export default {
+  ADVANCED_SEARCH_STORAGE_KEY,
+  escapeXML,
+  getRootElement,
+  buildSearchCriteria,
+  buildSearchXML,
+  getSearchModalities,
+  toSearchFilter,
+  combineSearchFilters,
+  normalizeSearchRows,
+  hasSearchCriteria,
+  readStoredAdvancedSearch,
+  storeAdvancedSearch,
+};
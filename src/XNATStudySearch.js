@@ -0,0 +1,403 @@
+/**
+ * Study list filters for XNAT
+ * Translates the filters OHIF's WorkList sends into /data/experiments query parameters. XNAT matches project,
+ * xsiType, labels and IDs itself (with * wildcards); filters the experiments listing cannot express (date ranges,
+ * MRN and scanner) go to the search engine instead (see needsSearchEngine). Returned rows are checked again
+ * against every filter as a safety net
+ */
+
+// Project filter value for searching every project the user can read
+export const ALL_PROJECTS = '*';
+
+// Cross-project results are merged client-side, so they always need an order; newest sessions first by default
+export const DEFAULT_CROSS_PROJECT_SORT = { sortBy: 'studyDate', sortDirection: 'descending' };
+
+// Rows each project is asked for in a cross-project search; the merged list is paged within that many rows
+export const MAX_CROSS_PROJECT_ROWS = 1000;
+
+// Imaging session types by DICOM modality
+export const SESSION_XSI_TYPES = {
+  CT: 'xnat:ctSessionData',
+  MR: 'xnat:mrSessionData',
+  PT: 'xnat:petSessionData',
+  CR: 'xnat:crSessionData',
+  DX: 'xnat:dxSessionData',
+  MG: 'xnat:mgSessionData',
+  US: 'xnat:usSessionData',
+};
+
+export const EXPERIMENT_COLUMNS = [
+  'ID',
+  'UID',
+  'date',
+  'label',
+  'project',
+  'subject_ID',
+  'subject_label',
+  'xsiType',
+  'modality',
+];
+
+// Every imaging session type; listings always ask for these so non-imaging experiments never take up a page
+export const IMAGING_XSI_TYPES = Object.values(SESSION_XSI_TYPES);
+
+// Filters /data/experiments cannot evaluate, so a search using any of them runs through /data/search
+const SEARCH_ENGINE_FILTERS = ['patientId', 'accessionNumber', 'startDate', 'endDate', 'scanner'];
+
+const SCANNER_COLUMN = 'xnat:imageSessionData/scanner';
+// DICOM accession number of the session, shown and filtered as the WorkList's Accession #
+export const ACCESSION_COLUMN = 'xnat:imageSessionData/dcmAccessionNumber';
+
+// Dotted numeric DICOM UIDs, e.g. 1.2.840.113619.2.55.3
+const DICOM_UID_PATTERN = /^\d+(\.\d+)+$/;
+
+// WorkList sort keys and the experiment columns XNAT sorts them by
+export const STUDY_SORT_COLUMNS = {
+  patientName: 'subject_label',
+  mrn: 'subject_ID',
+  studyDate: 'date',
+  description: 'label',
+  modality: 'xsiType',
+  accession: ACCESSION_COLUMN,
+};
+
+function text(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return String(Array.isArray(value) ? value.join(',') : value).trim();
+}
+
+/**
+ * Value of a listing column; XNAT returns schema path columns under the name asked for or lower-cased
+ * @param {Object} experiment - Row from the experiments listing
+ * @param {string} column - e.g. subject_label or xnat:imageSessionData/scanner
+ * @returns {string}
+ */
+export function readColumn(experiment, column) {
+  return text(experiment?.[column] ?? experiment?.[column.toLowerCase()]);
+}
+
+/**
+ * DICOM accession number of a listed session
+ * @param {Object} experiment - Row from the experiments listing
+ * @returns {string}
+ */
+export function readAccessionNumber(experiment) {
+  return readColumn(experiment, ACCESSION_COLUMN);
+}
+
+function toDicomDate(value) {
+  const digits = text(value).replace(/\D/g, '');
+  return digits.length >= 8 ? digits.slice(0, 8) : '';
+}
+
+function toList(value) {
+  const values = Array.isArray(value) ? value : text(value).split(/[,\\]/);
+  return values.map(item => text(item)).filter(Boolean);
+}
+
+/**
+ * Normalise study search parameters from OHIF (WorkList filter names and the DICOM-style names other callers use)
+ * @param {Object} params - Query parameters passed to studies.search
+ * @returns {Object} project, patientName, patientId, studyDescription, accessionNumber, studyInstanceUids,
+ * modalities, xsiTypes, startDate, endDate (YYYYMMDD) and scanner; empty filters are left out
+ */
+export function normalizeStudyFilters(params = {}) {
+  const modalities = toList(params.modalitiesInStudy ?? params.ModalitiesInStudy ?? params.modality)
+    .map(modality => modality.toUpperCase());
+
+  const filters = {
+    project: text(params.project ?? params.projectId),
+    patientName: text(params.patientName ?? params.PatientName ?? params.subjectLabel),
+    patientId: text(params.patientId ?? params.PatientID ?? params.mrn),
+    studyDescription: text(params.studyDescription ?? params.StudyDescription ?? params.sessionLabel),
+    accessionNumber: text(params.accessionNumber ?? params.AccessionNumber),
+    studyInstanceUids: toList(params.studyInstanceUids ?? params.StudyInstanceUIDs).length
+      ? toList(params.studyInstanceUids ?? params.StudyInstanceUIDs)
+      : undefined,
+    modalities: modalities.length ? modalities : undefined,
+    xsiTypes: toList(params.xsiType).length ? toList(params.xsiType) : undefined,
+    startDate: toDicomDate(params.startDate ?? params.StudyDateFrom),
+    endDate: toDicomDate(params.endDate ?? params.StudyDateTo),
+    scanner: text(params.scanner),
+  };
+
+  return Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== '' && value !== undefined));
+}
+
+function wildcard(value) {
+  return `*${value.replace(/\*/g, '')}*`;
+}
+
+/**
+ * Query parameters for /data/experiments
+ * @param {Object} filters - Result of normalizeStudyFilters
+ * @param {number} limit - Maximum rows
+ * @param {Object} [page]
+ * @param {number} [page.offset=0] - Rows to skip
+ * @param {string} [page.sortBy] - WorkList sort key (see STUDY_SORT_COLUMNS)
+ * @param {string} [page.sortDirection] - 'ascending' or 'descending'
+ * @returns {Object}
+ */
+export function buildExperimentQueryParams(filters, limit, { offset = 0, sortBy, sortDirection } = {}) {
+  const params = {
+    format: 'json',
+    limit,
+    columns: [...EXPERIMENT_COLUMNS, ACCESSION_COLUMN, ...(filters.scanner ? [SCANNER_COLUMN] : [])].join(','),
+  };
+
+  if (offset > 0) {
+    params.offset = offset;
+  }
+  const sortColumn = STUDY_SORT_COLUMNS[sortBy];
+  if (sortColumn) {
+    params.sortBy = sortColumn;
+    params.sortOrder = /^desc/i.test(sortDirection || '') ? 'DESC' : 'ASC';
+  }
+
+  if (filters.project) {
+    params.project = filters.project;
+  }
+
+  // Explicit xsiTypes win; otherwise modalities select the matching session types, and with neither every
+  // imaging session type is asked for
+  const xsiTypes = filters.xsiTypes
+    || filters.modalities?.map(modality => SESSION_XSI_TYPES[modality]).filter(Boolean);
+  params.xsiType = (xsiTypes?.length ? xsiTypes : IMAGING_XSI_TYPES).join(',');
+  if (filters.patientName) {
+    params.subject_label = wildcard(filters.patientName);
+  }
+  if (filters.studyDescription) {
+    params.label = wildcard(filters.studyDescription);
+  }
+  if (filters.studyInstanceUids) {
+    params.UID = filters.studyInstanceUids.join(',');
+  }
+  // Rows already matched by a search engine query (see needsSearchEngine)
+  if (filters.experimentIds) {
+    params.ID = filters.experimentIds.join(',');
+  }
+
+  return params;
+}
+
+/**
+ * Whether filters need the search engine: /data/experiments has no parameters for date ranges, MRN, accession
+ * number or scanner
+ * @param {Object} filters - Result of normalizeStudyFilters
+ * @returns {boolean}
+ */
+export function needsSearchEngine(filters = {}) {
+  return SEARCH_ENGINE_FILTERS.some(filter => filters[filter]);
+}
+
+/**
+ * Page of results asked for by a study search
+ * Explicit offset/limit win; otherwise pageNumber and resultsPerPage pick the page
+ * @param {Object} params - Query parameters passed to studies.search
+ * @param {number} defaultLimit - Rows when the caller gives no page size
+ * @returns {Object} offset, limit, sortBy and sortDirection
+ */
+export function getStudyPage(params = {}, defaultLimit = 100) {
+  const toCount = value => (Number.isInteger(Number(value)) && Number(value) >= 0 ? Number(value) : null);
+  const resultsPerPage = toCount(params.resultsPerPage);
+  const pageNumber = toCount(params.pageNumber);
+
+  let limit = toCount(params.limit) || defaultLimit;
+  let offset = toCount(params.offset) ?? 0;
+  if (params.limit === undefined && params.offset === undefined && resultsPerPage && pageNumber) {
+    limit = resultsPerPage;
+    offset = (pageNumber - 1) * resultsPerPage;
+  }
+
+  return {
+    offset,
+    limit,
+    sortBy: params.sortBy || undefined,
+    sortDirection: params.sortDirection || undefined,
+  };
+}
+
+/**
+ * Total rows matching a query, from XNAT's ResultSet
+ * @param {Object} resultSet - ResultSet of a JSON listing
+ * @param {number} fallback - Used when XNAT does not report totalRecords
+ * @returns {number}
+ */
+export function readTotalRecords(resultSet, fallback) {
+  const total = parseInt(resultSet?.totalRecords, 10);
+  return Number.isFinite(total) && total >= 0 ? total : fallback;
+}
+
+/**
+ * Whether a project filter selects every accessible project
+ * @param {string} project
+ * @returns {boolean}
+ */
+export function isAllProjects(project) {
+  return project === ALL_PROJECTS;
+}
+
+/**
+ * Add one project's experiments to a cross-project result
+ * Experiments shared into other projects are listed by each of them; they are kept once, with the owning project
+ * (the listing's project column) as project and the others as sharedProjects
+ * @param {Map<string, Object>} merged - Experiments by ID, updated in place
+ * @param {string} project - Project the rows were listed for
+ * @param {Array<Object>} experiments - Rows from the experiments listing
+ * @returns {number} Rows that were already in the result
+ */
+export function mergeProjectExperiments(merged, project, experiments = []) {
+  let duplicates = 0;
+  experiments.forEach(experiment => {
+    const id = text(experiment.ID);
+    if (!id) {
+      return;
+    }
+    let entry = merged.get(id);
+    if (entry) {
+      duplicates++;
+    } else {
+      entry = { ...experiment, project: text(experiment.project) || project, sharedProjects: [] };
+      merged.set(id, entry);
+    }
+    if (project !== entry.project && !entry.sharedProjects.includes(project)) {
+      entry.sharedProjects.push(project);
+    }
+  });
+  return duplicates;
+}
+
+/**
+ * Sort experiment rows the way XNAT sorts a listing for a WorkList sort key
+ * @param {Array<Object>} experiments
+ * @param {Object} [sort] - sortBy (see STUDY_SORT_COLUMNS) and sortDirection
+ * @returns {Array<Object>} A sorted copy, or the rows as given for keys XNAT cannot sort by
+ */
+export function sortExperiments(experiments, { sortBy, sortDirection } = {}) {
+  const column = STUDY_SORT_COLUMNS[sortBy];
+  if (!column) {
+    return experiments;
+  }
+  const direction = /^desc/i.test(sortDirection || '') ? -1 : 1;
+  const compare = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+  return [...experiments].sort(
+    (a, b) => direction * compare(readColumn(a, column), readColumn(b, column)) || compare(text(a.ID), text(b.ID))
+  );
+}
+
+/**
+ * Experiment queries for a study lookup; a session matching any one of them is found
+ * Quick-find text is looked up as a StudyInstanceUID when it looks like one, and otherwise as a DICOM accession
+ * number (matched by the search engine, see needsSearchEngine), a session label and a subject label
+ * @param {Object} lookup - studyInstanceUids, accessionNumber, sessionLabel, subjectLabel and quickFind
+ * @returns {Array<Object>} Normalised filters, one query each
+ */
+export function buildLookupQueries({ studyInstanceUids, accessionNumber, sessionLabel, subjectLabel, quickFind } = {}) {
+  const term = text(quickFind);
+  const isUid = DICOM_UID_PATTERN.test(term);
+  const queries = [];
+
+  const uids = [...new Set([...toList(studyInstanceUids), ...(isUid ? [term] : [])])];
+  if (uids.length) {
+    queries.push({ studyInstanceUids: uids });
+  }
+  [
+    ['accessionNumber', accessionNumber],
+    ['studyDescription', sessionLabel],
+    ['patientName', subjectLabel],
+  ].forEach(([filter, value]) => {
+    const search = text(value) || (isUid ? '' : term);
+    if (search) {
+      queries.push({ [filter]: search });
+    }
+  });
+
+  return queries;
+}
+
+function contains(value, search) {
+  return text(value).toLowerCase().includes(search.toLowerCase());
+}
+
+/**
+ * Check one /data/experiments row against the filters
+ * @param {Object} experiment - Row from the experiments listing
+ * @param {Object} filters - Result of normalizeStudyFilters
+ * @param {Function} getModality - Maps an xsiType to a modality
+ * @returns {boolean}
+ */
+export function matchesStudyFilters(experiment, filters, getModality) {
+  if (filters.project && text(experiment.project) !== filters.project) {
+    return false;
+  }
+  if (filters.patientName && !contains(experiment.subject_label ?? experiment.label, filters.patientName)) {
+    return false;
+  }
+  if (filters.patientId && !contains(experiment.subject_ID, filters.patientId)
+    && !contains(experiment.subject_label, filters.patientId)) {
+    return false;
+  }
+  if (filters.studyDescription && !contains(experiment.label, filters.studyDescription)) {
+    return false;
+  }
+  if (filters.accessionNumber
+    && readAccessionNumber(experiment).toLowerCase() !== filters.accessionNumber.toLowerCase()) {
+    return false;
+  }
+  if (filters.studyInstanceUids && !filters.studyInstanceUids.includes(text(experiment.UID))) {
+    return false;
+  }
+  if (filters.xsiTypes && !filters.xsiTypes.includes(text(experiment.xsiType))) {
+    return false;
+  }
+  if (!filters.xsiTypes && filters.modalities) {
+    const modalities = [getModality(experiment.xsiType), ...toList(experiment.modality)].map(m => m.toUpperCase());
+    if (!filters.modalities.some(modality => modalities.includes(modality))) {
+      return false;
+    }
+  }
+
+  const date = toDicomDate(experiment.date);
+  if ((filters.startDate || filters.endDate) && !date) {
+    return false;
+  }
+  if (filters.startDate && date < filters.startDate) {
+    return false;
+  }
+  if (filters.endDate && date > filters.endDate) {
+    return false;
+  }
+
+  if (filters.scanner) {
+    if (!contains(readColumn(experiment, SCANNER_COLUMN) || experiment.scanner, filters.scanner)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+export default {
+  ALL_PROJECTS,
+  DEFAULT_CROSS_PROJECT_SORT,
+  MAX_CROSS_PROJECT_ROWS,
+  SESSION_XSI_TYPES,
+  IMAGING_XSI_TYPES,
+  EXPERIMENT_COLUMNS,
+  ACCESSION_COLUMN,
+  STUDY_SORT_COLUMNS,
+  readColumn,
+  readAccessionNumber,
+  normalizeStudyFilters,
+  buildExperimentQueryParams,
+  needsSearchEngine,
+  getStudyPage,
+  readTotalRecords,
+  isAllProjects,
+  mergeProjectExperiments,
+  sortExperiments,
+  buildLookupQueries,
+  matchesStudyFilters,
+};
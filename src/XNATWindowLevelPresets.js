@@ -0,0 +1,68 @@
+import { buildWindowLevelMenuPresets } from './XNATImageLoader.lut.js';
+
+/**
+ * Stored W/L presets of the series on screen, for the viewport W/L menu
+ * Presets are collected per series as its images load, one per label; loading an image
+ * of another study drops the presets of the previous one
+ */
+class XNATWindowLevelPresets {
+  constructor() {
+    this.studyInstanceUID = null;
+    this.series = new Map();
+    this.shownSeriesUID = null;
+  }
+
+  /**
+   * Record the presets stored in a loaded image
+   * @param {Object} image - studyInstanceUID, seriesInstanceUID and modality of the image
+   * @param {Array<Object>} presets - Result of getWindowPresets
+   * @returns {boolean} Whether the presets for the series on screen changed
+   */
+  addImagePresets({ studyInstanceUID, seriesInstanceUID, modality }, presets = []) {
+    let changed = false;
+    if (studyInstanceUID !== this.studyInstanceUID) {
+      changed = !!this.series.get(this.shownSeriesUID)?.presets.size;
+      this.studyInstanceUID = studyInstanceUID;
+      this.series.clear();
+    }
+    if (!seriesInstanceUID) {
+      return changed;
+    }
+
+    if (!this.series.has(seriesInstanceUID)) {
+      this.series.set(seriesInstanceUID, { modality, presets: new Map() });
+    }
+    const seriesPresets = this.series.get(seriesInstanceUID).presets;
+    presets.forEach(preset => {
+      if (!seriesPresets.has(preset.label)) {
+        seriesPresets.set(preset.label, preset);
+        changed ||= seriesInstanceUID === this.shownSeriesUID;
+      }
+    });
+    return changed;
+  }
+
+  /**
+   * Set the series on screen
+   * @returns {boolean} Whether the menu presets change
+   */
+  showSeries(seriesInstanceUID) {
+    if (seriesInstanceUID === this.shownSeriesUID) {
+      return false;
+    }
+    const hadPresets = !!this.series.get(this.shownSeriesUID)?.presets.size;
+    this.shownSeriesUID = seriesInstanceUID;
+    return hadPresets || !!this.series.get(seriesInstanceUID)?.presets.size;
+  }
+
+  /**
+   * Menu presets: the menu's own presets plus the stored presets of the series on screen
+   * @param {Object} defaultMenuPresets - Menu presets by modality before any stored preset was added
+   */
+  getMenuPresets(defaultMenuPresets) {
+    const shown = this.series.get(this.shownSeriesUID);
+    return buildWindowLevelMenuPresets(defaultMenuPresets, shown?.modality, [...(shown?.presets.values() || [])]);
+  }
+}
+
+export default XNATWindowLevelPresets;
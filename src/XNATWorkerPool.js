@@ -0,0 +1,237 @@
+import { createAbortError } from './XNATRequestQueue.js';
+
+/**
+ * Web Worker pool for DICOM parsing and pixel decoding
+ * Workers are created lazily up to maxWorkers; each runs one task at a time and
+ * queued tasks are handed out in arrival order
+ */
+class XNATWorkerPool {
+  /**
+   * @param {Object} options
+   * @param {Function} options.createWorker - Returns a new Worker (or anything with postMessage/terminate and message/error events)
+   * @param {number} [options.maxWorkers=2]
+   */
+  constructor({ createWorker, maxWorkers = 2 }) {
+    this.createWorker = createWorker;
+    this.maxWorkers = Math.max(1, maxWorkers);
+    this.workers = [];
+    this.queue = [];
+    this.nextTaskId = 1;
+    // Set once workers cannot be started, so callers fall back to the main thread straight away
+    this.unavailable = false;
+  }
+
+  /**
+   * Whether this environment can run Web Workers at all
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Run a task on the next free worker
+   * Rejects with an error whose workerUnavailable flag is set when the worker itself failed
+   * rather than the task, so the caller can retry on the main thread
+   * @param {Object} message - Task posted to the worker
+   * @param {Array<Transferable>} [transfer] - Buffers to transfer instead of copy
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the task; running tasks are told to abort their requests
+   * @returns {Promise<*>} The worker's result
+   */
+  run(message, transfer = [], { signal } = {}) {
+    if (this.unavailable) {
+      return Promise.reject(createUnavailableError('Worker pool is unavailable'));
+    }
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const task = { id: this.nextTaskId++, message, transfer, resolve, reject, settled: false };
+      // Settle once only: cancelled tasks may still get a late reply from their worker
+      task.resolve = value => {
+        if (!task.settled) {
+          task.settled = true;
+          resolve(value);
+        }
+      };
+      task.reject = error => {
+        if (!task.settled) {
+          task.settled = true;
+          reject(error);
+        }
+      };
+      signal?.addEventListener('abort', () => this._cancel(task), { once: true });
+
+      this.queue.push(task);
+      this._dispatch();
+    });
+  }
+
+  _cancel(task) {
+    const index = this.queue.indexOf(task);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+    } else {
+      // The worker stays busy until it acknowledges, so it is not handed new work meanwhile
+      const workerState = this.workers.find(state => state.task === task);
+      workerState?.worker.postMessage({ id: task.id, type: 'cancel' });
+    }
+    task.reject(createAbortError());
+  }
+
+  _dispatch() {
+    while (this.queue.length) {
+      let workerState = this.workers.find(state => !state.task);
+      if (!workerState && this.workers.length < this.maxWorkers) {
+        workerState = this._spawn();
+        if (!workerState) {
+          return;
+        }
+      }
+      if (!workerState) {
+        return;
+      }
+
+      const task = this.queue.shift();
+      workerState.task = task;
+      try {
+        workerState.worker.postMessage({ id: task.id, ...task.message }, task.transfer);
+      } catch (error) {
+        workerState.task = null;
+        task.reject(error);
+      }
+    }
+  }
+
+  _spawn() {
+    let worker;
+    try {
+      worker = this.createWorker();
+    } catch (error) {
+      console.warn('⚠️ Could not start image worker, decoding on the main thread:', error.message || error);
+      this._markUnavailable(error);
+      return null;
+    }
+
+    const workerState = { worker, task: null, completedTasks: 0 };
+    worker.addEventListener('message', event => this._handleMessage(workerState, event));
+    worker.addEventListener('error', event => this._handleError(workerState, event));
+    this.workers.push(workerState);
+    return workerState;
+  }
+
+  _handleMessage(workerState, event) {
+    const { id, result, error } = event.data || {};
+    const task = workerState.task;
+    if (!task || task.id !== id) {
+      return;
+    }
+
+    workerState.task = null;
+    workerState.completedTasks++;
+    if (error) {
+      task.reject(new Error(error));
+    } else {
+      task.resolve(result);
+    }
+    this._dispatch();
+  }
+
+  _handleError(workerState, event) {
+    event?.preventDefault?.();
+    const message = event?.message || 'Image worker failed';
+    console.warn('⚠️ Image worker error:', message);
+
+    const task = workerState.task;
+    workerState.task = null;
+    workerState.worker.terminate();
+    this.workers = this.workers.filter(state => state !== workerState);
+
+    // A worker that dies before finishing its first task (e.g. the script failed to load) will keep dying
+    if (!workerState.completedTasks) {
+      this._markUnavailable(new Error(message));
+    }
+    task?.reject(createUnavailableError(message));
+    this._dispatch();
+  }
+
+  _markUnavailable(error) {
+    this.unavailable = true;
+    const queued = this.queue.splice(0);
+    queued.forEach(task => task.reject(createUnavailableError(error?.message || 'Worker pool is unavailable')));
+  }
+
+  /**
+   * Pool statistics for the cache info panel and debugging
+   */
+  getStats() {
+    return {
+      workers: this.workers.length,
+      busy: this.workers.filter(state => state.task).length,
+      queued: this.queue.length,
+      maxWorkers: this.maxWorkers,
+      unavailable: this.unavailable,
+    };
+  }
+
+  /**
+   * Stop all workers and reject anything still queued or running
+   */
+  terminate() {
+    this.workers.forEach(state => {
+      state.worker.terminate();
+      state.task?.reject(createUnavailableError('Worker pool terminated'));
+    });
+    this.workers = [];
+    this.queue.splice(0).forEach(task => task.reject(createUnavailableError('Worker pool terminated')));
+  }
+}
+
+function createUnavailableError(message) {
+  const error = new Error(message);
+  error.workerUnavailable = true;
+  return error;
+}
+
+let sharedPool = null;
+let sharedPoolOptions = {};
+
+function getDefaultMaxWorkers() {
+  const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency || 2 : 2;
+  // Leave a core for the main thread and keep WASM codec memory in check
+  return Math.max(1, Math.min(4, cores - 1));
+}
+
+/**
+ * Configure the pool shared by the image loader and XNATClient
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled=true] - Set to false to keep all work on the main thread
+ * @param {number} [options.maxWorkers] - Defaults to one less than the number of cores, at most 4
+ */
+export function configureWorkerPool(options = {}) {
+  sharedPool?.terminate();
+  sharedPool = null;
+  sharedPoolOptions = options || {};
+}
+
+/**
+ * The shared pool, or null when workers are disabled or unsupported (callers then use the main thread)
+ */
+export function getWorkerPool() {
+  if (sharedPoolOptions.enabled === false || !XNATWorkerPool.isSupported()) {
+    return null;
+  }
+
+  if (!sharedPool) {
+    sharedPool = new XNATWorkerPool({
+      maxWorkers: sharedPoolOptions.maxWorkers || getDefaultMaxWorkers(),
+      createWorker: () => new Worker(new URL('./XNATImageLoader.worker.js', import.meta.url), { type: 'module' }),
+    });
+    console.log('🧵 Image worker pool created with up to', sharedPool.maxWorkers, 'workers');
+  }
+
+  return sharedPool.unavailable ? null : sharedPool;
+}
+
+export default XNATWorkerPool;
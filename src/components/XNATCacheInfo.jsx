@@ -41,7 +41,7 @@ export default function XNATCacheInfo({ servicesManager }) {
     );
   }
 
-  const percentage = Math.min((cacheStats.sizeMB / 512) * 100, 100);
+  const percentage = cacheStats.limitMB ? Math.min((cacheStats.sizeMB / cacheStats.limitMB) * 100, 100) : 0;
 
   return React.createElement('div', { className: 'p-4 bg-black text-white' },
     React.createElement('h6', { className: 'text-lg font-semibold mb-4' }, 'XNAT Image Cache'),
@@ -57,7 +57,11 @@ export default function XNATCacheInfo({ servicesManager }) {
       ),
       React.createElement('div', { className: 'flex justify-between' },
         React.createElement('span', { className: 'text-gray-400' }, 'Limit:'),
-        React.createElement('span', { className: 'font-mono text-gray-500' }, '512 MB')
+        React.createElement('span', { className: 'font-mono text-gray-500' }, `${cacheStats.limitMB} MB`)
+      ),
+      React.createElement('div', { className: 'flex justify-between' },
+        React.createElement('span', { className: 'text-gray-400' }, 'Pinned (on screen):'),
+        React.createElement('span', { className: 'font-mono' }, cacheStats.pinnedEntries ?? 0)
       ),
       React.createElement('div', { className: 'w-full bg-gray-700 rounded-full h-2 mt-2' },
         React.createElement('div', {
@@ -73,7 +77,7 @@ export default function XNATCacheInfo({ servicesManager }) {
     }, 'Clear Cache'),
 
     React.createElement('div', { className: 'mt-4 text-xs text-gray-500' },
-      React.createElement('p', null, 'Cache auto-evicts when full (LRU)'),
+      React.createElement('p', null, 'Least recently used files are evicted when full or under memory pressure; the series on screen is kept'),
       React.createElement('p', null, 'Updates every 5 seconds')
     )
   );
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { ALL_PROJECTS, isAllProjects } from '../XNATStudySearch.js';
 
 export default function XNATProjectSelector({ servicesManager }) {
   const [projects, setProjects] = useState([]);
@@ -32,7 +33,7 @@ export default function XNATProjectSelector({ servicesManager }) {
     if (uiNotificationService) {
       uiNotificationService.show({
         title: 'Project Changed',
-        message: `Switched to project: ${projectId}`,
+        message: `Switched to project: ${isAllProjects(projectId) ? 'All accessible projects' : projectId}`,
         type: 'success',
         duration: 3000,
       });
@@ -61,7 +62,8 @@ export default function XNATProjectSelector({ servicesManager }) {
         onChange: (e) => handleProjectChange(e.target.value),
         className: 'w-full bg-gray-800 text-white border border-gray-600 rounded p-2'
       },
-        React.createElement('option', { value: '' }, 'All Projects'),
+        React.createElement('option', { value: '' }, 'Select a project'),
+        React.createElement('option', { value: ALL_PROJECTS }, 'All accessible projects'),
         projects.map((project) =>
           React.createElement('option', { key: project.id, value: project.id },
             `${project.id} - ${project.name}`
@@ -70,7 +72,7 @@ export default function XNATProjectSelector({ servicesManager }) {
       )
     ),
     React.createElement('div', { className: 'text-xs text-gray-400' },
-      React.createElement('p', null, `Current: ${selectedProject || 'All Projects'}`),
+      React.createElement('p', null, `Current: ${isAllProjects(selectedProject) ? 'All accessible projects' : selectedProject || 'None'}`),
       React.createElement('p', { className: 'mt-2' }, `Total Projects: ${projects.length}`)
     )
   );
@@ -1,9 +1,12 @@
 import createXNATDataSource from './XNATDataSource.js';
 import XNATImageLoader from './XNATImageLoader.js';
-import { registerImageLoader } from '@cornerstonejs/core';
+import { registerImageLoader, eventTarget, metaData, Enums } from '@cornerstonejs/core';
 import XNATProjectSelector from './components/XNATProjectSelector';
 import XNATCacheInfo from './components/XNATCacheInfo';
 import init from './init.js';
+import { purgePersistentCache } from './XNATPersistentCache.js';
+import { getWindowPresets } from './XNATImageLoader.lut.js';
+import XNATWindowLevelPresets from './XNATWindowLevelPresets.js';
 
 const EXTENSION_ID = '@ohif/extension-xnat-datasource';
 
@@ -26,6 +29,10 @@ function preRegistration({ servicesManager, configuration = {} }) {
       username: configuration.username,
       password: configuration.password,
       token: configuration.token,
+      workers: configuration.workers,
+      requestQueue: configuration.requestQueue,
+      persistentCache: configuration.persistentCache,
+      cache: configuration.cache,
     });
     console.log('🟢 XNAT image loader configured with credentials');
   } else {
@@ -51,6 +58,56 @@ function preRegistration({ servicesManager, configuration = {} }) {
   // Call init function to set up login dialog
   console.log('🟢 Calling init function from preRegistration');
   init({ servicesManager, configuration });
+
+  addStoredPresetsToWindowLevelMenu(servicesManager);
+}
+
+const WINDOW_LEVEL_PRESETS_CUSTOMIZATION = 'cornerstone.windowLevelPresets';
+
+/**
+ * Add the window presets stored in the images of the series on screen to the viewport W/L menu, under its modality
+ */
+function addStoredPresetsToWindowLevelMenu(servicesManager) {
+  const { customizationService } = servicesManager?.services || {};
+  if (!customizationService?.setCustomizations) {
+    console.warn('⚠️ Customization service unavailable; stored W/L presets will not be added to the W/L menu');
+    return;
+  }
+
+  const windowLevelPresets = new XNATWindowLevelPresets();
+  let defaultMenuPresets = null;
+  const updateMenu = () => {
+    // The menu's own presets are captured before the first stored preset is added
+    defaultMenuPresets ??= customizationService.getCustomization(WINDOW_LEVEL_PRESETS_CUSTOMIZATION) || {};
+    customizationService.setCustomizations({
+      [WINDOW_LEVEL_PRESETS_CUSTOMIZATION]: { $set: windowLevelPresets.getMenuPresets(defaultMenuPresets) },
+    });
+  };
+
+  eventTarget.addEventListener(Enums.Events.IMAGE_LOADED, event => {
+    const imageId = event.detail?.image?.imageId;
+    if (!imageId?.startsWith('xnat:')) {
+      return;
+    }
+    const series = metaData.get('generalSeriesModule', imageId) || {};
+    if (windowLevelPresets.addImagePresets(series, getWindowPresets(metaData.get('voiLUTModule', imageId)))) {
+      updateMenu();
+    }
+  });
+
+  // Stack viewports report the image they show; the menu follows the series last brought on screen
+  if (typeof document !== 'undefined') {
+    document.addEventListener(Enums.Events.STACK_NEW_IMAGE, event => {
+      const imageId = event.detail?.imageId;
+      const seriesInstanceUID = imageId?.startsWith('xnat:')
+        ? metaData.get('generalSeriesModule', imageId)?.seriesInstanceUID
+        : null;
+      if (windowLevelPresets.showSeries(seriesInstanceUID)) {
+        updateMenu();
+        console.log('🪟 W/L menu now shows the stored presets of series', seriesInstanceUID);
+      }
+    }, { capture: true });
+  }
 }
 
 /**
@@ -111,10 +168,25 @@ function getCommandsModule({ servicesManager }) {
         storeContexts: [],
         options: {},
       },
-      xnatLogout: {
+      showXNATAdvancedSearch: {
         commandFn: () => {
+          // Show advanced search modal from init.js
+          if (window.showAdvancedSearchModal) {
+            window.showAdvancedSearchModal();
+          } else {
+            console.error('Advanced search not available');
+          }
+        },
+        storeContexts: [],
+        options: {},
+      },
+      xnatLogout: {
+        commandFn: async () => {
           console.log('🚪 Logout command - clearing all data');
 
+          // Remove cached DICOM files from disk before the session secret goes
+          await purgePersistentCache();
+
           // Clear all storage
           localStorage.clear();
           sessionStorage.clear();
@@ -1,5 +1,8 @@
 import XNATImageLoader from './XNATImageLoader.js';
 import XNATClient from './XNATClient.js';
+import { purgePersistentCache } from './XNATPersistentCache.js';
+import { readStoredAdvancedSearch, storeAdvancedSearch } from './XNATSearchXML.js';
+import { ALL_PROJECTS, isAllProjects } from './XNATStudySearch.js';
 
 /**
  * Initialize the XNAT extension
@@ -36,6 +39,14 @@ export default function init({ servicesManager, configuration = {} }) {
 
   // Expose functions globally so commands can call them
   window.showProjectSelectorModal = showProjectSelectorModal;
+  window.showAdvancedSearchModal = showAdvancedSearchModal;
+}
+
+/**
+ * Label for the selected project in buttons
+ */
+function getProjectLabel(projectId) {
+  return isAllProjects(projectId) ? 'All accessible projects' : projectId;
 }
 
 function checkForInitialLogin() {
@@ -332,7 +343,7 @@ function addProjectSelectorButton() {
 
   // Get current project name
   const currentProjectId = localStorage.getItem('ohif.xnat.selectedProject');
-  const buttonText = currentProjectId ? `XNAT: ${currentProjectId}` : 'XNAT: Select Project';
+  const buttonText = currentProjectId ? `XNAT: ${getProjectLabel(currentProjectId)}` : 'XNAT: Select Project';
 
   const button = document.createElement('button');
   button.id = 'xnat-project-selector-btn';
@@ -448,6 +459,13 @@ function showProjectSelectorModal() {
   const projects = window.xnatProjects || [];
   const currentProject = localStorage.getItem('ohif.xnat.selectedProject');
 
+  // Searches every project the user can read, showing each shared session once
+  const allProjectsOption = document.createElement('option');
+  allProjectsOption.value = ALL_PROJECTS;
+  allProjectsOption.textContent = 'All accessible projects';
+  allProjectsOption.selected = isAllProjects(currentProject);
+  projectSelect.appendChild(allProjectsOption);
+
   projects.forEach(project => {
     const option = document.createElement('option');
     option.value = project.ID;
@@ -511,7 +529,7 @@ function showProjectSelectorModal() {
 
     // Show message to user
     const successMsg = document.createElement('div');
-    successMsg.textContent = `Project "${selectedProject}" selected. Refreshing...`;
+    successMsg.textContent = `Project "${getProjectLabel(selectedProject)}" selected. Refreshing...`;
     successMsg.style.cssText = `
       position: fixed;
       top: 50%;
@@ -552,6 +570,219 @@ function showProjectSelectorModal() {
   document.body.appendChild(modal);
 }
 
+function showAdvancedSearchModal() {
+  // Remove existing modal if any
+  const existingModal = document.getElementById('xnat-advanced-search-modal');
+  if (existingModal) {
+    existingModal.remove();
+  }
+
+  const saved = readStoredAdvancedSearch() || {};
+  const savedField = saved.customFields?.[0] || {};
+
+  // Create modal overlay
+  const modal = document.createElement('div');
+  modal.id = 'xnat-advanced-search-modal';
+  modal.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.7);
+    z-index: 10000;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+  `;
+
+  // Create modal content
+  const content = document.createElement('div');
+  content.style.cssText = `
+    background: #1a1a1a;
+    border: 1px solid #333;
+    border-radius: 8px;
+    padding: 24px;
+    max-width: 560px;
+    width: 90%;
+    max-height: 90vh;
+    overflow-y: auto;
+  `;
+
+  const title = document.createElement('h2');
+  title.textContent = 'Advanced Search';
+  title.style.cssText = `
+    color: white;
+    margin: 0 0 16px 0;
+    font-size: 20px;
+  `;
+
+  const form = document.createElement('form');
+  form.style.cssText = `
+    display: grid;
+    grid-template-columns: 1fr 1fr;
+    gap: 12px;
+  `;
+
+  const inputStyle = `
+    background: #2a2a2a;
+    color: white;
+    border: 1px solid #444;
+    border-radius: 4px;
+    padding: 8px;
+    font-size: 14px;
+    width: 100%;
+    box-sizing: border-box;
+  `;
+
+  // Labelled input or select; options are [value, text] pairs
+  const addField = (labelText, value, { type = 'text', options, placeholder = '' } = {}) => {
+    const wrapper = document.createElement('label');
+    wrapper.style.cssText = 'color: #aaa; font-size: 12px; display: flex; flex-direction: column; gap: 4px;';
+    wrapper.appendChild(document.createTextNode(labelText));
+
+    const input = document.createElement(options ? 'select' : 'input');
+    if (options) {
+      options.forEach(([optionValue, optionText]) => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = optionText;
+        input.appendChild(option);
+      });
+    } else {
+      input.type = type;
+      input.placeholder = placeholder;
+    }
+    input.value = value ?? '';
+    input.style.cssText = inputStyle;
+
+    wrapper.appendChild(input);
+    form.appendChild(wrapper);
+    return input;
+  };
+
+  // Dates are stored as YYYYMMDD; date inputs want YYYY-MM-DD
+  const toInputDate = value => (value ? String(value).replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3') : '');
+  const projects = window.xnatProjects || [];
+
+  const projectInput = addField('Project', saved.project ?? localStorage.getItem('ohif.xnat.selectedProject') ?? '', {
+    options: [['', 'All projects'], ...projects.map(project => [project.ID, project.ID])],
+  });
+  const modalityInput = addField('Modality', saved.modality, {
+    options: [['', 'Any'], ...['MR', 'CT', 'PT', 'CR', 'DX', 'MG', 'US'].map(modality => [modality, modality])],
+  });
+  const subjectLabelInput = addField('Subject label', saved.subject?.label);
+  const genderInput = addField('Gender', saved.subject?.gender, {
+    options: [['', 'Any'], ['male', 'Male'], ['female', 'Female'], ['other', 'Other'], ['unknown', 'Unknown']],
+  });
+  const minAgeInput = addField('Minimum age', saved.subject?.minAge, { type: 'number' });
+  const maxAgeInput = addField('Maximum age', saved.subject?.maxAge, { type: 'number' });
+  const scanTypeInput = addField('Scan type', saved.scans?.type, { placeholder: 'e.g. MPRAGE' });
+  const seriesInput = addField('Series description', saved.scans?.seriesDescription);
+  const startDateInput = addField('Session date from', toInputDate(saved.session?.startDate), { type: 'date' });
+  const endDateInput = addField('Session date to', toInputDate(saved.session?.endDate), { type: 'date' });
+  const fieldNameInput = addField('Custom variable', savedField.name, { placeholder: 'Variable name' });
+  const fieldValueInput = addField('Custom variable value', savedField.value);
+  const fieldLevelInput = addField('Custom variable on', savedField.level || 'session', {
+    options: [['session', 'Session'], ['subject', 'Subject']],
+  });
+
+  // Button container
+  const buttonContainer = document.createElement('div');
+  buttonContainer.style.cssText = `
+    grid-column: 1 / -1;
+    display: flex;
+    gap: 8px;
+    margin-top: 16px;
+  `;
+
+  const secondaryButtonStyle = `
+    background: #2a2a2a;
+    color: white;
+    border: 1px solid #444;
+    border-radius: 4px;
+    padding: 10px 16px;
+    cursor: pointer;
+    flex: 1;
+  `;
+
+  // Saving the search (or clearing it) and reloading lets the study list pick it up
+  const applySearch = (filter, message) => {
+    storeAdvancedSearch(filter);
+    console.log(`🔎 ${message}`, filter || '');
+    modal.remove();
+    window.location.href = window.location.origin + '/?t=' + Date.now();
+  };
+
+  const clearButton = document.createElement('button');
+  clearButton.type = 'button';
+  clearButton.textContent = 'Clear';
+  clearButton.style.cssText = secondaryButtonStyle;
+  clearButton.onclick = () => applySearch(null, 'Advanced search cleared');
+
+  const cancelButton = document.createElement('button');
+  cancelButton.type = 'button';
+  cancelButton.textContent = 'Cancel';
+  cancelButton.style.cssText = secondaryButtonStyle;
+  cancelButton.onclick = () => modal.remove();
+
+  const searchButton = document.createElement('button');
+  searchButton.type = 'submit';
+  searchButton.textContent = 'Search';
+  searchButton.style.cssText = `
+    background: #5acce6;
+    color: white;
+    border: none;
+    border-radius: 4px;
+    padding: 10px 16px;
+    cursor: pointer;
+    font-weight: 600;
+    flex: 1;
+  `;
+
+  form.onsubmit = (e) => {
+    e.preventDefault();
+    const filter = {
+      project: projectInput.value,
+      modality: modalityInput.value,
+      subject: {
+        label: subjectLabelInput.value,
+        gender: genderInput.value,
+        minAge: minAgeInput.value,
+        maxAge: maxAgeInput.value,
+      },
+      session: {
+        startDate: startDateInput.value.replace(/-/g, ''),
+        endDate: endDateInput.value.replace(/-/g, ''),
+      },
+      scans: {
+        type: scanTypeInput.value,
+        seriesDescription: seriesInput.value,
+      },
+      customFields: [{ name: fieldNameInput.value, value: fieldValueInput.value, level: fieldLevelInput.value }],
+    };
+    applySearch(filter, 'Advanced search saved');
+  };
+
+  buttonContainer.appendChild(clearButton);
+  buttonContainer.appendChild(cancelButton);
+  buttonContainer.appendChild(searchButton);
+  form.appendChild(buttonContainer);
+
+  content.appendChild(title);
+  content.appendChild(form);
+  modal.appendChild(content);
+
+  // Close on overlay click
+  modal.onclick = (e) => {
+    if (e.target === modal) {
+      modal.remove();
+    }
+  };
+
+  document.body.appendChild(modal);
+}
+
 function addLogoutButton() {
   console.log('🔘 Attempting to add logout button...');
 
@@ -594,7 +825,7 @@ function addLogoutButton() {
     button.style.boxShadow = '0 4px 12px rgba(0,0,0,0.3)';
   };
 
-  button.onclick = () => {
+  button.onclick = async () => {
     console.log('🚪 Logout clicked - clearing all data');
 
     // Show logout message
@@ -614,6 +845,9 @@ function addLogoutButton() {
     `;
     document.body.appendChild(logoutMsg);
 
+    // Remove cached DICOM files from disk before the session secret goes
+    await purgePersistentCache();
+
     // Clear all storage
     localStorage.clear();
     sessionStorage.clear();
@@ -774,7 +1008,7 @@ function addXNATToolbar() {
     const currentProjectId = localStorage.getItem('ohif.xnat.selectedProject');
     const projectBtn = document.getElementById('xnat-toolbar-project-btn');
     if (projectBtn) {
-      projectBtn.innerHTML = `<span style="font-size: 16px;">📁</span> ${currentProjectId || 'Select Project'}`;
+      projectBtn.innerHTML = `<span style="font-size: 16px;">📁</span> ${currentProjectId ? getProjectLabel(currentProjectId) : 'Select Project'}`;
     }
     return;
   }
@@ -931,7 +1165,7 @@ function addXNATToolbar() {
   // Project button
   const projectBtn = document.createElement('button');
   projectBtn.id = 'xnat-toolbar-project-btn';
-  projectBtn.innerHTML = `<span style="font-size: 16px;">📁</span> ${currentProjectId || 'Select Project'}`;
+  projectBtn.innerHTML = `<span style="font-size: 16px;">📁</span> ${currentProjectId ? getProjectLabel(currentProjectId) : 'Select Project'}`;
   projectBtn.style.cssText = `
     background: rgba(90, 204, 230, 0.15);
     color: #5acce6;
@@ -958,6 +1192,56 @@ function addXNATToolbar() {
   };
   projectBtn.onclick = () => showProjectSelectorModal();
 
+  // Quick find: looks a StudyInstanceUID, accession number, session label or subject label up in every project
+  const quickFindInput = document.createElement('input');
+  quickFindInput.id = 'xnat-toolbar-quick-find';
+  quickFindInput.type = 'search';
+  quickFindInput.placeholder = '🔍 Quick find (UID, accession, label)';
+  quickFindInput.value = new URLSearchParams(window.location.search).get('quickfind') || '';
+  quickFindInput.style.cssText = `
+    background: #2a2a2a;
+    color: white;
+    border: 1px solid #444;
+    border-radius: 6px;
+    padding: 9px 12px;
+    font-size: 13px;
+    width: 100%;
+    box-sizing: border-box;
+  `;
+  quickFindInput.onkeydown = (e) => {
+    if (e.key !== 'Enter') {
+      return;
+    }
+    const term = quickFindInput.value.trim();
+    console.log(term ? `🔍 Quick find: ${term}` : '🔍 Quick find cleared');
+    // The study list reads the quickfind parameter; an empty box goes back to the project listing
+    window.location.href = window.location.origin + '/?' +
+      (term ? `quickfind=${encodeURIComponent(term)}&` : '') + 't=' + Date.now();
+  };
+
+  // Advanced search button, highlighted while a search is applied
+  const searchActive = !!readStoredAdvancedSearch();
+  const searchBtn = document.createElement('button');
+  searchBtn.id = 'xnat-toolbar-search-btn';
+  searchBtn.innerHTML = `<span style="font-size: 16px;">🔎</span> ${searchActive ? 'Advanced search (on)' : 'Advanced search'}`;
+  searchBtn.style.cssText = `
+    background: rgba(90, 204, 230, ${searchActive ? '0.25' : '0.15'});
+    color: #5acce6;
+    border: 1px solid rgba(90, 204, 230, 0.3);
+    border-radius: 6px;
+    padding: 10px 14px;
+    cursor: pointer;
+    font-size: 13px;
+    font-weight: 500;
+    transition: all 0.2s;
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    width: 100%;
+    text-align: left;
+  `;
+  searchBtn.onclick = () => showAdvancedSearchModal();
+
   // Logout button
   const logoutBtn = document.createElement('button');
   logoutBtn.innerHTML = '<span style="font-size: 16px;">🚪</span> Logout';
@@ -984,14 +1268,19 @@ function addXNATToolbar() {
     logoutBtn.style.background = 'rgba(230, 57, 70, 0.15)';
     logoutBtn.style.borderColor = 'rgba(230, 57, 70, 0.3)';
   };
-  logoutBtn.onclick = () => {
+  logoutBtn.onclick = async () => {
+    // Remove cached DICOM files from disk before the session secret goes
+    await purgePersistentCache();
+
     localStorage.clear();
     sessionStorage.clear();
     // Redirect to root path with cache-busting timestamp
     window.location.href = window.location.origin + '/?t=' + Date.now();
   };
 
+  content.appendChild(quickFindInput);
   content.appendChild(projectBtn);
+  content.appendChild(searchBtn);
   content.appendChild(logoutBtn);
   toolbar.appendChild(titleBar);
   toolbar.appendChild(content);
@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import XNATFileCache, { measureMemoryPressure, startMemoryPressureMonitor } from '../src/XNATCachePolicy.js';
+
+const MB = 1024 * 1024;
+const file = sizeMB => new ArrayBuffer(sizeMB * MB);
+
+test('XNATFileCache evicts the least recently used file, not the oldest inserted', () => {
+  const cache = new XNATFileCache({ limitMB: 3 });
+  cache.set('a', file(1));
+  cache.set('b', file(1));
+  cache.set('c', file(1));
+
+  assert.ok(cache.get('a'));
+  cache.set('d', file(1));
+
+  assert.equal(cache.has('a'), true);
+  assert.equal(cache.has('b'), false);
+  assert.deepEqual([...cache.entries.keys()], ['c', 'a', 'd']);
+  assert.equal(cache.getStats().sizeMB, 3);
+});
+
+test('XNATFileCache keeps pinned files and skips files larger than the limit', () => {
+  let pinned = ['a', 'b'];
+  const cache = new XNATFileCache({ limitMB: 3, getPinnedUrls: () => pinned });
+  cache.set('a', file(1));
+  cache.set('b', file(1));
+  cache.set('c', file(1));
+  cache.set('d', file(1));
+
+  assert.deepEqual([...cache.entries.keys()], ['a', 'b', 'd']);
+  assert.equal(cache.getStats().pinnedEntries, 2);
+
+  // Pinned files may push the cache over its limit
+  cache.set('e', file(2));
+  assert.deepEqual([...cache.entries.keys()], ['a', 'b', 'e']);
+  assert.equal(cache.getStats().sizeMB, 4);
+
+  assert.equal(cache.set('huge', file(4)), false);
+  assert.equal(cache.has('huge'), false);
+
+  pinned = [];
+  cache.setLimit(2);
+  assert.deepEqual([...cache.entries.keys()], ['e']);
+});
+
+test('relievePressure shrinks the cache to half its limit', () => {
+  const cache = new XNATFileCache({ limitMB: 4 });
+  ['a', 'b', 'c', 'd'].forEach(url => cache.set(url, file(1)));
+
+  assert.equal(cache.relievePressure(), 2);
+  assert.deepEqual([...cache.entries.keys()], ['c', 'd']);
+});
+
+test('measureMemoryPressure reports the fuller of the heap and the Cornerstone cache', () => {
+  assert.equal(measureMemoryPressure({}), 0);
+  assert.equal(measureMemoryPressure({ memory: { usedJSHeapSize: 50, jsHeapSizeLimit: 100 } }), 0.5);
+  assert.equal(measureMemoryPressure({
+    memory: { usedJSHeapSize: 50, jsHeapSizeLimit: 100 },
+    cornerstoneCache: { sizeBytes: 90, maxBytes: 100 },
+  }), 0.9);
+});
+
+test('startMemoryPressureMonitor calls onPressure at the threshold until stopped', async () => {
+  const readings = [0.5, 0.9, 0.95];
+  const reported = [];
+  const stop = startMemoryPressureMonitor({
+    readPressure: () => readings.shift() ?? 0,
+    onPressure: pressure => reported.push(pressure),
+    threshold: 0.85,
+    intervalMs: 1,
+  });
+
+  await new Promise(resolve => setTimeout(resolve, 30));
+  stop();
+  assert.deepEqual(reported, [0.9, 0.95]);
+});
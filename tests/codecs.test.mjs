@@ -0,0 +1,140 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import pako from 'pako';
+
+import {
+  TransferSyntax,
+  isEncapsulatedTransferSyntax,
+  isTransferSyntaxDecodable,
+  assertTransferSyntaxSupported,
+  inflateDeflatedDataSet,
+  parseDicom,
+  swapPixelBytes,
+  toTypedPixelArray,
+  decodeRLE,
+  decodeFrame,
+} from '../src/XNATImageLoader.codecs.js';
+import { explicitElement, concatBytes, buildPart10 } from './helpers/dicomBytes.mjs';
+
+/**
+ * Build an RLE Lossless frame from already PackBits-encoded segments
+ */
+function buildRLEFrame(segments) {
+  const headerLength = 64;
+  const totalLength = headerLength + segments.reduce((sum, segment) => sum + segment.length, 0);
+  const frame = new Uint8Array(totalLength);
+  const view = new DataView(frame.buffer);
+  view.setUint32(0, segments.length, true);
+
+  let offset = headerLength;
+  segments.forEach((segment, index) => {
+    view.setUint32(4 + index * 4, offset, true);
+    frame.set(segment, offset);
+    offset += segment.length;
+  });
+
+  return frame;
+}
+
+test('isEncapsulatedTransferSyntax only flags compressed syntaxes', () => {
+  assert.equal(isEncapsulatedTransferSyntax(TransferSyntax.EXPLICIT_VR_LITTLE_ENDIAN), false);
+  assert.equal(isEncapsulatedTransferSyntax(TransferSyntax.IMPLICIT_VR_LITTLE_ENDIAN), false);
+  assert.equal(isEncapsulatedTransferSyntax(TransferSyntax.EXPLICIT_VR_BIG_ENDIAN), false);
+  assert.equal(isEncapsulatedTransferSyntax(undefined), false);
+  assert.equal(isEncapsulatedTransferSyntax(TransferSyntax.JPEG_BASELINE), true);
+  assert.equal(isEncapsulatedTransferSyntax(TransferSyntax.RLE_LOSSLESS), true);
+});
+
+test('every compressed transfer syntax has a decoder', () => {
+  [
+    TransferSyntax.JPEG_BASELINE,
+    TransferSyntax.JPEG_LOSSLESS_SV1,
+    TransferSyntax.JPEG_LS_LOSSLESS,
+    TransferSyntax.JPEG_2000,
+    TransferSyntax.HTJ2K,
+    TransferSyntax.RLE_LOSSLESS,
+  ].forEach(transferSyntax => assert.ok(isTransferSyntaxDecodable(transferSyntax), transferSyntax));
+  assert.equal(isTransferSyntaxDecodable('1.2.840.10008.1.2.4.100'), false);
+});
+
+test('decodeRLE expands literal and replicate runs for 8-bit data', () => {
+  // literal run of 2 bytes, then value 9 repeated 3 times
+  const frame = buildRLEFrame([Uint8Array.from([1, 5, 6, 0xfe, 9])]);
+  const decoded = decodeRLE(frame, { rows: 1, columns: 5, bitsAllocated: 8, samplesPerPixel: 1 });
+  assert.deepEqual(Array.from(decoded), [5, 6, 9, 9, 9]);
+});
+
+test('decodeRLE reassembles 16-bit samples from high and low byte segments', () => {
+  const highBytes = Uint8Array.from([1, 0x01, 0x02]);
+  const lowBytes = Uint8Array.from([1, 0x03, 0x04]);
+  const frame = buildRLEFrame([highBytes, lowBytes]);
+  const decoded = decodeRLE(frame, { rows: 1, columns: 2, bitsAllocated: 16, samplesPerPixel: 1 });
+  assert.deepEqual(Array.from(toTypedPixelArray(decoded, 16, 0)), [0x0103, 0x0204]);
+});
+
+test('decodeRLE interleaves colour segments', () => {
+  const red = Uint8Array.from([0xff, 10]);
+  const green = Uint8Array.from([0xff, 20]);
+  const blue = Uint8Array.from([0xff, 30]);
+  const frame = buildRLEFrame([red, green, blue]);
+  const decoded = decodeRLE(frame, { rows: 1, columns: 2, bitsAllocated: 8, samplesPerPixel: 3 });
+  assert.deepEqual(Array.from(decoded), [10, 20, 30, 10, 20, 30]);
+});
+
+test('decodeRLE rejects frames with the wrong segment count', () => {
+  const frame = buildRLEFrame([Uint8Array.from([0, 1])]);
+  assert.throws(
+    () => decodeRLE(frame, { rows: 1, columns: 1, bitsAllocated: 16, samplesPerPixel: 1 }),
+    /expected 2/
+  );
+});
+
+test('decodeFrame returns signed typed arrays for RLE frames', async () => {
+  const frame = buildRLEFrame([Uint8Array.from([1, 0xff, 0x00]), Uint8Array.from([1, 0xfe, 0x05])]);
+  const result = await decodeFrame(TransferSyntax.RLE_LOSSLESS, frame, {
+    rows: 1,
+    columns: 2,
+    bitsAllocated: 16,
+    pixelRepresentation: 1,
+    samplesPerPixel: 1,
+    photometricInterpretation: 'MONOCHROME2',
+  });
+  assert.ok(result.pixelData instanceof Int16Array);
+  assert.deepEqual(Array.from(result.pixelData), [-2, 5]);
+  assert.equal(result.photometricInterpretation, 'MONOCHROME2');
+});
+
+test('decodeFrame rejects transfer syntaxes without a decoder', async () => {
+  await assert.rejects(
+    decodeFrame('1.2.840.10008.1.2.4.100', new Uint8Array(4), { rows: 1, columns: 1, bitsAllocated: 8 }),
+    /Unsupported transfer syntax/
+  );
+});
+
+test('parseDicom inflates Deflated Explicit VR Little Endian datasets', () => {
+  const dataSetBytes = explicitElement(0x0010, 0x0020, 'LO', 'SUBJ01');
+  const file = buildPart10(TransferSyntax.DEFLATED_EXPLICIT_VR_LITTLE_ENDIAN, pako.deflateRaw(dataSetBytes));
+  const dataSet = parseDicom(file);
+  assert.equal(dataSet.string('x00100020'), 'SUBJ01');
+});
+
+test('inflateDeflatedDataSet keeps the bytes before the deflated dataset', () => {
+  const prefix = Uint8Array.from([1, 2, 3]);
+  const payload = Uint8Array.from([9, 8, 7, 6]);
+  const inflated = inflateDeflatedDataSet(concatBytes(prefix, pako.deflateRaw(payload)), prefix.length);
+  assert.deepEqual(Array.from(inflated), [1, 2, 3, 9, 8, 7, 6]);
+});
+
+test('swapPixelBytes converts big endian samples without touching the source', () => {
+  const source = Uint8Array.from([0x01, 0x02, 0x03, 0x04]);
+  const swapped = swapPixelBytes(source, 2);
+  assert.deepEqual(Array.from(new Uint16Array(swapped.buffer)), [0x0102, 0x0304]);
+  assert.deepEqual(Array.from(source), [0x01, 0x02, 0x03, 0x04]);
+});
+
+test('assertTransferSyntaxSupported names syntaxes the loader cannot render', () => {
+  assert.doesNotThrow(() => assertTransferSyntaxSupported(TransferSyntax.EXPLICIT_VR_BIG_ENDIAN));
+  assert.doesNotThrow(() => assertTransferSyntaxSupported(TransferSyntax.JPEG_LS_LOSSLESS));
+  assert.throws(() => assertTransferSyntaxSupported('1.2.840.10008.1.2.4.102'), /H\.264/);
+  assert.throws(() => assertTransferSyntaxSupported('1.2.3.4'), /Unsupported transfer syntax: 1\.2\.3\.4/);
+});
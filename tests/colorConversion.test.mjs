@@ -0,0 +1,142 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  isColorImage,
+  expandSegmentedLUT,
+  readPaletteColorLUTs,
+  getStoredSamplesPerPixel,
+  convertColorSpace,
+} from '../src/XNATImageLoader.color.js';
+import { uint16Bytes, parseDataSet } from './helpers/dicomBytes.mjs';
+
+test('isColorImage treats palette and multi-sample images as colour', () => {
+  assert.equal(isColorImage('MONOCHROME2', 1), false);
+  assert.equal(isColorImage('PALETTE COLOR', 1), true);
+  assert.equal(isColorImage('RGB', 3), true);
+  assert.equal(getStoredSamplesPerPixel('YBR_FULL_422', 3), 2);
+  assert.equal(getStoredSamplesPerPixel('YBR_FULL', 3), 3);
+});
+
+test('convertColorSpace interleaves planar RGB and can emit RGBA', () => {
+  const planar = new Uint8Array([1, 2, 10, 20, 100, 200]);
+  const rgb = convertColorSpace({
+    pixelData: planar,
+    photometricInterpretation: 'RGB',
+    planarConfiguration: 1,
+    rows: 1,
+    columns: 2,
+    bitsAllocated: 8,
+  });
+  assert.deepEqual(Array.from(rgb.pixelData), [1, 10, 100, 2, 20, 200]);
+  assert.equal(rgb.samplesPerPixel, 3);
+  assert.equal(rgb.planarConfiguration, 0);
+
+  const rgba = convertColorSpace({
+    pixelData: new Uint8Array([1, 10, 100]),
+    photometricInterpretation: 'RGB',
+    rows: 1,
+    columns: 1,
+    bitsAllocated: 8,
+    rgba: true,
+  });
+  assert.deepEqual(Array.from(rgba.pixelData), [1, 10, 100, 255]);
+  assert.equal(rgba.samplesPerPixel, 4);
+});
+
+test('convertColorSpace converts YBR_FULL in both planar configurations', () => {
+  // Neutral grey plus pure red (Y=76, Cb=85, Cr=255)
+  const interleaved = new Uint8Array([128, 128, 128, 76, 85, 255]);
+  const planar = new Uint8Array([128, 76, 128, 85, 128, 255]);
+
+  for (const [pixelData, planarConfiguration] of [[interleaved, 0], [planar, 1]]) {
+    const result = convertColorSpace({
+      pixelData,
+      photometricInterpretation: 'YBR_FULL',
+      planarConfiguration,
+      rows: 1,
+      columns: 2,
+      bitsAllocated: 8,
+    });
+    assert.equal(result.photometricInterpretation, 'RGB');
+    assert.deepEqual(Array.from(result.pixelData.slice(0, 3)), [128, 128, 128]);
+    const [r, g, b] = result.pixelData.slice(3, 6);
+    assert.ok(r >= 250 && g <= 5 && b <= 5, `expected red, got ${r},${g},${b}`);
+  }
+});
+
+test('convertColorSpace expands YBR_FULL_422 chroma pairs', () => {
+  const result = convertColorSpace({
+    pixelData: new Uint8Array([50, 200, 128, 128]),
+    photometricInterpretation: 'YBR_FULL_422',
+    rows: 1,
+    columns: 2,
+    bitsAllocated: 8,
+  });
+  assert.deepEqual(Array.from(result.pixelData), [50, 50, 50, 200, 200, 200]);
+});
+
+test('convertColorSpace rejects unknown colour interpretations', () => {
+  assert.throws(
+    () => convertColorSpace({
+      pixelData: new Uint8Array(3),
+      photometricInterpretation: 'CMYK',
+      rows: 1,
+      columns: 1,
+      bitsAllocated: 8,
+    }),
+    /Unsupported colour photometric interpretation: CMYK/
+  );
+});
+
+test('expandSegmentedLUT handles discrete, linear and indirect segments', () => {
+  // Discrete [0, 10], linear ramp to 40 over 3 entries, then replay the first segment
+  const segments = [0, 2, 0, 10, 1, 3, 40, 2, 1, 0, 0];
+  const lut = expandSegmentedLUT(segments, 7);
+  assert.deepEqual(Array.from(lut), [0, 10, 20, 30, 40, 0, 10]);
+});
+
+test('palette colour images map through the descriptor and LUT data', () => {
+  const dataSet = parseDataSet({
+    x00281101: ['US', [3, 10, 16]],
+    x00281102: ['US', [3, 10, 16]],
+    x00281103: ['US', [3, 10, 16]],
+    x00281201: ['OW', uint16Bytes(0xff00, 0x0000, 0x0000)],
+    x00281202: ['OW', uint16Bytes(0x0000, 0xff00, 0x0000)],
+    x00281203: ['OW', uint16Bytes(0x0000, 0x0000, 0xff00)],
+  });
+
+  const paletteLUTs = readPaletteColorLUTs(dataSet, 0);
+  assert.equal(paletteLUTs.red.firstMapped, 10);
+
+  const result = convertColorSpace({
+    pixelData: new Uint16Array([10, 11, 12, 99]),
+    photometricInterpretation: 'PALETTE COLOR',
+    rows: 2,
+    columns: 2,
+    bitsAllocated: 16,
+    paletteLUTs,
+  });
+  assert.equal(result.bitsAllocated, 8);
+  assert.deepEqual(Array.from(result.pixelData), [
+    255, 0, 0,
+    0, 255, 0,
+    0, 0, 255,
+    0, 0, 255,
+  ]);
+});
+
+test('segmented palettes are expanded when reading palette LUTs', () => {
+  const segmented = uint16Bytes(0, 1, 0, 1, 3, 255);
+  const dataSet = parseDataSet({
+    x00281101: ['US', [4, 0, 8]],
+    x00281102: ['US', [4, 0, 8]],
+    x00281103: ['US', [4, 0, 8]],
+    x00281221: ['OW', segmented],
+    x00281222: ['OW', segmented],
+    x00281223: ['OW', segmented],
+  });
+
+  const { red } = readPaletteColorLUTs(dataSet, 0);
+  assert.deepEqual(Array.from(red.lut), [0, 85, 170, 255]);
+});
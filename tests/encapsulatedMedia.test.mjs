@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  EncapsulatedDocumentSOPClassUIDs,
+  getMediaKind,
+  extractEncapsulatedMediaFromFile,
+} from '../src/XNATEncapsulatedMedia.js';
+import { explicitElement, longElement, itemTag, concatBytes, buildPart10 } from './helpers/dicomBytes.mjs';
+
+const EXPLICIT_VR_LITTLE_ENDIAN = '1.2.840.10008.1.2.1';
+const H264_HIGH_PROFILE = '1.2.840.10008.1.2.4.102';
+
+test('getMediaKind classifies documents by SOP class and video by transfer syntax', () => {
+  assert.equal(getMediaKind({ SOPClassUID: EncapsulatedDocumentSOPClassUIDs.PDF }), 'document');
+  assert.equal(getMediaKind({ SOPClassUID: '1.2.840.10008.5.1.4.1.1.77.1.1.1', TransferSyntaxUID: H264_HIGH_PROFILE }), 'video');
+  assert.equal(getMediaKind({ SOPClassUID: '1.2.840.10008.5.1.4.1.1.2', TransferSyntaxUID: EXPLICIT_VR_LITTLE_ENDIAN }), null);
+  assert.equal(getMediaKind(null), null);
+});
+
+test('extractEncapsulatedMediaFromFile returns the PDF without its padding byte', () => {
+  // Odd-length document, padded to an even OB length
+  const pdf = new TextEncoder().encode('%PDF-1.4 tiny%EOF');
+  const padded = concatBytes(pdf, new Uint8Array(1));
+  const file = buildPart10(EXPLICIT_VR_LITTLE_ENDIAN, concatBytes(
+    explicitElement(0x0008, 0x0016, 'UI', EncapsulatedDocumentSOPClassUIDs.PDF),
+    longElement(0x0042, 0x0011, 'OB', padded),
+    explicitElement(0x0042, 0x0012, 'LO', 'application/pdf')
+  ));
+
+  const media = extractEncapsulatedMediaFromFile(file.buffer);
+  assert.equal(media.mimeType, 'application/pdf');
+  assert.deepEqual(Array.from(media.bytes), Array.from(pdf));
+});
+
+test('extractEncapsulatedMediaFromFile joins the fragments of a video stream', () => {
+  const fragments = [new Uint8Array([0, 0, 0, 1]), new Uint8Array([0x67, 0x64, 0x00, 0x28])];
+  const file = buildPart10(H264_HIGH_PROFILE, concatBytes(
+    explicitElement(0x0028, 0x0008, 'IS', '30'),
+    longElement(0x7fe0, 0x0010, 'OB', null),
+    itemTag(0xe000, 0),
+    ...fragments.flatMap(fragment => [itemTag(0xe000, fragment.length), fragment]),
+    itemTag(0xe0dd, 0)
+  ));
+
+  const media = extractEncapsulatedMediaFromFile(file.buffer);
+  assert.equal(media.mimeType, 'video/mp4');
+  assert.deepEqual(Array.from(media.bytes), [0, 0, 0, 1, 0x67, 0x64, 0x00, 0x28]);
+});
+
+test('extractEncapsulatedMediaFromFile rejects ordinary images', () => {
+  const file = buildPart10(EXPLICIT_VR_LITTLE_ENDIAN, longElement(0x7fe0, 0x0010, 'OW', new Uint8Array(4)));
+  assert.throws(() => extractEncapsulatedMediaFromFile(file.buffer), /no encapsulated document or video/);
+});
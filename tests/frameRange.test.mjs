@@ -0,0 +1,163 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TransferSyntax, parseDicom } from '../src/XNATImageLoader.codecs.js';
+import {
+  readFrameRangeInfo,
+  getFrameRangeRequest,
+  describeFileHeader,
+  cacheDicomHeader,
+  getDicomHeader,
+  clearDicomHeaders,
+} from '../src/XNATImageLoader.headers.js';
+import XNATClient from '../src/XNATClient.js';
+import { explicitElement, longElement, uint16Bytes, concatBytes, buildPart10 } from './helpers/dicomBytes.mjs';
+
+/**
+ * Build a 2x2 multi-frame file and return it with the pixel data offset
+ */
+function buildMultiFrameFile({
+  transferSyntax = TransferSyntax.EXPLICIT_VR_LITTLE_ENDIAN,
+  frames = 3,
+  bitsAllocated = 16,
+  privateBytes = 0,
+} = {}) {
+  const samplesPerFrame = 4;
+  const frameBytes = bitsAllocated === 1 ? samplesPerFrame / 8 : samplesPerFrame * (bitsAllocated / 8);
+  const pixelBytes = new Uint8Array(Math.ceil(frameBytes * frames + (bitsAllocated === 1 ? 1 : 0)) & ~1);
+  pixelBytes.forEach((_, index) => { pixelBytes[index] = index & 0xff; });
+
+  const file = buildPart10(transferSyntax, concatBytes(
+    explicitElement(0x0020, 0x000e, 'UI', '1.2.3.4'),
+    explicitElement(0x0028, 0x0002, 'US', uint16Bytes(1)),
+    explicitElement(0x0028, 0x0004, 'CS', 'MONOCHROME2 '),
+    explicitElement(0x0028, 0x0008, 'IS', `${frames}`.padEnd(2, ' ')),
+    explicitElement(0x0028, 0x0010, 'US', uint16Bytes(2)),
+    explicitElement(0x0028, 0x0011, 'US', uint16Bytes(2)),
+    explicitElement(0x0028, 0x0100, 'US', uint16Bytes(bitsAllocated)),
+    // Stands in for the large functional group sequences of enhanced multi-frame files
+    ...(privateBytes ? [longElement(0x0029, 0x1010, 'OB', new Uint8Array(privateBytes))] : []),
+    longElement(0x7fe0, 0x0010, 'OW', pixelBytes)
+  ));
+  return { file, pixelDataOffset: file.length - pixelBytes.length };
+}
+
+function readRangeInfo(file, headerLength) {
+  return readFrameRangeInfo(parseDicom(file.subarray(0, headerLength), { untilTag: 'x7fe00010' }));
+}
+
+test('getFrameRangeRequest locates a frame from a header fetched without pixel data', () => {
+  const { file, pixelDataOffset } = buildMultiFrameFile();
+  const rangeInfo = readRangeInfo(file, pixelDataOffset);
+
+  assert.deepEqual(getFrameRangeRequest(rangeInfo, 1), {
+    start: pixelDataOffset + 8,
+    end: pixelDataOffset + 15,
+    frameIndex: 1,
+    bitOffset: 0,
+  });
+
+  const lastFrame = getFrameRangeRequest(rangeInfo, 99);
+  assert.equal(lastFrame.frameIndex, 2);
+  assert.equal(lastFrame.end, pixelDataOffset + 23);
+  assert.deepEqual(
+    Array.from(file.subarray(lastFrame.start, lastFrame.end + 1)),
+    [16, 17, 18, 19, 20, 21, 22, 23]
+  );
+});
+
+test('getFrameRangeRequest carries the bit offset of packed 1-bit frames', () => {
+  const { file, pixelDataOffset } = buildMultiFrameFile({ bitsAllocated: 1, frames: 4 });
+  const rangeInfo = readRangeInfo(file, pixelDataOffset);
+
+  // 4 samples per frame: frame 3 starts half way through the second byte
+  assert.deepEqual(getFrameRangeRequest(rangeInfo, 3), {
+    start: pixelDataOffset + 1,
+    end: pixelDataOffset + 1,
+    frameIndex: 3,
+    bitOffset: 4,
+  });
+});
+
+test('readFrameRangeInfo refuses compressed and deflated files', () => {
+  [TransferSyntax.RLE_LOSSLESS, TransferSyntax.DEFLATED_EXPLICIT_VR_LITTLE_ENDIAN].forEach(transferSyntax => {
+    const fakeHeader = {
+      string: tag => (tag === 'x00020010' ? transferSyntax : undefined),
+      uint16: () => 2,
+      elements: { x7fe00010: { dataOffset: 200, length: 64 } },
+    };
+    assert.equal(readFrameRangeInfo(fakeHeader), null, transferSyntax);
+  });
+});
+
+test('describeFileHeader reports headers cut off before pixel data with the tags read so far', () => {
+  const { file, pixelDataOffset } = buildMultiFrameFile({ privateBytes: 70000 });
+
+  const truncated = describeFileHeader(file.slice(0, 65536));
+  assert.equal(truncated.truncated, true);
+  assert.equal(truncated.multiFrame, true);
+  assert.equal(truncated.rangeInfo, null);
+  assert.ok(truncated.tags.ResultSet.Result.some(item => item.tag1 === '(0020,000E)' && item.value === '1.2.3.4'));
+
+  const complete = describeFileHeader(file.slice(0, pixelDataOffset));
+  assert.equal(complete.truncated, false);
+  assert.equal(complete.rangeInfo.dataOffset, pixelDataOffset);
+  assert.equal(complete.rangeInfo.numberOfFrames, 3);
+});
+
+test('cacheDicomHeader only keeps range-fetchable multi-frame headers', () => {
+  clearDicomHeaders();
+
+  const multiFrame = buildMultiFrameFile();
+  const singleFrame = buildMultiFrameFile({ frames: 1 });
+  const headerOf = ({ file, pixelDataOffset }) => ({
+    headerBytes: file.slice(0, pixelDataOffset),
+    rangeInfo: readRangeInfo(file, pixelDataOffset),
+  });
+
+  assert.equal(cacheDicomHeader('https://xnat/multi.dcm', headerOf(multiFrame)), true);
+  assert.equal(cacheDicomHeader('https://xnat/single.dcm', headerOf(singleFrame)), false);
+
+  assert.ok(getDicomHeader('https://xnat/multi.dcm'));
+  assert.equal(getDicomHeader('https://xnat/single.dcm'), null);
+
+  clearDicomHeaders();
+  assert.equal(getDicomHeader('https://xnat/multi.dcm'), null);
+});
+
+test('getFileDicomMetadata fetches past 64KB until a multi-frame header reaches pixel data', async () => {
+  clearDicomHeaders();
+
+  const { file, pixelDataOffset } = buildMultiFrameFile({ privateBytes: 70000 });
+  const client = new XNATClient({ xnatUrl: 'https://xnat.example.org' });
+  const ranges = [];
+  client.client = {
+    get: async (path, { headers }) => {
+      const [, start, end] = headers.Range.match(/bytes=(\d+)-(\d+)/).map(Number);
+      ranges.push([start, end]);
+      const data = file.slice(start, end + 1);
+      return { status: 206, headers: {}, data: data.buffer };
+    },
+  };
+
+  const fileEntry = {
+    Name: 'multi.dcm',
+    cat_ID: 'DICOM',
+    URI: '/data/experiments/E1/scans/1/resources/DICOM/files/multi.dcm',
+  };
+  const tags = await client.getFileDicomMetadata({ projectId: 'P1', experimentId: 'E1', scanId: '1', file: fileEntry });
+
+  assert.deepEqual(ranges, [[0, 65535], [65536, 131071]]);
+  assert.ok(tags.ResultSet.Result.some(item => item.tag1 === '(0028,0008)' && item.value.trim() === '3'));
+
+  const header = getDicomHeader(client.getFileLocation(fileEntry).url);
+  assert.equal(header.headerBytes.length, pixelDataOffset);
+  assert.deepEqual(getFrameRangeRequest(header.rangeInfo, 1), {
+    start: pixelDataOffset + 8,
+    end: pixelDataOffset + 15,
+    frameIndex: 1,
+    bitOffset: 0,
+  });
+
+  clearDicomHeaders();
+});
@@ -0,0 +1,128 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  getFunctionalGroupItem,
+  readFrameFunctionalGroups,
+  getDimensionIndexSequence,
+  getDimensionOrderedFrames,
+} from '../src/XNATImageLoader.functionalGroups.js';
+
+import { parseDataSet } from './helpers/dicomBytes.mjs';
+
+function frameContent(indexValues, extra = {}) {
+  return { x00209111: ['SQ', [{ x00209157: ['UL', indexValues], ...extra }]] };
+}
+
+test('per-frame functional groups override the shared ones', () => {
+  const dataSet = parseDataSet({
+    x00280008: ['IS', '2'],
+    x52009229: ['SQ', [{
+      x00289145: ['SQ', [{ x00281052: ['DS', '-1024'], x00281053: ['DS', '1'], x00281054: ['LO', 'HU'] }]],
+      x00289132: ['SQ', [{ x00281050: ['DS', '40'], x00281051: ['DS', '400'], x00281055: ['LO', 'SOFT'] }]],
+    }]],
+    x52009230: ['SQ', [
+      {},
+      { x00289145: ['SQ', [{ x00281052: ['DS', '0'], x00281053: ['DS', '2.5'], x00281054: ['LO', 'US'] }]] },
+    ]],
+  });
+
+  assert.equal(getFunctionalGroupItem(dataSet, 0, 'x00289145').string('x00281054'), 'HU');
+
+  const first = readFrameFunctionalGroups(dataSet, 0);
+  assert.equal(first.modalityLutModule.rescaleIntercept, -1024);
+  assert.deepEqual(first.voiLUTModule.windowCenter, [40]);
+  assert.deepEqual(first.voiLUTModule.windowCenterWidthExplanation, ['SOFT']);
+
+  const second = readFrameFunctionalGroups(dataSet, 1);
+  assert.equal(second.modalityLutModule.rescaleSlope, 2.5);
+  assert.equal(second.modalityLutModule.rescaleType, 'US');
+  assert.deepEqual(second.voiLUTModule.windowWidth, [400]);
+});
+
+test('frame content and MR/CT parameters are read per frame', () => {
+  const dataSet = parseDataSet({
+    x00280008: ['IS', '1'],
+    x52009229: ['SQ', [{
+      x00189112: ['SQ', [{ x00180080: ['DS', '2000'], x00181314: ['DS', '90'] }]],
+      x00189226: ['SQ', [{ x00089007: ['CS', 'ORIGINAL\\PRIMARY\\M_SE\\NONE'] }]],
+      x00189321: ['SQ', [{ x00189330: ['FD', 250] }]],
+    }]],
+    x52009230: ['SQ', [{
+      ...frameContent([1, 3], {
+        x00209056: ['SH', '1'],
+        x00209057: ['UL', 3],
+        x00209128: ['UL', 2],
+        x00189074: ['DT', '20240102120000.5'],
+      }),
+      x00189114: ['SQ', [{ x00189082: ['FD', 15] }]],
+      x00189117: ['SQ', [{
+        x00189087: ['FD', 1000],
+        x00189075: ['CS', 'DIRECTIONAL'],
+        x00189076: ['SQ', [{ x00189089: ['FD', [0, 0.6, 0.8]] }]],
+      }]],
+    }]],
+  });
+
+  const { frameContent: content, frameParameters, modalityLutModule, voiLUTModule } = readFrameFunctionalGroups(dataSet, 0);
+  assert.equal(modalityLutModule, undefined);
+  assert.equal(voiLUTModule, undefined);
+  assert.deepEqual(content.dimensionIndexValues, [1, 3]);
+  assert.equal(content.stackID, '1');
+  assert.equal(content.inStackPositionNumber, 3);
+  assert.equal(content.temporalPositionIndex, 2);
+  assert.equal(content.frameAcquisitionDateTime, '20240102120000.5');
+  assert.deepEqual(frameParameters, {
+    frameType: ['ORIGINAL', 'PRIMARY', 'M_SE', 'NONE'],
+    echoTime: 15,
+    repetitionTime: 2000,
+    flipAngle: 90,
+    diffusionBValue: 1000,
+    diffusionDirectionality: 'DIRECTIONAL',
+    diffusionGradientOrientation: [0, 0.6, 0.8],
+    xRayTubeCurrent: 250,
+  });
+});
+
+test('frames are ordered by their Dimension Index Values', () => {
+  const dataSet = parseDataSet({
+    x00209222: ['SQ', [
+      { x00209165: ['AT', [0x0020, 0x9056]], x00209167: ['AT', [0x0020, 0x9111]] },
+      { x00209165: ['AT', [0x0020, 0x9057]], x00209421: ['LO', 'In-Stack Position'] },
+    ]],
+    x00280008: ['IS', '4'],
+    x52009230: ['SQ', [
+      frameContent([1, 3]),
+      frameContent([1, 1]),
+      frameContent([2, 1]),
+      frameContent([1, 2]),
+    ]],
+  });
+
+  assert.deepEqual(getDimensionOrderedFrames(dataSet), [1, 3, 0, 2]);
+  assert.deepEqual(getDimensionIndexSequence(dataSet), [
+    { dimensionIndexPointer: 'x00209056', functionalGroupPointer: 'x00209111', dimensionDescriptionLabel: undefined },
+    { dimensionIndexPointer: 'x00209057', functionalGroupPointer: undefined, dimensionDescriptionLabel: 'In-Stack Position' },
+  ]);
+});
+
+test('files without dimension indices keep their stored frame order', () => {
+  assert.equal(getDimensionOrderedFrames(parseDataSet({ x00280008: ['IS', '3'] })), null);
+  assert.equal(getDimensionOrderedFrames(parseDataSet({ x00280008: ['IS', '2'], x52009230: ['SQ', [{}, {}]] })), null);
+});
+
+test('Real World Value Mappings come from the functional groups that hold them', () => {
+  const dataSet = parseDataSet({
+    x00280008: ['IS', '2'],
+    x52009229: ['SQ', [{ x00409096: ['SQ', [{ x00409210: ['SH', 'T1'], x00409225: ['FD', 1] }]] }]],
+    x52009230: ['SQ', [
+      {},
+      { x00409096: ['SQ', [{ x00409210: ['SH', 'R1'] }, { x00409210: ['SH', 'T1 map'] }]] },
+    ]],
+  });
+
+  assert.deepEqual(readFrameFunctionalGroups(dataSet, 0).realWorldValueMappings.map(mapping => mapping.lutLabel), ['T1']);
+  assert.equal(readFrameFunctionalGroups(dataSet, 0).realWorldValueMappings[0].slope, 1);
+  assert.deepEqual(readFrameFunctionalGroups(dataSet, 1).realWorldValueMappings.map(mapping => mapping.lutLabel), ['R1', 'T1 map']);
+  assert.equal(readFrameFunctionalGroups(parseDataSet({ x00280008: ['IS', '1'] }), 0).realWorldValueMappings, undefined);
+});
@@ -0,0 +1,154 @@
+/**
+ * Explicit VR DICOM bytes for test fixtures
+ * Little endian unless { bigEndian: true } is passed (file meta information is always little endian)
+ */
+
+import { TransferSyntax, parseDicom } from '../../src/XNATImageLoader.codecs.js';
+
+// VRs encoded with a reserved field and a 4-byte length
+const LONG_VRS = ['OB', 'OD', 'OF', 'OL', 'OW', 'SQ', 'UN', 'UT'];
+
+// Binary VRs: bytes per value and the DataView setter writing one
+const NUMBER_VRS = {
+  AT: [2, 'setUint16'],
+  US: [2, 'setUint16'],
+  SS: [2, 'setInt16'],
+  UL: [4, 'setUint32'],
+  SL: [4, 'setInt32'],
+  FL: [4, 'setFloat32'],
+  FD: [8, 'setFloat64'],
+};
+
+function evenString(value) {
+  return value.length % 2 ? `${value}\0` : value;
+}
+
+/**
+ * Encode one explicit VR element; strings are padded to an even length and long VRs get a 4-byte length
+ */
+export function explicitElement(group, element, vr, value, { bigEndian = false } = {}) {
+  if (LONG_VRS.includes(vr)) {
+    return longElement(group, element, vr, value, { bigEndian });
+  }
+  const valueBytes = typeof value === 'string' ? new TextEncoder().encode(evenString(value)) : value;
+  const bytes = new Uint8Array(8 + valueBytes.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint16(0, group, !bigEndian);
+  view.setUint16(2, element, !bigEndian);
+  bytes[4] = vr.charCodeAt(0);
+  bytes[5] = vr.charCodeAt(1);
+  view.setUint16(6, valueBytes.length, !bigEndian);
+  bytes.set(valueBytes, 8);
+  return bytes;
+}
+
+/**
+ * Explicit VR element with a 4-byte length (OB/OW/OF/...); undefined length when valueBytes is null
+ */
+export function longElement(group, element, vr, valueBytes, { bigEndian = false } = {}) {
+  const bytes = new Uint8Array(12 + (valueBytes?.length || 0));
+  const view = new DataView(bytes.buffer);
+  view.setUint16(0, group, !bigEndian);
+  view.setUint16(2, element, !bigEndian);
+  bytes[4] = vr.charCodeAt(0);
+  bytes[5] = vr.charCodeAt(1);
+  view.setUint32(8, valueBytes ? valueBytes.length : 0xffffffff, !bigEndian);
+  if (valueBytes) {
+    bytes.set(valueBytes, 12);
+  }
+  return bytes;
+}
+
+/**
+ * Item (FFFE,E000), item delimiter (FFFE,E00D) or sequence delimiter (FFFE,E0DD) tag
+ */
+export function itemTag(element, length, { bigEndian = false } = {}) {
+  const bytes = new Uint8Array(8);
+  const view = new DataView(bytes.buffer);
+  view.setUint16(0, 0xfffe, !bigEndian);
+  view.setUint16(2, element, !bigEndian);
+  view.setUint32(4, length, !bigEndian);
+  return bytes;
+}
+
+export function uint16Bytes(...values) {
+  const bytes = new Uint8Array(values.length * 2);
+  values.forEach((value, index) => new DataView(bytes.buffer).setUint16(index * 2, value, true));
+  return bytes;
+}
+
+export function bigEndianUint16Bytes(...values) {
+  const bytes = new Uint8Array(values.length * 2);
+  values.forEach((value, index) => new DataView(bytes.buffer).setUint16(index * 2, value, false));
+  return bytes;
+}
+
+export function concatBytes(...arrays) {
+  const result = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+  let offset = 0;
+  arrays.forEach(array => {
+    result.set(array, offset);
+    offset += array.length;
+  });
+  return result;
+}
+
+/**
+ * Build a Part 10 file whose dataset is stored with the given transfer syntax
+ */
+export function buildPart10(transferSyntax, dataSetBytes) {
+  const transferSyntaxElement = explicitElement(0x0002, 0x0010, 'UI', transferSyntax);
+  const groupLength = new Uint8Array(4);
+  new DataView(groupLength.buffer).setUint32(0, transferSyntaxElement.length, true);
+
+  return concatBytes(
+    new Uint8Array(128),
+    new TextEncoder().encode('DICM'),
+    explicitElement(0x0002, 0x0000, 'UL', groupLength),
+    transferSyntaxElement,
+    dataSetBytes
+  );
+}
+
+function numberBytes(vr, values, bigEndian) {
+  const [size, setter] = NUMBER_VRS[vr];
+  const bytes = new Uint8Array(values.length * size);
+  const view = new DataView(bytes.buffer);
+  values.forEach((value, index) => view[setter](index * size, value, !bigEndian));
+  return bytes;
+}
+
+/**
+ * Encode a dataset given as { xGGGGEEEE: [vr, value] } in tag order
+ * Values are strings for text VRs, numbers (or arrays of them) for binary VRs (AT as group/element pairs),
+ * byte arrays for OB/OW/UN and arrays of item objects in the same shape for SQ
+ */
+export function encodeDataSet(elements, { bigEndian = false } = {}) {
+  const options = { bigEndian };
+  return concatBytes(...Object.keys(elements).sort().map(tag => {
+    const [vr, value] = elements[tag];
+    const group = parseInt(tag.slice(1, 5), 16);
+    const element = parseInt(tag.slice(5), 16);
+
+    if (vr === 'SQ') {
+      const items = value.map(item => {
+        const itemBytes = encodeDataSet(item, options);
+        return concatBytes(itemTag(0xe000, itemBytes.length, options), itemBytes);
+      });
+      return longElement(group, element, vr, concatBytes(...items), options);
+    }
+
+    const valueBytes = NUMBER_VRS[vr] ? numberBytes(vr, [].concat(value), bigEndian) : value;
+    return explicitElement(group, element, vr, valueBytes, options);
+  }));
+}
+
+/**
+ * Parse a dataset given as for encodeDataSet from Explicit VR Little (or Big) Endian Part 10 bytes
+ * dicomParser reads the first element after the file meta information as little endian, so a big endian
+ * dataset must not start with a sequence (real files start with (0008,0005) or (0008,0008))
+ */
+export function parseDataSet(elements, { bigEndian = false } = {}) {
+  const transferSyntax = bigEndian ? TransferSyntax.EXPLICIT_VR_BIG_ENDIAN : TransferSyntax.EXPLICIT_VR_LITTLE_ENDIAN;
+  return parseDicom(buildPart10(transferSyntax, encodeDataSet(elements, { bigEndian })));
+}
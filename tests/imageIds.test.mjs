@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  registerXNATServer,
+  getXNATServerUrl,
+  createImageId,
+  createImageIdFromUri,
+  isPortableImageId,
+  parseImageId,
+} from '../src/XNATImageLoader.imageIds.js';
+
+test('portable imageIds are built from catalog URIs in either path form', () => {
+  assert.equal(
+    createImageIdFromUri('central', '/data/experiments/XNAT_E00012/scans/3/resources/DICOM/files/IM-0001.dcm'),
+    'xnat:central/XNAT_E00012/3/DICOM/IM-0001.dcm'
+  );
+  assert.equal(
+    createImageIdFromUri(
+      'central',
+      '/data/projects/P1/subjects/S1/experiments/XNAT_E00012/scans/3/resources/1234/files/sub/IM-0001.dcm'
+    ),
+    'xnat:central/XNAT_E00012/3/1234/sub/IM-0001.dcm'
+  );
+  assert.equal(createImageIdFromUri('central', '/data/experiments/XNAT_E00012/resources/SNAPSHOTS/files/a.png'), null);
+  assert.equal(createImageIdFromUri(null, '/data/experiments/E/scans/1/resources/DICOM/files/a.dcm'), null);
+});
+
+test('createImageId adds the frame query only for multi-frame references', () => {
+  const location = { serverAlias: 'central', experimentId: 'E1', scanId: '2', resource: 'DICOM', file: 'a.dcm' };
+  assert.equal(createImageId(location), 'xnat:central/E1/2/DICOM/a.dcm');
+  assert.equal(createImageId({ ...location, frameIndex: 4 }), 'xnat:central/E1/2/DICOM/a.dcm?frame=4');
+});
+
+test('portable imageIds resolve against the base URL registered for the alias', () => {
+  registerXNATServer('proxied', '/xnat-api/');
+  assert.equal(getXNATServerUrl('proxied'), '/xnat-api');
+
+  const parsed = parseImageId('xnat:proxied/E1/2/DICOM/sub/a.dcm?frame=3');
+  assert.equal(parsed.url, '/xnat-api/data/experiments/E1/scans/2/resources/DICOM/files/sub/a.dcm');
+  assert.equal(parsed.frameIndex, 3);
+  assert.equal(parsed.serverAlias, 'proxied');
+  assert.equal(parsed.experimentId, 'E1');
+  assert.equal(parsed.scanId, '2');
+  assert.equal(parsed.resource, 'DICOM');
+  assert.equal(parsed.file, 'sub/a.dcm');
+});
+
+test('the same imageId follows the server to a new base URL', () => {
+  const imageId = 'xnat:moving/E1/2/DICOM/a.dcm';
+  registerXNATServer('moving', '/xnat-api');
+  assert.equal(parseImageId(imageId).url, '/xnat-api/data/experiments/E1/scans/2/resources/DICOM/files/a.dcm');
+  registerXNATServer('moving', 'https://xnat.example.org');
+  assert.equal(parseImageId(imageId).url, 'https://xnat.example.org/data/experiments/E1/scans/2/resources/DICOM/files/a.dcm');
+});
+
+test('unknown aliases are reported rather than guessed', () => {
+  assert.throws(() => parseImageId('xnat:nowhere/E1/2/DICOM/a.dcm'), /Unknown XNAT server alias "nowhere"/);
+});
+
+test('URL imageIds are still accepted', () => {
+  assert.equal(isPortableImageId('xnat:https://host/data/experiments/E1/scans/2/resources/DICOM/files/a.dcm'), false);
+  assert.equal(isPortableImageId('xnat:/xnat-api/data/experiments/E1/scans/2/resources/DICOM/files/a.dcm'), false);
+  assert.equal(isPortableImageId('xnat:central/E1/2/DICOM/a.dcm'), true);
+
+  const relative = parseImageId('xnat:/xnat-api/data/experiments/E1/scans/2/resources/DICOM/files/a.dcm?frame=2');
+  assert.equal(relative.url, '/xnat-api/data/experiments/E1/scans/2/resources/DICOM/files/a.dcm');
+  assert.equal(relative.frameIndex, 2);
+
+  const absolute = parseImageId('xnat:https://host/data/files/a.dcm?frame=1');
+  assert.equal(absolute.url, 'https://host/data/files/a.dcm');
+  assert.equal(absolute.frameIndex, 1);
+});
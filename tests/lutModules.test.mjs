@@ -0,0 +1,167 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  readLUTItem,
+  readVOILUTModule,
+  readModalityLUTModule,
+  readRealWorldValueMappings,
+  getWindowPresets,
+  buildWindowLevelMenuPresets,
+} from '../src/XNATImageLoader.lut.js';
+import { uint16Bytes, bigEndianUint16Bytes, parseDataSet } from './helpers/dicomBytes.mjs';
+
+/**
+ * Modality or VOI LUT Sequence item, in the shape parseDataSet takes
+ */
+function lutItem({ descriptor, data, explanation, modalityLUTType }) {
+  return {
+    x00283002: ['US', descriptor],
+    ...(explanation ? { x00283003: ['LO', explanation] } : {}),
+    ...(modalityLUTType ? { x00283004: ['LO', modalityLUTType] } : {}),
+    x00283006: ['OW', data],
+  };
+}
+
+function firstItem(dataSet, tag) {
+  return dataSet.elements[tag].items[0].dataSet;
+}
+
+test('readLUTItem reads 16-bit and packed 8-bit LUT data with signed first values', () => {
+  const wide = readLUTItem(firstItem(parseDataSet({
+    x00283010: ['SQ', [lutItem({ descriptor: [3, -10, 12], data: uint16Bytes(0, 2048, 4095), explanation: 'HU' })]],
+  }), 'x00283010'), 1);
+  assert.deepEqual(wide, {
+    firstValueMapped: -10,
+    numBitsPerEntry: 12,
+    lut: [0, 2048, 4095],
+    explanation: 'HU',
+    modalityLUTType: undefined,
+  });
+
+  const packed = readLUTItem(firstItem(parseDataSet({
+    x00283010: ['SQ', [lutItem({ descriptor: [4, 100, 8], data: new Uint8Array([1, 2, 3, 4]) })]],
+  }), 'x00283010'));
+  assert.equal(packed.firstValueMapped, 100);
+  assert.deepEqual(packed.lut, [1, 2, 3, 4]);
+
+  assert.equal(readLUTItem({ elements: {} }), null);
+});
+
+test('readLUTItem reads LUT data in the byte order of Explicit VR Big Endian files', () => {
+  // A big endian dataset cannot start with a sequence (see parseDataSet)
+  const dataSet = parseDataSet({
+    x00080060: ['CS', 'MR'],
+    x00283010: ['SQ', [lutItem({ descriptor: [3, 0, 16], data: bigEndianUint16Bytes(1, 0x1234, 65535) })]],
+  }, { bigEndian: true });
+  const lut = readLUTItem(firstItem(dataSet, 'x00283010'));
+
+  assert.equal(lut.numBitsPerEntry, 16);
+  assert.deepEqual(lut.lut, [1, 0x1234, 65535]);
+});
+
+test('readVOILUTModule keeps every window with its explanation and the VOI LUTs', () => {
+  const voi = readVOILUTModule(parseDataSet({
+    x00281050: ['DS', '40\\400'],
+    x00281051: ['DS', '400\\2000'],
+    x00281055: ['LO', 'SOFT TISSUE\\BONE '],
+    x00281056: ['CS', 'LINEAR'],
+    x00283010: ['SQ', [lutItem({ descriptor: [256, 0, 8], data: new Uint8Array(256), explanation: 'Gamma' })]],
+  }));
+
+  assert.deepEqual(voi.windowCenter, [40, 400]);
+  assert.deepEqual(voi.windowWidth, [400, 2000]);
+  assert.deepEqual(voi.windowCenterWidthExplanation, ['SOFT TISSUE', 'BONE']);
+  assert.equal(voi.voiLUTFunction, 'LINEAR');
+  assert.equal(voi.voiLUTSequence.length, 1);
+
+  assert.deepEqual(getWindowPresets(voi), [
+    { label: 'SOFT TISSUE', windowCenter: 40, windowWidth: 400, fromLUT: false },
+    { label: 'BONE', windowCenter: 400, windowWidth: 2000, fromLUT: false },
+    { label: 'Gamma', windowCenter: 128, windowWidth: 256, fromLUT: true },
+  ]);
+  assert.deepEqual(getWindowPresets(undefined), []);
+});
+
+test('readModalityLUTModule reads rescale values or the Modality LUT Sequence', () => {
+  const linear = readModalityLUTModule(parseDataSet({
+    x00281052: ['DS', '-1024'],
+    x00281053: ['DS', '1'],
+    x00281054: ['LO', 'HU'],
+  }));
+  assert.deepEqual(linear, {
+    rescaleIntercept: -1024,
+    rescaleSlope: 1,
+    rescaleType: 'HU',
+    modalityLUTSequence: undefined,
+    scaled: false,
+  });
+
+  const table = readModalityLUTModule(parseDataSet({
+    x00283000: ['SQ', [lutItem({ descriptor: [2, 0, 16], data: uint16Bytes(10, 20), modalityLUTType: 'OD' })]],
+  }));
+  assert.equal(table.rescaleSlope, 1);
+  assert.equal(table.rescaleType, 'OD');
+  assert.deepEqual(table.modalityLUTSequence[0].lut, [10, 20]);
+});
+
+test('readRealWorldValueMappings reads linear and float mappings with their units', () => {
+  const dataSet = parseDataSet({
+    x00409096: ['SQ', [
+      {
+        x004008ea: ['SQ', [{
+          x00080100: ['SH', 'mm2/s'],
+          x00080102: ['SH', 'UCUM'],
+          x00080104: ['LO', 'mm2/s'],
+        }]],
+        x00409210: ['SH', 'ADC'],
+        x00409211: ['SS', 4000],
+        x00409216: ['SS', -100],
+        x00409224: ['FD', 0],
+        x00409225: ['FD', 1e-6],
+      },
+      {
+        x00409212: ['FD', [1, 2, 3]],
+        x00409213: ['FD', 2.5],
+        x00409214: ['FD', 0.5],
+      },
+    ]],
+  });
+
+  const [adc, table] = readRealWorldValueMappings(dataSet, 1);
+  assert.deepEqual(adc, {
+    firstValueMapped: -100,
+    lastValueMapped: 4000,
+    intercept: 0,
+    slope: 1e-6,
+    lut: undefined,
+    lutLabel: 'ADC',
+    lutExplanation: undefined,
+    units: { codeValue: 'mm2/s', codingSchemeDesignator: 'UCUM', codeMeaning: 'mm2/s' },
+  });
+  assert.equal(table.firstValueMapped, 0.5);
+  assert.equal(table.lastValueMapped, 2.5);
+  assert.deepEqual(table.lut, [1, 2, 3]);
+  assert.equal(table.units, undefined);
+
+  assert.equal(readRealWorldValueMappings(parseDataSet({ x00080060: ['CS', 'MR'] })), undefined);
+  assert.equal(readRealWorldValueMappings(null), undefined);
+});
+
+test('stored presets follow the modality\'s own presets in the W/L menu', () => {
+  const menu = { CT: [{ id: 'ct-soft-tissue', description: 'Soft tissue', window: '400', level: '40' }] };
+  const presets = [
+    { label: 'BONE', windowCenter: 400, windowWidth: 2000, fromLUT: false },
+    { label: 'Gamma', windowCenter: 128, windowWidth: 256, fromLUT: true },
+  ];
+
+  const built = buildWindowLevelMenuPresets(menu, 'CT', presets);
+  assert.deepEqual(built.CT.map(preset => preset.id), ['ct-soft-tissue', 'xnat-BONE', 'xnat-Gamma']);
+  assert.deepEqual(built.CT[1], { id: 'xnat-BONE', description: 'BONE', window: '2000', level: '400' });
+  assert.equal(built.CT[2].description, 'Gamma (VOI LUT, approximated)');
+  assert.equal(menu.CT.length, 1);
+
+  assert.equal(buildWindowLevelMenuPresets(menu, undefined, presets), menu);
+  assert.equal(buildWindowLevelMenuPresets(menu, 'CT', []), menu);
+  assert.deepEqual(Object.keys(buildWindowLevelMenuPresets({}, 'MR', presets)), ['MR']);
+});
@@ -0,0 +1,147 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildDescriptiveModules,
+  buildPetModules,
+  calculateSUVScalingFactors,
+  parseDicomTime,
+  parseDicomDateTime,
+} from '../src/XNATImageLoader.modules.js';
+import { parseDataSet } from './helpers/dicomBytes.mjs';
+
+const F18_HALF_LIFE = 6586.2;
+
+function createPetDataSet(overrides = {}) {
+  return parseDataSet({
+    x00080060: ['CS', 'PT'],
+    x00080018: ['UI', '1.2.3.4'],
+    x00080021: ['DA', '20240102'],
+    x00080031: ['TM', '110000'],
+    x00080022: ['DA', '20240102'],
+    x00080032: ['TM', '111500'],
+    x00541001: ['CS', 'BQML'],
+    x00541102: ['CS', 'START'],
+    x00280051: ['CS', 'DECY\\ATTN'],
+    x00101030: ['DS', '70'],
+    x00101020: ['DS', '1.75'],
+    x00100040: ['CS', 'M'],
+    x00540016: ['SQ', [{
+      x00181031: ['LO', 'Fluorodeoxyglucose'],
+      x00181072: ['TM', '100000.00'],
+      x00181074: ['DS', '370000000'],
+      x00181075: ['DS', String(F18_HALF_LIFE)],
+    }]],
+    ...overrides,
+  });
+}
+
+test('buildDescriptiveModules fills patient, study and equipment modules', () => {
+  const modules = buildDescriptiveModules(parseDataSet({
+    x00100010: ['PN', 'Doe^Jane'],
+    x00100020: ['LO', 'P001'],
+    x00100040: ['CS', 'F'],
+    x00101010: ['AS', '045Y'],
+    x00101030: ['DS', '62.5'],
+    x0020000d: ['UI', '1.2.3'],
+    x00080020: ['DA', '20240102'],
+    x00081030: ['LO', 'Brain MRI'],
+    x00080050: ['SH', 'ACC42'],
+    x00080070: ['LO', 'SIEMENS'],
+    x00080080: ['LO', 'General Hospital'],
+    x00081090: ['LO', 'Prisma'],
+  }));
+
+  assert.equal(modules.patientModule.patientName, 'Doe^Jane');
+  assert.equal(modules.patientModule.patientId, 'P001');
+  assert.equal(modules.patientStudyModule.patientAge, '045Y');
+  assert.equal(modules.patientStudyModule.patientAgeInYears, 45);
+  assert.equal(modules.patientStudyModule.patientWeight, 62.5);
+  assert.equal(modules.patientStudyModule.patientSex, 'F');
+  assert.deepEqual(
+    [modules.generalStudyModule.studyInstanceUID, modules.generalStudyModule.studyDate, modules.generalStudyModule.accessionNumber],
+    ['1.2.3', '20240102', 'ACC42']
+  );
+  assert.equal(modules.generalEquipmentModule.manufacturer, 'SIEMENS');
+  assert.equal(modules.generalEquipmentModule.institutionName, 'General Hospital');
+  assert.equal(modules.generalEquipmentModule.manufacturerModelName, 'Prisma');
+});
+
+test('buildDescriptiveModules reads cine timing and leaves missing values undefined', () => {
+  const modules = buildDescriptiveModules(parseDataSet({
+    x00181063: ['DS', '33.3'],
+    x00181065: ['DS', '0\\33.3\\33.3'],
+    x00082144: ['IS', '30'],
+    x00101010: ['AS', '006M'],
+  }));
+
+  assert.equal(modules.cineModule.frameTime, 33.3);
+  assert.deepEqual(modules.cineModule.frameTimeVector, [0, 33.3, 33.3]);
+  assert.equal(modules.cineModule.recommendedDisplayFrameRate, 30);
+  assert.equal(modules.cineModule.cineRate, undefined);
+  assert.equal(modules.patientStudyModule.patientAgeInYears, undefined);
+  assert.equal(modules.patientModule.patientName, undefined);
+  assert.equal(modules.generalEquipmentModule.manufacturer, undefined);
+});
+
+test('parseDicomTime and parseDicomDateTime handle partial and fractional values', () => {
+  assert.deepEqual(parseDicomTime('101530.5'), { hours: 10, minutes: 15, seconds: 30, fractionalSeconds: 0.5 });
+  assert.deepEqual(parseDicomTime('10'), { hours: 10, minutes: 0, seconds: 0, fractionalSeconds: 0 });
+  assert.equal(parseDicomTime(''), undefined);
+
+  assert.equal(parseDicomDateTime('20240102110000') - parseDicomDateTime('20240102100000'), 3600 * 1000);
+  assert.equal(parseDicomDateTime('20240102'), undefined);
+});
+
+test('calculateSUVScalingFactors decays the dose to the series start for START correction', () => {
+  const injectionTime = parseDicomDateTime('20240102100000');
+  const factors = calculateSUVScalingFactors({
+    units: 'BQML',
+    decayCorrection: 'START',
+    patientWeight: 70,
+    patientHeight: 1.75,
+    patientSex: 'F',
+    totalDose: 370e6,
+    halfLife: F18_HALF_LIFE,
+    injectionTime,
+    scanStartTime: injectionTime + 3600 * 1000,
+  });
+
+  const decayedDose = 370e6 * Math.pow(2, -3600 / F18_HALF_LIFE);
+  assert.ok(Math.abs(factors.suvbw - 70000 / decayedDose) < 1e-12);
+  const lbm = 1.07 * 70 - 148 * Math.pow(70 / 175, 2);
+  assert.ok(Math.abs(factors.suvlbm - (lbm * 1000) / decayedDose) < 1e-12);
+  const bsa = 0.007184 * Math.pow(70, 0.425) * Math.pow(175, 0.725);
+  assert.ok(Math.abs(factors.suvbsa - (bsa * 10000) / decayedDose) < 1e-12);
+
+  const admin = calculateSUVScalingFactors({ units: 'BQML', decayCorrection: 'ADMIN', patientWeight: 70, totalDose: 370e6 });
+  assert.equal(admin.suvbw, 70000 / 370e6);
+  assert.equal(admin.suvlbm, undefined);
+
+  assert.equal(calculateSUVScalingFactors({ units: 'BQML', patientWeight: 0, totalDose: 370e6 }), undefined);
+  assert.deepEqual(calculateSUVScalingFactors({ units: 'CNTS', philipsSUVFactor: 0.0012 }), { suvbw: 0.0012 });
+  assert.deepEqual(calculateSUVScalingFactors({ units: 'GML' }), { suvbw: 1 });
+});
+
+test('buildPetModules exposes isotope, series and SUV scaling modules for PET images', () => {
+  const modules = buildPetModules(createPetDataSet());
+
+  const info = modules.petIsotopeModule.radiopharmaceuticalInfo;
+  assert.equal(info.radionuclideTotalDose, 370e6);
+  assert.equal(info.radionuclideHalfLife, F18_HALF_LIFE);
+  assert.deepEqual(info.radiopharmaceuticalStartTime, { hours: 10, minutes: 0, seconds: 0, fractionalSeconds: 0 });
+  assert.equal(modules.petSeriesModule.units, 'BQML');
+  assert.deepEqual(modules.petSeriesModule.correctedImage, ['DECY', 'ATTN']);
+
+  const decayedDose = 370e6 * Math.pow(2, -3600 / F18_HALF_LIFE);
+  assert.ok(Math.abs(modules.scalingModule.suvbw - 70000 / decayedDose) < 1e-12);
+  assert.ok(modules.scalingModule.suvlbm > 0);
+  assert.ok(modules.scalingModule.suvbsa > 0);
+
+  // Without decay correction the image's own acquisition time is used
+  const uncorrected = buildPetModules(createPetDataSet({ x00541102: ['CS', 'NONE'] }));
+  const decayedToAcquisition = 370e6 * Math.pow(2, -4500 / F18_HALF_LIFE);
+  assert.ok(Math.abs(uncorrected.scalingModule.suvbw - 70000 / decayedToAcquisition) < 1e-12);
+
+  assert.deepEqual(buildPetModules(parseDataSet({ x00080060: ['CS', 'CT'] })), {});
+});
@@ -0,0 +1,129 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  parseCSAHeader,
+  getMosaicInfo,
+  extractMosaicTile,
+  getMosaicSlicePositions,
+} from '../src/XNATImageLoader.mosaic.js';
+import { parseDataSet } from './helpers/dicomBytes.mjs';
+
+/**
+ * SV10 CSA header with string items, laid out like Siemens writes it
+ */
+function createCSAHeader(values) {
+  const chunks = [];
+  const int32 = value => {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setInt32(0, value, true);
+    return bytes;
+  };
+  const text = (value, length) => {
+    const bytes = new Uint8Array(length);
+    bytes.set(new TextEncoder().encode(value).subarray(0, length));
+    return bytes;
+  };
+
+  chunks.push(text('SV10', 4), new Uint8Array([4, 3, 2, 1]), int32(Object.keys(values).length), int32(77));
+  Object.entries(values).forEach(([name, items]) => {
+    chunks.push(text(name, 64), int32(items.length), text('DS', 4), int32(3), int32(items.length), int32(77));
+    items.forEach(item => {
+      const length = item.length + 1;
+      chunks.push(int32(length), int32(length), int32(77), int32(length));
+      chunks.push(text(item, Math.ceil(length / 4) * 4));
+    });
+  });
+
+  const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+}
+
+/**
+ * Mosaic image elements, with the image count in a CSA Image Header Info or in the MR header block
+ */
+function mosaicElements({ imageType = 'ORIGINAL\\PRIMARY\\M\\MOSAIC', csa, mrHeaderCount }) {
+  return {
+    x00080008: ['CS', imageType],
+    x00280010: ['US', 12],
+    x00280011: ['US', 12],
+    ...(mrHeaderCount ? { x00190010: ['LO', 'SIEMENS MR HEADER'], x0019100a: ['US', mrHeaderCount] } : {}),
+    // Creator in block 0x11 so the element is x00291110
+    ...(csa ? { x00290011: ['LO', 'SIEMENS CSA HEADER'], x00291110: ['OB', csa] } : {}),
+  };
+}
+
+test('parseCSAHeader reads named multi-valued elements', () => {
+  const header = parseCSAHeader(createCSAHeader({
+    NumberOfImagesInMosaic: ['36'],
+    SliceNormalVector: ['0.0', '-0.1', '0.99'],
+  }));
+  assert.deepEqual(header.NumberOfImagesInMosaic, ['36']);
+  assert.deepEqual(header.SliceNormalVector, ['0.0', '-0.1', '0.99']);
+});
+
+test('getMosaicInfo uses the CSA header, then the MR header block', () => {
+  const info = getMosaicInfo(parseDataSet(mosaicElements({
+    csa: createCSAHeader({ NumberOfImagesInMosaic: ['7'], SliceNormalVector: ['0', '0', '-1'] }),
+  })));
+  assert.deepEqual(info, { numberOfImages: 7, tilesPerRow: 3, tileRows: 4, tileColumns: 4, sliceNormal: [0, 0, -1] });
+
+  const fallback = getMosaicInfo(parseDataSet(mosaicElements({ mrHeaderCount: 4 })));
+  assert.equal(fallback.numberOfImages, 4);
+  assert.equal(fallback.tilesPerRow, 2);
+  assert.equal(fallback.tileRows, 6);
+  assert.equal(fallback.sliceNormal, undefined);
+
+  assert.equal(getMosaicInfo(parseDataSet(mosaicElements({ imageType: 'ORIGINAL\\PRIMARY\\M', mrHeaderCount: 4 }))), null);
+  assert.equal(getMosaicInfo(parseDataSet(mosaicElements({}))), null);
+});
+
+test('extractMosaicTile copies tiles left to right, then top to bottom', () => {
+  // 4x4 mosaic of four 2x2 tiles, each filled with its slice number
+  const mosaic = { numberOfImages: 4, tilesPerRow: 2, tileRows: 2, tileColumns: 2 };
+  const pixelData = new Int16Array([
+    0, 0, 1, 1,
+    0, 0, 1, 1,
+    2, 2, 3, 3,
+    2, 2, 3, 3,
+  ]);
+
+  for (let slice = 0; slice < 4; slice++) {
+    const tile = extractMosaicTile(pixelData, mosaic, 4, slice);
+    assert.ok(tile instanceof Int16Array);
+    assert.deepEqual(Array.from(tile), [slice, slice, slice, slice]);
+  }
+});
+
+test('getMosaicSlicePositions moves the mosaic corner to each tile corner along the normal', () => {
+  const positions = getMosaicSlicePositions(
+    { numberOfImages: 3, tilesPerRow: 2, tileRows: 64, tileColumns: 64 },
+    {
+      imagePositionPatient: [-100, -120, 10],
+      imageOrientationPatient: [1, 0, 0, 0, 1, 0],
+      pixelSpacing: [2, 3],
+      rows: 128,
+      columns: 128,
+      sliceSpacing: 4,
+    }
+  );
+
+  // Column spacing 3 along the row direction, row spacing 2 down the columns, half a mosaic minus a tile each way
+  assert.deepEqual(positions, [
+    [-4, -56, 10],
+    [-4, -56, 14],
+    [-4, -56, 18],
+  ]);
+
+  const flipped = getMosaicSlicePositions(
+    { numberOfImages: 2, tilesPerRow: 2, tileRows: 1, tileColumns: 1, sliceNormal: [0, 0, -1] },
+    { imagePositionPatient: [0, 0, 0], imageOrientationPatient: [1, 0, 0, 0, 1, 0], pixelSpacing: [1, 1], rows: 2, columns: 2, sliceSpacing: 5 }
+  );
+  assert.deepEqual(flipped[1], [0.5, 0.5, -5]);
+});
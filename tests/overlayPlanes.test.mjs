@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getOverlayGroups, decodeOverlayPlanes } from '../src/XNATImageLoader.overlays.js';
+import { parseDataSet } from './helpers/dicomBytes.mjs';
+
+test('decodeOverlayPlanes unpacks Overlay Data with its origin and type', () => {
+  const dataSet = parseDataSet({
+    x60000010: ['US', 2],
+    x60000011: ['US', 4],
+    x60000022: ['LO', 'Annotation'],
+    x60000040: ['CS', 'G'],
+    x60000050: ['SS', [1, 1]],
+    // 0b10100101 -> bits 1,0,1,0,0,1,0,1 (least significant bit first)
+    x60003000: ['OW', new Uint8Array([0b10100101, 0])],
+    x60020010: ['US', 1],
+    x60020011: ['US', 8],
+    x60020040: ['CS', 'R'],
+    x60020050: ['SS', [3, 2]],
+    x60023000: ['OW', new Uint8Array([0xff, 0])],
+  });
+
+  assert.deepEqual(getOverlayGroups(dataSet), [0x6000, 0x6002]);
+
+  const pixelData = new Uint16Array(8);
+  const { overlayPlaneModule, pixelData: output } = decodeOverlayPlanes(dataSet, 0, { pixelData, bitsAllocated: 16 });
+  assert.equal(output, pixelData);
+
+  const [first, second] = overlayPlaneModule.overlays;
+  assert.deepEqual([...first.pixelData], [1, 0, 1, 0, 0, 1, 0, 1]);
+  assert.deepEqual([first.rows, first.columns, first.x, first.y, first.type, first.description], [2, 4, 0, 0, 'G', 'Annotation']);
+  assert.deepEqual([second.x, second.y, second.type], [1, 2, 'R']);
+  assert.deepEqual([...second.pixelData], [1, 1, 1, 1, 1, 1, 1, 1]);
+});
+
+test('decodeOverlayPlanes picks the overlay frame for each image frame', () => {
+  // Three 2x2 overlay frames starting at image frame 2: 0b0001, 0b0010, 0b0100 packed back to back
+  const dataSet = parseDataSet({
+    x60000010: ['US', 2],
+    x60000011: ['US', 2],
+    x60000015: ['IS', '3'],
+    x60000051: ['US', 2],
+    x60003000: ['OW', new Uint8Array([0b00100001, 0b0100])],
+  });
+
+  const frame = index => decodeOverlayPlanes(dataSet, index, { pixelData: new Uint16Array(4), bitsAllocated: 16 })
+    .overlayPlaneModule.overlays;
+
+  assert.deepEqual(frame(0), []);
+  assert.deepEqual([...frame(1)[0].pixelData], [1, 0, 0, 0]);
+  assert.deepEqual([...frame(2)[0].pixelData], [0, 1, 0, 0]);
+  assert.deepEqual([...frame(3)[0].pixelData], [0, 0, 1, 0]);
+  assert.deepEqual(frame(4), []);
+});
+
+test('decodeOverlayPlanes extracts embedded overlays and clears their bit from a copy of the pixels', () => {
+  const dataSet = parseDataSet({
+    x60000010: ['US', 2],
+    x60000011: ['US', 2],
+    x60000100: ['US', 16],
+    x60000102: ['US', 15],
+  });
+  const pixelData = new Uint16Array([0x8000 | 100, 200, 0x8000 | 300, 400]);
+
+  const { overlayPlaneModule, pixelData: output } = decodeOverlayPlanes(dataSet, 0, { pixelData, bitsAllocated: 16 });
+
+  assert.deepEqual([...overlayPlaneModule.overlays[0].pixelData], [1, 0, 1, 0]);
+  assert.deepEqual([...output], [100, 200, 300, 400]);
+  assert.equal(pixelData[0], 0x8000 | 100);
+});
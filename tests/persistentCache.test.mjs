@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createCacheKey,
+  selectEvictions,
+  deriveEncryptionKey,
+  encryptBuffer,
+  decryptBuffer,
+  setFileDigest,
+  getFileDigest,
+  configurePersistentCache,
+  getPersistentCache,
+  purgePersistentCache,
+  isExpiredEntry,
+} from '../src/XNATPersistentCache.js';
+
+const credentials = { xnatUrl: 'https://xnat.example', username: 'alice', password: 'secret' };
+
+test('cache keys combine the file URL and catalog digest', () => {
+  setFileDigest('https://xnat.example/file.dcm', 'abc123');
+  setFileDigest('https://xnat.example/other.dcm', undefined);
+
+  assert.equal(getFileDigest('https://xnat.example/file.dcm'), 'abc123');
+  assert.equal(getFileDigest('https://xnat.example/other.dcm'), null);
+  assert.equal(createCacheKey('https://xnat.example/file.dcm', 'abc123'), 'https://xnat.example/file.dcm#abc123');
+});
+
+test('selectEvictions removes least recently used entries until the new entry fits', () => {
+  const entries = [
+    { key: 'recent', size: 40, lastAccess: 300 },
+    { key: 'oldest', size: 30, lastAccess: 100 },
+    { key: 'older', size: 20, lastAccess: 200 },
+  ];
+
+  assert.deepEqual(selectEvictions(entries, 10, 100), []);
+  assert.deepEqual(selectEvictions(entries, 20, 100), ['oldest']);
+  assert.deepEqual(selectEvictions(entries, 55, 100), ['oldest', 'older']);
+  assert.equal(selectEvictions(entries, 101, 100), null);
+});
+
+test('entries round-trip through AES-GCM and do not decrypt under another session key', async () => {
+  const secret = crypto.getRandomValues(new Uint8Array(32));
+  const key = await deriveEncryptionKey(secret, credentials);
+  const plain = new Uint8Array([0x44, 0x49, 0x43, 0x4d, 1, 2, 3]);
+
+  const { iv, data } = await encryptBuffer(key, plain.buffer);
+  assert.notDeepEqual(new Uint8Array(data).slice(0, plain.length), plain);
+  assert.deepEqual(new Uint8Array(await decryptBuffer(key, iv, data)), plain);
+
+  const otherSession = await deriveEncryptionKey(crypto.getRandomValues(new Uint8Array(32)), credentials);
+  await assert.rejects(decryptBuffer(otherSession, iv, data));
+
+  const otherUser = await deriveEncryptionKey(secret, { ...credentials, username: 'bob' });
+  await assert.rejects(decryptBuffer(otherUser, iv, data));
+});
+
+test('the persistent tier stays off unless enabled and supported, and purge never fails', async () => {
+  configurePersistentCache(undefined, credentials);
+  assert.equal(getPersistentCache(), null);
+
+  // Node has no IndexedDB
+  configurePersistentCache({ enabled: true }, credentials);
+  assert.equal(getPersistentCache(), null);
+
+  await purgePersistentCache();
+  assert.equal(getFileDigest('https://xnat.example/file.dcm'), null);
+});
+
+test('opening the cache only removes expired entries, whichever session stored them', () => {
+  const day = 24 * 60 * 60 * 1000;
+  const now = Date.now();
+
+  assert.equal(isExpiredEntry({ sessionId: 'other-tab', storedAt: now - day }, now, 7 * day), false);
+  assert.equal(isExpiredEntry({ sessionId: 'this-tab', storedAt: now - 8 * day }, now, 7 * day), true);
+  assert.equal(isExpiredEntry({ sessionId: 'this-tab' }, now, 7 * day), true);
+});
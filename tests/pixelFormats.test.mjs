@@ -0,0 +1,149 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  PixelDataTag,
+  getPixelDataElement,
+  getFrameByteRange,
+  unpackBits,
+  createPixelArray,
+  computeMinMax,
+  readStoredPixelRange,
+  readPixelPadding,
+  getDefaultWindow,
+} from '../src/XNATImageLoader.pixels.js';
+import { toTypedPixelArray } from '../src/XNATImageLoader.codecs.js';
+import { parseDataSet } from './helpers/dicomBytes.mjs';
+
+test('getPixelDataElement finds integer, float and double float pixel data', () => {
+  assert.equal(getPixelDataElement({ elements: {} }), null);
+
+  const integer = getPixelDataElement({ elements: { x7fe00010: { length: 4 } } });
+  assert.equal(integer.tag, PixelDataTag.PIXEL_DATA);
+  assert.equal(integer.floatingPoint, false);
+  assert.equal(integer.bitsAllocated, null);
+
+  const float = getPixelDataElement({ elements: { x7fe00008: { length: 4 } } });
+  assert.equal(float.floatingPoint, true);
+  assert.equal(float.bitsAllocated, 32);
+
+  const double = getPixelDataElement({ elements: { x7fe00009: { length: 8 } } });
+  assert.equal(double.tag, PixelDataTag.DOUBLE_FLOAT_PIXEL_DATA);
+  assert.equal(double.bitsAllocated, 64);
+});
+
+test('getFrameByteRange locates byte aligned and packed 1-bit frames', () => {
+  assert.deepEqual(
+    getFrameByteRange({ frameIndex: 2, rows: 2, columns: 3, bitsAllocated: 16 }),
+    { byteOffset: 24, byteLength: 12, bitOffset: 0 }
+  );
+
+  // 3x3 masks: the second frame starts at bit 9
+  assert.deepEqual(
+    getFrameByteRange({ frameIndex: 1, rows: 3, columns: 3, bitsAllocated: 1 }),
+    { byteOffset: 1, byteLength: 2, bitOffset: 1 }
+  );
+});
+
+test('unpackBits reads least significant bits first from any bit offset', () => {
+  assert.deepEqual(Array.from(unpackBits(new Uint8Array([0b00000101]), 4)), [1, 0, 1, 0]);
+  assert.deepEqual(Array.from(unpackBits(new Uint8Array([0b10000000, 0b00000001]), 3, 7)), [1, 1, 0]);
+  assert.equal(unpackBits(new Uint8Array(1), 20).length, 8);
+});
+
+test('createPixelArray honours pixel representation for 8, 16 and 32-bit data', () => {
+  const bytes = new Uint8Array([0xff, 0xff, 0xff, 0xff]);
+
+  assert.ok(createPixelArray(bytes, { bitsAllocated: 8, pixelRepresentation: 1 }) instanceof Int8Array);
+  assert.equal(createPixelArray(bytes, { bitsAllocated: 16, pixelRepresentation: 0 })[0], 65535);
+  assert.equal(createPixelArray(bytes, { bitsAllocated: 16, pixelRepresentation: 1 })[0], -1);
+
+  const uint32 = createPixelArray(bytes, { bitsAllocated: 32, pixelRepresentation: 0 });
+  assert.ok(uint32 instanceof Uint32Array);
+  assert.equal(uint32[0], 0xffffffff);
+
+  const int32 = createPixelArray(bytes, { bitsAllocated: 32, pixelRepresentation: 1 });
+  assert.ok(int32 instanceof Int32Array);
+  assert.equal(int32[0], -1);
+});
+
+test('createPixelArray reads float and double float samples from unaligned offsets', () => {
+  const floats = new Float32Array([1.5, -2.25]);
+  const padded = new Uint8Array(9);
+  padded.set(new Uint8Array(floats.buffer), 1);
+
+  const float32 = createPixelArray(padded.subarray(1), { bitsAllocated: 32, floatingPoint: true });
+  assert.ok(float32 instanceof Float32Array);
+  assert.deepEqual(Array.from(float32), [1.5, -2.25]);
+
+  const doubles = new Float64Array([0.125, 1e-9]);
+  const float64 = createPixelArray(new Uint8Array(doubles.buffer), { bitsAllocated: 64, floatingPoint: true });
+  assert.ok(float64 instanceof Float64Array);
+  assert.deepEqual(Array.from(float64), [0.125, 1e-9]);
+
+  assert.throws(() => createPixelArray(new Uint8Array(8), { bitsAllocated: 64 }), /Unsupported bits allocated: 64/);
+});
+
+test('createPixelArray unpacks 1-bit frames', () => {
+  const mask = createPixelArray(new Uint8Array([0b11110000]), { bitsAllocated: 1, sampleCount: 6, bitOffset: 2 });
+  assert.deepEqual(Array.from(mask), [0, 0, 1, 1, 1, 1]);
+});
+
+test('computeMinMax ignores NaN and infinite samples', () => {
+  assert.deepEqual(computeMinMax(new Float32Array([NaN, 0.25, Infinity, -0.5, -Infinity])), { min: -0.5, max: 0.25 });
+  assert.deepEqual(computeMinMax(new Float32Array([NaN])), { min: 0, max: 0 });
+  assert.deepEqual(computeMinMax(new Uint32Array([4000000000, 7])), { min: 7, max: 4000000000 });
+});
+
+test('readStoredPixelRange uses the VR implied by pixel representation', () => {
+  // Smallest/Largest Image Pixel Value are US or SS like the pixels
+  const storedRange = (vr, min, max) => parseDataSet({ x00280106: [vr, min], x00280107: [vr, max] });
+
+  assert.deepEqual(
+    readStoredPixelRange(storedRange('US', 100, 40000), { bitsAllocated: 16, pixelRepresentation: 0 }),
+    { min: 100, max: 40000 }
+  );
+  assert.deepEqual(
+    readStoredPixelRange(storedRange('SS', -1024, 3071), { bitsAllocated: 16, pixelRepresentation: 1 }),
+    { min: -1024, max: 3071 }
+  );
+  assert.equal(readStoredPixelRange(storedRange('US', 0, 0), { bitsAllocated: 16 }), null);
+  assert.equal(readStoredPixelRange(storedRange('US', 0, 10), { bitsAllocated: 32 }), null);
+  assert.equal(readStoredPixelRange(storedRange('US', 0, 10), { bitsAllocated: 32, floatingPoint: true }), null);
+});
+
+test('readPixelPadding returns the padding value or range', () => {
+  assert.equal(readPixelPadding(parseDataSet({ x00280100: ['US', 16] })), null);
+  assert.deepEqual(
+    readPixelPadding(parseDataSet({ x00280120: ['SS', -2000] }), { pixelRepresentation: 1 }),
+    { low: -2000, high: -2000 }
+  );
+  assert.deepEqual(
+    readPixelPadding(parseDataSet({ x00280120: ['US', 0], x00280121: ['US', 63000] })),
+    { low: 0, high: 63000 }
+  );
+  assert.deepEqual(
+    readPixelPadding(parseDataSet({ x00280120: ['SS', -2000], x00280121: ['SS', -1500] }), { pixelRepresentation: 1 }),
+    { low: -2000, high: -1500 }
+  );
+});
+
+test('computeMinMax leaves padding values out of the range', () => {
+  const ct = new Int16Array([-2000, -2000, -1000, 40, 3000, -2000]);
+  assert.deepEqual(computeMinMax(ct), { min: -2000, max: 3000 });
+  assert.deepEqual(computeMinMax(ct, { low: -2000, high: -2000 }), { min: -1000, max: 3000 });
+  assert.deepEqual(computeMinMax(new Int16Array([-2000, -1600, 12, 90]), { low: -2000, high: -1500 }), { min: 12, max: 90 });
+  assert.deepEqual(computeMinMax(new Int16Array([-2000]), { low: -2000, high: -2000 }), { min: 0, max: 0 });
+});
+
+test('getDefaultWindow keeps narrow float ranges and binary masks visible', () => {
+  assert.deepEqual(getDefaultWindow(0, 0.01), { windowCenter: 0.005, windowWidth: 0.01 });
+  assert.deepEqual(getDefaultWindow(0, 1), { windowCenter: 0.5, windowWidth: 1 });
+  assert.deepEqual(getDefaultWindow(5, 5), { windowCenter: 5, windowWidth: 1 });
+});
+
+test('toTypedPixelArray supports 32-bit integer frames from RLE', () => {
+  const bytes = new Uint8Array([0xfe, 0xff, 0xff, 0xff]);
+  assert.equal(toTypedPixelArray(bytes, 32, 1)[0], -2);
+  assert.equal(toTypedPixelArray(bytes, 32, 0)[0], 0xfffffffe);
+});
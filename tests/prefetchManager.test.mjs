@@ -0,0 +1,100 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import XNATPrefetchManager, {
+  PrefetchStrategy,
+  orderNearestFirst,
+  buildPrefetchPlan,
+  getFileUrls,
+} from '../src/XNATPrefetchManager.js';
+import { createAbortError } from '../src/XNATRequestQueue.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const series = [
+  { SeriesInstanceUID: 's1', imageIds: ['xnat:https://x/1.dcm', 'xnat:https://x/2.dcm', 'xnat:https://x/3.dcm', 'xnat:https://x/4.dcm'] },
+  { SeriesInstanceUID: 's2', imageIds: ['xnat:https://x/mf.dcm?frame=0', 'xnat:https://x/mf.dcm?frame=1'] },
+];
+
+test('orderNearestFirst alternates outwards from the image on screen', () => {
+  assert.deepEqual(orderNearestFirst(['a', 'b', 'c', 'd', 'e'], 2), ['c', 'd', 'b', 'e', 'a']);
+  assert.deepEqual(orderNearestFirst(['a', 'b', 'c'], 0), ['a', 'b', 'c']);
+  assert.deepEqual(orderNearestFirst(['a', 'b', 'c'], 9), ['c', 'b', 'a']);
+  assert.deepEqual(orderNearestFirst([], 0), []);
+});
+
+test('buildPrefetchPlan orders images for each strategy', () => {
+  const active = { series, activeSeriesUID: 's1', activeIndex: 2 };
+
+  assert.deepEqual(buildPrefetchPlan({ ...active, strategy: PrefetchStrategy.NEAREST }),
+    ['xnat:https://x/3.dcm', 'xnat:https://x/4.dcm', 'xnat:https://x/2.dcm', 'xnat:https://x/1.dcm']);
+  assert.deepEqual(buildPrefetchPlan({ ...active, strategy: PrefetchStrategy.ACTIVE_SERIES }), series[0].imageIds);
+  assert.deepEqual(buildPrefetchPlan({ ...active, strategy: PrefetchStrategy.STUDY }).slice(4), series[1].imageIds);
+  assert.deepEqual(
+    buildPrefetchPlan({ ...active, strategy: PrefetchStrategy.NEXT_STUDY, nextStudyImageIds: ['xnat:https://y/1.dcm'] }).slice(-1),
+    ['xnat:https://y/1.dcm']
+  );
+});
+
+test('getFileUrls fetches each multi-frame file once', () => {
+  assert.deepEqual(getFileUrls(series[1].imageIds), ['https://x/mf.dcm']);
+});
+
+test('XNATPrefetchManager prefetches files with limited concurrency', async () => {
+  const started = [];
+  const manager = new XNATPrefetchManager({
+    strategy: PrefetchStrategy.STUDY,
+    maxConcurrent: 2,
+    prefetchFile: async url => {
+      started.push(url);
+      await tick();
+    },
+  });
+
+  manager.setStudy('1.2.3', series);
+  assert.equal(manager.getStats().running, 2);
+  await wait(20);
+
+  assert.deepEqual(started, ['https://x/1.dcm', 'https://x/2.dcm', 'https://x/3.dcm', 'https://x/4.dcm', 'https://x/mf.dcm']);
+  assert.equal(manager.getStats().completed, 5);
+});
+
+test('XNATPrefetchManager re-centres on the image on screen and pauses while the user interacts', async () => {
+  const started = [];
+  const aborted = [];
+  const manager = new XNATPrefetchManager({
+    maxConcurrent: 1,
+    idleDelayMs: 10,
+    prefetchFile: (url, { signal }) => {
+      started.push(url);
+      return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => {
+          aborted.push(url);
+          reject(createAbortError());
+        });
+        setTimeout(resolve, 5);
+      });
+    },
+  });
+
+  const target = new EventTarget();
+  manager.attach(target, 'NEW_IMAGE');
+  manager.setStudy('1.2.3', series);
+  await tick();
+  target.dispatchEvent(Object.assign(new Event('NEW_IMAGE'), { detail: { imageId: 'xnat:https://x/4.dcm' } }));
+  assert.equal(manager.activeIndex, 3);
+
+  target.dispatchEvent(new Event('wheel'));
+  assert.equal(manager.getStats().paused, true);
+  assert.deepEqual(aborted, ['https://x/1.dcm']);
+
+  await wait(60);
+  assert.equal(manager.getStats().paused, false);
+  // The interrupted file is retried, then the rest nearest the new position
+  assert.deepEqual(started, ['https://x/1.dcm', 'https://x/1.dcm', 'https://x/4.dcm', 'https://x/3.dcm', 'https://x/2.dcm']);
+
+  manager.stop();
+  target.dispatchEvent(new Event('wheel'));
+  assert.equal(manager.getStats().paused, false);
+});
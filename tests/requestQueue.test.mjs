@@ -0,0 +1,150 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import XNATRequestQueue, {
+  RequestPriority,
+  getRequestPriority,
+  isAbortError,
+} from '../src/XNATRequestQueue.js';
+import XNATWorkerPool from '../src/XNATWorkerPool.js';
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('getRequestPriority maps Cornerstone request types', () => {
+  assert.equal(getRequestPriority('interaction'), RequestPriority.INTERACTION);
+  assert.equal(getRequestPriority(undefined), RequestPriority.INTERACTION);
+  assert.equal(getRequestPriority('thumbnail'), RequestPriority.THUMBNAIL);
+  assert.equal(getRequestPriority('prefetch'), RequestPriority.PREFETCH);
+  assert.equal(getRequestPriority('compute'), RequestPriority.PREFETCH);
+});
+
+test('XNATRequestQueue respects the concurrency limit and runs higher priorities first', async () => {
+  const queue = new XNATRequestQueue({ maxConcurrent: 1 });
+  const started = [];
+  const gates = {};
+
+  const add = (name, priority) => {
+    gates[name] = deferred();
+    return queue.add(() => {
+      started.push(name);
+      return gates[name].promise;
+    }, { priority }).promise;
+  };
+
+  const blocker = add('blocker', RequestPriority.INTERACTION);
+  const prefetch = add('prefetch', RequestPriority.PREFETCH);
+  const thumbnail = add('thumbnail', RequestPriority.THUMBNAIL);
+  const interaction = add('interaction', RequestPriority.INTERACTION);
+  await tick();
+
+  assert.deepEqual(started, ['blocker']);
+  assert.deepEqual(queue.getStats(), {
+    running: 1,
+    queued: { interaction: 1, thumbnail: 1, prefetch: 1 },
+    maxConcurrent: 1,
+  });
+
+  for (const name of ['blocker', 'interaction', 'thumbnail', 'prefetch']) {
+    gates[name].resolve(name);
+    await tick();
+  }
+
+  assert.deepEqual(await Promise.all([blocker, prefetch, thumbnail, interaction]), ['blocker', 'prefetch', 'thumbnail', 'interaction']);
+  assert.deepEqual(started, ['blocker', 'interaction', 'thumbnail', 'prefetch']);
+});
+
+test('cancelling a queued request removes it without running it', async () => {
+  const queue = new XNATRequestQueue({ maxConcurrent: 1 });
+  const gate = deferred();
+  let ran = false;
+
+  queue.add(() => gate.promise);
+  const stale = queue.add(() => {
+    ran = true;
+  }, { priority: RequestPriority.PREFETCH });
+
+  stale.cancel();
+  await assert.rejects(stale.promise, error => isAbortError(error));
+  gate.resolve();
+  await tick();
+
+  assert.equal(ran, false);
+  assert.equal(queue.getStats().queued.prefetch, 0);
+});
+
+test('cancelling a running request aborts its signal', async () => {
+  const queue = new XNATRequestQueue({ maxConcurrent: 2 });
+  let receivedSignal;
+
+  const request = queue.add(signal => {
+    receivedSignal = signal;
+    return new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('canceled'), { name: 'CanceledError' })));
+    });
+  });
+  await tick();
+
+  request.cancel();
+  await assert.rejects(request.promise, error => isAbortError(error));
+  assert.equal(receivedSignal.aborted, true);
+  await tick();
+  assert.equal(queue.getStats().running, 0);
+});
+
+test('an external AbortSignal and cancelAll cancel requests', async () => {
+  const queue = new XNATRequestQueue({ maxConcurrent: 1 });
+  const gate = deferred();
+  const controller = new AbortController();
+
+  const running = queue.add(() => gate.promise);
+  const linked = queue.add(() => 'never', { signal: controller.signal });
+  const prefetch = queue.add(() => 'never', { priority: RequestPriority.PREFETCH });
+
+  controller.abort();
+  await assert.rejects(linked.promise, error => isAbortError(error));
+
+  queue.cancelAll(RequestPriority.PREFETCH);
+  await assert.rejects(prefetch.promise, error => isAbortError(error));
+
+  gate.resolve('done');
+  assert.equal(await running.promise, 'done');
+});
+
+test('XNATWorkerPool cancels queued tasks and tells workers to abort running ones', async () => {
+  const posted = [];
+  const worker = new EventTarget();
+  worker.postMessage = message => posted.push(message);
+  worker.terminate = () => {};
+
+  const pool = new XNATWorkerPool({ maxWorkers: 1, createWorker: () => worker });
+  const runningController = new AbortController();
+  const queuedController = new AbortController();
+
+  const running = pool.run({ type: 'load' }, [], { signal: runningController.signal });
+  const queued = pool.run({ type: 'load' }, [], { signal: queuedController.signal });
+
+  queuedController.abort();
+  await assert.rejects(queued, error => isAbortError(error));
+
+  runningController.abort();
+  await assert.rejects(running, error => isAbortError(error));
+  assert.deepEqual(posted.map(message => message.type), ['load', 'cancel']);
+  assert.equal(posted[1].id, posted[0].id);
+
+  // The worker stays busy until it replies to the cancelled task
+  assert.equal(pool.getStats().busy, 1);
+  const reply = new Event('message');
+  reply.data = { id: posted[0].id, error: 'canceled' };
+  worker.dispatchEvent(reply);
+  assert.equal(pool.getStats().busy, 0);
+});
@@ -0,0 +1,235 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  ADVANCED_SEARCH_STORAGE_KEY,
+  escapeXML,
+  getRootElement,
+  buildSearchCriteria,
+  buildSearchXML,
+  getSearchModalities,
+  toSearchFilter,
+  combineSearchFilters,
+  normalizeSearchRows,
+  hasSearchCriteria,
+  readStoredAdvancedSearch,
+  storeAdvancedSearch,
+} from '../src/XNATSearchXML.js';
+import XNATClient from '../src/XNATClient.js';
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+  };
+}
+
+test('searches are rooted at the session type for the modality', () => {
+  assert.equal(getRootElement({ modality: 'mr' }), 'xnat:mrSessionData');
+  assert.equal(getRootElement({ modality: 'PT' }), 'xnat:petSessionData');
+  assert.equal(getRootElement({}), 'xnat:imageSessionData');
+});
+
+test('MPRAGE scans in subjects over 60 become AND-ed criteria', () => {
+  const criteria = buildSearchCriteria({
+    project: 'NEURO',
+    modality: 'MR',
+    subject: { minAge: 60, gender: 'female' },
+    scans: { type: 'MPRAGE' },
+    session: { startDate: '2020-01-01', endDate: '20201231' },
+  });
+
+  assert.deepEqual(criteria, [
+    { schemaField: 'xnat:mrSessionData/project', comparison: '=', value: 'NEURO' },
+    {
+      schemaField: 'xnat:subjectData/demographics[@xsi:type=xnat:demographicData]/gender',
+      comparison: '=',
+      value: 'female',
+    },
+    { schemaField: 'xnat:mrSessionData.AGE', comparison: '>=', value: '60' },
+    { schemaField: 'xnat:mrSessionData/date', comparison: '>=', value: '01/01/2020' },
+    { schemaField: 'xnat:mrSessionData/date', comparison: '<=', value: '12/31/2020' },
+    { schemaField: 'xnat:mrScanData/type', comparison: 'LIKE', value: '%MPRAGE%' },
+  ]);
+});
+
+test('custom variables are searched on the subject or the session', () => {
+  const criteria = buildSearchCriteria({
+    customFields: [
+      { name: 'Cohort', value: 'A', level: 'subject', comparison: '=' },
+      { name: 'site', value: 'Boston' },
+      { name: 'ignored', value: '' },
+    ],
+  });
+
+  assert.deepEqual(criteria, [
+    { schemaField: 'xnat:subjectData/fields/field[name=cohort]/field', comparison: '=', value: 'A' },
+    { schemaField: 'xnat:imageSessionData/fields/field[name=site]/field', comparison: 'LIKE', value: '%Boston%' },
+  ]);
+});
+
+test('study list filters become search criteria for every imaging session type', () => {
+  const filter = toSearchFilter({
+    project: 'NEURO',
+    patientId: 'S0007',
+    startDate: '20210101',
+    studyInstanceUids: ['1.2.1', '1.2.2'],
+  });
+
+  assert.deepEqual(getSearchModalities(filter), ['CT', 'MR', 'PT', 'CR', 'DX', 'MG', 'US']);
+  assert.deepEqual(getSearchModalities(toSearchFilter({ xsiTypes: ['xnat:petSessionData', 'xnat:otherData'] })), ['PT']);
+  assert.deepEqual(getSearchModalities({ modality: 'mr' }), ['MR']);
+  assert.deepEqual(buildSearchCriteria({ ...filter, modality: 'MR' }), [
+    { schemaField: 'xnat:mrSessionData/project', comparison: '=', value: 'NEURO' },
+    { schemaField: 'xnat:mrSessionData/subject_ID', comparison: 'LIKE', value: '%S0007%' },
+    { schemaField: 'xnat:mrSessionData/date', comparison: '>=', value: '01/01/2021' },
+    {
+      method: 'OR',
+      criteria: [
+        { schemaField: 'xnat:mrSessionData/UID', comparison: '=', value: '1.2.1' },
+        { schemaField: 'xnat:mrSessionData/UID', comparison: '=', value: '1.2.2' },
+      ],
+    },
+  ]);
+  assert.match(buildSearchXML({ ...filter, modality: 'MR' }), /<xdat:child_set method="OR">\s*<xdat:criteria/);
+  assert.deepEqual(buildSearchCriteria(toSearchFilter({ accessionNumber: 'ACC12345' })), [
+    { schemaField: 'xnat:imageSessionData/dcmAccessionNumber', comparison: '=', value: 'ACC12345' },
+  ]);
+});
+
+test('search XML names the root element, result fields and escaped criteria', () => {
+  const xml = buildSearchXML({ modality: 'CT', session: { label: 'A&B <1>' } });
+
+  assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>/);
+  assert.match(xml, /<xdat:root_element_name>xnat:ctSessionData<\/xdat:root_element_name>/);
+  assert.match(xml, /<xdat:field_ID>UID<\/xdat:field_ID>/);
+  assert.match(xml, /<xdat:search_where method="AND">/);
+  assert.match(xml, /<xdat:value>%A&amp;B &lt;1&gt;%<\/xdat:value>/);
+  assert.equal(escapeXML(`"it's"`), '&quot;it&apos;s&quot;');
+});
+
+test('an empty filter has no criteria', () => {
+  assert.equal(hasSearchCriteria(null), false);
+  assert.equal(hasSearchCriteria({ subject: { label: ' ' }, customFields: [{ name: 'x' }] }), false);
+  assert.equal(hasSearchCriteria({ scans: { seriesDescription: 'FLAIR' } }), true);
+});
+
+test('search rows become experiment rows, one per session', () => {
+  const rows = normalizeSearchRows(
+    [
+      { session_id: 'XNAT_E1', uid: '1.2.1', label: 'S1_MR', date: '2021-02-03', project: 'NEURO', subject_label: 'S1' },
+      { session_id: 'XNAT_E1', uid: '1.2.1', label: 'S1_MR' },
+      { session_id: '', uid: '1.2.9' },
+    ],
+    { modality: 'MR' }
+  );
+
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].ID, 'XNAT_E1');
+  assert.equal(rows[0].UID, '1.2.1');
+  assert.equal(rows[0].subject_label, 'S1');
+  assert.equal(rows[0].xsiType, 'xnat:mrSessionData');
+});
+
+test('the dialog stores only searches with criteria', () => {
+  const storage = createStorage();
+
+  storeAdvancedSearch({ modality: 'MR', scans: { type: 'MPRAGE' } }, storage);
+  assert.deepEqual(readStoredAdvancedSearch(storage), { modality: 'MR', scans: { type: 'MPRAGE' } });
+
+  storeAdvancedSearch({ subject: {} }, storage);
+  assert.equal(storage.getItem(ADVANCED_SEARCH_STORAGE_KEY), null);
+
+  storage.setItem(ADVANCED_SEARCH_STORAGE_KEY, '{not json');
+  assert.equal(readStoredAdvancedSearch(storage), null);
+});
+
+test('study list filters narrow an advanced search', () => {
+  const filter = combineSearchFilters(
+    { modality: 'MR', project: 'NEURO', subject: { minAge: 60 } },
+    toSearchFilter({ patientName: 'Doe', modalities: ['CT', 'MR'], startDate: '20210101' })
+  );
+
+  assert.deepEqual(getSearchModalities(filter), ['MR']);
+  const criteria = buildSearchCriteria({ ...filter, modality: 'MR' });
+  assert.deepEqual(criteria.map(criterion => criterion.schemaField), [
+    'xnat:mrSessionData/project',
+    'xnat:mrSessionData.AGE',
+    'xnat:subjectData/label',
+    'xnat:mrSessionData/date',
+  ]);
+  assert.deepEqual(getSearchModalities(combineSearchFilters({ modality: 'MR' }, toSearchFilter({ modalities: ['CT'] }))), []);
+  assert.deepEqual(getSearchModalities(combineSearchFilters({ subject: { minAge: 60 } }, toSearchFilter({}))), [
+    'CT', 'MR', 'PT', 'CR', 'DX', 'MG', 'US',
+  ]);
+});
+
+test('XNATClient posts search XML and pages the matching studies', async () => {
+  const client = new XNATClient({ xnatUrl: 'https://xnat.example.org' });
+  const requests = [];
+  client.client = {
+    post: async (path, body, config) => {
+      requests.push({ path, body, config });
+      return {
+        data: {
+          ResultSet: {
+            Result: [
+              { session_id: 'XNAT_E1', uid: '1.2.1', label: 'A', subject_label: 'S1', project: 'NEURO' },
+              { session_id: 'XNAT_E2', uid: '1.2.2', label: 'B', subject_label: 'S2', project: 'NEURO' },
+              { session_id: 'XNAT_E3', uid: '', label: 'C' },
+            ],
+          },
+        },
+      };
+    },
+    get: async (path, { params }) => ({
+      data: { ResultSet: { Result: params.ID.split(',').map(ID => ({ ID, xsiType: 'xnat:mrSessionData' })) } },
+    }),
+  };
+
+  const { studies, totalRecords } = await client.advancedSearch(
+    { modality: 'MR', subject: { minAge: 60 } },
+    { offset: 1, limit: 10 }
+  );
+
+  assert.equal(requests[0].path, '/data/search');
+  assert.equal(requests[0].config.params.format, 'json');
+  assert.equal(requests[0].config.headers['Content-Type'], 'text/xml');
+  assert.match(requests[0].body, /xnat:mrSessionData\.AGE/);
+  assert.equal(totalRecords, 2);
+  assert.deepEqual(studies.map(study => study.xnatExperimentId), ['XNAT_E2']);
+  assert.equal(studies[0].modalities, 'MR');
+});
+
+test('XNATClient sorts an advanced search by the study list sort', async () => {
+  const client = new XNATClient({ xnatUrl: 'https://xnat.example.org' });
+  const bodies = [];
+  client.client = {
+    post: async (path, body) => {
+      bodies.push(body);
+      return {
+        data: {
+          ResultSet: {
+            Result: [
+              { session_id: 'XNAT_E1', uid: '1.2.1', subject_label: 'Doe_A', project: 'NEURO' },
+              { session_id: 'XNAT_E2', uid: '1.2.2', subject_label: 'Doe_B', project: 'NEURO' },
+            ],
+          },
+        },
+      };
+    },
+    get: async () => ({ data: { ResultSet: { Result: [] } } }),
+  };
+
+  const { studies } = await client.advancedSearch(
+    { modality: 'MR', scans: { type: 'MPRAGE' } },
+    { sortBy: 'patientName', sortDirection: 'descending' },
+    { project: 'NEURO', patientName: 'Doe' }
+  );
+
+  assert.equal(bodies.length, 1);
+  assert.match(bodies[0], /<xdat:value>%Doe%<\/xdat:value>/);
+  assert.deepEqual(studies.map(study => study.patientName), ['Doe_B', 'Doe_A']);
+});
@@ -0,0 +1,521 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  normalizeStudyFilters,
+  buildExperimentQueryParams,
+  getStudyPage,
+  readTotalRecords,
+  matchesStudyFilters,
+  mergeProjectExperiments,
+  sortExperiments,
+  isAllProjects,
+  ALL_PROJECTS,
+  IMAGING_XSI_TYPES,
+  MAX_CROSS_PROJECT_ROWS,
+  ACCESSION_COLUMN,
+  readAccessionNumber,
+  buildLookupQueries,
+  needsSearchEngine,
+} from '../src/XNATStudySearch.js';
+import XNATClient from '../src/XNATClient.js';
+
+const getModality = xsiType => ({
+  'xnat:mrSessionData': 'MR',
+  'xnat:ctSessionData': 'CT',
+  'xnat:petSessionData': 'PT',
+})[xsiType] || 'OT';
+
+function createExperiment(overrides = {}) {
+  return {
+    ID: 'XNAT_E00012',
+    UID: '1.2.3',
+    date: '2021-03-15',
+    label: 'BRAIN_MR_01',
+    project: 'NEURO',
+    subject_ID: 'XNAT_S00007',
+    subject_label: 'Doe^Jane',
+    xsiType: 'xnat:mrSessionData',
+    modality: 'MR',
+    'xnat:imagesessiondata/dcmaccessionnumber': 'ACC12345',
+    ...overrides,
+  };
+}
+
+test('WorkList filters are normalised and empty ones dropped', () => {
+  assert.deepEqual(
+    normalizeStudyFilters({
+      project: 'NEURO',
+      patientName: ' Doe ',
+      patientId: '',
+      studyDescription: 'brain',
+      accessionNumber: 'XNAT_E00012',
+      modalitiesInStudy: ['mr', 'CT'],
+      startDate: '2021-01-01',
+      endDate: '20211231',
+      resultsPerPage: 25,
+    }),
+    {
+      project: 'NEURO',
+      patientName: 'Doe',
+      studyDescription: 'brain',
+      accessionNumber: 'XNAT_E00012',
+      modalities: ['MR', 'CT'],
+      startDate: '20210101',
+      endDate: '20211231',
+    }
+  );
+});
+
+test('there is no default project and Accession # is the DICOM accession number', () => {
+  const filters = normalizeStudyFilters({ AccessionNumber: 'ACC12345' });
+  const params = buildExperimentQueryParams(filters, 100);
+
+  assert.equal(params.project, undefined);
+  assert.equal(params.ID, undefined);
+  assert.ok(params.columns.split(',').includes(ACCESSION_COLUMN));
+  assert.equal(needsSearchEngine(filters), true);
+  assert.equal(readAccessionNumber(createExperiment()), 'ACC12345');
+  assert.equal(readAccessionNumber({ [ACCESSION_COLUMN]: 'ACC9' }), 'ACC9');
+});
+
+test('filters become /data/experiments query parameters', () => {
+  const params = buildExperimentQueryParams(
+    normalizeStudyFilters({
+      project: 'NEURO',
+      patientName: 'Doe',
+      studyDescription: 'BRAIN',
+      modalitiesInStudy: 'MR,PT,XA',
+    }),
+    50
+  );
+
+  assert.equal(params.format, 'json');
+  assert.equal(params.limit, 50);
+  assert.equal(params.project, 'NEURO');
+  assert.equal(params.subject_label, '*Doe*');
+  assert.equal(params.label, '*BRAIN*');
+  assert.equal(params.xsiType, 'xnat:mrSessionData,xnat:petSessionData');
+  assert.ok(params.columns.split(',').includes('subject_label'));
+  assert.ok(!params.columns.includes('scanner'));
+});
+
+test('listings ask XNAT for imaging sessions only and leave date, MRN and scanner to the search engine', () => {
+  const filters = normalizeStudyFilters({ project: 'NEURO', patientName: 'Doe' });
+  assert.equal(buildExperimentQueryParams(filters, 10).xsiType, IMAGING_XSI_TYPES.join(','));
+  assert.ok(IMAGING_XSI_TYPES.includes('xnat:usSessionData'));
+
+  assert.equal(needsSearchEngine(filters), false);
+  assert.equal(needsSearchEngine(normalizeStudyFilters({ startDate: '20210101' })), true);
+  assert.equal(needsSearchEngine(normalizeStudyFilters({ mrn: 'S0007' })), true);
+  assert.equal(needsSearchEngine(normalizeStudyFilters({ scanner: 'Prisma' })), true);
+});
+
+test('explicit xsiTypes and scanner filters are passed through', () => {
+  const params = buildExperimentQueryParams(
+    normalizeStudyFilters({ xsiType: 'xnat:ctSessionData', modalitiesInStudy: ['MR'], scanner: 'Prisma' }),
+    10
+  );
+  assert.equal(params.xsiType, 'xnat:ctSessionData');
+  assert.ok(params.columns.includes('xnat:imageSessionData/scanner'));
+});
+
+test('rows are matched case-insensitively on names, labels and MRN', () => {
+  const experiment = createExperiment();
+  const matches = params => matchesStudyFilters(experiment, normalizeStudyFilters(params), getModality);
+
+  assert.equal(matches({ patientName: 'jane' }), true);
+  assert.equal(matches({ patientName: 'smith' }), false);
+  assert.equal(matches({ studyDescription: 'brain_mr' }), true);
+  assert.equal(matches({ patientId: 's00007' }), true);
+  assert.equal(matches({ patientId: 'other' }), false);
+  assert.equal(matches({ accessionNumber: 'acc12345' }), true);
+  assert.equal(matches({ accessionNumber: 'ACC1234' }), false);
+  assert.equal(matches({ accessionNumber: 'XNAT_E00012' }), false);
+  assert.equal(matches({ project: 'OTHER' }), false);
+});
+
+test('rows are matched on modality and date range', () => {
+  const experiment = createExperiment();
+  const matches = params => matchesStudyFilters(experiment, normalizeStudyFilters(params), getModality);
+
+  assert.equal(matches({ modalitiesInStudy: ['CT', 'MR'] }), true);
+  assert.equal(matches({ modalitiesInStudy: ['CT'] }), false);
+  assert.equal(matches({ startDate: '20210315', endDate: '20210315' }), true);
+  assert.equal(matches({ startDate: '20210316' }), false);
+  assert.equal(matches({ endDate: '20210314' }), false);
+  assert.equal(
+    matchesStudyFilters(createExperiment({ date: '' }), normalizeStudyFilters({ startDate: '20200101' }), getModality),
+    false
+  );
+});
+
+test('scanner filters read the scanner column', () => {
+  const experiment = createExperiment({ 'xnat:imagesessiondata/scanner': 'MRC25467 Prisma' });
+  assert.equal(matchesStudyFilters(experiment, { scanner: 'prisma' }, getModality), true);
+  assert.equal(matchesStudyFilters(experiment, { scanner: 'Skyra' }, getModality), false);
+});
+
+test('pages come from offset/limit, or from pageNumber and resultsPerPage', () => {
+  assert.deepEqual(getStudyPage({}, 100), { offset: 0, limit: 100, sortBy: undefined, sortDirection: undefined });
+  assert.deepEqual(
+    getStudyPage({ pageNumber: 3, resultsPerPage: 25, sortBy: 'studyDate', sortDirection: 'descending' }, 100),
+    { offset: 50, limit: 25, sortBy: 'studyDate', sortDirection: 'descending' }
+  );
+  assert.equal(getStudyPage({ pageNumber: 3, resultsPerPage: 25, offset: 100, limit: 100 }, 100).offset, 100);
+  assert.equal(getStudyPage({ offset: 200 }, 40).limit, 40);
+});
+
+test('offset and sorting become XNAT query parameters', () => {
+  const params = buildExperimentQueryParams({}, 25, { offset: 50, sortBy: 'studyDate', sortDirection: 'descending' });
+  assert.equal(params.offset, 50);
+  assert.equal(params.sortBy, 'date');
+  assert.equal(params.sortOrder, 'DESC');
+
+  const unsorted = buildExperimentQueryParams({}, 25, { sortBy: 'instances' });
+  assert.equal(unsorted.offset, undefined);
+  assert.equal(unsorted.sortBy, undefined);
+  assert.equal(buildExperimentQueryParams({}, 25, { sortBy: 'patientName' }).sortOrder, 'ASC');
+});
+
+test('totalRecords is read from the ResultSet with a fallback', () => {
+  assert.equal(readTotalRecords({ totalRecords: '1234' }, 10), 1234);
+  assert.equal(readTotalRecords({}, 10), 10);
+  assert.equal(readTotalRecords(undefined, 3), 3);
+});
+
+test('XNATClient returns a page of studies with the total it can list', async () => {
+  const client = new XNATClient({ xnatUrl: 'https://xnat.example.org' });
+  const requests = [];
+  client.client = {
+    get: async (path, { params }) => {
+      requests.push({ path, params });
+      return {
+        data: {
+          ResultSet: {
+            totalRecords: '2500',
+            Result: [
+              createExperiment({ ID: 'XNAT_E00101', UID: '1.2.101' }),
+              createExperiment({ ID: 'XNAT_E00102', UID: '' }),
+            ],
+          },
+        },
+      };
+    },
+  };
+
+  const { studies, totalRecords } = await client.searchStudiesPage(
+    { project: 'NEURO' },
+    { offset: 100, limit: 100, sortBy: 'accession', sortDirection: 'ascending' }
+  );
+
+  assert.equal(requests[0].path, '/data/experiments');
+  assert.equal(requests[0].params.offset, 100);
+  assert.equal(requests[0].params.limit, 100);
+  assert.equal(requests[0].params.sortBy, ACCESSION_COLUMN);
+  assert.equal(requests[0].params.project, 'NEURO');
+  // The session without a StudyInstanceUID cannot be listed
+  assert.equal(totalRecords, 2499);
+  assert.deepEqual(studies.map(study => study.xnatExperimentId), ['XNAT_E00101']);
+  assert.equal(studies[0].accession, 'ACC12345');
+  assert.equal(studies[0].patientName, 'Doe^Jane');
+});
+
+test('XNATClient pages date and MRN searches through the search engine with exact totals', async () => {
+  const client = new XNATClient({ xnatUrl: 'https://xnat.example.org' });
+  const posts = [];
+  const gets = [];
+  const found = {
+    'xnat:mrSessionData': [
+      { session_id: 'XNAT_E1', uid: '1.2.1', date: '2021-01-01', subject_id: 'S0007', project: 'NEURO' },
+      { session_id: 'XNAT_E2', uid: '1.2.2', date: '2021-03-01', subject_id: 'S0007', project: 'NEURO' },
+    ],
+    'xnat:ctSessionData': [
+      { session_id: 'XNAT_E3', uid: '1.2.3', date: '2021-02-01', subject_id: 'S0007', project: 'NEURO' },
+    ],
+  };
+  client.client = {
+    post: async (path, body) => {
+      const root = body.match(/<xdat:root_element_name>(.*)<\/xdat:root_element_name>/)[1];
+      posts.push({ path, root, body });
+      return { data: { ResultSet: { Result: found[root] || [] } } };
+    },
+    get: async (path, { params }) => {
+      gets.push(params);
+      const ids = params.ID.split(',');
+      const rows = [
+        createExperiment({ ID: 'XNAT_E2', UID: '1.2.2', date: '2021-03-01', subject_ID: 'S0007' }),
+        createExperiment({ ID: 'XNAT_E3', UID: '1.2.3', date: '2021-02-01', subject_ID: 'S0007', xsiType: 'xnat:ctSessionData' }),
+      ].filter(row => ids.includes(row.ID));
+      return { data: { ResultSet: { totalRecords: String(rows.length), Result: rows } } };
+    },
+  };
+
+  const { studies, totalRecords } = await client.searchStudiesPage(
+    { project: 'NEURO', mrn: 'S0007', startDate: '20210101', endDate: '20211231' },
+    { offset: 0, limit: 2 }
+  );
+
+  assert.equal(posts.length, IMAGING_XSI_TYPES.length);
+  assert.deepEqual(posts.map(post => post.root), IMAGING_XSI_TYPES);
+  assert.match(posts[1].body, /xnat:mrSessionData\/subject_ID/);
+  assert.match(posts[0].body, /<xdat:value>01\/01\/2021<\/xdat:value>/);
+  assert.equal(gets.length, 1);
+  assert.equal(gets[0].ID, 'XNAT_E2,XNAT_E3');
+  assert.equal(totalRecords, 3);
+  assert.deepEqual(studies.map(study => study.studyInstanceUid), ['1.2.2', '1.2.3']);
+  assert.equal(studies[1].modalities, 'CT');
+});
+
+test('shared experiments are merged once with their owning and sharing projects', () => {
+  const merged = new Map();
+  const owned = createExperiment({ ID: 'XNAT_E1', project: 'NEURO' });
+
+  assert.equal(mergeProjectExperiments(merged, 'NEURO', [owned, createExperiment({ ID: 'XNAT_E2' })]), 0);
+  assert.equal(mergeProjectExperiments(merged, 'TRIAL', [{ ...owned }]), 1);
+  assert.equal(mergeProjectExperiments(merged, 'TRIAL', [{ ...owned }]), 1);
+
+  assert.equal(merged.size, 2);
+  assert.equal(merged.get('XNAT_E1').project, 'NEURO');
+  assert.deepEqual(merged.get('XNAT_E1').sharedProjects, ['TRIAL']);
+  assert.deepEqual(merged.get('XNAT_E2').sharedProjects, []);
+});
+
+test('merged rows are sorted like an XNAT listing', () => {
+  const rows = [
+    createExperiment({ ID: 'E2', date: '2021-01-02' }),
+    createExperiment({ ID: 'E10', date: '2021-01-03' }),
+    createExperiment({ ID: 'E1', date: '2021-01-02' }),
+  ];
+  assert.deepEqual(
+    sortExperiments(rows, { sortBy: 'studyDate', sortDirection: 'descending' }).map(row => row.ID),
+    ['E10', 'E1', 'E2']
+  );
+  assert.deepEqual(sortExperiments(rows, { sortBy: 'accession' }).map(row => row.ID), ['E1', 'E2', 'E10']);
+  assert.equal(sortExperiments(rows, { sortBy: 'instances' }), rows);
+  assert.equal(isAllProjects(ALL_PROJECTS), true);
+  assert.equal(isAllProjects('NEURO'), false);
+});
+
+test('XNATClient searches every project and streams the merged page', async () => {
+  const client = new XNATClient({ xnatUrl: 'https://xnat.example.org' });
+  const requests = [];
+  const listings = {
+    NEURO: [
+      createExperiment({ ID: 'XNAT_E1', UID: '1.2.1', date: '2021-01-01', project: 'NEURO' }),
+      createExperiment({ ID: 'XNAT_E2', UID: '1.2.2', date: '2021-03-01', project: 'NEURO' }),
+    ],
+    TRIAL: [
+      createExperiment({ ID: 'XNAT_E1', UID: '1.2.1', date: '2021-01-01', project: 'NEURO' }),
+      createExperiment({ ID: 'XNAT_E3', UID: '1.2.3', date: '2021-02-01', project: 'TRIAL' }),
+    ],
+  };
+  client.client = {
+    get: async (path, { params }) => {
+      requests.push({ path, params });
+      if (params.project === 'LOCKED') {
+        throw new Error('Request failed with status code 403');
+      }
+      const rows = listings[params.project];
+      return { data: { ResultSet: { totalRecords: String(rows.length), Result: rows } } };
+    },
+  };
+
+  const progress = [];
+  const { studies, totalRecords } = await client.searchAllProjects(
+    { project: 'IGNORED', patientName: 'Doe' },
+    { offset: 0, limit: 10 },
+    { projects: ['NEURO', 'TRIAL', 'LOCKED'], onProgress: update => progress.push(update) }
+  );
+
+  assert.deepEqual(requests.map(request => request.params.project), ['NEURO', 'TRIAL', 'LOCKED']);
+  assert.ok(requests.every(request => request.params.sortBy === 'date' && request.params.sortOrder === 'DESC'));
+  assert.equal(requests[0].params.subject_label, '*Doe*');
+  assert.equal(progress.length, 2);
+  assert.equal(progress[0].totalRecords, 2);
+  assert.equal(totalRecords, 3);
+  assert.deepEqual(studies.map(study => study.xnatExperimentId), ['XNAT_E2', 'XNAT_E3', 'XNAT_E1']);
+  assert.deepEqual(studies[2].SharedProjects, ['TRIAL']);
+  assert.equal(studies[2].ProjectID, 'NEURO');
+});
+
+// Study fields OHIF's WorkList renders as its columns, in order; it has no way to add others
+const WORKLIST_COLUMNS = ['patientName', 'mrn', 'date', 'time', 'description', 'modalities', 'accession', 'instances'];
+
+test('cross-project rows show their owning and sharing projects in a WorkList column', () => {
+  const client = new XNATClient({ xnatUrl: 'https://xnat.example.org' });
+  const merged = new Map();
+  mergeProjectExperiments(merged, 'TRIAL', [createExperiment({ ID: 'XNAT_E1', project: 'NEURO' })]);
+  mergeProjectExperiments(merged, 'NEURO', [createExperiment({ ID: 'XNAT_E2', project: 'NEURO' })]);
+  const [shared, owned] = client.experimentsToStudies([...merged.values()]);
+  const cells = study => WORKLIST_COLUMNS.map(column => String(study[column]));
+
+  assert.ok(cells(shared).includes('BRAIN_MR_01 · NEURO (shared: TRIAL)'));
+  assert.ok(cells(owned).includes('BRAIN_MR_01 · NEURO'));
+  // Single-project listings are left as they are
+  assert.ok(cells(client.experimentToStudy(createExperiment())).includes('BRAIN_MR_01'));
+});
+
+// Sessions numbered from first, one day apart so newest-first order runs from the highest number down
+function createSessions(project, first, count) {
+  return Array.from({ length: count }, (_, i) =>
+    createExperiment({
+      ID: `XNAT_E${first + i}`,
+      UID: `1.2.${first + i}`,
+      date: new Date(Date.UTC(2000, 0, 1) + (first + i) * 86400000).toISOString().slice(0, 10),
+      project,
+    })
+  );
+}
+
+function createListingClient(listings, requests) {
+  const client = new XNATClient({ xnatUrl: 'https://xnat.example.org' });
+  client.client = {
+    get: async (path, { params, signal }) => {
+      requests.push({ params, signal });
+      const rows = listings[params.project];
+      return {
+        data: { ResultSet: { totalRecords: String(rows.length), Result: rows.slice(0, params.limit) } },
+      };
+    },
+  };
+  return client;
+}
+
+test('XNATClient pages every cross-project page from one merged window', async () => {
+  const requests = [];
+  // 200 of NEURO's sessions are shared into TRIAL, which leaves 900 distinct sessions
+  const neuro = createSessions('NEURO', 0, 600);
+  const trial = [...neuro.slice(0, 300), ...createSessions('TRIAL', 600, 300)];
+  const client = createListingClient({ NEURO: neuro, TRIAL: trial }, requests);
+  const options = { projects: ['NEURO', 'TRIAL'] };
+
+  const pages = [];
+  for (let offset = 0; offset < 1000; offset += 100) {
+    pages.push(await client.searchAllProjects({}, { offset, limit: 100 }, options));
+  }
+
+  assert.equal(requests.length, 2);
+  assert.ok(requests.every(request => request.signal instanceof AbortSignal));
+  assert.ok(requests.every(request => request.params.limit === MAX_CROSS_PROJECT_ROWS));
+  assert.ok(pages.every(page => page.totalRecords === 900 && !page.capped));
+  assert.deepEqual(pages.map(page => page.studies.length), [100, 100, 100, 100, 100, 100, 100, 100, 100, 0]);
+  const ids = pages.flatMap(page => page.studies.map(study => study.xnatExperimentId));
+  assert.equal(new Set(ids).size, 900);
+  assert.equal(ids[0], 'XNAT_E899');
+  assert.equal(ids[899], 'XNAT_E0');
+  assert.deepEqual(pages[8].studies[99].SharedProjects, ['TRIAL']);
+
+  // The first page of a search fetches the window again
+  await client.searchAllProjects({}, { offset: 0, limit: 100 }, options);
+  assert.equal(requests.length, 4);
+});
+
+test('XNATClient caps the cross-project pager at the merged window', async () => {
+  const requests = [];
+  const neuro = createSessions('NEURO', 0, 700);
+  const trial = [...neuro.slice(0, 200), ...createSessions('TRIAL', 700, 500)];
+  const client = createListingClient({ NEURO: neuro, TRIAL: trial }, requests);
+  const options = { projects: ['NEURO', 'TRIAL'] };
+
+  await client.searchAllProjects({ project: 'IGNORED' }, { offset: 0, limit: 100 }, options);
+  const last = await client.searchAllProjects({}, { offset: MAX_CROSS_PROJECT_ROWS - 100, limit: 100 }, options);
+  const past = await client.searchAllProjects({}, { offset: MAX_CROSS_PROJECT_ROWS, limit: 100 }, options);
+
+  assert.equal(requests.length, 2);
+  assert.ok(requests.every(request => request.params.project !== undefined));
+  assert.equal(last.totalRecords, MAX_CROSS_PROJECT_ROWS);
+  assert.equal(last.capped, true);
+  assert.equal(last.studies[0].xnatExperimentId, 'XNAT_E299');
+  assert.equal(last.studies.length, 100);
+  assert.deepEqual(past, { studies: [], totalRecords: MAX_CROSS_PROJECT_ROWS, capped: true });
+
+  // A project with more rows than the window caps the search on its own
+  const single = createListingClient({ NEURO: createSessions('NEURO', 0, MAX_CROSS_PROJECT_ROWS + 1) }, []);
+  const { totalRecords, capped } = await single.searchAllProjects(
+    {},
+    { offset: 0, limit: 100 },
+    { projects: ['NEURO'] }
+  );
+  assert.equal(totalRecords, MAX_CROSS_PROJECT_ROWS);
+  assert.equal(capped, true);
+});
+
+test('StudyInstanceUIDs are filtered through the UID column', () => {
+  const filters = normalizeStudyFilters({ StudyInstanceUIDs: ['1.2.3', '1.2.4'] });
+  assert.deepEqual(filters.studyInstanceUids, ['1.2.3', '1.2.4']);
+  assert.equal(buildExperimentQueryParams(filters, 10).UID, '1.2.3,1.2.4');
+  assert.equal(matchesStudyFilters(createExperiment(), filters, getModality), true);
+  assert.equal(matchesStudyFilters(createExperiment({ UID: '1.2.5' }), filters, getModality), false);
+});
+
+test('quick find looks text up as a UID, or as an accession number and labels', () => {
+  assert.deepEqual(buildLookupQueries({ quickFind: ' 1.2.840.10008.1 ' }), [{ studyInstanceUids: ['1.2.840.10008.1'] }]);
+  assert.deepEqual(buildLookupQueries({ quickFind: 'BRAIN' }), [
+    { accessionNumber: 'BRAIN' },
+    { studyDescription: 'BRAIN' },
+    { patientName: 'BRAIN' },
+  ]);
+  assert.deepEqual(buildLookupQueries({ studyInstanceUids: '1.2.3', subjectLabel: 'Doe' }), [
+    { studyInstanceUids: ['1.2.3'] },
+    { patientName: 'Doe' },
+  ]);
+  assert.deepEqual(buildLookupQueries({}), []);
+});
+
+test('XNATClient looks studies up across projects and returns full rows once', async () => {
+  const client = new XNATClient({ xnatUrl: 'https://xnat.example.org' });
+  const requests = [];
+  const session = createExperiment({ ID: 'XNAT_E7', UID: '1.2.7', label: 'BRAIN_MR_07', project: 'TRIAL' });
+  const searches = [];
+  client.client = {
+    post: async (path, body) => {
+      searches.push(body);
+      throw new Error('Request failed with status code 500');
+    },
+    get: async (path, { params }) => {
+      requests.push(params);
+      const rows = params.label || params.subject_label ? [session, createExperiment({ ID: 'XNAT_E8', UID: '' })] : [];
+      return { data: { ResultSet: { totalRecords: String(rows.length), Result: rows } } };
+    },
+  };
+
+  const { studies, totalRecords } = await client.lookupStudies({ quickFind: 'brain' });
+
+  assert.equal(requests.length, 2);
+  assert.ok(requests.every(params => params.project === undefined));
+  assert.match(searches[0], /dcmAccessionNumber/);
+  assert.equal(totalRecords, 1);
+  assert.equal(studies[0].studyInstanceUid, '1.2.7');
+  assert.equal(studies[0].modalities, 'MR');
+  assert.equal(studies[0].patientName, 'Doe^Jane');
+  assert.equal(studies[0].ProjectID, 'TRIAL');
+});
+
+test('XNATClient looks accession numbers up through the search engine', async () => {
+  const client = new XNATClient({ xnatUrl: 'https://xnat.example.org' });
+  const listings = [];
+  client.client = {
+    post: async (path, body) => ({
+      data: {
+        ResultSet: {
+          Result: body.includes('<xdat:root_element_name>xnat:mrSessionData<')
+            ? [{ session_id: 'XNAT_E7', uid: '1.2.7', date: '2021-03-15', project: 'TRIAL' }]
+            : [],
+        },
+      },
+    }),
+    get: async (path, { params }) => {
+      listings.push(params);
+      return { data: { ResultSet: { Result: [createExperiment({ ID: 'XNAT_E7', UID: '1.2.7', project: 'TRIAL' })] } } };
+    },
+  };
+
+  const { studies, totalRecords } = await client.lookupStudies({ accessionNumber: 'ACC12345' });
+
+  assert.equal(totalRecords, 1);
+  assert.equal(listings.length, 1);
+  assert.equal(listings[0].ID, 'XNAT_E7');
+  assert.equal(studies[0].accession, 'ACC12345');
+  assert.equal(studies[0].patientName, 'Doe^Jane');
+});
@@ -0,0 +1,170 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  getScalingParameters,
+  preScalePixelData,
+  getScaledRange,
+  createTargetArray,
+  writeToTargetBuffer,
+  applyLoadOptions,
+} from '../src/XNATImageLoader.volume.js';
+
+/**
+ * Decoded frame in the shape decodeDicomFrame returns
+ */
+function createDecodedFrame(pixelData, { slope = 1, intercept = 0, modality = 'CT', modalityLUT, suvbw, color = false } = {}) {
+  const values = Array.from(pixelData);
+  return {
+    pixelData,
+    metadata: {
+      generalSeriesModule: { modality },
+      ...(suvbw !== undefined ? { scalingModule: { suvbw } } : {}),
+    },
+    imageProperties: {
+      minPixelValue: Math.min(...values),
+      maxPixelValue: Math.max(...values),
+      slope,
+      intercept,
+      modalityLUT,
+      color,
+    },
+  };
+}
+
+test('scaling parameters come from the rescale and, for PET, SUVbw', () => {
+  const ct = createDecodedFrame(new Int16Array(1), { slope: 1, intercept: -1024 });
+  assert.deepEqual(getScalingParameters(ct.metadata, ct.imageProperties), {
+    rescaleSlope: 1,
+    rescaleIntercept: -1024,
+    modality: 'CT',
+  });
+
+  const pet = createDecodedFrame(new Uint16Array(1), { slope: 0.5, modality: 'PT', suvbw: 0.002 });
+  assert.equal(getScalingParameters(pet.metadata, pet.imageProperties).suvbw, 0.002);
+  assert.equal(
+    getScalingParameters(pet.metadata, pet.imageProperties, { rescaleSlope: 2 }).rescaleSlope,
+    2,
+    'caller parameters win'
+  );
+});
+
+test('pre-scaling produces Float32 modality values without touching the stored array', () => {
+  const stored = new Uint16Array([0, 1000, 2048]);
+  const { pixelData, scaled } = preScalePixelData(stored, { rescaleSlope: 0.5, rescaleIntercept: -1024, modality: 'CT' });
+
+  assert.equal(scaled, true);
+  assert.ok(pixelData instanceof Float32Array);
+  assert.deepEqual(Array.from(pixelData), [-1024, -524, 0]);
+  assert.deepEqual(Array.from(stored), [0, 1000, 2048]);
+});
+
+test('identity scaling keeps the decoded array', () => {
+  const stored = new Int16Array([-5, 5]);
+  const result = preScalePixelData(stored, { rescaleSlope: 1, rescaleIntercept: 0, modality: 'MR' });
+  assert.equal(result.pixelData, stored);
+  assert.equal(result.scaled, true);
+});
+
+test('PET values are multiplied by SUVbw after the rescale', () => {
+  const { pixelData } = preScalePixelData(new Uint16Array([100, 200]), {
+    rescaleSlope: 2,
+    rescaleIntercept: 0,
+    modality: 'PT',
+    suvbw: 0.01,
+  });
+  assert.deepEqual(Array.from(pixelData).map(value => Math.round(value * 1000) / 1000), [2, 4]);
+});
+
+test('a Modality LUT replaces slope and intercept and clamps values outside the table', () => {
+  const modalityLUT = { firstValueMapped: 10, lut: [100, 300, 200] };
+  const { pixelData, scaleValue } = preScalePixelData(
+    new Uint16Array([5, 10, 11, 12, 40]),
+    { rescaleSlope: 5, rescaleIntercept: 5, modality: 'XA' },
+    modalityLUT
+  );
+  assert.deepEqual(Array.from(pixelData), [100, 100, 300, 200, 200]);
+  assert.deepEqual(getScaledRange(10, 12, scaleValue, modalityLUT), { min: 100, max: 300 });
+});
+
+test('scaled range follows a negative slope', () => {
+  const { scaleValue } = preScalePixelData(new Int16Array([0]), { rescaleSlope: -2, rescaleIntercept: 10 });
+  assert.deepEqual(getScaledRange(0, 100, scaleValue), { min: -190, max: 10 });
+});
+
+test('target arrays view the volume buffer at the byte offset', () => {
+  const arrayBuffer = new ArrayBuffer(4 * 8);
+  const target = createTargetArray({ arrayBuffer, offset: 16, length: 4, type: 'Float32Array' }, 4);
+  assert.ok(target instanceof Float32Array);
+  assert.equal(target.buffer, arrayBuffer);
+  assert.equal(target.byteOffset, 16);
+  assert.equal(target.length, 4);
+});
+
+test('target arrays are allocated when no buffer is given', () => {
+  const target = createTargetArray({ type: 'Int16Array' }, 6);
+  assert.ok(target instanceof Int16Array);
+  assert.equal(target.length, 6);
+});
+
+test('unsupported or short target buffers are rejected', () => {
+  assert.throws(() => createTargetArray({ type: 'BigInt64Array' }, 4), /Unsupported target buffer type/);
+  assert.throws(
+    () => createTargetArray({ arrayBuffer: new ArrayBuffer(8), length: 2, type: 'Float32Array' }, 4),
+    /holds 2 samples/
+  );
+});
+
+test('writing to a target buffer converts to its type and leaves other slices alone', () => {
+  const arrayBuffer = new ArrayBuffer(3 * 2 * 2);
+  const volume = new Int16Array(arrayBuffer);
+  volume.fill(7);
+
+  const view = writeToTargetBuffer(new Float32Array([-1024, 40]), {
+    arrayBuffer,
+    offset: 2 * 2,
+    length: 2,
+    type: 'Int16Array',
+  });
+
+  assert.deepEqual(Array.from(view), [-1024, 40]);
+  assert.deepEqual(Array.from(volume), [7, 7, -1024, 40, 7, 7]);
+});
+
+test('load options pre-scale into the target buffer and report the scaled range', () => {
+  const arrayBuffer = new ArrayBuffer(2 * 4 * 2);
+  const decoded = createDecodedFrame(new Uint16Array([0, 2000]), { slope: 1, intercept: -1024 });
+
+  const result = applyLoadOptions(decoded, {
+    preScale: { enabled: true },
+    targetBuffer: { arrayBuffer, offset: 8, length: 2, type: 'Float32Array' },
+  });
+
+  assert.equal(result.pixelData.buffer, arrayBuffer);
+  assert.deepEqual(Array.from(new Float32Array(arrayBuffer)), [0, 0, -1024, 976]);
+  assert.equal(result.minPixelValue, -1024);
+  assert.equal(result.maxPixelValue, 976);
+  assert.deepEqual(result.preScale, {
+    enabled: true,
+    scaled: true,
+    scalingParameters: { rescaleSlope: 1, rescaleIntercept: -1024, modality: 'CT' },
+  });
+});
+
+test('without options the decoded frame is returned unchanged', () => {
+  const decoded = createDecodedFrame(new Uint16Array([1, 2]), { slope: 2, modalityLUT: { firstValueMapped: 0, lut: [0] } });
+  const result = applyLoadOptions(decoded);
+
+  assert.equal(result.pixelData, decoded.pixelData);
+  assert.equal(result.modalityLUT, decoded.imageProperties.modalityLUT);
+  assert.equal(result.preScale.scaled, false);
+});
+
+test('colour frames are copied but never pre-scaled', () => {
+  const decoded = createDecodedFrame(new Uint8Array([255, 0, 0]), { slope: 2, color: true });
+  const result = applyLoadOptions(decoded, { preScale: { enabled: true }, targetBuffer: { type: 'Uint8Array' } });
+
+  assert.deepEqual(Array.from(result.pixelData), [255, 0, 0]);
+  assert.notEqual(result.pixelData, decoded.pixelData);
+  assert.equal(result.preScale.scaled, false);
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import XNATWindowLevelPresets from '../src/XNATWindowLevelPresets.js';
+
+const MENU = { MR: [{ id: 'mr-default', description: 'Default', window: '600', level: '300' }] };
+
+function windowPreset(label, windowCenter, windowWidth) {
+  return { label, windowCenter, windowWidth, fromLUT: false };
+}
+
+function menuIds(windowLevelPresets) {
+  return (windowLevelPresets.getMenuPresets(MENU).MR || []).map(preset => preset.id);
+}
+
+test('the W/L menu only offers the stored presets of the series on screen, one per label', () => {
+  const windowLevelPresets = new XNATWindowLevelPresets();
+  const t1 = { studyInstanceUID: 'study-1', seriesInstanceUID: 't1', modality: 'MR' };
+  const t2 = { studyInstanceUID: 'study-1', seriesInstanceUID: 't2', modality: 'MR' };
+
+  // Every slice of an MR series stores its own window under the same label
+  assert.equal(windowLevelPresets.addImagePresets(t1, [windowPreset('Window 1', 310, 620)]), false);
+  assert.equal(windowLevelPresets.addImagePresets(t1, [windowPreset('Window 1', 305, 611)]), false);
+  windowLevelPresets.addImagePresets(t2, [windowPreset('Window 1', 900, 1800), windowPreset('FLAIR', 500, 1000)]);
+  assert.deepEqual(menuIds(windowLevelPresets), ['mr-default']);
+
+  assert.equal(windowLevelPresets.showSeries('t1'), true);
+  assert.deepEqual(menuIds(windowLevelPresets), ['mr-default', 'xnat-Window 1']);
+  assert.equal(windowLevelPresets.getMenuPresets(MENU).MR[1].window, '620');
+  assert.equal(windowLevelPresets.showSeries('t1'), false);
+
+  assert.equal(windowLevelPresets.showSeries('t2'), true);
+  assert.deepEqual(menuIds(windowLevelPresets), ['mr-default', 'xnat-Window 1', 'xnat-FLAIR']);
+  assert.equal(windowLevelPresets.addImagePresets(t2, [windowPreset('FLAIR', 510, 1020)]), false);
+  assert.equal(windowLevelPresets.addImagePresets(t2, [windowPreset('Window 2', 100, 200)]), true);
+
+  assert.equal(windowLevelPresets.showSeries(null), true);
+  assert.deepEqual(menuIds(windowLevelPresets), ['mr-default']);
+});
+
+test('stored presets of a study are dropped once an image of another study loads', () => {
+  const windowLevelPresets = new XNATWindowLevelPresets();
+  windowLevelPresets.addImagePresets({ studyInstanceUID: 'study-1', seriesInstanceUID: 's1', modality: 'MR' }, [
+    windowPreset('BRAIN', 40, 80),
+  ]);
+  windowLevelPresets.showSeries('s1');
+
+  assert.equal(windowLevelPresets.addImagePresets({ studyInstanceUID: 'study-2', seriesInstanceUID: 's2', modality: 'MR' }, []), true);
+  assert.deepEqual(menuIds(windowLevelPresets), ['mr-default']);
+  assert.equal(windowLevelPresets.series.has('s1'), false);
+});
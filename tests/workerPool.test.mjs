@@ -0,0 +1,134 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import XNATWorkerPool from '../src/XNATWorkerPool.js';
+import { parseDicom, TransferSyntax } from '../src/XNATImageLoader.codecs.js';
+import { decodeDicomFrame } from '../src/XNATImageLoader.frames.js';
+import { explicitElement, uint16Bytes, concatBytes } from './helpers/dicomBytes.mjs';
+
+/**
+ * Worker stand-in that answers each task with a handler after a tick
+ */
+class FakeWorker extends EventTarget {
+  constructor(handler, log) {
+    super();
+    this.handler = handler;
+    this.log = log;
+    this.terminated = false;
+  }
+
+  postMessage(message) {
+    this.log.push(message);
+    setTimeout(() => {
+      if (this.terminated) return;
+      const reply = this.handler(message, this);
+      if (reply) {
+        const event = new Event('message');
+        event.data = { id: message.id, ...reply };
+        this.dispatchEvent(event);
+      }
+    }, 0);
+  }
+
+  fail(message) {
+    const event = new Event('error');
+    event.message = message;
+    this.dispatchEvent(event);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+test('XNATWorkerPool limits concurrency and queues tasks in order', async () => {
+  const log = [];
+  let created = 0;
+  const pool = new XNATWorkerPool({
+    maxWorkers: 2,
+    createWorker: () => {
+      created++;
+      return new FakeWorker(message => ({ result: message.value * 2 }), log);
+    },
+  });
+
+  const results = await Promise.all([1, 2, 3, 4, 5].map(value => pool.run({ type: 'double', value })));
+
+  assert.deepEqual(results, [2, 4, 6, 8, 10]);
+  assert.equal(created, 2);
+  assert.deepEqual(log.map(message => message.value), [1, 2, 3, 4, 5]);
+  assert.deepEqual(pool.getStats(), { workers: 2, busy: 0, queued: 0, maxWorkers: 2, unavailable: false });
+});
+
+test('XNATWorkerPool passes task errors through without disabling the pool', async () => {
+  const pool = new XNATWorkerPool({
+    maxWorkers: 1,
+    createWorker: () => new FakeWorker(message => (message.fail ? { error: 'HTTP 404' } : { result: 'ok' }), []),
+  });
+
+  await assert.rejects(pool.run({ fail: true }), error => error.message === 'HTTP 404' && !error.workerUnavailable);
+  assert.equal(await pool.run({}), 'ok');
+  assert.equal(pool.unavailable, false);
+});
+
+test('XNATWorkerPool reports itself unavailable when workers cannot start', async () => {
+  const failing = new XNATWorkerPool({
+    maxWorkers: 1,
+    createWorker: () => new FakeWorker((message, worker) => worker.fail('Failed to load worker script'), []),
+  });
+
+  const first = failing.run({});
+  const queued = failing.run({});
+  await assert.rejects(first, error => error.workerUnavailable === true);
+  await assert.rejects(queued, error => error.workerUnavailable === true);
+  assert.equal(failing.unavailable, true);
+  await assert.rejects(failing.run({}), /Worker pool is unavailable/);
+
+  const throwing = new XNATWorkerPool({
+    createWorker: () => {
+      throw new Error('Workers are not allowed');
+    },
+  });
+  await assert.rejects(throwing.run({}), error => error.workerUnavailable === true);
+});
+
+test('decodeDicomFrame decodes a frame and builds its metadata without Cornerstone', async () => {
+  const transferSyntaxElement = explicitElement(0x0002, 0x0010, 'UI', TransferSyntax.EXPLICIT_VR_LITTLE_ENDIAN);
+  const groupLength = new Uint8Array(4);
+  new DataView(groupLength.buffer).setUint32(0, transferSyntaxElement.length, true);
+
+  const file = concatBytes(
+    new Uint8Array(128),
+    new TextEncoder().encode('DICM'),
+    explicitElement(0x0002, 0x0000, 'UL', groupLength),
+    transferSyntaxElement,
+    explicitElement(0x0008, 0x0018, 'UI', '1.2.3.4 '),
+    explicitElement(0x0020, 0x000e, 'UI', '1.2.3 '),
+    explicitElement(0x0028, 0x0002, 'US', uint16Bytes(1)),
+    explicitElement(0x0028, 0x0004, 'CS', 'MONOCHROME2 '),
+    explicitElement(0x0028, 0x0008, 'IS', '2 '),
+    explicitElement(0x0028, 0x0010, 'US', uint16Bytes(2)),
+    explicitElement(0x0028, 0x0011, 'US', uint16Bytes(2)),
+    explicitElement(0x0028, 0x0100, 'US', uint16Bytes(16)),
+    explicitElement(0x0028, 0x0101, 'US', uint16Bytes(12)),
+    explicitElement(0x0028, 0x0103, 'US', uint16Bytes(0)),
+    explicitElement(0x7fe0, 0x0010, 'OW', uint16Bytes(1, 2, 3, 4, 100, 200, 300, 400))
+  );
+
+  const { pixelData, metadata, imageProperties } = await decodeDicomFrame(parseDicom(file), 1);
+
+  assert.ok(pixelData instanceof Uint16Array);
+  assert.deepEqual(Array.from(pixelData), [100, 200, 300, 400]);
+  assert.equal(imageProperties.frameNumber, 2);
+  assert.equal(imageProperties.numberOfFrames, 2);
+  assert.equal(imageProperties.minPixelValue, 100);
+  assert.equal(imageProperties.maxPixelValue, 400);
+  assert.equal(imageProperties.windowCenter, 250);
+  assert.equal(imageProperties.windowWidth, 300);
+  assert.equal(metadata.imagePixelModule.bitsStored, 12);
+  assert.equal(metadata.generalSeriesModule.seriesInstanceUID, '1.2.3');
+  assert.equal(metadata.multiFrameModule.numberOfFrames, 2);
+
+  // Worker results must survive structured cloning
+  assert.doesNotThrow(() => structuredClone({ metadata, imageProperties }));
+});